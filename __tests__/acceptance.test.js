@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RegressionAcceptor = require('../scripts/accept-regression');
+const BaselineUpdater = require('../scripts/update-baseline');
+const { createAcceptance, getRunScope, getAcceptances, readAcceptLabel } = require('../scripts/lib/acceptance');
+const { loadConfig } = require('../scripts/lib/config');
+const { MetricRegistry } = require('../scripts/lib/metric-registry');
+
+describe('acceptance', () => {
+    const registry = new MetricRegistry()
+        .register({
+            id: 'bundleSize',
+            label: 'Bundle Size',
+            emoji: '📦',
+            unit: 'bytes',
+            direction: 'lower',
+            thresholds: { good: 100 * 1024, warning: 200 * 1024 },
+            collect: async () => null,
+            value: data => data.total
+        })
+        .register({
+            id: 'coverage',
+            label: 'Coverage',
+            emoji: '🧪',
+            unit: 'percent',
+            direction: 'higher',
+            thresholds: { good: 80, warning: 60 },
+            collect: async () => null,
+            value: data => data.total
+        });
+
+    const results = {
+        timestamp: '2026-01-02T00:00:00Z',
+        commit: 'bbbb2222',
+        branch: 'main',
+        status: 'completed',
+        metrics: {},
+        bundleSize: { total: 120 * 1024 },
+        coverage: { total: 80 }
+    };
+    const baseline = {
+        created: '2026-01-01T00:00:00Z',
+        commit: 'aaaa1111',
+        branch: 'main',
+        metrics: { bundleSize: { value: 100 * 1024 }, coverage: { value: 80 } }
+    };
+    const details = { actor: 'octocat', reason: 'New editor', source: 'cli', branch: 'main' };
+
+    let rootDir;
+    let env;
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'symphony-accept-'));
+        env = process.env;
+        process.env = { ...env, GITHUB_REF_NAME: 'main', GITHUB_EVENT_NAME: 'push', GITHUB_ACTOR: 'ci-bot' };
+        delete process.env.GITHUB_HEAD_REF;
+        delete process.env.GITHUB_BASE_REF;
+        delete process.env.GITHUB_EVENT_PATH;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = env;
+        jest.restoreAllMocks();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    describe('createAcceptance', () => {
+        test('should record who accepted which regression against which baseline', () => {
+            expect(createAcceptance(registry.get('bundleSize'), results, baseline, details)).toMatchObject({
+                action: 'accept',
+                actor: 'octocat',
+                commit: 'bbbb2222',
+                metric: 'bundleSize',
+                value: 120 * 1024,
+                baseline: 100 * 1024,
+                baselineCommit: 'aaaa1111',
+                reason: 'New editor',
+                pr: null
+            });
+        });
+
+        test('should refuse metrics that did not regress', () => {
+            expect(() => createAcceptance(registry.get('coverage'), results, baseline, details))
+                .toThrow('Coverage did not regress against the baseline of aaaa1111');
+            expect(() => createAcceptance(registry.get('coverage'), results, null, details)).toThrow('There is no baseline');
+        });
+    });
+
+    describe('getAcceptances', () => {
+        test('should only apply acceptances made against the current baseline for this run', () => {
+            const accept = (baselineCommit, value, commit = 'bbbb2222', pr = null) => ({ action: 'accept', metric: 'bundleSize', baselineCommit, value, commit, pr });
+            const audit = [
+                accept('0000aaaa', 1),
+                { action: 'reject', commit: 'bbbb2222' },
+                accept('aaaa1111', 2),
+                accept('aaaa1111', 3, 'cccc3333', '7'),
+                accept('aaaa1111', 4, 'dddd4444', '8')
+            ];
+            const values = scope => getAcceptances(audit, baseline, scope).map(entry => entry.value);
+
+            expect(values({ commit: 'bbbb2222' })).toEqual([2]);
+            expect(values({ commit: 'eeee5555', pr: '7' })).toEqual([3]);
+            expect(values({ commit: 'bbbb2222', pr: '8' })).toEqual([4, 2]);
+            expect(values({ commit: 'eeee5555' })).toEqual([]);
+            expect(getAcceptances(audit, null, { commit: 'bbbb2222' })).toEqual([]);
+        });
+    });
+
+    describe('getRunScope', () => {
+        test('should carry the pull request a push merged over', () => {
+            const eventPath = path.join(rootDir, 'event.json');
+            const push = message => {
+                fs.writeFileSync(eventPath, JSON.stringify({ head_commit: { message } }));
+                return getRunScope(results, { GITHUB_EVENT_NAME: 'push', GITHUB_EVENT_PATH: eventPath });
+            };
+
+            expect(push('Merge pull request #12 from janis/editor\n\nAdd the editor')).toEqual({ commit: 'bbbb2222', pr: '12' });
+            expect(push('Add the editor (#13)\n\n* wip')).toEqual({ commit: 'bbbb2222', pr: '13' });
+            expect(push('Fix #14 in the editor')).toEqual({ commit: 'bbbb2222', pr: null });
+            expect(getRunScope({ ...results, pr: '15' }, {})).toEqual({ commit: 'bbbb2222', pr: '15' });
+        });
+    });
+
+    describe('readAcceptLabel', () => {
+        test('should read the accept label and who added it from the pull request event', () => {
+            const eventPath = path.join(rootDir, 'event.json');
+            const event = {
+                action: 'labeled',
+                label: { name: 'accept-regression' },
+                sender: { login: 'octocat' },
+                pull_request: { number: 42, title: 'Add the editor', labels: [{ name: 'accept-regression' }] }
+            };
+            fs.writeFileSync(eventPath, JSON.stringify(event));
+
+            expect(readAcceptLabel('accept-regression', { GITHUB_EVENT_PATH: eventPath })).toEqual({
+                pr: '42',
+                actor: 'octocat',
+                reason: 'Label "accept-regression" on #42: Add the editor'
+            });
+            expect(readAcceptLabel('other', { GITHUB_EVENT_PATH: eventPath })).toBeNull();
+            expect(readAcceptLabel(null, { GITHUB_EVENT_PATH: eventPath })).toBeNull();
+        });
+
+        test('should ignore pushes to a pull request that already has the label', () => {
+            const eventPath = path.join(rootDir, 'event.json');
+            fs.writeFileSync(eventPath, JSON.stringify({
+                action: 'synchronize',
+                sender: { login: 'pusher' },
+                pull_request: { number: 42, title: 'Add the editor', labels: [{ name: 'accept-regression' }] }
+            }));
+
+            expect(readAcceptLabel('accept-regression', { GITHUB_EVENT_PATH: eventPath })).toBeNull();
+        });
+    });
+
+    describe('RegressionAcceptor', () => {
+        beforeEach(() => {
+            fs.mkdirSync(path.join(rootDir, 'reports'));
+            fs.mkdirSync(path.join(rootDir, 'baselines'));
+            fs.writeFileSync(path.join(rootDir, 'reports', 'analysis-results.json'), JSON.stringify(results));
+            fs.writeFileSync(path.join(rootDir, 'baselines', 'metrics.json'), JSON.stringify(baseline));
+        });
+
+        test('should let an accepted regression through the baseline update', () => {
+            const config = loadConfig({ rootDir });
+            const audit = () => JSON.parse(fs.readFileSync(path.join(rootDir, 'baselines', 'audit.json'), 'utf8')).entries;
+
+            // Without acceptance the bundle size regression fails minScore
+            expect(new BaselineUpdater(config, registry).run()).toMatchObject({ action: 'rejected', score: 50 });
+
+            const accepted = new RegressionAcceptor(config, registry).run({ metric: 'bundleSize', reason: 'New editor', actor: 'octocat' });
+            expect(accepted.accepted).toHaveLength(1);
+            expect(new RegressionAcceptor(config, registry).run({ metric: 'bundleSize', reason: 'Again' }).skipped).toEqual(['bundleSize']);
+
+            expect(new BaselineUpdater(config, registry).run()).toMatchObject({ action: 'updated', commit: 'bbbb2222' });
+            expect(audit().map(({ action, actor }) => [action, actor])).toEqual([
+                ['reject', 'ci-bot'],
+                ['accept', 'octocat'],
+                ['update', 'ci-bot']
+            ]);
+            expect(audit()[2].metrics).toEqual(['bundleSize']);
+        });
+
+        test('should accept every regression of a labelled pull request', () => {
+            const eventPath = path.join(rootDir, 'event.json');
+            fs.writeFileSync(eventPath, JSON.stringify({
+                action: 'labeled',
+                label: { name: 'accept-regression' },
+                sender: { login: 'octocat' },
+                pull_request: { number: 42, title: 'Add the editor', labels: [{ name: 'accept-regression' }] }
+            }));
+            const config = loadConfig({ rootDir });
+            const acceptor = new RegressionAcceptor(config, registry);
+
+            expect(acceptor.run({ label: true }).accepted).toEqual([]);
+
+            process.env.GITHUB_EVENT_PATH = eventPath;
+            const { accepted } = acceptor.run({ label: true });
+
+            expect(accepted).toEqual([expect.objectContaining({ metric: 'bundleSize', actor: 'octocat', pr: '42', source: 'label' })]);
+        });
+    });
+});
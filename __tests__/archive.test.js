@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listArchive, archiveResults, loadArchivedResults, loadLatestForBranch } = require('../scripts/lib/archive');
+
+describe('archive', () => {
+    let archiveDir;
+
+    const results = (commit, branch, timestamp) => ({ commit, branch, timestamp, status: 'completed', metrics: {} });
+
+    beforeEach(() => {
+        archiveDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'archive-')), 'archive');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(archiveDir), { recursive: true, force: true });
+    });
+
+    test('should store results under their commit and list them oldest first', () => {
+        archiveResults(archiveDir, results('bbbb2222', 'main', '2026-01-02T00:00:00Z'));
+        archiveResults(archiveDir, results('aaaa1111', 'main', '2026-01-01T00:00:00Z'));
+
+        expect(fs.existsSync(path.join(archiveDir, 'aaaa1111.json'))).toBe(true);
+        expect(listArchive(archiveDir).map(entry => entry.commit)).toEqual(['aaaa1111', 'bbbb2222']);
+    });
+
+    test('should drop the oldest results beyond maxEntries', () => {
+        archiveResults(archiveDir, results('aaaa1111', 'main', '2026-01-01T00:00:00Z'), { maxEntries: 2 });
+        archiveResults(archiveDir, results('bbbb2222', 'main', '2026-01-02T00:00:00Z'), { maxEntries: 2 });
+        archiveResults(archiveDir, results('cccc3333', 'main', '2026-01-03T00:00:00Z'), { maxEntries: 2 });
+
+        expect(listArchive(archiveDir).map(entry => entry.commit)).toEqual(['bbbb2222', 'cccc3333']);
+    });
+
+    test('should refuse results without a commit SHA', () => {
+        expect(() => archiveResults(archiveDir, results('unknown', 'main'))).toThrow('without a commit SHA');
+    });
+
+    test('should find results by abbreviated SHA', () => {
+        archiveResults(archiveDir, results('abcd1111', 'main', '2026-01-01T00:00:00Z'));
+        archiveResults(archiveDir, results('abcd2222', 'main', '2026-01-02T00:00:00Z'));
+
+        expect(loadArchivedResults(archiveDir, 'abcd1').commit).toBe('abcd1111');
+        expect(loadArchivedResults(archiveDir, 'ffff')).toBeNull();
+        expect(() => loadArchivedResults(archiveDir, 'abcd')).toThrow('ambiguous');
+    });
+
+    test('should find the latest results of a branch', () => {
+        archiveResults(archiveDir, results('aaaa1111', 'release/1.0', '2026-01-01T00:00:00Z'));
+        archiveResults(archiveDir, results('bbbb2222', 'release/1.0', '2026-01-03T00:00:00Z'));
+        archiveResults(archiveDir, results('cccc3333', 'main', '2026-01-04T00:00:00Z'));
+
+        expect(loadLatestForBranch(archiveDir, 'release/1.0').commit).toBe('bbbb2222');
+        expect(loadLatestForBranch(archiveDir, 'feature')).toBeNull();
+    });
+});
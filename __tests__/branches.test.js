@@ -0,0 +1,60 @@
+const { matchesBranch, getBranchPath, getCurrentBranch, resolveBaselineBranch } = require('../scripts/lib/branches');
+
+describe('branches', () => {
+    const policy = { branches: ['main', 'release/*'], fallbackBranch: 'main' };
+
+    describe('matchesBranch', () => {
+        test.each([
+            ['main', true],
+            ['Main', true],
+            ['release/1.4', true],
+            ['release/1.4/hotfix', false],
+            ['feature/login', false],
+            [null, false]
+        ])('%s → %s', (branch, expected) => {
+            expect(matchesBranch(branch, policy.branches)).toBe(expected);
+        });
+    });
+
+    describe('getBranchPath', () => {
+        test('should keep the fallback branch at the top level', () => {
+            expect(getBranchPath('main', policy)).toBe('');
+        });
+
+        test('should give other branches their own path', () => {
+            expect(getBranchPath('release/1.4', policy)).toBe('branches/release/1.4');
+        });
+
+        test('should refuse names that leave the baselines directory', () => {
+            expect(() => getBranchPath('release/../../etc', policy)).toThrow('Invalid branch name for a baseline');
+        });
+    });
+
+    describe('getCurrentBranch', () => {
+        test('should prefer the PR head branch over the merge ref', () => {
+            expect(getCurrentBranch({ GITHUB_REF_NAME: '12/merge', GITHUB_HEAD_REF: 'fix/login', GITHUB_BASE_REF: 'release/1.4' }))
+                .toEqual({ branch: 'fix/login', base: 'release/1.4' });
+        });
+    });
+
+    describe('resolveBaselineBranch', () => {
+        // Only release/1.4 has a baseline of its own
+        const store = { hasBaseline: branch => branch === 'release/1.4' };
+
+        test('should use the baseline of the PR base branch', () => {
+            expect(resolveBaselineBranch(store, policy, { GITHUB_HEAD_REF: 'fix/login', GITHUB_BASE_REF: 'release/1.4' })).toBe('release/1.4');
+        });
+
+        test('should use the own baseline of a pushed baseline branch', () => {
+            expect(resolveBaselineBranch(store, policy, { GITHUB_REF_NAME: 'release/1.4' })).toBe('release/1.4');
+        });
+
+        test.each([
+            ['a new release branch', { GITHUB_REF_NAME: 'release/1.5' }],
+            ['a branch without baselines', { GITHUB_REF_NAME: 'feature/login' }],
+            ['no branch at all', {}]
+        ])('should fall back to the fallback branch for %s', (name, env) => {
+            expect(resolveBaselineBranch(store, policy, env)).toBe('main');
+        });
+    });
+});
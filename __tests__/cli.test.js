@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXIT_CODES, UsageError, formatHelp, parseCommandLine, runCli } = require('../scripts/cli');
+
+describe('cli', () => {
+    describe('parseCommandLine', () => {
+        test('should split command, shared options and positionals', () => {
+            expect(parseCommandLine(['compare', 'v1.0', 'main', '--json', '--reports-dir', 'out'])).toEqual({
+                command: 'compare',
+                options: { json: true, 'reports-dir': 'out' },
+                positionals: ['v1.0', 'main']
+            });
+        });
+
+        test('should accept command options', () => {
+            expect(parseCommandLine(['history', '--limit', '5']).options).toEqual({ limit: '5' });
+        });
+
+        test('should show help without a command', () => {
+            expect(parseCommandLine(['--help'])).toMatchObject({ command: null, options: { help: true } });
+        });
+
+        test.each([
+            [[], 'Missing command'],
+            [['deploy'], 'Unknown command "deploy"'],
+            [['badges', '--verbose'], "Unknown option '--verbose'"],
+            [['analyze', '--limit', '5'], "Unknown option '--limit'"],
+            [['compare', 'main'], '"compare" expects <base> <head>, got main'],
+            [['migrate', 'fs'], '"migrate" expects <from> <to>, got fs'],
+            [['badges', 'extra'], '"badges" expects no arguments, got extra'],
+            [['baseline', '--dry-run'], '"baseline" does not support --dry-run']
+        ])('should reject %j', (argv, message) => {
+            expect(() => parseCommandLine(argv)).toThrow(UsageError);
+            expect(() => parseCommandLine(argv)).toThrow(message);
+        });
+    });
+
+    describe('formatHelp', () => {
+        test('should list every command and the exit codes', () => {
+            const help = formatHelp();
+
+            ['analyze', 'badges', 'comment', 'baseline', 'notify', 'history', 'compare'].forEach(command => {
+                expect(help).toContain(`  ${command} `);
+            });
+            expect(help).toContain('--dry-run');
+            expect(help).toContain('2  unknown command or option, missing arguments');
+        });
+
+        test('should show command usage', () => {
+            expect(formatHelp('compare')).toContain('Usage: symphony compare <base> <head> [options]');
+        });
+    });
+
+    describe('runCli', () => {
+        let cwd;
+        let stdout;
+        let stderr;
+
+        const run = argv => runCli(argv, {
+            cwd,
+            stdout: { write: text => { stdout += text; } },
+            stderr: { write: text => { stderr += text; } }
+        });
+
+        beforeEach(() => {
+            cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'symphony-cli-'));
+            stdout = '';
+            stderr = '';
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            fs.rmSync(cwd, { recursive: true, force: true });
+        });
+
+        test('should exit with the usage code and help on a bad command line', async () => {
+            expect(await run(['deploy'])).toBe(EXIT_CODES.USAGE);
+            expect(stderr).toContain('Unknown command "deploy"');
+            expect(stderr).toContain('Usage: symphony <command> [options]');
+        });
+
+        test('should print help on stdout', async () => {
+            expect(await run(['history', '--help'])).toBe(EXIT_CODES.OK);
+            expect(stdout).toContain('Usage: symphony history');
+        });
+
+        test('should print the recent history as JSON', async () => {
+            fs.mkdirSync(path.join(cwd, 'baselines'));
+            fs.writeFileSync(path.join(cwd, 'baselines', 'history.json'), JSON.stringify([
+                { timestamp: '2026-01-01T00:00:00Z', commit: 'aaaa1111', coverage: 80 },
+                { timestamp: '2026-01-02T00:00:00Z', commit: 'bbbb2222', coverage: 82 }
+            ]));
+
+            expect(await run(['history', '--limit', '1', '--json'])).toBe(EXIT_CODES.OK);
+            expect(JSON.parse(stdout)).toEqual([{ project: null, entries: [{ timestamp: '2026-01-02T00:00:00Z', commit: 'bbbb2222', coverage: 82 }] }]);
+        });
+
+        test('should print the Slack payload on --dry-run without a webhook', async () => {
+            fs.mkdirSync(path.join(cwd, 'reports'));
+            fs.writeFileSync(path.join(cwd, 'reports', 'analysis-results.json'), JSON.stringify({
+                timestamp: '2026-01-01T00:00:00Z',
+                commit: 'aaaa1111',
+                branch: 'main',
+                status: 'completed',
+                metrics: { coverage: { value: 81.5 } }
+            }));
+
+            expect(await run(['notify', '--dry-run'])).toBe(EXIT_CODES.OK);
+            expect(JSON.parse(stdout).attachments[0].blocks[2].fields[0].text).toContain('81.5%');
+        });
+
+        test('should compact the stored history and query it per week', async () => {
+            const daysAgo = (days, hour = 12) => {
+                const date = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+                date.setUTCHours(hour);
+                return date.toISOString();
+            };
+            const file = path.join(cwd, 'baselines', 'history.json');
+            fs.mkdirSync(path.dirname(file));
+            fs.writeFileSync(file, JSON.stringify([
+                { timestamp: daysAgo(100, 8), commit: 'aaaa1111', coverage: 70 },
+                { timestamp: daysAgo(100, 16), commit: 'bbbb2222', coverage: 74 },
+                { timestamp: daysAgo(2), commit: 'cccc3333', coverage: 80 }
+            ]));
+
+            expect(await run(['compact', '--dry-run', '--json'])).toBe(EXIT_CODES.OK);
+            expect(JSON.parse(stdout)[0]).toMatchObject({ branch: 'main', before: 3, after: 2 });
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toHaveLength(3);
+
+            stdout = '';
+            expect(await run(['compact'])).toBe(EXIT_CODES.OK);
+            expect(stdout).toContain('main: 3 → 2 ieraksti');
+            expect(JSON.parse(fs.readFileSync(file, 'utf8')).entries[0]).toMatchObject({ resolution: 'day', runs: 2, coverage: 72 });
+
+            stdout = '';
+            expect(await run(['history', '--resolution', 'week', '--since', '30', '--json'])).toBe(EXIT_CODES.OK);
+            expect(JSON.parse(stdout)[0].entries).toEqual([expect.objectContaining({ resolution: 'week', runs: 1, coverage: 80 })]);
+            expect(await run(['history', '--resolution', 'month'])).toBe(EXIT_CODES.USAGE);
+        });
+
+        test('should accept a metric regression with a reason', async () => {
+            fs.mkdirSync(path.join(cwd, 'reports'));
+            fs.mkdirSync(path.join(cwd, 'baselines'));
+            fs.writeFileSync(path.join(cwd, 'reports', 'analysis-results.json'), JSON.stringify({
+                timestamp: '2026-01-02T00:00:00Z',
+                commit: 'bbbb2222',
+                branch: 'main',
+                status: 'completed',
+                metrics: { coverage: { value: 70 } }
+            }));
+            fs.writeFileSync(path.join(cwd, 'baselines', 'metrics.json'), JSON.stringify({
+                created: '2026-01-01T00:00:00Z',
+                commit: 'aaaa1111',
+                metrics: { coverage: { value: 80 } }
+            }));
+
+            expect(await run(['baseline', 'accept', 'coverage'])).toBe(EXIT_CODES.USAGE);
+            expect(stderr).toContain('"baseline accept" expects a <metric> and --reason, or --label alone');
+
+            expect(await run(['baseline', 'accept', 'coverage', '--reason', 'Legacy tests removed', '--by', 'octocat'])).toBe(EXIT_CODES.OK);
+            expect(stdout).toContain('Pieņemtas regresijas: 1');
+            expect(JSON.parse(fs.readFileSync(path.join(cwd, 'baselines', 'audit.json'), 'utf8')).entries).toEqual([
+                expect.objectContaining({ action: 'accept', actor: 'octocat', metric: 'coverage', value: 70, baselineCommit: 'aaaa1111' })
+            ]);
+        });
+
+        test('should keep the output of build commands off stdout with --json', () => {
+            fs.writeFileSync(path.join(cwd, 'package.json'), JSON.stringify({
+                name: 'app',
+                scripts: { build: 'node -e "console.log(\'webpack output\'); require(\'fs\').writeFileSync(\'dist/main.js\', \'main();\')"' }
+            }));
+            const disabled = ['performance', 'tests', 'coverage', 'diffCoverage', 'lint'];
+            fs.writeFileSync(path.join(cwd, 'symphony.config.js'), `module.exports = { metrics: { ${disabled.map(id => `${id}: { enabled: false }`).join(', ')} } };`);
+
+            // Child processes write to the real stdout, so the CLI runs in its own process
+            const env = { ...process.env, GITHUB_OUTPUT: '' };
+            ['GITHUB_SHA', 'GITHUB_EVENT_PATH', 'GITHUB_EVENT_NAME', 'GITHUB_BASE_REF', 'GITHUB_HEAD_REF'].forEach(name => delete env[name]);
+            const child = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'cli.js'), 'analyze', '--json'], {
+                cwd,
+                env,
+                encoding: 'utf8',
+                timeout: 60 * 1000
+            });
+
+            expect(child.status).toBe(EXIT_CODES.OK);
+            expect(child.stderr).toContain('webpack output');
+            expect(JSON.parse(child.stdout)[0].bundleSize.total).toBe(7);
+        });
+
+        test('should reject unknown storage backends', async () => {
+            expect(await run(['migrate', 'fs', 'redis'])).toBe(EXIT_CODES.USAGE);
+            expect(stderr).toContain('Unknown storage backend "redis", expected one of fs, git, sqlite');
+        });
+
+        test('should fail on files that do not match their schema', async () => {
+            fs.mkdirSync(path.join(cwd, 'out'));
+            fs.writeFileSync(path.join(cwd, 'out', 'analysis-results.json'), JSON.stringify({ status: 'done' }));
+
+            expect(await run(['notify', '--dry-run', '--json', '--reports-dir', 'out'])).toBe(EXIT_CODES.FAILURE);
+            expect(JSON.parse(stdout).error).toContain('is not a valid results file');
+            expect(stderr).toContain('❌ notify:');
+        });
+    });
+});
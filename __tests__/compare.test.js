@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResultsComparer = require('../scripts/compare');
+const { compareResults } = require('../scripts/lib/compare');
+const { archiveResults } = require('../scripts/lib/archive');
+const { loadConfig } = require('../scripts/lib/config');
+const { MetricRegistry } = require('../scripts/lib/metric-registry');
+
+describe('compare', () => {
+    const registry = new MetricRegistry().register({
+        id: 'bundleSize',
+        label: 'Bundle Size',
+        unit: 'bytes',
+        direction: 'lower',
+        thresholds: { good: 100 * 1024, warning: 200 * 1024 },
+        collect: async () => null,
+        value: data => data.total
+    });
+
+    const results = (commit, branch, total, timestamp) => ({
+        commit,
+        branch,
+        timestamp,
+        status: 'completed',
+        metrics: {},
+        bundleSize: { total }
+    });
+
+    describe('compareResults', () => {
+        test('should diff and classify every metric', () => {
+            const comparison = compareResults(registry, results('b', 'main', 150 * 1024), results('a', 'main', 100 * 1024));
+
+            expect(comparison.hasBaseline).toBe(true);
+            expect(comparison.changes.bundleSize).toBe(50 * 1024);
+            expect(comparison.previous.bundleSize).toBe(100 * 1024);
+            expect(comparison.classifications.bundleSize.classification).toBe('regression');
+        });
+
+        test('should report no baseline', () => {
+            expect(compareResults(registry, results('b', 'main', 1), null)).toEqual({ hasBaseline: false, changes: {} });
+        });
+    });
+
+    describe('ResultsComparer', () => {
+        let rootDir;
+        let comparer;
+
+        beforeEach(() => {
+            rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'symphony-'));
+            comparer = new ResultsComparer(loadConfig({ rootDir }), registry);
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+
+            archiveResults(comparer.archiveDir, results('aaaa1111', 'release/1.0', 100 * 1024, '2026-01-01T00:00:00Z'));
+            archiveResults(comparer.archiveDir, results('bbbb2222', 'main', 120 * 1024, '2026-01-02T00:00:00Z'));
+            archiveResults(comparer.archiveDir, results('cccc3333', 'main', 90 * 1024, '2026-01-03T00:00:00Z'));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            fs.rmSync(rootDir, { recursive: true, force: true });
+        });
+
+        test('should resolve SHAs and branches from the archive', () => {
+            expect(comparer.resolve('aaaa').results.commit).toBe('aaaa1111');
+            expect(comparer.resolve('main').results.commit).toBe('cccc3333');
+            expect(() => comparer.resolve('feature/none')).toThrow('No archived results or baseline for "feature/none"');
+        });
+
+        test('should prefer the baseline of a branch', () => {
+            fs.writeFileSync(path.join(comparer.baselineDir, 'metrics.json'), JSON.stringify(results('bbbb2222', 'main', 120 * 1024, '2026-01-02T00:00:00Z')));
+
+            expect(comparer.resolve('main')).toMatchObject({ source: 'baseline', results: { commit: 'bbbb2222' } });
+        });
+
+        test('should resolve a release branch to its own baseline', () => {
+            comparer = new ResultsComparer(loadConfig({ rootDir, overrides: { baseline: { branches: ['main', 'release/*'] } } }), registry);
+            const releaseDir = path.join(comparer.baselineDir, 'branches', 'release', '1.0');
+            fs.mkdirSync(releaseDir, { recursive: true });
+            fs.writeFileSync(path.join(releaseDir, 'metrics.json'), JSON.stringify(results('dddd4444', 'release/1.0', 95 * 1024, '2026-01-04T00:00:00Z')));
+
+            expect(comparer.resolve('release/1.0')).toMatchObject({ source: 'baseline', results: { commit: 'dddd4444' } });
+        });
+
+        test('should save the delta report as JSON and Markdown', () => {
+            const report = comparer.run('aaaa1111', 'bbbb2222');
+
+            expect(report.base).toMatchObject({ commit: 'aaaa1111', branch: 'release/1.0', source: 'archive' });
+            expect(report.metrics.bundleSize).toEqual({ base: 100 * 1024, head: 120 * 1024 });
+            expect(report.comparison.changes.bundleSize).toBe(20 * 1024);
+
+            const saved = JSON.parse(fs.readFileSync(path.join(comparer.reportsDir, 'compare.json'), 'utf8'));
+            expect(saved.comparison.changes.bundleSize).toBe(20 * 1024);
+
+            const markdown = fs.readFileSync(path.join(comparer.reportsDir, 'compare.md'), 'utf8');
+            expect(markdown).toContain('**Base:** `aaaa111`');
+            expect(markdown).toContain('| 📏 Bundle Size | 120 KB | 100 KB |');
+        });
+    });
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, loadConfig, resolveProjects } = require('../scripts/lib/config');
+const { createRegistry } = require('../scripts/lib/metric-registry');
+
+describe('config', () => {
+    let rootDir;
+
+    const writeConfig = (config, name = 'symphony.config.js') => {
+        fs.writeFileSync(path.join(rootDir, name), `module.exports = ${JSON.stringify(config)};`);
+    };
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'symphony-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    describe('loadConfig', () => {
+        test('should use defaults without a config file', () => {
+            const config = loadConfig({ rootDir });
+
+            expect(config.baseline).toEqual(DEFAULT_CONFIG.baseline);
+            expect(config.paths.reports).toBe(path.join(rootDir, 'reports'));
+            expect(config.configPath).toBeNull();
+        });
+
+        test('should merge the config file over the defaults', () => {
+            writeConfig({ paths: { dist: 'build' }, baseline: { minScore: 90 } });
+
+            const config = loadConfig({ rootDir });
+
+            expect(config.paths.dist).toBe(path.join(rootDir, 'build'));
+            expect(config.paths.reports).toBe(path.join(rootDir, 'reports'));
+            expect(config.baseline.minScore).toBe(90);
+            expect(config.baseline.branches).toEqual(['main', 'master', 'develop']);
+        });
+
+        test('should apply overrides on top of the file', () => {
+            writeConfig({ analysis: { retries: 2 } });
+
+            const config = loadConfig({ rootDir, overrides: { analysis: { timeout: 1000 } } });
+
+            expect(config.analysis).toEqual({ timeout: 1000, retries: 2 });
+        });
+
+        test('should point at every invalid field', () => {
+            writeConfig({
+                baseline: { minScore: '70', branches: ['main', 3] },
+                metrics: { coverage: { thresholds: { good: 80 } } },
+                notifications: { slak: {} }
+            });
+
+            let message = '';
+            try {
+                loadConfig({ rootDir });
+            } catch (error) {
+                message = error.message;
+            }
+
+            expect(message).toContain('Invalid symphony.config.js');
+            expect(message).toContain('"baseline.minScore" must be a number, got string "70"');
+            expect(message).toContain('"baseline.branches[1]" must be a string');
+            expect(message).toContain('"metrics.coverage.thresholds.warning" is required');
+            expect(message).toContain('"notifications.slak" is not a known option');
+        });
+
+        test('should fail for a missing explicit config file', () => {
+            expect(() => loadConfig({ rootDir, configPath: 'missing.config.js' })).toThrow('Config file not found');
+        });
+    });
+
+    describe('metrics section', () => {
+        test('should override and disable built-in metrics', () => {
+            const config = loadConfig({
+                rootDir,
+                overrides: {
+                    metrics: {
+                        bundleSize: { thresholds: { good: 10, warning: 20 }, weight: 5 },
+                        bundleSizeBrotli: { enabled: false }
+                    }
+                }
+            });
+            const registry = createRegistry({ config });
+
+            expect(registry.get('bundleSize').thresholds).toEqual({ good: 10, warning: 20 });
+            expect(registry.get('bundleSize').weight).toBe(5);
+            expect(registry.get('bundleSizeBrotli')).toBeUndefined();
+            expect(registry.thresholds().bundleSize).toEqual({ good: 10, warning: 20, direction: 'lower' });
+        });
+
+        test('should reject unknown metric ids', () => {
+            const config = loadConfig({ rootDir, overrides: { metrics: { bundelSize: { weight: 1 } } } });
+
+            expect(() => createRegistry({ config })).toThrow('"metrics.bundelSize" is not a registered metric');
+        });
+    });
+
+    describe('lighthouse section', () => {
+        test('should register metrics per profile after the first', () => {
+            const config = loadConfig({
+                rootDir,
+                overrides: {
+                    lighthouse: { profiles: [{ name: 'desktop', preset: 'desktop' }, { name: 'slow3g', preset: 'mobile' }] },
+                    metrics: { performanceSlow3g: { thresholds: { good: 70, warning: 50 } } }
+                }
+            });
+            const registry = createRegistry({ config });
+
+            expect(registry.get('performance').label).toBe('Performance (desktop)');
+            expect(registry.get('seoSlow3g').label).toBe('SEO (slow3g)');
+            expect(registry.get('performanceSlow3g').thresholds).toEqual({ good: 70, warning: 50 });
+            expect(registry.get('performanceDesktop')).toBeUndefined();
+        });
+
+        test('should reject invalid and duplicate profiles', () => {
+            writeConfig({ lighthouse: { profiles: [{ name: 'Tablet', preset: 'tablet' }] } });
+            expect(() => loadConfig({ rootDir })).toThrow('"lighthouse.profiles[0].preset" must be one of mobile, desktop');
+
+            fs.unlinkSync(path.join(rootDir, 'symphony.config.js'));
+            const config = loadConfig({ rootDir, overrides: { lighthouse: { profiles: [{ name: 'mobile' }, { name: 'mobile' }] } } });
+            expect(() => createRegistry({ config })).toThrow('more than one profile named "mobile"');
+        });
+    });
+
+    describe('projects section', () => {
+        test('should keep a single app at the root without projects', () => {
+            const config = loadConfig({ rootDir });
+            const [project] = resolveProjects(config);
+
+            expect(resolveProjects(config)).toHaveLength(1);
+            expect(project.project).toBeNull();
+            expect(project.paths).toEqual(config.paths);
+        });
+
+        test('should give every project its own paths, build and overrides', () => {
+            const config = loadConfig({
+                rootDir,
+                overrides: {
+                    metrics: { coverage: { thresholds: { good: 90, warning: 70 } } },
+                    projects: [
+                        { name: 'web' },
+                        {
+                            name: 'mobile',
+                            root: 'apps/mobile',
+                            build: 'flutter build web --release',
+                            paths: { dist: 'build/web' },
+                            metrics: { tests: { enabled: false } }
+                        }
+                    ]
+                }
+            });
+            const [web, mobile] = resolveProjects(config);
+
+            expect(web.project).toEqual({ name: 'web', root: rootDir, build: 'npm run build' });
+            expect(web.paths.dist).toBe(path.join(rootDir, 'dist'));
+            expect(web.paths.reports).toBe(path.join(rootDir, 'reports', 'web'));
+            expect(web.paths.baselines).toBe(path.join(rootDir, 'baselines', 'web'));
+
+            expect(mobile.rootDir).toBe(path.join(rootDir, 'apps/mobile'));
+            expect(mobile.project.build).toBe('flutter build web --release');
+            expect(mobile.paths.dist).toBe(path.join(rootDir, 'apps/mobile/build/web'));
+            expect(mobile.paths.src).toBe(path.join(rootDir, 'apps/mobile/src'));
+            expect(mobile.paths.coverage).toBe(path.join(rootDir, 'apps/mobile/coverage'));
+            expect(mobile.paths.badges).toBe(path.join(rootDir, 'badges', 'mobile'));
+            expect(mobile.projects).toEqual([]);
+
+            const registry = createRegistry({ config: mobile });
+            expect(registry.get('tests')).toBeUndefined();
+            expect(registry.get('coverage').thresholds).toEqual({ good: 90, warning: 70 });
+        });
+
+        test('should reject invalid and duplicate project names', () => {
+            writeConfig({ projects: [{ name: 'Web App' }] });
+            expect(() => loadConfig({ rootDir })).toThrow('"projects[0].name" must match');
+
+            fs.unlinkSync(path.join(rootDir, 'symphony.config.js'));
+            const config = loadConfig({ rootDir, overrides: { projects: [{ name: 'web' }, { name: 'web' }] } });
+            expect(() => resolveProjects(config)).toThrow('more than one project named "web"');
+        });
+    });
+
+    test('the project config should be valid', () => {
+        expect(() => createRegistry({ config: loadConfig() })).not.toThrow();
+    });
+});
@@ -0,0 +1,111 @@
+const path = require('path');
+const { parseDiff, formatLineRanges, computeDiffCoverage } = require('../scripts/lib/diff-coverage');
+
+const rootDir = path.join(__dirname, '..');
+
+const diff = [
+    'diff --git a/src/utils.js b/src/utils.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/utils.js',
+    '+++ b/src/utils.js',
+    '@@ -3,0 +4,3 @@ function formatBytes(bytes) {',
+    '+    if (bytes < 0) {',
+    '+        return null;',
+    '+    }',
+    '@@ -10 +13 @@ function formatDate(date) {',
+    '-    return date;',
+    '+    return date.toISOString();',
+    'diff --git a/src/old.js b/src/old.js',
+    'deleted file mode 100644',
+    '--- a/src/old.js',
+    '+++ /dev/null',
+    '@@ -1,2 +0,0 @@',
+    '-module.exports = 1;',
+    '-',
+    'diff --git a/src/browser.js b/src/browser.js',
+    '--- a/src/browser.js',
+    '+++ b/src/browser.js',
+    '@@ -1 +1 @@',
+    '-a',
+    '+b',
+    'diff --git a/README.md b/README.md',
+    '--- a/README.md',
+    '+++ b/README.md',
+    '@@ -1,2 +1 @@',
+    '-# Title',
+    '-',
+    '+# New title'
+].join('\n');
+
+const coverageMap = {
+    [path.join(rootDir, 'src/utils.js')]: {
+        statementMap: {
+            0: { start: { line: 4, column: 4 }, end: { line: 6, column: 5 } },
+            1: { start: { line: 5, column: 8 }, end: { line: 5, column: 20 } },
+            2: { start: { line: 13, column: 4 }, end: { line: 13, column: 30 } },
+            3: { start: { line: 20, column: 4 }, end: { line: 20, column: 30 } }
+        },
+        s: { 0: 3, 1: 0, 2: 2, 3: 0 },
+        branchMap: {
+            0: {
+                type: 'if',
+                loc: { start: { line: 4, column: 4 }, end: { line: 6, column: 5 } },
+                locations: [
+                    { start: { line: 4, column: 4 }, end: { line: 6, column: 5 } },
+                    { start: {}, end: {} }
+                ]
+            }
+        },
+        b: { 0: [0, 3] }
+    }
+};
+
+describe('parseDiff', () => {
+    test('should collect added lines per file', () => {
+        expect(parseDiff(diff)).toEqual({
+            'src/utils.js': [4, 5, 6, 13],
+            'src/browser.js': [1],
+            'README.md': [1]
+        });
+    });
+
+    test('should skip deleted files and files with only removals', () => {
+        const removals = '+++ b/src/a.js\n@@ -5,2 +4,0 @@\n-a\n-b';
+        expect(parseDiff(removals)).toEqual({});
+    });
+});
+
+describe('formatLineRanges', () => {
+    test('should collapse consecutive lines', () => {
+        expect(formatLineRanges([3, 4, 5, 9, 11, 12])).toBe('3-5, 9, 11-12');
+        expect(formatLineRanges([])).toBe('');
+    });
+});
+
+describe('computeDiffCoverage', () => {
+    const result = computeDiffCoverage(parseDiff(diff), coverageMap, { repoRoot: rootDir });
+
+    test('should count only changed lines with statements', () => {
+        // Line 6 is a closing brace, line 20 is not changed
+        expect(result.lines).toEqual({ total: 3, covered: 2, pct: 66.67 });
+        expect(result.files[0]).toMatchObject({
+            file: 'src/utils.js',
+            lines: { total: 3, covered: 2 },
+            uncoveredLines: '5'
+        });
+    });
+
+    test('should count branches starting on changed lines', () => {
+        expect(result.branches).toEqual({ total: 2, covered: 1, pct: 50 });
+    });
+
+    test('should list changed source files without coverage data', () => {
+        expect(result.notInstrumented).toEqual(['src/browser.js']);
+    });
+
+    test('should report null percentages without changed code', () => {
+        const empty = computeDiffCoverage({}, coverageMap, { repoRoot: rootDir });
+        expect(empty.lines.pct).toBeNull();
+        expect(empty.branches.pct).toBeNull();
+    });
+});
@@ -0,0 +1,58 @@
+const path = require('path');
+const { FATAL_RULE, summarizeEslintResults, countByRule } = require('../scripts/lib/eslint');
+
+const rootDir = path.join(__dirname, '..');
+
+function fileResult(file, messages) {
+    return {
+        filePath: path.join(rootDir, file),
+        messages,
+        errorCount: messages.filter(message => message.severity === 2).length,
+        warningCount: messages.filter(message => message.severity === 1).length,
+        fixableErrorCount: messages.filter(message => message.severity === 2 && message.fix).length,
+        fixableWarningCount: messages.filter(message => message.severity === 1 && message.fix).length
+    };
+}
+
+describe('ESLint summary', () => {
+    const results = [
+        fileResult('src/app.js', [
+            { ruleId: 'no-undef', severity: 2 },
+            { ruleId: 'no-unused-vars', severity: 1 },
+            { ruleId: 'semi', severity: 2, fix: {} }
+        ]),
+        fileResult('src/utils.js', [
+            { ruleId: 'no-unused-vars', severity: 1 },
+            { ruleId: null, severity: 2, fatal: true }
+        ]),
+        fileResult('src/metrics.js', [])
+    ];
+
+    test('should count errors, warnings and fixable problems', () => {
+        const summary = summarizeEslintResults(results, { rootDir });
+
+        expect(summary.errors).toBe(3);
+        expect(summary.warnings).toBe(2);
+        expect(summary.fixable).toBe(1);
+        expect(summary.filesChecked).toBe(3);
+        expect(summary.filesWithProblems).toBe(2);
+    });
+
+    test('should count problems per rule', () => {
+        const summary = summarizeEslintResults(results, { rootDir });
+
+        expect(summary.rules).toEqual({
+            'no-undef': { errors: 1, warnings: 0 },
+            'no-unused-vars': { errors: 0, warnings: 2 },
+            semi: { errors: 1, warnings: 0 },
+            [FATAL_RULE]: { errors: 1, warnings: 0 }
+        });
+        expect(countByRule(summary.rules)['no-unused-vars']).toBe(2);
+    });
+
+    test('should list the worst files first', () => {
+        const summary = summarizeEslintResults(results, { rootDir, worstFiles: 1 });
+
+        expect(summary.worstFiles).toEqual([{ file: path.join('src', 'app.js'), errors: 2, warnings: 1 }]);
+    });
+});
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BudgetGate = require('../scripts/gate');
+const { GATE_STATUS, matchAssets, evaluateGate } = require('../scripts/lib/gate');
+const { globToRegExp } = require('../scripts/lib/glob');
+const { loadConfig } = require('../scripts/lib/config');
+const { MetricRegistry } = require('../scripts/lib/metric-registry');
+
+describe('gate', () => {
+    const registry = new MetricRegistry()
+        .register({
+            id: 'bundleSize',
+            label: 'Bundle Size',
+            emoji: '📦',
+            unit: 'bytes',
+            direction: 'lower',
+            thresholds: { good: 100 * 1024, warning: 200 * 1024 },
+            collect: async () => null,
+            value: data => data.total
+        })
+        .register({
+            id: 'coverage',
+            label: 'Coverage',
+            emoji: '🧪',
+            unit: 'percent',
+            direction: 'higher',
+            thresholds: { good: 80, warning: 60 },
+            collect: async () => null,
+            value: data => data.total
+        });
+
+    const results = {
+        metrics: {},
+        bundleSize: {
+            total: 120 * 1024,
+            files: {
+                'main.abc123.js': { raw: 90 * 1024, gzip: 40 * 1024 },
+                [path.join('chunks', 'main.vendor.js')]: { raw: 60 * 1024, gzip: 25 * 1024 },
+                'styles.css': { raw: 10 * 1024, gzip: 3 * 1024 }
+            }
+        },
+        coverage: { total: 75 }
+    };
+    const baseline = { metrics: { bundleSize: { value: 100 * 1024 }, coverage: { value: 80 } } };
+
+    describe('matchAssets', () => {
+        test('should match file names in any directory when the glob has no slash', () => {
+            expect(matchAssets(results.bundleSize.files, 'main*.js').map(([file]) => file))
+                .toEqual(['main.abc123.js', path.join('chunks', 'main.vendor.js')]);
+        });
+
+        test('should match paths when the glob has a slash', () => {
+            expect(matchAssets(results.bundleSize.files, 'chunks/*.js')).toHaveLength(1);
+            expect(globToRegExp('**/*.css').test('styles.css')).toBe(true);
+            expect(globToRegExp('*.js').test('chunks/main.js')).toBe(false);
+        });
+    });
+
+    describe('evaluateGate', () => {
+        test('should fail when an asset glob is over its budget', () => {
+            const report = evaluateGate(registry, results, null, [{ asset: 'main*.js', compression: 'gzip', budget: 60 * 1024 }]);
+
+            expect(report.status).toBe(GATE_STATUS.FAILED);
+            expect(report.violations).toEqual([expect.objectContaining({
+                target: 'main*.js',
+                kind: 'budget',
+                severity: 'error',
+                value: 65 * 1024,
+                message: '65 KB > 60 KB budget'
+            })]);
+        });
+
+        test('should treat the budget of a higher-is-better metric as a minimum', () => {
+            const report = evaluateGate(registry, results, null, [
+                { metric: 'coverage', budget: 80, severity: 'warn' },
+                { metric: 'bundleSize', budget: 200 * 1024 }
+            ]);
+
+            expect(report.status).toBe(GATE_STATUS.WARNED);
+            expect(report.checked).toBe(2);
+            expect(report.violations).toEqual([expect.objectContaining({ target: 'coverage', message: '75% < 80% budget' })]);
+        });
+
+        test('should check changes for the worse against the baseline', () => {
+            const report = evaluateGate(registry, results, baseline, [
+                { metric: 'bundleSize', maxDelta: 10 * 1024 },
+                { metric: 'coverage', maxDelta: 5 }
+            ]);
+
+            expect(report.violations).toEqual([expect.objectContaining({
+                target: 'bundleSize',
+                kind: 'delta',
+                previous: 100 * 1024,
+                change: 20 * 1024,
+                message: '+20 KB vs baseline, allowed 10 KB'
+            })]);
+        });
+
+        test('should list accepted regressions apart from the violations', () => {
+            const rules = [{ metric: 'bundleSize', maxDelta: 10 * 1024 }, { metric: 'coverage', budget: 80 }];
+            const acceptance = { action: 'accept', actor: 'octocat', metric: 'bundleSize', value: 120 * 1024, commit: 'aaaa1111', reason: 'New editor' };
+
+            const report = evaluateGate(registry, results, baseline, rules, [acceptance]);
+
+            expect(report.status).toBe(GATE_STATUS.FAILED);
+            expect(report.violations.map(violation => violation.target)).toEqual(['coverage']);
+            expect(report.accepted).toEqual([expect.objectContaining({ target: 'bundleSize', kind: 'delta', acceptedBy: 'octocat', reason: 'New editor' })]);
+
+            // Worse than what was accepted fails again
+            const bigger = { ...results, bundleSize: { ...results.bundleSize, total: 121 * 1024 } };
+            expect(evaluateGate(registry, bigger, baseline, rules, [acceptance]).violations).toHaveLength(2);
+        });
+
+        test('should accept asset rules with an accepted bundle size regression', () => {
+            const rules = [{ asset: 'main*.js', compression: 'gzip', budget: 60 * 1024 }];
+            const acceptance = { action: 'accept', actor: 'octocat', metric: 'bundleSize', value: 120 * 1024, commit: 'aaaa1111', reason: 'New editor' };
+
+            const report = evaluateGate(registry, results, baseline, rules, [acceptance]);
+
+            expect(report.status).toBe(GATE_STATUS.PASSED);
+            expect(report.accepted).toEqual([expect.objectContaining({ target: 'main*.js', kind: 'budget', acceptedBy: 'octocat' })]);
+
+            // Only while the bundle is no bigger than accepted
+            const bigger = { ...results, bundleSize: { ...results.bundleSize, total: 121 * 1024 } };
+            expect(evaluateGate(registry, bigger, baseline, rules, [acceptance]).status).toBe(GATE_STATUS.FAILED);
+        });
+
+        test('should skip rules that are off, unmeasured or without a baseline', () => {
+            const report = evaluateGate(registry, { metrics: {}, bundleSize: results.bundleSize }, null, [
+                { metric: 'bundleSize', budget: 1, severity: 'off' },
+                { metric: 'coverage', budget: 90 },
+                { asset: '*.map', budget: 1 },
+                { metric: 'bundleSize', maxDelta: 0 }
+            ]);
+
+            expect(report.status).toBe(GATE_STATUS.PASSED);
+            expect(report.checked).toBe(1);
+            expect(report.skipped.map(skipped => skipped.reason)).toEqual(['not measured', 'no matching files']);
+        });
+
+        test('should list every invalid rule', () => {
+            expect(() => evaluateGate(registry, results, null, [
+                { metric: 'bundleSize', asset: '*.js', budget: 1 },
+                { metric: 'lcp', budget: 1 },
+                { metric: 'coverage', compression: 'gzip', budget: 1 },
+                { asset: '*.js' }
+            ])).toThrow([
+                'Invalid gate rules:',
+                '  - "gate.rules[0]" needs either a metric or an asset glob',
+                '  - "gate.rules[1].metric" is not a registered metric: lcp',
+                '  - "gate.rules[2].compression" only applies to asset rules',
+                '  - "gate.rules[3]" needs a budget, a maxDelta or both'
+            ].join('\n'));
+        });
+    });
+
+    describe('BudgetGate', () => {
+        let rootDir;
+
+        beforeEach(() => {
+            rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'symphony-gate-'));
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            fs.rmSync(rootDir, { recursive: true, force: true });
+        });
+
+        test('should print the violations and save the report', () => {
+            fs.mkdirSync(path.join(rootDir, 'reports'));
+            fs.writeFileSync(path.join(rootDir, 'reports', 'analysis-results.json'), JSON.stringify({
+                timestamp: '2026-01-01T00:00:00Z',
+                commit: 'aaaa1111',
+                ...results
+            }));
+            const config = loadConfig({
+                rootDir,
+                overrides: { gate: { rules: [{ asset: 'main*.js', budget: 60 * 1024 }, { metric: 'coverage', budget: 80, severity: 'warn' }] } }
+            });
+
+            const report = new BudgetGate(config, registry).run();
+
+            expect(report).toMatchObject({ status: GATE_STATUS.FAILED, commit: 'aaaa1111' });
+            expect(JSON.parse(fs.readFileSync(path.join(rootDir, 'reports', 'gate.json'), 'utf8')).violations).toHaveLength(2);
+            expect(console.log).toHaveBeenCalledWith([
+                '🚦 Budžeta pārbaude: 1 kļūdas, 1 brīdinājumi (2 pārbaudīti)',
+                '  ❌ main*.js (gzip): 65 KB > 60 KB budget',
+                '  ⚠️ 🧪 Coverage: 75% < 80% budget'
+            ].join('\n'));
+        });
+
+        test('should only apply acceptances to the pull request they were made for', () => {
+            const write = (file, document) => {
+                fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+                fs.writeFileSync(path.join(rootDir, file), JSON.stringify(document));
+            };
+            const runGate = (commit, pr) => {
+                write('reports/analysis-results.json', { timestamp: '2026-01-02T00:00:00Z', commit, pr, ...results });
+                return new BudgetGate(loadConfig({
+                    rootDir,
+                    overrides: { gate: { rules: [{ metric: 'bundleSize', maxDelta: 10 * 1024 }] } }
+                }), registry).run();
+            };
+            write('baselines/metrics.json', { created: '2026-01-01T00:00:00Z', commit: 'aaaa1111', metrics: baseline.metrics });
+            write('baselines/audit.json', {
+                schemaVersion: 1,
+                entries: [{
+                    timestamp: '2026-01-02T00:00:00Z',
+                    action: 'accept',
+                    actor: 'octocat',
+                    commit: 'bbbb2222',
+                    pr: '1',
+                    metric: 'bundleSize',
+                    value: 120 * 1024,
+                    baseline: 100 * 1024,
+                    baselineCommit: 'aaaa1111',
+                    reason: 'New editor',
+                    source: 'label'
+                }]
+            });
+
+            // PR #2 with the same bundle size was not accepted
+            expect(runGate('cccc3333', '2')).toMatchObject({ status: GATE_STATUS.FAILED, accepted: [] });
+            // A later commit of PR #1 and the accepted commit itself pass
+            expect(runGate('dddd4444', '1')).toMatchObject({ status: GATE_STATUS.PASSED, accepted: [expect.objectContaining({ target: 'bundleSize' })] });
+            expect(runGate('bbbb2222', null).status).toBe(GATE_STATUS.PASSED);
+        });
+
+        test('should fail without analysis results', () => {
+            expect(() => new BudgetGate(loadConfig({ rootDir }), registry).run()).toThrow('Analysis results not found');
+        });
+    });
+});
@@ -0,0 +1,74 @@
+const path = require('path');
+const { summarizeJestResults } = require('../scripts/lib/jest-results');
+
+const rootDir = path.join(__dirname, '..');
+
+const jestResults = {
+    numTotalTests: 4,
+    numPassedTests: 2,
+    numFailedTests: 1,
+    numPendingTests: 1,
+    numTodoTests: 0,
+    numTotalTestSuites: 3,
+    numFailedTestSuites: 2,
+    numRuntimeErrorTestSuites: 1,
+    startTime: 1000,
+    testResults: [
+        {
+            name: path.join(rootDir, 'src/utils.test.js'),
+            startTime: 1010,
+            endTime: 1510,
+            assertionResults: [
+                { fullName: 'Utils formats bytes', status: 'passed', duration: 12 },
+                { fullName: 'Utils downloads JSON', status: 'failed', duration: 300 },
+                { fullName: 'Utils later', status: 'pending', duration: null }
+            ]
+        },
+        {
+            name: path.join(rootDir, 'src/metrics.test.js'),
+            startTime: 1020,
+            endTime: 2200,
+            assertionResults: [
+                { fullName: 'Metrics fetches', status: 'passed', duration: 900 }
+            ]
+        },
+        {
+            name: path.join(rootDir, 'src/main.test.js'),
+            startTime: 1030,
+            endTime: 1100,
+            assertionResults: []
+        }
+    ]
+};
+
+describe('Jest results summary', () => {
+    test('should count tests and suites', () => {
+        const summary = summarizeJestResults(jestResults, { rootDir });
+
+        expect(summary).toMatchObject({
+            total: 4,
+            passed: 2,
+            failed: 1,
+            skipped: 1,
+            suites: { total: 3, failed: 2, runtimeErrors: 1 }
+        });
+    });
+
+    test('should measure the wall clock and per suite durations', () => {
+        const summary = summarizeJestResults(jestResults, { rootDir });
+
+        expect(summary.duration).toBe(1200);
+        expect(summary.suiteDurations).toEqual({
+            [path.join('src', 'utils.test.js')]: 500,
+            [path.join('src', 'metrics.test.js')]: 1180,
+            [path.join('src', 'main.test.js')]: 70
+        });
+    });
+
+    test('should list the slowest and the failed tests', () => {
+        const summary = summarizeJestResults(jestResults, { rootDir, slowestTests: 2 });
+
+        expect(summary.slowestTests.map(test => test.name)).toEqual(['Metrics fetches', 'Utils downloads JSON']);
+        expect(summary.failedTests).toEqual([{ name: 'Utils downloads JSON', file: path.join('src', 'utils.test.js') }]);
+    });
+});
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseLcov, loadLcovSummary } = require('../scripts/lib/lcov');
+
+const LCOV = `SF:lib/main.dart
+FNF:2
+FNH:1
+DA:1,1
+DA:2,0
+LF:4
+LH:3
+BRF:0
+BRH:0
+end_of_record
+SF:lib/app.dart
+LF:6
+LH:3
+end_of_record
+`;
+
+describe('lcov', () => {
+    describe('parseLcov', () => {
+        test('should add up the totals of every file', () => {
+            const totals = parseLcov(LCOV);
+
+            expect(totals.files).toBe(2);
+            expect(totals.lines).toEqual({ total: 10, covered: 6, pct: 60 });
+            expect(totals.functions).toEqual({ total: 2, covered: 1, pct: 50 });
+            // Nothing to cover counts as fully covered, like Istanbul
+            expect(totals.branches).toEqual({ total: 0, covered: 0, pct: 100 });
+        });
+    });
+
+    describe('loadLcovSummary', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lcov-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should use the line counts as statements', () => {
+            fs.writeFileSync(path.join(dir, 'lcov.info'), LCOV);
+
+            const summary = loadLcovSummary(path.join(dir, 'lcov.info'));
+
+            expect(summary.statements).toEqual(summary.lines);
+            expect(summary.lines.pct).toBe(60);
+        });
+
+        test('should return null for a missing or empty file', () => {
+            expect(loadLcovSummary(path.join(dir, 'missing.info'))).toBeNull();
+
+            fs.writeFileSync(path.join(dir, 'lcov.info'), '');
+            expect(loadLcovSummary(path.join(dir, 'lcov.info'))).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    loadCollectConfig,
+    resolveAuditUrl,
+    getPageKey,
+    median,
+    summarizeRuns,
+    summarizePages,
+    diffPages,
+    getProfileResults,
+    createLighthouseConfig,
+    getChromeFlags
+} = require('../scripts/lib/lighthouse');
+
+function createLhr(scores, metrics) {
+    return {
+        requestedUrl: 'http://127.0.0.1:4000/',
+        lighthouseVersion: '10.1.0',
+        categories: {
+            performance: { score: scores.performance },
+            accessibility: { score: scores.accessibility },
+            'best-practices': { score: scores.bestPractices },
+            seo: { score: scores.seo }
+        },
+        audits: {
+            'first-contentful-paint': { numericValue: metrics.fcp },
+            'largest-contentful-paint': { numericValue: metrics.lcp },
+            'cumulative-layout-shift': { numericValue: metrics.cls },
+            'total-blocking-time': { numericValue: metrics.tbt }
+        }
+    };
+}
+
+describe('lighthouse helpers', () => {
+    describe('median', () => {
+        test('should return the middle value', () => {
+            expect(median([3, 1, 2])).toBe(2);
+            expect(median([4, 1, 3, 2])).toBe(2.5);
+        });
+
+        test('should ignore missing values', () => {
+            expect(median([null, 5, undefined])).toBe(5);
+            expect(median([])).toBeNull();
+        });
+    });
+
+    describe('resolveAuditUrl', () => {
+        test('should keep path and query of the configured URL', () => {
+            expect(resolveAuditUrl('http://localhost:3000/about?x=1', 'http://127.0.0.1:4000'))
+                .toBe('http://127.0.0.1:4000/about?x=1');
+        });
+
+        test('should accept relative paths', () => {
+            expect(resolveAuditUrl('/', 'http://127.0.0.1:4000')).toBe('http://127.0.0.1:4000/');
+        });
+    });
+
+    describe('getChromeFlags', () => {
+        test('should split a string of flags into argv entries', () => {
+            expect(getChromeFlags({ chromeFlags: ' --headless  --no-sandbox ' })).toEqual(['--headless', '--no-sandbox']);
+            expect(getChromeFlags({ chromeFlags: ['--headless=new'] })).toEqual(['--headless=new']);
+            expect(getChromeFlags()).toContain('--no-sandbox');
+        });
+    });
+
+    describe('loadCollectConfig', () => {
+        test('should read url, numberOfRuns and settings', () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lhrc-'));
+            const configPath = path.join(dir, 'lighthouserc.json');
+            fs.writeFileSync(configPath, JSON.stringify({
+                ci: { collect: { url: 'http://localhost:3000', numberOfRuns: 2, settings: { preset: 'desktop' } } }
+            }));
+
+            expect(loadCollectConfig(configPath)).toEqual({
+                urls: ['http://localhost:3000'],
+                numberOfRuns: 2,
+                settings: { preset: 'desktop' }
+            });
+        });
+
+        test('should fall back to a single run of the root page', () => {
+            expect(loadCollectConfig('/nonexistent/lighthouserc.json')).toEqual({
+                urls: ['/'],
+                numberOfRuns: 1,
+                settings: {}
+            });
+        });
+    });
+
+    describe('summarizeRuns', () => {
+        test('should combine runs into median scores and metrics', () => {
+            const summary = summarizeRuns([
+                createLhr({ performance: 0.9, accessibility: 1, bestPractices: 0.92, seo: 0.8 }, { fcp: 1000.4, lcp: 2000, cls: 0.01, tbt: 100 }),
+                createLhr({ performance: 0.7, accessibility: 1, bestPractices: 0.92, seo: 0.8 }, { fcp: 1400.6, lcp: 2600, cls: 0.05, tbt: 300 }),
+                createLhr({ performance: 0.8, accessibility: 1, bestPractices: 0.92, seo: 0.8 }, { fcp: 1200.2, lcp: 2200, cls: 0.02, tbt: 200 })
+            ]);
+
+            expect(summary.performance).toBe(80);
+            expect(summary.accessibility).toBe(100);
+            expect(summary.bestPractices).toBe(92);
+            expect(summary.seo).toBe(80);
+            expect(summary.metrics.firstContentfulPaint).toBe(1200);
+            expect(summary.metrics.cumulativeLayoutShift).toBe(0.02);
+            expect(summary.runs).toBe(3);
+            expect(summary.runScores).toEqual([90, 70, 80]);
+            expect(summary.runValues.seo).toEqual([80, 80, 80]);
+        });
+
+        test('should reject an empty run list', () => {
+            expect(() => summarizeRuns([])).toThrow('No Lighthouse runs');
+        });
+    });
+
+    describe('getPageKey', () => {
+        test('should keep only path and query', () => {
+            expect(getPageKey('http://localhost:3000')).toBe('/');
+            expect(getPageKey('http://localhost:3000/about?tab=team')).toBe('/about?tab=team');
+            expect(getPageKey('/pricing')).toBe('/pricing');
+        });
+    });
+
+    describe('summarizePages', () => {
+        const home = summarizeRuns([
+            createLhr({ performance: 0.95, accessibility: 0.9, bestPractices: 1, seo: 0.9 }, { fcp: 900, lcp: 1500, cls: 0.01, tbt: 50 })
+        ]);
+        const about = summarizeRuns([
+            createLhr({ performance: 0.6, accessibility: 1, bestPractices: 0.9, seo: 1 }, { fcp: 1200, lcp: 3100, cls: 0.002, tbt: 400 })
+        ]);
+
+        test('should report the worst score and metric of any page', () => {
+            const summary = summarizePages({ '/': home, '/about': about });
+
+            expect(summary.performance).toBe(60);
+            expect(summary.accessibility).toBe(90);
+            expect(summary.metrics.largestContentfulPaint).toBe(3100);
+            expect(summary.metrics.cumulativeLayoutShift).toBe(0.01);
+            expect(summary.worstPage).toBe('/about');
+            expect(Object.keys(summary.pages)).toEqual(['/', '/about']);
+        });
+
+        test('should skip failed pages but keep them in pages', () => {
+            const summary = summarizePages({ '/': home, '/broken': { error: 'Timed out' } });
+
+            expect(summary.performance).toBe(95);
+            expect(summary.pages['/broken']).toEqual({ error: 'Timed out' });
+        });
+
+        test('should fail when no page was audited', () => {
+            expect(() => summarizePages({ '/': { error: 'Timed out' } })).toThrow('No page could be audited');
+        });
+    });
+
+    describe('diffPages', () => {
+        test('should diff pages present in both runs', () => {
+            const current = {
+                '/': { performance: 90, accessibility: 100, bestPractices: 100, seo: 90, metrics: { largestContentfulPaint: 1800 } },
+                '/new': { performance: 80, metrics: {} },
+                '/broken': { error: 'Timed out' }
+            };
+            const baseline = {
+                '/': { performance: 95, accessibility: 100, bestPractices: 92, seo: 90, metrics: { largestContentfulPaint: 1500 } },
+                '/broken': { performance: 70, metrics: {} }
+            };
+
+            const diff = diffPages(current, baseline);
+
+            expect(Object.keys(diff)).toEqual(['/']);
+            expect(diff['/'].changes).toEqual({
+                performance: -5,
+                accessibility: 0,
+                bestPractices: 8,
+                seo: 0,
+                largestContentfulPaint: 300
+            });
+            expect(diff['/'].previous.performance).toBe(95);
+        });
+    });
+
+    describe('profiles', () => {
+        test('getProfileResults should list the top level profile first', () => {
+            const data = { performance: 70, profile: 'mobile', profiles: { desktop: { performance: 95 } } };
+
+            expect(Object.keys(getProfileResults(data))).toEqual(['mobile', 'desktop']);
+            expect(getProfileResults(data).desktop.performance).toBe(95);
+            expect(getProfileResults({ error: 'failed' })).toEqual({});
+        });
+
+        test('createLighthouseConfig should use the default config for mobile', async () => {
+            await expect(createLighthouseConfig('mobile', { onlyCategories: ['seo'] })).resolves.toEqual({
+                extends: 'lighthouse:default',
+                settings: { onlyCategories: ['seo'] }
+            });
+            await expect(createLighthouseConfig('tablet')).rejects.toThrow('Unknown Lighthouse preset "tablet"');
+        });
+    });
+});
@@ -0,0 +1,163 @@
+const {
+    MetricRegistry,
+    createRegistry,
+    getMetricValue,
+    evaluateMetric,
+    formatMetricValue,
+    formatMetricChange,
+    isSignificantChange
+} = require('../scripts/lib/metric-registry');
+
+const lintPlugin = {
+    id: 'lintWarnings',
+    label: 'Lint Warnings',
+    unit: 'count',
+    direction: 'lower',
+    thresholds: { good: 0, warning: 10 },
+    collect: async () => ({ warnings: 4 }),
+    value: data => data.warnings
+};
+
+describe('MetricRegistry', () => {
+    describe('register', () => {
+        test('should apply defaults', () => {
+            const plugin = new MetricRegistry().register(lintPlugin).get('lintWarnings');
+
+            expect(plugin.weight).toBe(10);
+            expect(plugin.minChange).toBe(1);
+            expect(plugin.emoji).toBeDefined();
+        });
+
+        test('should reject invalid plugins', () => {
+            const registry = new MetricRegistry();
+
+            expect(() => registry.register({ ...lintPlugin, id: '' })).toThrow('"id"');
+            expect(() => registry.register({ ...lintPlugin, unit: 'parsecs' })).toThrow('"unit"');
+            expect(() => registry.register({ ...lintPlugin, direction: 'up' })).toThrow('"direction"');
+            expect(() => registry.register({ ...lintPlugin, thresholds: { good: 1 } })).toThrow('"thresholds"');
+            expect(() => registry.register({ ...lintPlugin, collect: undefined })).toThrow('"collect"');
+            expect(() => registry.register({ ...lintPlugin, value: 5 })).toThrow('"value"');
+            expect(() => registry.register({ ...lintPlugin, dependsOn: 'build' })).toThrow('"dependsOn"');
+            expect(() => registry.register({ ...lintPlugin, timeout: -1 })).toThrow('"timeout"');
+            expect(() => registry.register({ ...lintPlugin, retries: 1.5 })).toThrow('"retries"');
+            expect(() => registry.register({ ...lintPlugin, runs: [1, 2] })).toThrow('"runs"');
+        });
+
+        test('should reject duplicate ids', () => {
+            const registry = new MetricRegistry().register(lintPlugin);
+
+            expect(() => registry.register(lintPlugin)).toThrow('already registered');
+        });
+    });
+
+    describe('createRegistry', () => {
+        test('should contain the built-in metrics', () => {
+            const ids = createRegistry({ plugins: [] }).list().map(plugin => plugin.id);
+
+            expect(ids).toEqual([
+                'performance',
+                'accessibility',
+                'bestPractices',
+                'seo',
+                'performanceDesktop',
+                'accessibilityDesktop',
+                'bestPracticesDesktop',
+                'seoDesktop',
+                'coverage',
+                'diffCoverage',
+                'tests',
+                'testCount',
+                'testFailures',
+                'testsSkipped',
+                'bundleSize',
+                'bundleSizeGzip',
+                'bundleSizeBrotli',
+                'lint',
+                'lintWarnings'
+            ]);
+        });
+
+        test('should only list plugins with a collect function as collectors', () => {
+            const ids = createRegistry({ plugins: [] }).collectors().map(plugin => plugin.id);
+
+            expect(ids).toEqual(['performance', 'coverage', 'diffCoverage', 'tests', 'bundleSize', 'lint']);
+        });
+    });
+
+    describe('configure', () => {
+        test('should drop the metrics read from a disabled collector', () => {
+            const registry = createRegistry({ plugins: [] }).configure({
+                performance: { enabled: false },
+                bundleSize: { enabled: false },
+                bundleSizeGzip: { weight: 5 },
+                coverage: { weight: 30 }
+            });
+
+            expect(registry.list().map(plugin => plugin.id)).toEqual([
+                'coverage',
+                'diffCoverage',
+                'tests',
+                'testCount',
+                'testFailures',
+                'testsSkipped',
+                'lint',
+                'lintWarnings'
+            ]);
+            expect(registry.get('coverage').weight).toBe(30);
+        });
+
+        test('should keep the collector when only a derived metric is disabled', () => {
+            const registry = createRegistry({ plugins: [] }).configure({ bundleSizeBrotli: { enabled: false } });
+
+            expect(registry.get('bundleSize')).toBeDefined();
+            expect(registry.get('bundleSizeGzip')).toBeDefined();
+            expect(registry.get('bundleSizeBrotli')).toBeUndefined();
+        });
+    });
+});
+
+describe('metric helpers', () => {
+    const registry = createRegistry({ plugins: [] });
+    const performance = registry.get('performance');
+    const gzip = registry.get('bundleSizeGzip');
+
+    test('getMetricValue should prefer stored metric values', () => {
+        expect(getMetricValue(performance, { metrics: { performance: { value: 91 } }, performance: { performance: 50 } })).toBe(91);
+    });
+
+    test('getMetricValue should read collected or source data of older results', () => {
+        expect(getMetricValue(performance, { performance: { performance: 88 } })).toBe(88);
+        expect(getMetricValue(gzip, { bundleSize: { total: 3000, gzipped: 1000 } })).toBe(1000);
+    });
+
+    test('getMetricValue should ignore failed and missing data', () => {
+        expect(getMetricValue(performance, { performance: { error: 'boom' } })).toBeNull();
+        expect(getMetricValue(gzip, { bundleSize: { total: 3000 } })).toBeNull();
+        expect(getMetricValue(performance, null)).toBeNull();
+    });
+
+    test('evaluateMetric should respect the direction', () => {
+        expect(evaluateMetric(performance, 95)).toBe('good');
+        expect(evaluateMetric(performance, 75)).toBe('warning');
+        expect(evaluateMetric(performance, 50)).toBe('bad');
+        expect(evaluateMetric(gzip, 10 * 1024)).toBe('good');
+        expect(evaluateMetric(gzip, 80 * 1024)).toBe('warning');
+        expect(evaluateMetric(gzip, 200 * 1024)).toBe('bad');
+    });
+
+    test('formatMetricValue and formatMetricChange should use the unit', () => {
+        expect(formatMetricValue(performance, 93)).toBe('93%');
+        expect(formatMetricValue(gzip, 1536)).toBe('1.5 KB');
+        expect(formatMetricValue({ unit: 'ms' }, 1234)).toBe('1.23s');
+        expect(formatMetricValue(performance, null)).toBe('N/A');
+        expect(formatMetricChange(gzip, -2048)).toBe('-2 KB');
+        expect(formatMetricChange(performance, 3)).toBe('+3%');
+    });
+
+    test('isSignificantChange should use the unit minimum', () => {
+        expect(isSignificantChange(gzip, 512)).toBe(false);
+        expect(isSignificantChange(gzip, -2048)).toBe(true);
+        expect(isSignificantChange(performance, 0.5)).toBe(false);
+        expect(isSignificantChange(performance, undefined)).toBe(false);
+    });
+});
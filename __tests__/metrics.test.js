@@ -51,6 +51,25 @@ describe('MetricsCollector', () => {
     });
 
     describe('getHistory', () => {
+        test('should query the published history across its tiers', async () => {
+            const entries = [
+                { timestamp: '2026-01-05T00:00:00.000Z', resolution: 'week', runs: 4, coverage: 70, stats: { coverage: { min: 65, median: 70, max: 72 } } },
+                { timestamp: '2026-10-01T08:00:00Z', resolution: 'run', coverage: 80 },
+                { timestamp: '2026-10-01T16:00:00Z', resolution: 'run', coverage: 84 }
+            ];
+            const fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ entries }) });
+            const published = new MetricsCollector({ historyUrl: 'metrics-history.json', fetch });
+
+            const history = await published.getHistory({ resolution: 'day' });
+
+            expect(fetch).toHaveBeenCalledWith('metrics-history.json');
+            expect(history.map(({ date, resolution, runs, coverage }) => ({ date, resolution, runs, coverage }))).toEqual([
+                { date: '2026-01-05', resolution: 'week', runs: 4, coverage: 70 },
+                { date: '2026-10-01', resolution: 'day', runs: 2, coverage: 82 }
+            ]);
+            expect(history[1].stats.coverage).toEqual({ min: 80, median: 82, max: 84 });
+        });
+
         test('should return historical data', async () => {
             const history = await metrics.getHistory();
             
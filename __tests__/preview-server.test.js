@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PreviewServer, negotiateEncoding, startPreviewServer } = require('../scripts/lib/preview-server');
+
+describe('preview server', () => {
+    let root;
+    let server;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'symphony-preview-'));
+        fs.writeFileSync(path.join(root, 'index.html'), '<html><body>app</body></html>');
+        fs.writeFileSync(path.join(root, 'main.js'), `console.log("${'x'.repeat(4096)}");`);
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        if (server) await server.stop();
+        server = null;
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('should report the real port and serve files', async () => {
+        server = await startPreviewServer({ root });
+
+        expect(server.port).toBeGreaterThan(0);
+        expect(server.url).toBe(`http://127.0.0.1:${server.port}`);
+
+        const response = await fetch(`${server.url}/`);
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toContain('text/html');
+        expect(await response.text()).toContain('app');
+    });
+
+    test('should fall back to index.html for client side routes only', async () => {
+        server = await startPreviewServer({ root });
+
+        const route = await fetch(`${server.url}/settings/profile`);
+        expect(route.status).toBe(200);
+        expect(await route.text()).toContain('app');
+
+        expect((await fetch(`${server.url}/missing.png`)).status).toBe(404);
+    });
+
+    test('should compress text responses the client accepts', async () => {
+        server = await startPreviewServer({ root });
+
+        const response = await fetch(`${server.url}/main.js`, { headers: { 'Accept-Encoding': 'gzip' } });
+        expect(response.headers.get('content-encoding')).toBe('gzip');
+        expect(await response.text()).toContain('console.log');
+    });
+
+    test('should not serve files outside the root', () => {
+        server = new PreviewServer({ root });
+
+        expect(server.resolveFile('/../package.json')).toBeNull();
+    });
+
+    test('should answer bad paths and failing reads without crashing', async () => {
+        server = await startPreviewServer({ root });
+
+        expect((await fetch(`${server.url}/%00`)).status).toBe(400);
+        expect((await fetch(`${server.url}/%E0%A4%A`)).status).toBe(400);
+
+        jest.spyOn(server, 'sendFile').mockImplementation(() => {
+            throw new Error('EACCES');
+        });
+        expect((await fetch(`${server.url}/main.js`)).status).toBe(500);
+        expect((await fetch(`${server.url}/__symphony/health`)).status).toBe(200);
+    });
+
+    test('should fail the health check without a build', async () => {
+        fs.unlinkSync(path.join(root, 'index.html'));
+
+        await expect(startPreviewServer({ root, timeout: 300 })).rejects.toThrow('not healthy');
+    });
+
+    test('should stop and free the port', async () => {
+        server = await startPreviewServer({ root });
+        const url = server.url;
+        await server.stop();
+
+        await expect(fetch(url)).rejects.toThrow();
+    });
+
+    test('negotiateEncoding should prefer brotli and respect q=0', () => {
+        expect(negotiateEncoding('gzip, deflate, br')).toBe('br');
+        expect(negotiateEncoding('gzip, br;q=0')).toBe('gzip');
+        expect(negotiateEncoding('identity')).toBeNull();
+        expect(negotiateEncoding()).toBeNull();
+    });
+});
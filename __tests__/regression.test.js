@@ -0,0 +1,100 @@
+const {
+    CLASSIFICATION,
+    standardDeviation,
+    getHistoryValues,
+    getDeltas,
+    classifyChange,
+    classifyChanges
+} = require('../scripts/lib/regression');
+const { MetricRegistry } = require('../scripts/lib/metric-registry');
+
+const registry = new MetricRegistry()
+    .register({
+        id: 'performance',
+        unit: 'percent',
+        direction: 'higher',
+        thresholds: { good: 90, warning: 70 },
+        collect: () => ({}),
+        value: data => data.performance,
+        runs: data => data.runScores
+    })
+    .register({
+        id: 'bundleSize',
+        unit: 'bytes',
+        direction: 'lower',
+        thresholds: { good: 100, warning: 200 },
+        collect: () => ({}),
+        value: data => data.total
+    });
+const performance = registry.get('performance');
+const bundleSize = registry.get('bundleSize');
+
+describe('standardDeviation', () => {
+    test('should compute the sample standard deviation', () => {
+        expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(2.138, 3);
+    });
+
+    test('should be 0 for fewer than two values', () => {
+        expect(standardDeviation([])).toBe(0);
+        expect(standardDeviation([5])).toBe(0);
+    });
+});
+
+describe('getHistoryValues', () => {
+    test('should take the latest numeric values', () => {
+        const history = [{ performance: 80 }, { performance: null }, { performance: 84 }, { performance: 86 }];
+        expect(getHistoryValues(history, 'performance', 3)).toEqual([84, 86]);
+    });
+});
+
+describe('getDeltas', () => {
+    test('should take the change from each value to the next', () => {
+        expect(getDeltas([80, 84, 83])).toEqual([4, -1]);
+        expect(getDeltas([80])).toEqual([]);
+    });
+});
+
+describe('classifyChange', () => {
+    test('should treat changes within the spread of runs as noise', () => {
+        // Runs 78, 82, 86 have a standard deviation of 4, so the band is 8 points
+        const result = classifyChange(performance, -5, { runs: [78, 82, 86], sigma: 2 });
+        expect(result).toEqual({ classification: CLASSIFICATION.NOISE, noise: 8 });
+    });
+
+    test('should use the larger of run and history spread', () => {
+        const runs = [80, 80, 80];
+        // Changes of +5, -5, +5, -5 between baselines
+        const history = [80, 85, 80, 85, 80];
+        expect(classifyChange(performance, -10, { runs, history }).classification).toBe(CLASSIFICATION.NOISE);
+        expect(classifyChange(performance, -15, { runs, history }).classification).toBe(CLASSIFICATION.REGRESSION);
+    });
+
+    test('should not widen the band for a steady trend', () => {
+        // Spread out values, but the same change every time
+        const history = [60, 65, 70, 75, 80];
+        expect(classifyChange(performance, -3, { history })).toEqual({ classification: CLASSIFICATION.REGRESSION, noise: performance.minChange });
+    });
+
+    test('should respect the direction of the metric', () => {
+        expect(classifyChange(performance, 3).classification).toBe(CLASSIFICATION.IMPROVEMENT);
+        expect(classifyChange(bundleSize, 4096).classification).toBe(CLASSIFICATION.REGRESSION);
+        expect(classifyChange(bundleSize, -4096).classification).toBe(CLASSIFICATION.IMPROVEMENT);
+    });
+
+    test('should never use a band smaller than minChange', () => {
+        expect(classifyChange(bundleSize, 512).classification).toBe(CLASSIFICATION.NOISE);
+    });
+});
+
+describe('classifyChanges', () => {
+    test('should classify metrics measured in both results', () => {
+        const current = { performance: { performance: 70, runScores: [69, 70, 71] }, bundleSize: { error: 'failed' } };
+        const baseline = { performance: { performance: 80 }, bundleSize: { total: 100 } };
+
+        const classifications = classifyChanges(registry, current, baseline, { history: [{ performance: 79 }, { performance: 81 }] });
+
+        expect(Object.keys(classifications)).toEqual(['performance']);
+        expect(classifications.performance.change).toBe(-10);
+        expect(classifications.performance.classification).toBe(CLASSIFICATION.REGRESSION);
+    });
+});
@@ -0,0 +1,164 @@
+const {
+    DAY_MS,
+    getPeriodStart,
+    rollUp,
+    validateRetention,
+    compactHistory,
+    queryHistory
+} = require('../scripts/lib/retention');
+
+describe('retention', () => {
+    const retention = [
+        { resolution: 'run', maxDays: 30 },
+        { resolution: 'day', maxDays: 365 },
+        { resolution: 'week', maxDays: null }
+    ];
+
+    const now = Date.parse('2026-10-19T12:00:00Z');
+
+    const run = (daysAgo, coverage, commit = `c${daysAgo}`) => ({
+        timestamp: new Date(now - daysAgo * DAY_MS).toISOString(),
+        commit,
+        resolution: 'run',
+        coverage
+    });
+
+    describe('getPeriodStart', () => {
+        test('should start days at UTC midnight and weeks on Monday', () => {
+            expect(getPeriodStart('2026-10-18T23:59:00Z', 'day')).toBe('2026-10-18T00:00:00.000Z');
+            // 2026-10-18 is a Sunday, 2026-10-19 a Monday
+            expect(getPeriodStart('2026-10-18T23:59:00Z', 'week')).toBe('2026-10-12T00:00:00.000Z');
+            expect(getPeriodStart('2026-10-19T00:00:00Z', 'week')).toBe('2026-10-19T00:00:00.000Z');
+        });
+    });
+
+    describe('rollUp', () => {
+        test('should aggregate the runs of a day into min, median and max', () => {
+            const entries = [
+                { timestamp: '2026-10-01T08:00:00Z', commit: 'aaaa1111', coverage: 70, performance: null },
+                { timestamp: '2026-10-01T12:00:00Z', commit: 'bbbb2222', coverage: 80, performance: null },
+                { timestamp: '2026-10-01T18:00:00Z', commit: 'cccc3333', coverage: 76, performance: null },
+                { timestamp: '2026-10-02T08:00:00Z', commit: 'dddd4444', coverage: 90, performance: 88 }
+            ];
+
+            expect(rollUp(entries, 'day')).toEqual([
+                {
+                    timestamp: '2026-10-01T00:00:00.000Z',
+                    resolution: 'day',
+                    runs: 3,
+                    commit: 'cccc3333',
+                    coverage: 76,
+                    performance: null,
+                    stats: { coverage: { min: 70, median: 76, max: 80 } }
+                },
+                {
+                    timestamp: '2026-10-02T00:00:00.000Z',
+                    resolution: 'day',
+                    runs: 1,
+                    commit: 'dddd4444',
+                    coverage: 90,
+                    performance: 88,
+                    stats: { coverage: { min: 90, median: 90, max: 90 }, performance: { min: 88, median: 88, max: 88 } }
+                }
+            ]);
+        });
+
+        test('should weigh aggregates by their runs and keep their range', () => {
+            const day = {
+                timestamp: '2026-10-05T00:00:00.000Z',
+                resolution: 'day',
+                runs: 3,
+                coverage: 80,
+                stats: { coverage: { min: 60, median: 80, max: 85 } }
+            };
+            const later = { timestamp: '2026-10-06T10:00:00Z', coverage: 90 };
+
+            const [week] = rollUp([day, later], 'week');
+
+            expect(week).toMatchObject({ timestamp: '2026-10-05T00:00:00.000Z', resolution: 'week', runs: 4 });
+            // Median of 80, 80, 80, 90
+            expect(week.stats.coverage).toEqual({ min: 60, median: 80, max: 90 });
+        });
+
+        test('should keep coarser entries as they are', () => {
+            const week = { timestamp: '2026-01-05T00:00:00.000Z', resolution: 'week', runs: 9, coverage: 70, stats: {} };
+
+            expect(rollUp([week], 'day')).toEqual([week]);
+            expect(() => rollUp([week], 'month')).toThrow('Unknown history resolution "month"');
+        });
+    });
+
+    describe('validateRetention', () => {
+        test('should accept the default policy', () => {
+            expect(() => validateRetention(retention)).not.toThrow();
+        });
+
+        test('should refuse tiers that are not coarser and longer than the one before', () => {
+            expect(() => validateRetention([])).toThrow('needs at least one tier');
+            expect(() => validateRetention([{ resolution: 'day', maxDays: 30 }, { resolution: 'run', maxDays: 60 }]))
+                .toThrow('baseline.retention[1].resolution must be coarser than "day"');
+            expect(() => validateRetention([{ resolution: 'run', maxDays: 30 }, { resolution: 'day', maxDays: 30 }]))
+                .toThrow('baseline.retention[1].maxDays must be more than 30');
+            expect(() => validateRetention([{ resolution: 'run' }, { resolution: 'week' }]))
+                .toThrow('only the last tier may leave out maxDays');
+        });
+    });
+
+    describe('compactHistory', () => {
+        test('should keep recent runs, aggregate older ones per day and week', () => {
+            const entries = [
+                run(800, 50),
+                run(400, 60),
+                run(402, 64),
+                run(100.2, 70),
+                run(100.1, 74),
+                run(5, 80),
+                run(1, 82)
+            ];
+
+            const compacted = compactHistory(entries, retention, now);
+
+            expect(compacted.map(({ resolution, runs }) => [resolution, runs])).toEqual([
+                ['week', 1],
+                ['week', 2],
+                ['day', 2],
+                ['run', undefined],
+                ['run', undefined]
+            ]);
+            expect(compacted[1].stats.coverage).toEqual({ min: 60, median: 62, max: 64 });
+            expect(compacted[2].stats.coverage).toEqual({ min: 70, median: 72, max: 74 });
+            expect(compacted.slice(-2)).toEqual([run(5, 80), run(1, 82)]);
+        });
+
+        test('should drop entries older than the last tier', () => {
+            const policy = [{ resolution: 'run', maxDays: 30 }, { resolution: 'day', maxDays: 90 }];
+
+            expect(compactHistory([run(120, 60), run(40, 70), run(2, 80)], policy, now).map(entry => entry.coverage))
+                .toEqual([70, 80]);
+        });
+
+        test('should merge runs into the aggregate of a day that was compacted before', () => {
+            const once = compactHistory([run(30.5, 60), run(30.4, 62), run(29.9, 70)], retention, now);
+            const twice = compactHistory(once, retention, now + DAY_MS);
+
+            expect(once.map(entry => entry.resolution)).toEqual(['day', 'run']);
+            expect(twice).toHaveLength(1);
+            // The median of the earlier median (61, for two runs) and 70
+            expect(twice[0]).toMatchObject({ resolution: 'day', runs: 3, stats: { coverage: { min: 60, median: 61, max: 70 } } });
+        });
+    });
+
+    describe('queryHistory', () => {
+        const entries = compactHistory([run(60, 60), run(59.9, 62), run(10, 70), run(9.9, 72), run(1, 80)], retention, now);
+
+        test('should return every tier at run resolution', () => {
+            expect(queryHistory(entries).map(entry => entry.coverage)).toEqual([61, 70, 72, 80]);
+        });
+
+        test('should aggregate runs to the requested resolution within the range', () => {
+            const days = queryHistory(entries, { resolution: 'day', from: now - 20 * DAY_MS });
+
+            expect(days.map(entry => [entry.resolution, entry.coverage])).toEqual([['day', 71], ['day', 80]]);
+        });
+    });
+});
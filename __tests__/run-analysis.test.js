@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const AnalysisRunner = require('../scripts/run-analysis');
+const { MetricRegistry } = require('../scripts/lib/metric-registry');
+const { loadConfig } = require('../scripts/lib/config');
+
+describe('AnalysisRunner', () => {
+    let runner;
+    let distDir;
+
+    beforeEach(() => {
+        runner = new AnalysisRunner();
+        distDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dist-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(distDir, { recursive: true, force: true });
+    });
+
+    describe('calculateBundleSize', () => {
+        test('should return empty stats for a missing directory', () => {
+            const stats = runner.calculateBundleSize(path.join(distDir, 'missing'));
+
+            expect(stats.total).toBe(0);
+            expect(stats.gzipped).toBe(0);
+            expect(stats.brotli).toBe(0);
+            expect(stats.breakdown.js).toEqual({ raw: 0, gzip: 0, brotli: 0 });
+        });
+
+        test('should compress every file with gzip and brotli', () => {
+            const js = 'function hello() { return "hello"; }\n'.repeat(200);
+            fs.writeFileSync(path.join(distDir, 'main.js'), js);
+            fs.mkdirSync(path.join(distDir, 'img'));
+            fs.writeFileSync(path.join(distDir, 'img', 'logo.svg'), '<svg></svg>');
+
+            const stats = runner.calculateBundleSize(distDir);
+            const mainSizes = stats.files['main.js'];
+
+            expect(mainSizes.raw).toBe(Buffer.byteLength(js));
+            expect(mainSizes.gzip).toBe(zlib.gzipSync(js, { level: 9 }).length);
+            expect(mainSizes.brotli).toBeGreaterThan(0);
+            expect(mainSizes.brotli).toBeLessThan(mainSizes.raw);
+
+            expect(stats.files[path.join('img', 'logo.svg')].raw).toBe(11);
+            expect(stats.breakdown.js).toEqual(mainSizes);
+            expect(stats.breakdown.assets.raw).toBe(11);
+            expect(stats.total).toBe(mainSizes.raw + 11);
+            expect(stats.gzipped).toBe(mainSizes.gzip + stats.breakdown.assets.gzip);
+        });
+
+        test('should leave source maps out of the totals', () => {
+            fs.writeFileSync(path.join(distDir, 'main.js'), 'main();');
+            fs.writeFileSync(path.join(distDir, 'main.js.map'), JSON.stringify({ version: 3, mappings: 'A'.repeat(500) }));
+
+            const stats = runner.calculateBundleSize(distDir);
+
+            expect(Object.keys(stats.files)).toEqual(['main.js']);
+            expect(stats.total).toBe(7);
+            expect(stats.breakdown.assets).toEqual({ raw: 0, gzip: 0, brotli: 0 });
+        });
+
+        test('should only compress changed contents with a cache', () => {
+            const cache = new Map();
+            fs.writeFileSync(path.join(distDir, 'main.js'), 'main();');
+            fs.writeFileSync(path.join(distDir, 'vendor.js'), 'vendor();');
+            const first = runner.calculateBundleSize(distDir, cache);
+
+            const compress = jest.spyOn(runner, 'getCompressedSizes');
+            fs.writeFileSync(path.join(distDir, 'main.js'), 'main(); more();');
+            const second = runner.calculateBundleSize(distDir, cache);
+
+            expect(compress).toHaveBeenCalledTimes(1);
+            expect(second.files['vendor.js']).toEqual(first.files['vendor.js']);
+            expect(second.files['main.js']).toEqual(runner.calculateBundleSize(distDir).files['main.js']);
+            // The old main.js is gone from the build and from the cache
+            expect(cache.size).toBe(2);
+        });
+    });
+
+    describe('getSteps', () => {
+        test('should drop dependencies on disabled collectors', () => {
+            const config = loadConfig({ overrides: { metrics: { tests: { enabled: false } } } });
+            const steps = new AnalysisRunner(config).getSteps({});
+            const coverage = steps.find(step => step.id === 'coverage');
+
+            expect(steps.some(step => step.id === 'tests')).toBe(false);
+            expect(coverage.dependsOn).toEqual([]);
+            expect(steps[0].id).toBe('build');
+        });
+    });
+
+    describe('run', () => {
+        test('should collect and record every registered metric', async () => {
+            const registry = new MetricRegistry()
+                .register({
+                    id: 'buildTime',
+                    label: 'Build Time',
+                    unit: 'ms',
+                    direction: 'lower',
+                    thresholds: { good: 1000, warning: 5000 },
+                    collect: async context => ({ duration: 1200, hasRunner: context.runner instanceof AnalysisRunner }),
+                    value: data => data.duration
+                })
+                .register({
+                    id: 'broken',
+                    unit: 'count',
+                    direction: 'lower',
+                    thresholds: { good: 0, warning: 1 },
+                    collect: async () => { throw new Error('collector failed'); },
+                    value: data => data.count
+                });
+            const customRunner = new AnalysisRunner(loadConfig(), registry);
+            jest.spyOn(customRunner, 'saveResults').mockImplementation(() => {});
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await customRunner.run();
+
+            expect(customRunner.results.buildTime).toEqual({ duration: 1200, hasRunner: true });
+            expect(customRunner.results.metrics.buildTime).toEqual({ value: 1200, unit: 'ms', direction: 'lower' });
+            expect(customRunner.results.broken).toEqual({ error: 'collector failed' });
+            expect(customRunner.results.metrics.broken).toBeUndefined();
+            expect(customRunner.results.status).toBe('partial');
+            expect(customRunner.results.steps.buildTime).toMatchObject({ status: 'ok', attempts: 1 });
+            expect(customRunner.results.steps.broken).toMatchObject({ status: 'failed', error: 'collector failed' });
+            expect(customRunner.results.steps.build).toBeUndefined();
+
+            jest.restoreAllMocks();
+        });
+
+        test('should save failed runs without exiting the process', async () => {
+            const registry = new MetricRegistry().register({
+                id: 'slow',
+                unit: 'ms',
+                direction: 'lower',
+                thresholds: { good: 1, warning: 2 },
+                collect: context => new Promise((resolve, reject) => {
+                    context.signal.addEventListener('abort', () => reject(new Error('aborted')));
+                }),
+                value: data => data.duration
+            });
+            const config = loadConfig({ overrides: { analysis: { timeout: 20, retries: 1 } } });
+            const customRunner = new AnalysisRunner(config, registry);
+            const saveResults = jest.spyOn(customRunner, 'saveResults').mockImplementation(() => {});
+            const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const results = await customRunner.run();
+
+            expect(results.steps.slow).toMatchObject({ status: 'timed_out', attempts: 2 });
+            expect(results.status).toBe('failed');
+            expect(saveResults).toHaveBeenCalledTimes(1);
+            expect(exit).not.toHaveBeenCalled();
+
+            jest.restoreAllMocks();
+        });
+    });
+});
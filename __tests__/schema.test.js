@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    SCHEMA_VERSIONS,
+    getSchemaVersion,
+    migrate,
+    parseDocument,
+    readDocument,
+    writeDocument,
+    readHistory,
+    writeHistory
+} = require('../scripts/lib/schema');
+
+describe('schema', () => {
+    const results = {
+        schemaVersion: SCHEMA_VERSIONS.results,
+        timestamp: '2026-01-01T00:00:00Z',
+        commit: 'aaaa1111',
+        branch: 'main',
+        pr: null,
+        project: null,
+        status: 'completed',
+        metrics: { coverage: { value: 80, unit: '%', direction: 'higher' } },
+        steps: { coverage: { status: 'ok', duration: 1200, attempts: 1 } },
+        coverage: { lines: { pct: 80 } }
+    };
+
+    describe('getSchemaVersion', () => {
+        test('should treat unversioned files as version 1', () => {
+            expect(getSchemaVersion({ coverage: 80 })).toBe(1);
+            expect(getSchemaVersion([])).toBe(1);
+            expect(getSchemaVersion({ schemaVersion: 2 })).toBe(2);
+        });
+    });
+
+    describe('migrate', () => {
+        test('should lift the flat metrics.json into metric values', () => {
+            const migrated = migrate('results', { timestamp: '2026-01-01T00:00:00Z', coverage: 78.5, bundleSize: 120000, pr: 12 });
+
+            expect(migrated).toMatchObject({
+                schemaVersion: 2,
+                commit: 'unknown',
+                branch: 'unknown',
+                status: 'completed',
+                pr: '12',
+                metrics: { coverage: { value: 78.5 }, bundleSize: { value: 120000 } }
+            });
+            expect(migrated.coverage).toBeUndefined();
+        });
+
+        test('should replace the baseline version string with schemaVersion', () => {
+            const migrated = migrate('baseline', {
+                version: '1.0.0',
+                created: '2026-01-01T00:00:00Z',
+                commit: 'aaaa1111',
+                branch: 'main',
+                metrics: {},
+                coverage: { lines: { pct: 80 } }
+            });
+
+            expect(migrated.version).toBeUndefined();
+            expect(migrated.schemaVersion).toBe(2);
+            expect(migrated.coverage).toEqual({ lines: { pct: 80 } });
+        });
+
+        test('should wrap the history array', () => {
+            const migrated = migrate('history', [{ date: '2026-01-01', coverage: 80 }]);
+
+            expect(migrated).toEqual({ schemaVersion: 3, entries: [{ timestamp: '2026-01-01', coverage: 80 }] });
+        });
+
+        test('should refuse files from a newer version', () => {
+            expect(() => migrate('baseline', { schemaVersion: 99 }, 'baselines/metrics.json'))
+                .toThrow('baselines/metrics.json has baseline schema version 99');
+        });
+    });
+
+    describe('parseDocument', () => {
+        test('should accept current results', () => {
+            expect(parseDocument('results', results)).toEqual(results);
+        });
+
+        test('should list every schema error', () => {
+            const invalid = { ...results, status: 'done', metrics: { coverage: { value: 'high' } } };
+
+            expect(() => parseDocument('results', invalid, 'analysis-results.json')).toThrow(
+                'analysis-results.json is not a valid results file (schema version 2):\n' +
+                '  - "status" must be one of running, completed, partial, failed, got string "done"\n' +
+                '  - "metrics.coverage.value" must be a number, got string "high"'
+            );
+        });
+
+        test('should report migrated files that still miss required fields', () => {
+            expect(() => parseDocument('baseline', { metrics: {} })).toThrow('"created" is required');
+        });
+
+        test('should refuse arrays outside of history', () => {
+            expect(() => parseDocument('results', [])).toThrow('expected a JSON object');
+            expect(() => parseDocument('history', 'nope')).toThrow('expected a JSON object');
+        });
+    });
+
+    describe('files', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should return null for missing files', () => {
+            expect(readDocument('results', path.join(dir, 'missing.json'))).toBeNull();
+            expect(readHistory(path.join(dir, 'history.json'))).toEqual([]);
+        });
+
+        test('should report invalid JSON', () => {
+            fs.writeFileSync(path.join(dir, 'metrics.json'), '{');
+
+            expect(() => readDocument('baseline', path.join(dir, 'metrics.json'))).toThrow('is not valid JSON');
+        });
+
+        test('should stamp the version and read back what it wrote', () => {
+            const { schemaVersion, ...unversioned } = results;
+            const file = path.join(dir, 'reports', 'analysis-results.json');
+
+            expect(writeDocument('results', file, unversioned).schemaVersion).toBe(schemaVersion);
+            expect(readDocument('results', file)).toEqual(results);
+        });
+
+        test('should refuse to write invalid documents', () => {
+            expect(() => writeDocument('baseline', path.join(dir, 'metrics.json'), { metrics: {} })).toThrow('Refusing to write an invalid baseline file');
+            expect(fs.existsSync(path.join(dir, 'metrics.json'))).toBe(false);
+        });
+
+        test('should read old history arrays and write them versioned', () => {
+            const file = path.join(dir, 'history.json');
+            fs.writeFileSync(file, JSON.stringify([{ timestamp: '2026-01-01T00:00:00Z', commit: 'aaaa1111', coverage: 80 }]));
+
+            const entries = readHistory(file);
+            writeHistory(file, entries);
+
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ schemaVersion: 3, entries });
+        });
+    });
+});
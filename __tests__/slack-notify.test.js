@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSlackPayload, sendSlackNotification } = require('../scripts/slack-notify');
+const { loadConfig } = require('../scripts/lib/config');
+
+describe('buildSlackPayload', () => {
+    const config = loadConfig();
+    const env = {
+        GITHUB_REPOSITORY: 'janis/symphony',
+        GITHUB_RUN_ID: '42',
+        GITHUB_SERVER_URL: 'https://github.com',
+        GITHUB_WORKFLOW: 'CI',
+        GITHUB_EVENT_NAME: 'push',
+        JOB_STATUS: 'success'
+    };
+
+    const results = (status, steps) => ({
+        timestamp: '2026-01-01T00:00:00Z',
+        commit: 'aaaa1111',
+        branch: 'main',
+        status,
+        steps,
+        metrics: { coverage: { value: 81.5 } }
+    });
+
+    test('should report a complete run as a success', () => {
+        const payload = buildSlackPayload(results('completed', { coverage: { status: 'ok' } }), { config, env });
+
+        expect(payload.attachments[0].color).toBe('#28a745');
+        expect(payload.attachments[0].blocks[0].text.text).toBe('✅ CI/CD Symphony: CI - Success');
+        expect(JSON.stringify(payload)).not.toContain('did not finish');
+    });
+
+    test('should report partial results with the steps that did not finish', () => {
+        const steps = {
+            coverage: { status: 'ok' },
+            lighthouse: { status: 'timed_out', error: 'Timed out after 300s' },
+            lint: { status: 'failed', error: 'ESLint crashed' },
+            bundleSize: { status: 'skipped' }
+        };
+
+        const payload = buildSlackPayload(results('partial', steps), { config, env });
+        const [attachment] = payload.attachments;
+
+        expect(attachment.color).toBe('#ffc107');
+        expect(attachment.blocks[0].text.text).toBe('⚠️ CI/CD Symphony: CI - Partial');
+        expect(attachment.blocks[2].text.text).toBe([
+            '*Steps that did not finish:*',
+            '• `lighthouse` ⏱️ timed out: Timed out after 300s',
+            '• `lint` ❌ failed: ESLint crashed',
+            '• `bundleSize` ⏭️ skipped'
+        ].join('\n'));
+    });
+
+    test('should keep a failed job failed', () => {
+        const payload = buildSlackPayload(results('partial', { lint: { status: 'failed' } }), {
+            config,
+            env: { ...env, JOB_STATUS: 'failure' }
+        });
+
+        expect(payload.attachments[0].blocks[0].text.text).toBe('❌ CI/CD Symphony: CI - Failed');
+    });
+
+    test('should report the metrics of every project in monorepo mode', async () => {
+        const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'symphony-slack-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        try {
+            fs.mkdirSync(path.join(rootDir, 'reports', 'web'), { recursive: true });
+            fs.writeFileSync(path.join(rootDir, 'reports', 'web', 'analysis-results.json'), JSON.stringify(results('partial', { lint: { status: 'failed' } })));
+            fs.writeFileSync(path.join(rootDir, 'symphony.config.js'), "module.exports = { projects: [{ name: 'web' }, { name: 'api' }] };");
+
+            const payload = await sendSlackNotification({ config: loadConfig({ rootDir }), dryRun: true, env });
+            const texts = payload.attachments[0].blocks.map(block => (block.text ? block.text.text : block.fields && block.fields[0].text));
+
+            expect(texts.slice(0, 7)).toEqual([
+                '⚠️ CI/CD Symphony: CI - Partial',
+                'A *push* event triggered the *CI* workflow.',
+                '*🗂️ web*',
+                '*Steps that did not finish:*\n• `lint` ❌ failed',
+                '*🛡️ Coverage:*\n81.5%',
+                '*🗂️ api*',
+                '_Metrics data not available for this run._'
+            ]);
+        } finally {
+            jest.restoreAllMocks();
+            fs.rmSync(rootDir, { recursive: true, force: true });
+        }
+    });
+});
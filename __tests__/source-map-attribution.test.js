@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SourceMapGenerator } = require('source-map');
+const {
+    normalizeSource,
+    attributeBundle,
+    groupByPackage,
+    attributeDirectory
+} = require('../scripts/lib/source-map-attribution');
+
+const code = 'var a=1;var b=2;\nvar c=3;';
+
+function createMap() {
+    const generator = new SourceMapGenerator({ file: 'main.js' });
+    generator.addMapping({ generated: { line: 1, column: 0 }, original: { line: 1, column: 0 }, source: 'webpack://app/./src/app.js' });
+    generator.addMapping({ generated: { line: 1, column: 8 }, original: { line: 1, column: 0 }, source: 'webpack://app/./node_modules/axios/index.js' });
+    generator.addMapping({ generated: { line: 2, column: 4 }, original: { line: 3, column: 0 }, source: 'webpack://app/./node_modules/@scope/pkg/lib/a.js' });
+    return generator.toString();
+}
+
+describe('source map attribution', () => {
+    describe('normalizeSource', () => {
+        test('should strip the webpack protocol, namespace and leading ./', () => {
+            expect(normalizeSource('webpack://ci-cd-symphony/./src/app.js')).toBe('src/app.js');
+            expect(normalizeSource('webpack://app/node_modules/axios/index.js?abcd')).toBe('node_modules/axios/index.js');
+        });
+    });
+
+    describe('attributeBundle', () => {
+        test('should attribute bytes up to the next mapping', () => {
+            const attribution = attributeBundle(code, createMap());
+
+            expect(attribution.files).toEqual({
+                'src/app.js': 8,
+                'node_modules/axios/index.js': 8,
+                'node_modules/@scope/pkg/lib/a.js': 4
+            });
+            expect(attribution.totalBytes).toBe(Buffer.byteLength(code));
+            // "var " on line 2 and the newline have no mapping
+            expect(attribution.unmappedBytes).toBe(5);
+        });
+    });
+
+    describe('groupByPackage', () => {
+        test('should sum node_modules files per package', () => {
+            expect(groupByPackage({
+                'src/app.js': 100,
+                'node_modules/axios/index.js': 40,
+                'node_modules/axios/lib/core.js': 60,
+                'node_modules/@scope/pkg/lib/a.js': 5
+            })).toEqual({ axios: 100, '@scope/pkg': 5 });
+        });
+    });
+
+    describe('attributeDirectory', () => {
+        test('should combine all mapped bundles in dist', () => {
+            const distDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dist-'));
+            fs.writeFileSync(path.join(distDir, 'main.js'), code);
+            fs.writeFileSync(path.join(distDir, 'main.js.map'), createMap());
+            fs.writeFileSync(path.join(distDir, 'unmapped.js'), 'var x=1;');
+
+            const result = attributeDirectory(distDir);
+
+            expect(Object.keys(result.bundles)).toEqual(['main.js']);
+            expect(result.packages).toEqual({ axios: 8, '@scope/pkg': 4 });
+            expect(result.files['[unmapped]']).toBe(5);
+
+            fs.rmSync(distDir, { recursive: true, force: true });
+        });
+    });
+});
@@ -0,0 +1,113 @@
+const { STEP_STATUS, withTimeout, runStep, runSteps } = require('../scripts/lib/steps');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('analysis steps', () => {
+    describe('withTimeout', () => {
+        test('should resolve results that arrive in time', async () => {
+            await expect(withTimeout(() => delay(5, 'done'), 100)).resolves.toBe('done');
+        });
+
+        test('should reject and abort the signal when time runs out', async () => {
+            let signal;
+            const pending = withTimeout(received => {
+                signal = received;
+                return delay(200);
+            }, 10);
+
+            await expect(pending).rejects.toMatchObject({ timedOut: true });
+            expect(signal.aborted).toBe(true);
+        });
+    });
+
+    describe('runStep', () => {
+        test('should retry failed attempts', async () => {
+            const run = jest.fn()
+                .mockRejectedValueOnce(new Error('flaky'))
+                .mockResolvedValueOnce(42);
+            const onRetry = jest.fn();
+
+            const outcome = await runStep({ id: 'flaky', run, retries: 1 }, { onRetry });
+
+            expect(outcome).toMatchObject({ status: STEP_STATUS.OK, attempts: 2, data: 42 });
+            expect(onRetry).toHaveBeenCalledTimes(1);
+        });
+
+        test('should report the last failure', async () => {
+            const outcome = await runStep({ id: 'broken', run: () => { throw new Error('boom'); } }, { retries: 2 });
+
+            expect(outcome).toMatchObject({ status: STEP_STATUS.FAILED, attempts: 3, error: 'boom' });
+            expect(outcome.duration).toBeGreaterThanOrEqual(0);
+        });
+
+        test('should mark timed out steps', async () => {
+            const outcome = await runStep({ id: 'slow', run: () => delay(200), timeout: 10 });
+
+            expect(outcome.status).toBe(STEP_STATUS.TIMED_OUT);
+        });
+    });
+
+    describe('runSteps', () => {
+        test('should run independent steps concurrently', async () => {
+            const started = [];
+            const step = id => ({ id, run: async () => { started.push(id); await delay(20); return id; } });
+
+            const pending = runSteps([step('a'), step('b')]);
+            await delay(5);
+            expect(started).toEqual(['a', 'b']);
+
+            const outcomes = await pending;
+            expect(outcomes.a.data).toBe('a');
+            expect(outcomes.b.data).toBe('b');
+        });
+
+        test('should wait for dependencies and skip steps whose dependency failed', async () => {
+            const order = [];
+            const outcomes = await runSteps([
+                { id: 'report', dependsOn: ['build'], run: () => order.push('report') },
+                { id: 'build', run: async () => { await delay(10); order.push('build'); } },
+                { id: 'broken', run: () => { throw new Error('boom'); } },
+                { id: 'afterBroken', dependsOn: ['broken'], run: () => order.push('afterBroken') }
+            ]);
+
+            expect(order).toEqual(['build', 'report']);
+            expect(outcomes.broken.status).toBe(STEP_STATUS.FAILED);
+            expect(outcomes.afterBroken).toMatchObject({ status: STEP_STATUS.SKIPPED, attempts: 0 });
+        });
+
+        test('should run exclusive steps alone', async () => {
+            const events = [];
+            const step = (id, ms, extra = {}) => ({
+                id,
+                ...extra,
+                run: async () => {
+                    events.push(`${id}:start`);
+                    await delay(ms);
+                    events.push(`${id}:end`);
+                }
+            });
+
+            await runSteps([
+                step('build', 10),
+                step('lighthouse', 10, { dependsOn: ['build'], exclusive: true }),
+                step('tests', 30),
+                step('lint', 5, { dependsOn: ['build'] })
+            ]);
+
+            const start = events.indexOf('lighthouse:start');
+            const end = events.indexOf('lighthouse:end');
+            // Nothing starts or ends while Lighthouse runs, and it waited for the running tests
+            expect(end).toBe(start + 1);
+            expect(events.indexOf('tests:end')).toBeLessThan(start);
+            expect(events).toHaveLength(8);
+        });
+
+        test('should reject unknown dependencies and cycles', async () => {
+            await expect(runSteps([{ id: 'a', dependsOn: ['missing'], run: () => {} }])).rejects.toThrow('unknown step "missing"');
+            await expect(runSteps([
+                { id: 'a', dependsOn: ['b'], run: () => {} },
+                { id: 'b', dependsOn: ['a'], run: () => {} }
+            ])).rejects.toThrow('cycle');
+        });
+    });
+});
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { BaselineStore, FsStorage, GitStorage, SqliteStorage, migrateStorage } = require('../scripts/lib/storage');
+
+describe('storage', () => {
+    const policy = { branches: ['main', 'release/*'], fallbackBranch: 'main' };
+
+    const baseline = (commit, coverage) => ({
+        created: '2026-01-01T00:00:00Z',
+        commit,
+        branch: 'main',
+        metrics: { coverage: { value: coverage } }
+    });
+
+    const entry = commit => ({ timestamp: '2026-01-01T00:00:00Z', commit });
+
+    const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+
+    let rootDir;
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'symphony-storage-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    const backends = {
+        fs: () => new FsStorage({ dir: path.join(rootDir, 'baselines') }),
+        git: () => {
+            const repo = path.join(rootDir, 'repo');
+            fs.mkdirSync(repo);
+            git(repo, 'init', '--quiet');
+            return new GitStorage({ cwd: repo, branch: 'symphony-data', prefix: 'web/' });
+        },
+        sqlite: () => new SqliteStorage({ file: path.join(rootDir, 'symphony.db'), prefix: 'web/' })
+    };
+
+    describe.each(Object.keys(backends))('%s', backend => {
+        let store;
+
+        beforeEach(() => {
+            store = new BaselineStore(backends[backend](), policy);
+        });
+
+        test('should start empty', () => {
+            expect(store.loadBaseline()).toBeNull();
+            expect(store.loadHistory('release/1.4')).toEqual([]);
+            expect(store.adapter.keys()).toEqual([]);
+        });
+
+        test('should save and load the documents of each branch', () => {
+            store.update('main', () => ({ baseline: baseline('aaaa1111', 80), history: [entry('aaaa1111')] }));
+            store.update('release/1.4', () => ({ baseline: baseline('bbbb2222', 70), trends: { coverage: 'stable' } }));
+
+            expect(store.loadBaseline()).toMatchObject({ schemaVersion: 2, commit: 'aaaa1111' });
+            expect(store.loadHistory()).toEqual([entry('aaaa1111')]);
+            expect(store.loadBaseline('release/1.4').commit).toBe('bbbb2222');
+            expect(store.hasBaseline('release/1.5')).toBe(false);
+            expect(store.adapter.keys().sort()).toEqual([
+                'branches/release/1.4/metrics.json',
+                'branches/release/1.4/trends.json',
+                'history.json',
+                'metrics.json'
+            ]);
+        });
+
+        test('should pass the current documents to each update', () => {
+            // Each entry records the coverage of the baseline it replaced
+            const append = (commit, coverage) => store.update('main', current => ({
+                baseline: baseline(commit, coverage),
+                history: [...current.history, { ...entry(commit), coverage: current.baseline ? current.baseline.metrics.coverage.value : 0 }]
+            }));
+
+            append('aaaa1111', 80);
+            append('bbbb2222', 82);
+
+            expect(store.loadHistory()).toEqual([{ ...entry('aaaa1111'), coverage: 0 }, { ...entry('bbbb2222'), coverage: 80 }]);
+        });
+
+        test('should only append to the audit log', () => {
+            const audit = (action, commit) => ({ timestamp: '2026-01-01T00:00:00Z', action, actor: 'octocat', commit });
+
+            store.appendAudit('main', [audit('accept', 'aaaa1111')]);
+            store.appendAudit('main', [audit('update', 'bbbb2222')]);
+
+            expect(store.loadAudit()).toEqual([audit('accept', 'aaaa1111'), audit('update', 'bbbb2222')]);
+            expect(() => store.update('main', () => ({ audit: [] }))).toThrow('The audit log is append-only');
+            expect(() => store.appendAudit('main', [{ action: 'accept' }])).toThrow('Refusing to write an invalid audit file');
+            expect(store.loadAudit()).toHaveLength(2);
+        });
+
+        test('should refuse invalid baselines without writing anything', () => {
+            expect(() => store.update('main', () => ({ history: [], baseline: entry('aaaa1111') }))).toThrow('Refusing to write an invalid baseline file');
+            expect(store.adapter.keys()).toEqual([]);
+        });
+    });
+
+    describe('concurrent writers', () => {
+        test('should redo a git update on top of a commit pushed in the meantime', () => {
+            const remote = path.join(rootDir, 'remote.git');
+            git(rootDir, 'init', '--quiet', '--bare', remote);
+            const clone = name => {
+                git(rootDir, 'clone', '--quiet', remote, name);
+                return new BaselineStore(new GitStorage({ cwd: path.join(rootDir, name), branch: 'symphony-data', remote: 'origin' }), policy);
+            };
+            const first = clone('first');
+            const second = clone('second');
+
+            let calls = 0;
+            first.update('main', current => {
+                calls++;
+                // Another run pushes between this run's read and its push
+                if (calls === 1) {
+                    second.update('main', () => ({ baseline: baseline('aaaa1111', 80), history: [entry('aaaa1111')] }));
+                }
+                return { baseline: baseline('bbbb2222', 82), history: [...current.history, entry('bbbb2222')] };
+            });
+
+            expect(calls).toBe(2);
+            expect(git(remote, 'log', '--format=%s', 'symphony-data').split('\n')).toEqual([
+                'Update metrics.json, history.json',
+                'Update metrics.json, history.json'
+            ]);
+            // An orphan branch: no history shared with the code
+            expect(git(remote, 'rev-list', '--max-parents=0', 'symphony-data').split('\n')).toHaveLength(1);
+            expect(second.loadHistory()).toEqual([entry('aaaa1111')]);
+            expect(clone('third').loadHistory()).toEqual([entry('aaaa1111'), entry('bbbb2222')]);
+        });
+
+        test('should redo a SQLite update after another transaction committed', () => {
+            const file = path.join(rootDir, 'symphony.db');
+            const first = new BaselineStore(new SqliteStorage({ file }), policy);
+            const second = new BaselineStore(new SqliteStorage({ file }), policy);
+
+            let calls = 0;
+            first.update('main', current => {
+                calls++;
+                if (calls === 1) {
+                    second.update('main', () => ({ history: [entry('aaaa1111')] }));
+                }
+                return { history: [...current.history, entry('bbbb2222')] };
+            });
+
+            expect(calls).toBe(2);
+            expect(first.loadHistory()).toEqual([entry('aaaa1111'), entry('bbbb2222')]);
+        });
+
+        test('should wait for the fs lock of another writer', () => {
+            const dir = path.join(rootDir, 'baselines');
+            const storage = new FsStorage({ dir, lockTimeout: 100 });
+            const release = storage.lock();
+
+            expect(() => storage.update(['metrics.json'], () => ({}))).toThrow('Timed out waiting for');
+            release();
+            expect(storage.update(['history.json'], () => ({ 'history.json': '{}' }))).toEqual({ 'history.json': '{}' });
+            expect(fs.readdirSync(dir)).toEqual(['history.json']);
+        });
+    });
+
+    describe('fs', () => {
+        test('should put every document back when a rename fails', () => {
+            const dir = path.join(rootDir, 'baselines');
+            const storage = new FsStorage({ dir });
+            storage.update([], () => ({ 'metrics.json': 'old metrics' }));
+
+            const rename = fs.renameSync;
+            let renames = 0;
+            jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+                if (++renames === 2) throw new Error('ENOSPC');
+                return rename(from, to);
+            });
+
+            expect(() => storage.update([], () => ({ 'metrics.json': 'new metrics', 'history.json': 'new history' })))
+                .toThrow('ENOSPC');
+            expect(fs.readdirSync(dir)).toEqual(['metrics.json']);
+            expect(storage.read('metrics.json')).toBe('old metrics');
+        });
+    });
+
+    describe('migrateStorage', () => {
+        test('should copy and upgrade every baseline document into another backend', () => {
+            const dir = path.join(rootDir, 'baselines');
+            fs.mkdirSync(path.join(dir, 'branches', 'release', '1.4'), { recursive: true });
+            fs.mkdirSync(path.join(dir, 'archive'));
+            fs.writeFileSync(path.join(dir, 'metrics.json'), JSON.stringify({ ...baseline('aaaa1111', 80), version: '1.0.0' }));
+            fs.writeFileSync(path.join(dir, 'history.json'), JSON.stringify([{ timestamp: '2026-01-01T00:00:00Z', commit: 'aaaa1111' }]));
+            fs.writeFileSync(path.join(dir, 'branches', 'release', '1.4', 'metrics.json'), JSON.stringify({ ...baseline('bbbb2222', 70), schemaVersion: 2 }));
+            fs.writeFileSync(path.join(dir, 'archive', 'aaaa1111.json'), '{}');
+
+            const source = new BaselineStore(new FsStorage({ dir }), policy);
+            const target = new BaselineStore(new SqliteStorage({ file: path.join(rootDir, 'symphony.db') }), policy);
+
+            expect(migrateStorage(source, target, { dryRun: true })).toHaveLength(3);
+            expect(target.adapter.keys()).toEqual([]);
+
+            expect(migrateStorage(source, target).sort()).toEqual(['branches/release/1.4/metrics.json', 'history.json', 'metrics.json']);
+            expect(target.loadBaseline()).toMatchObject({ schemaVersion: 2, commit: 'aaaa1111' });
+            expect(target.loadBaseline()).not.toHaveProperty('version');
+            expect(target.loadHistory()).toEqual([entry('aaaa1111')]);
+            expect(target.loadBaseline('release/1.4').commit).toBe('bbbb2222');
+        });
+    });
+});
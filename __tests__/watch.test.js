@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MetricsWatcher = require('../scripts/watch');
+const { loadConfig } = require('../scripts/lib/config');
+const { MetricRegistry } = require('../scripts/lib/metric-registry');
+
+describe('MetricsWatcher', () => {
+    const registry = new MetricRegistry().register({
+        id: 'bundleSize',
+        label: 'Bundle Size',
+        emoji: '📦',
+        unit: 'bytes',
+        direction: 'lower',
+        thresholds: { good: 100 * 1024, warning: 200 * 1024 },
+        collect: async () => null,
+        value: data => data.total
+    });
+
+    const build = (total, files) => ({ metrics: {}, bundleSize: { total, files } });
+
+    let rootDir;
+    let watcher;
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'symphony-watch-'));
+        watcher = new MetricsWatcher(loadConfig({ rootDir }), registry);
+    });
+
+    afterEach(() => {
+        watcher.close();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    describe('formatDelta', () => {
+        test('should show the first build without changes', () => {
+            const delta = watcher.formatDelta(build(50 * 1024, {}));
+
+            expect(delta).toContain('sākotnējā būve');
+            expect(delta).toMatch(/✅ 📦 Bundle Size: 50 KB$/);
+        });
+
+        test('should show changes against the baseline and the previous build', () => {
+            watcher.baseline = { metrics: { bundleSize: { value: 100 * 1024 } } };
+            watcher.previous = build(110 * 1024, { 'main.js': { gzip: 1000 }, 'old.js': { gzip: 200 } });
+
+            const delta = watcher.formatDelta(build(120 * 1024, { 'main.js': { gzip: 1500 } }), { changed: ['app.js'], duration: 1200 });
+
+            expect(delta).toContain('app.js (1.2s)');
+            expect(delta).toContain('⚠️ 📦 Bundle Size: 120 KB (+20 KB baseline, +10 KB iepriekš)');
+            expect(delta).toContain('📄 main.js +500 B, old.js -200 B gzip');
+        });
+    });
+
+    describe('flush', () => {
+        test('should rebuild once more when changes arrive during a build', async () => {
+            let builds = 0;
+            jest.spyOn(watcher, 'rebuild').mockImplementation(async () => {
+                builds++;
+                watcher.controller = new AbortController();
+                await new Promise(resolve => setTimeout(resolve, 10));
+            });
+
+            const first = watcher.flush();
+            watcher.changed.add('app.js');
+            watcher.flush();
+            await first;
+            await watcher.running;
+
+            expect(builds).toBe(2);
+            expect(watcher.rebuild).toHaveBeenLastCalledWith(['app.js']);
+        });
+    });
+});
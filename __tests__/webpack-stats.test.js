@@ -0,0 +1,124 @@
+const {
+    getPackageInfo,
+    analyzeWebpackStats,
+    summarizeAnalysis,
+    diffSizes
+} = require('../scripts/lib/webpack-stats');
+
+const stats = {
+    assets: [
+        { name: 'main.js', size: 3000 },
+        { name: 'main.js.map', size: 9000 },
+        { name: 'admin.js', size: 1500 }
+    ],
+    entrypoints: {
+        main: { chunks: [1], assets: [{ name: 'main.js', size: 3000 }], assetsSize: 3000 },
+        admin: { chunks: [2], assets: ['admin.js'] }
+    },
+    chunks: [
+        { id: 1, names: ['main'], files: ['main.js', 'main.js.map'], size: 2600, initial: true, entry: true },
+        { id: 2, names: ['admin'], files: ['admin.js'], size: 1400, initial: true, entry: true }
+    ],
+    modules: [
+        {
+            name: './src/app.js + 2 modules',
+            size: 1200,
+            chunks: [1],
+            modules: [
+                { name: './src/app.js', nameForCondition: '/repo/src/app.js', size: 700 },
+                { name: './src/utils.js', nameForCondition: '/repo/src/utils.js', size: 500 }
+            ]
+        },
+        { name: './node_modules/lodash/get.js', nameForCondition: '/repo/node_modules/lodash/get.js', size: 800, chunks: [1, 2] },
+        {
+            name: './node_modules/legacy/node_modules/lodash/get.js',
+            nameForCondition: '/repo/node_modules/legacy/node_modules/lodash/get.js',
+            size: 600,
+            chunks: [2]
+        },
+        { name: './node_modules/@scope/pkg/index.js', nameForCondition: '/repo/node_modules/@scope/pkg/index.js', size: 400, chunks: [1] }
+    ]
+};
+
+const versions = {
+    '/repo/node_modules/lodash': '4.17.21',
+    '/repo/node_modules/legacy/node_modules/lodash': '3.10.1',
+    '/repo/node_modules/@scope/pkg': '1.0.0'
+};
+
+describe('webpack stats analysis', () => {
+    let analysis;
+
+    beforeEach(() => {
+        analysis = analyzeWebpackStats(stats, { readVersion: root => versions[root] || null });
+    });
+
+    describe('getPackageInfo', () => {
+        test('should resolve plain and scoped packages', () => {
+            expect(getPackageInfo('/repo/node_modules/lodash/get.js')).toEqual({ name: 'lodash', root: '/repo/node_modules/lodash' });
+            expect(getPackageInfo('/repo/node_modules/@scope/pkg/index.js').name).toBe('@scope/pkg');
+        });
+
+        test('should use the innermost node_modules directory', () => {
+            expect(getPackageInfo('/repo/node_modules/legacy/node_modules/lodash/get.js').root)
+                .toBe('/repo/node_modules/legacy/node_modules/lodash');
+        });
+
+        test('should ignore loader prefixes and project files', () => {
+            expect(getPackageInfo('/repo/node_modules/babel-loader/lib/index.js!/repo/src/app.js')).toBeNull();
+            expect(getPackageInfo(null)).toBeNull();
+        });
+    });
+
+    describe('analyzeWebpackStats', () => {
+        test('should report entrypoint sizes without source maps', () => {
+            expect(analysis.entrypoints).toEqual([
+                { name: 'main', chunks: ['main'], assets: ['main.js'], size: 3000 },
+                { name: 'admin', chunks: ['admin'], assets: ['admin.js'], size: 1500 }
+            ]);
+            expect(analysis.chunks[0].files).toEqual(['main.js']);
+        });
+
+        test('should flatten concatenated modules', () => {
+            const names = analysis.modules.map(module => module.name);
+
+            expect(names).toContain('./src/app.js');
+            expect(names).toContain('./src/utils.js');
+            expect(names).not.toContain('./src/app.js + 2 modules');
+            expect(analysis.modules.find(module => module.name === './src/utils.js').chunks).toEqual(['main']);
+        });
+
+        test('should flag packages bundled in more than one version', () => {
+            expect(analysis.duplicatePackages).toHaveLength(1);
+            expect(analysis.duplicatePackages[0].name).toBe('lodash');
+            expect(analysis.duplicatePackages[0].size).toBe(1400);
+            expect(analysis.duplicatePackages[0].versions.map(install => install.version)).toEqual(['4.17.21', '3.10.1']);
+            expect(analysis.packages['@scope/pkg']).toEqual({ size: 400, versions: ['1.0.0'] });
+        });
+
+        test('should flag modules that appear in several chunks', () => {
+            expect(analysis.sharedModules).toEqual([
+                { name: './node_modules/lodash/get.js', size: 800, chunks: ['main', 'admin'] }
+            ]);
+        });
+    });
+
+    describe('summarizeAnalysis and diffSizes', () => {
+        test('should produce name to size maps', () => {
+            const summary = summarizeAnalysis(analysis);
+
+            expect(summary.entrypoints).toEqual({ main: 3000, admin: 1500 });
+            expect(summary.chunks).toEqual({ main: 2600, admin: 1400 });
+            expect(summary.modules['./src/app.js']).toBe(700);
+            expect(summary.duplicatePackages).toEqual([{ name: 'lodash', versions: ['4.17.21', '3.10.1'] }]);
+        });
+
+        test('should list the largest changes first and include added and removed entries', () => {
+            expect(diffSizes({ a: 100, b: 500, c: 10 }, { a: 100, b: 200, d: 50 })).toEqual([
+                { name: 'b', current: 500, baseline: 200, change: 300 },
+                { name: 'd', current: 0, baseline: 50, change: -50 },
+                { name: 'c', current: 10, baseline: 0, change: 10 }
+            ]);
+        });
+    });
+});
@@ -3,7 +3,7 @@ module.exports = {
   testMatch: ['**/src/**/*.test.js'],
   collectCoverage: true,
   coverageDirectory: 'coverage',
-  coverageReporters: ['json-summary', 'text', 'lcov'],
+  coverageReporters: ['json-summary', 'json', 'text', 'lcov'],
   coverageThreshold: {
     global: {
       branches: 80,
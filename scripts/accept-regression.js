@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { createRegistry, formatMetricValue } = require('./lib/metric-registry');
+const { CLASSIFICATION, classifyChanges } = require('./lib/regression');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const { readDocument } = require('./lib/schema');
+const { resolveBaselineBranch } = require('./lib/branches');
+const { createStorage } = require('./lib/storage');
+const {
+    getActor,
+    createAcceptance,
+    getAcceptances,
+    findAcceptance,
+    readAcceptLabel
+} = require('./lib/acceptance');
+
+/**
+ * Accept metric regressions of the current results against their baseline, in the audit log
+ *
+ * An accepted regression passes the budget gate and the next baseline update of the same commit or
+ * pull request, for as long as the baseline it was accepted against is the current one and the metric
+ * gets no worse than accepted.
+ */
+class RegressionAcceptor {
+    constructor(config = loadConfig(), registry = createRegistry({ config })) {
+        this.config = config;
+        this.registry = registry;
+        this.policy = config.baseline;
+        this.reportsDir = config.paths.reports;
+        this.storage = createStorage(config);
+    }
+
+    /**
+     * Load analysis results
+     */
+    loadResults() {
+        const results = readDocument('results', path.join(this.reportsDir, 'analysis-results.json'));
+
+        if (!results) {
+            throw new Error('Analysis results not found. Run analysis first.');
+        }
+
+        return results;
+    }
+
+    /**
+     * Metrics classified as regressions against the baseline, as in the PR comment
+     */
+    findRegressions(results, baseline, branch) {
+        const classifications = classifyChanges(this.registry, results, baseline, {
+            ...this.config.regression,
+            history: this.storage.loadHistory(branch)
+        });
+        return Object.keys(classifications).filter(id => classifications[id].classification === CLASSIFICATION.REGRESSION);
+    }
+
+    /**
+     * Record acceptances in the audit log of the baseline branch the results are compared with.
+     * Metrics already accepted at this value or a worse one are skipped.
+     * @param {Object} options - Accept options
+     * @param {string[]} options.metrics - Metric ids, every regression when not given
+     * @param {string} options.actor - Who accepts
+     * @param {string} options.reason - Why
+     * @param {string} options.source - cli or label
+     * @param {string|null} options.pr - Pull request number, the one the results were analyzed for by default
+     * @returns {Object} { commit, branch, accepted, skipped }
+     */
+    accept({ metrics, actor, reason, source, pr = null }) {
+        const results = this.loadResults();
+        // The acceptance only applies to this commit and pull request, with the values measured now
+        const scope = { commit: results.commit, pr: pr || results.pr || null };
+        const branch = resolveBaselineBranch(this.storage, this.policy);
+        const baseline = this.storage.loadBaseline(branch);
+        if (!baseline) {
+            // Without a baseline nothing regressed, only naming a metric is a mistake
+            if (metrics) throw new Error(`${branch} has no baseline to accept regressions against`);
+            console.log(`ℹ️ ${branch} vēl nav baseline, nav ko pieņemt`);
+            return { commit: results.commit, branch, accepted: [], skipped: [] };
+        }
+
+        const plugins = (metrics || this.findRegressions(results, baseline, branch)).map(id => {
+            const plugin = this.registry.get(id);
+            if (!plugin) {
+                throw new Error(`Unknown metric "${id}", expected one of ${this.registry.list().map(({ id: known }) => known).join(', ')}`);
+            }
+            return plugin;
+        });
+
+        if (plugins.length === 0) {
+            console.log('✅ Nav regresiju, ko pieņemt');
+        }
+
+        const acceptances = getAcceptances(this.storage.loadAudit(branch), baseline, scope);
+        const entries = plugins.map(plugin => createAcceptance(plugin, results, baseline, { actor, reason, source, branch, pr: scope.pr }));
+        const accepted = entries.filter(entry => !findAcceptance(acceptances, this.registry.get(entry.metric), entry.value));
+        const skipped = entries.filter(entry => !accepted.includes(entry)).map(entry => entry.metric);
+
+        if (accepted.length > 0) {
+            this.storage.appendAudit(branch, accepted);
+        }
+
+        accepted.forEach(entry => {
+            const plugin = this.registry.get(entry.metric);
+            console.log(`☑️ ${plugin.emoji} ${plugin.label}: ${formatMetricValue(plugin, entry.baseline)} → ${formatMetricValue(plugin, entry.value)} pieņemts (${actor}: ${reason})`);
+        });
+        skipped.forEach(id => {
+            console.log(`ℹ️ ${this.registry.get(id).label} jau ir pieņemts`);
+        });
+
+        return { commit: results.commit, branch, accepted, skipped };
+    }
+
+    /**
+     * Accept every regression of this run when it was started by adding `baseline.acceptLabel` to the pull request
+     * @returns {Object} Result of accept, nothing accepted for any other event
+     */
+    acceptLabelled() {
+        const label = readAcceptLabel(this.policy.acceptLabel);
+        if (!label) {
+            const missing = this.policy.acceptLabel ? `etiķete "${this.policy.acceptLabel}" netika tikko pievienota PR` : 'baseline.acceptLabel nav iestatīts';
+            console.log(`ℹ️ ${missing}, nekas netiek pieņemts`);
+            return { commit: null, branch: null, accepted: [], skipped: [] };
+        }
+
+        return this.accept({ ...label, source: 'label' });
+    }
+
+    /**
+     * Run acceptance
+     * @param {Object} options - Run options
+     * @param {string} options.metric - Metric to accept
+     * @param {string} options.reason - Why the regression is accepted
+     * @param {string} options.actor - Who accepts, the GitHub actor or local user by default
+     * @param {boolean} options.label - Accept every regression of a labelled PR instead
+     */
+    run({ metric, reason, actor = getActor(), label = false } = {}) {
+        console.log('☑️ Regresiju pieņemšana sākas...');
+        if (this.config.project) {
+            console.log(`🗂️ Projekts: ${this.config.project.name}`);
+        }
+
+        if (label) {
+            return this.acceptLabelled();
+        }
+
+        return this.accept({ metrics: [metric], actor, reason, source: 'cli' });
+    }
+}
+
+// Run if called directly: accepts the regressions of a PR with the accept label
+if (require.main === module) {
+    try {
+        resolveProjects(loadConfig()).forEach(config => new RegressionAcceptor(config).run({ label: true }));
+    } catch (error) {
+        console.error('❌ Regresiju pieņemšanas kļūda:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = RegressionAcceptor;
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const { createRegistry, formatMetricValue } = require('./lib/metric-registry');
+const { STORAGE_BACKENDS, createStorage, migrateStorage } = require('./lib/storage');
+const { DAY_MS, RESOLUTIONS, compactHistory, queryHistory } = require('./lib/retention');
+const { STDERR_STDIO } = require('./lib/steps');
+
+/**
+ * Exit codes of every command
+ */
+const EXIT_CODES = {
+    OK: 0,
+    // The command ran and failed: analysis failed, a request was refused, a file did not match its schema
+    FAILURE: 1,
+    // Unknown command or option, missing arguments
+    USAGE: 2
+};
+
+/**
+ * Options every command accepts
+ */
+const SHARED_OPTIONS = {
+    config: { type: 'string', value: '<file>', description: 'Config file (default: $SYMPHONY_CONFIG or symphony.config.js)' },
+    'reports-dir': { type: 'string', value: '<dir>', description: 'Reports directory instead of paths.reports' },
+    json: { type: 'boolean', description: 'Print the result as JSON on stdout, logs go to stderr' },
+    'dry-run': { type: 'boolean', description: 'comment, notify: print the payload instead of sending it; migrate, compact: only show what would change' },
+    help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+/**
+ * Wrong command line, exits with EXIT_CODES.USAGE
+ */
+class UsageError extends Error {}
+
+const printJson = (value, print) => print(JSON.stringify(value, null, 2));
+
+/**
+ * Subcommands. run(config, context) returns { output, failed }: output is printed with --json,
+ * failed turns into EXIT_CODES.FAILURE.
+ */
+const COMMANDS = {
+    analyze: {
+        description: 'Run every collector and compare the results with the baseline',
+        run: async (config, { json }) => {
+            const AnalysisRunner = require('./run-analysis');
+            const results = await AnalysisRunner.runProjects(config, json ? { stdio: STDERR_STDIO } : {});
+            // Partial results still produce a comment and badges
+            return { output: results, failed: results.some(result => result.status === 'failed') };
+        }
+    },
+    badges: {
+        description: 'Generate badges, the metrics table and the dashboard API data',
+        run: async config => {
+            const BadgeGenerator = require('./generate-badges');
+            return { output: new BadgeGenerator(config).run() };
+        }
+    },
+    comment: {
+        description: 'Post or update the PR comment (GITHUB_TOKEN, GITHUB_REPOSITORY, GITHUB_EVENT_NUMBER)',
+        dryRun: true,
+        run: async (config, { dryRun, json, print }) => {
+            const PRCommentator = require('./comment-pr');
+            const payload = await new PRCommentator(config).run({ dryRun });
+            if (dryRun && !json) print(payload.body);
+            return { output: payload };
+        }
+    },
+    gate: {
+        description: 'Check the results against the budgets and maximum deltas in gate.rules',
+        run: async config => {
+            const BudgetGate = require('./gate');
+            const reports = resolveProjects(config).map(projectConfig => new BudgetGate(projectConfig).run());
+            return { output: reports, failed: reports.some(report => report.status === 'failed') };
+        }
+    },
+    baseline: {
+        description: 'Update the baseline on baseline branches and events',
+        run: async config => {
+            const BaselineUpdater = require('./update-baseline');
+            return { output: resolveProjects(config).map(projectConfig => new BaselineUpdater(projectConfig).run()) };
+        }
+    },
+    'baseline accept': {
+        description: 'Accept a metric regression of the current results, recorded in the audit log',
+        usage: '<metric> --reason <text> | --label',
+        positionals: [0, 1],
+        options: {
+            reason: { type: 'string', value: '<text>', description: 'Why the regression is intended' },
+            by: { type: 'string', value: '<name>', description: 'Who accepts it (default: $GITHUB_ACTOR or the local user)' },
+            label: { type: 'boolean', description: 'Accept every regression when the run was started by adding baseline.acceptLabel to the PR' }
+        },
+        run: async (config, { options, positionals, json, print }) => {
+            const [metric] = positionals;
+            if (options.label ? metric || options.reason : !metric || !options.reason) {
+                throw new UsageError('"baseline accept" expects a <metric> and --reason, or --label alone');
+            }
+
+            const RegressionAcceptor = require('./accept-regression');
+            const output = resolveProjects(config).map(projectConfig => ({
+                project: projectConfig.project ? projectConfig.project.name : null,
+                ...new RegressionAcceptor(projectConfig).run({ metric, reason: options.reason, actor: options.by, label: options.label })
+            }));
+
+            if (!json) {
+                const count = output.reduce((sum, { accepted }) => sum + accepted.length, 0);
+                print(`☑️ Pieņemtas regresijas: ${count}`);
+            }
+            return { output };
+        }
+    },
+    notify: {
+        description: 'Send the Slack notification (SLACK_WEBHOOK_URL, JOB_STATUS)',
+        dryRun: true,
+        run: async (config, { dryRun, json, print }) => {
+            const { sendSlackNotification } = require('./slack-notify');
+            const payload = await sendSlackNotification({ config, dryRun });
+            if (dryRun && !json && payload) printJson(payload, print);
+            return { output: payload };
+        }
+    },
+    history: {
+        description: 'Show the baseline history, runs and the daily and weekly aggregates of older runs',
+        usage: '[--limit <n>] [--branch <name>] [--resolution <run|day|week>] [--since <days>]',
+        options: {
+            limit: { type: 'string', value: '<n>', description: 'Number of most recent entries (default: 10)' },
+            branch: { type: 'string', value: '<name>', description: 'Baseline branch (default: baseline.fallbackBranch)' },
+            resolution: { type: 'string', value: '<run|day|week>', description: 'Aggregate finer entries per day or week (default: run)' },
+            since: { type: 'string', value: '<days>', description: 'Only entries of the last <days> days' }
+        },
+        run: async (config, { options, json, print }) => {
+            const limit = options.limit === undefined ? 10 : parseInt(options.limit, 10);
+            if (!Number.isInteger(limit) || limit < 1) {
+                throw new UsageError(`--limit must be a positive integer, got "${options.limit}"`);
+            }
+            const resolution = options.resolution || 'run';
+            if (!RESOLUTIONS.includes(resolution)) {
+                throw new UsageError(`--resolution must be one of ${RESOLUTIONS.join(', ')}, got "${options.resolution}"`);
+            }
+            const since = options.since === undefined ? null : parseInt(options.since, 10);
+            if (since !== null && (!Number.isInteger(since) || since < 1)) {
+                throw new UsageError(`--since must be a positive number of days, got "${options.since}"`);
+            }
+
+            const registry = createRegistry({ config });
+            const branch = options.branch || config.baseline.fallbackBranch;
+            const query = { resolution, from: since === null ? undefined : Date.now() - since * DAY_MS };
+            const output = resolveProjects(config).map(projectConfig => ({
+                project: projectConfig.project ? projectConfig.project.name : null,
+                entries: queryHistory(createStorage(projectConfig).loadHistory(branch), query).slice(-limit)
+            }));
+
+            if (!json) {
+                output.forEach(({ project, entries }) => {
+                    if (project) print(`🗂️ ${project}`);
+                    if (entries.length === 0) print('  Vēsture ir tukša');
+                    entries.forEach(entry => {
+                        const values = registry.list()
+                            .filter(plugin => typeof entry[plugin.id] === 'number')
+                            .map(plugin => {
+                                const stats = entry.stats && entry.stats[plugin.id];
+                                const range = stats && stats.min !== stats.max
+                                    ? ` (${formatMetricValue(plugin, stats.min)}–${formatMetricValue(plugin, stats.max)})`
+                                    : '';
+                                return `${plugin.emoji} ${formatMetricValue(plugin, entry[plugin.id])}${range}`;
+                            });
+                        const label = entry.runs ? `${entry.resolution} ×${entry.runs}` : (entry.commit || 'unknown').substring(0, 7);
+                        print(`  ${entry.timestamp} ${label} ${values.join('  ')}`);
+                    });
+                });
+            }
+
+            return { output };
+        }
+    },
+    watch: {
+        description: 'Rebuild on changes under src/ and print the bundle size delta after every build',
+        usage: '[--coverage]',
+        options: {
+            coverage: { type: 'boolean', description: 'Rerun the tests and print the coverage delta too' }
+        },
+        run: async (config, { options, json }) => {
+            const MetricsWatcher = require('./watch');
+            await MetricsWatcher.watchProjects(config, {
+                ...(options.coverage ? { coverage: true } : {}),
+                ...(json ? { stdio: STDERR_STDIO } : {})
+            });
+            return { output: null };
+        }
+    },
+    migrate: {
+        description: 'Copy baselines and history from one storage backend to another (fs, git, sqlite)',
+        usage: '<from> <to>',
+        positionals: 2,
+        dryRun: true,
+        run: async (config, { positionals, dryRun, json, print }) => {
+            const [from, to] = positionals;
+            [from, to].forEach(backend => {
+                if (!STORAGE_BACKENDS[backend]) {
+                    throw new UsageError(`Unknown storage backend "${backend}", expected one of ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+                }
+            });
+            if (from === to) {
+                throw new UsageError(`Nothing to migrate from "${from}" to itself`);
+            }
+
+            const output = resolveProjects(config).map(projectConfig => {
+                const source = createStorage(projectConfig, from);
+                const target = createStorage(projectConfig, to);
+                const keys = migrateStorage(source, target, { dryRun });
+                if (!json) {
+                    print(`${dryRun ? '🔍' : '📦'} ${source.describe()} → ${target.describe()}: ${keys.length} dokumenti${dryRun ? ' (dry run)' : ''}`);
+                    keys.forEach(key => print(`  ${key}`));
+                }
+                return { project: projectConfig.project ? projectConfig.project.name : null, from: source.describe(), to: target.describe(), keys };
+            });
+
+            return { output };
+        }
+    },
+    compact: {
+        description: 'Apply baseline.retention to the stored history: aggregate older runs per day and week',
+        usage: '[--branch <name>]',
+        options: {
+            branch: { type: 'string', value: '<name>', description: 'Baseline branch (default: baseline.fallbackBranch)' }
+        },
+        dryRun: true,
+        run: async (config, { options, dryRun, json, print }) => {
+            const branch = options.branch || config.baseline.fallbackBranch;
+
+            const output = resolveProjects(config).map(projectConfig => {
+                const store = createStorage(projectConfig);
+                const retention = projectConfig.baseline.retention;
+                const stored = store.loadHistory(branch);
+                let before = stored.length;
+                let after = compactHistory(stored, retention).length;
+
+                if (!dryRun && before > 0) {
+                    // Counted again inside the write, another run may have added an entry meanwhile
+                    store.update(branch, current => {
+                        const history = compactHistory(current.history, retention);
+                        before = current.history.length;
+                        after = history.length;
+                        return { history };
+                    });
+                }
+
+                if (!json) {
+                    print(`${dryRun ? '🔍' : '🗜️'} ${store.describe()} ${branch}: ${before} → ${after} ieraksti${dryRun ? ' (dry run)' : ''}`);
+                }
+                return { project: projectConfig.project ? projectConfig.project.name : null, storage: store.describe(), branch, before, after };
+            });
+
+            return { output };
+        }
+    },
+    compare: {
+        description: 'Compare the results of two commits, branches or tags',
+        usage: '<base> <head>',
+        positionals: 2,
+        run: async (config, { positionals }) => {
+            const ResultsComparer = require('./compare');
+            const [baseRef, headRef] = positionals;
+            return { output: resolveProjects(config).map(projectConfig => new ResultsComparer(projectConfig).run(baseRef, headRef)) };
+        }
+    }
+};
+
+/**
+ * Help text of the CLI, or of one command
+ */
+function formatHelp(commandName) {
+    const command = COMMANDS[commandName];
+    const formatOptions = options => Object.entries(options).map(([name, option]) => {
+        const flag = `${option.short ? `-${option.short}, ` : ''}--${name}${option.value ? ` ${option.value}` : ''}`;
+        return `  ${flag.padEnd(24)}${option.description}`;
+    });
+
+    const lines = command
+        ? [
+            `Usage: symphony ${commandName}${command.usage ? ` ${command.usage}` : ''} [options]`,
+            '',
+            command.description,
+            ...(command.options ? ['', 'Options:', ...formatOptions(command.options)] : [])
+        ]
+        : [
+            'Usage: symphony <command> [options]',
+            '',
+            'Commands:',
+            ...Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(24)}${description}`)
+        ];
+
+    lines.push(
+        '',
+        'Shared options:',
+        ...formatOptions(SHARED_OPTIONS),
+        '',
+        'Exit codes:',
+        `  ${EXIT_CODES.OK}  success`,
+        `  ${EXIT_CODES.FAILURE}  the command failed`,
+        `  ${EXIT_CODES.USAGE}  unknown command or option, missing arguments`
+    );
+
+    return lines.join('\n');
+}
+
+/**
+ * Split the command line into a command, its options and positional arguments
+ * @param {string[]} argv - Arguments after the executable, e.g. ['compare', 'v1.0', 'main', '--json']
+ * @returns {{command: string|null, options: Object, positionals: string[]}}
+ */
+function parseCommandLine(argv) {
+    // Two word commands such as `baseline accept` come before the command they start with
+    const words = argv.length > 1 && COMMANDS[`${argv[0]} ${argv[1]}`] ? 2 : 1;
+    const [commandName, ...rest] = argv[0] && !argv[0].startsWith('-')
+        ? [argv.slice(0, words).join(' '), ...argv.slice(words)]
+        : [null, ...argv];
+    if (commandName !== null && !COMMANDS[commandName]) {
+        throw new UsageError(`Unknown command "${commandName}"`);
+    }
+
+    const command = COMMANDS[commandName] || {};
+    const options = { ...SHARED_OPTIONS, ...(command.options || {}) };
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: rest,
+            options: Object.fromEntries(Object.entries(options).map(([name, { type, short }]) => [name, short ? { type, short } : { type }])),
+            allowPositionals: true,
+            strict: true
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (parsed.values.help) {
+        return { command: commandName, options: parsed.values, positionals: parsed.positionals };
+    }
+    if (commandName === null) {
+        throw new UsageError('Missing command');
+    }
+    // A number of positionals, or the list of numbers allowed
+    if (![].concat(command.positionals || 0).includes(parsed.positionals.length)) {
+        throw new UsageError(`"${commandName}" expects ${command.usage || 'no arguments'}, got ${parsed.positionals.length ? parsed.positionals.join(' ') : 'none'}`);
+    }
+    if (parsed.values['dry-run'] && !command.dryRun) {
+        throw new UsageError(`"${commandName}" does not support --dry-run`);
+    }
+
+    return { command: commandName, options: parsed.values, positionals: parsed.positionals };
+}
+
+/**
+ * Config for the shared options. Paths are relative to the config file, or to the working directory without one.
+ */
+function loadCommandConfig(options, cwd = process.cwd()) {
+    const configPath = options.config ? path.resolve(cwd, options.config) : undefined;
+    return loadConfig({
+        configPath,
+        rootDir: configPath ? path.dirname(configPath) : cwd,
+        overrides: options['reports-dir'] ? { paths: { reports: path.resolve(cwd, options['reports-dir']) } } : undefined
+    });
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(argv, { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = {}) {
+    const print = line => stdout.write(`${line}\n`);
+    const printError = line => stderr.write(`${line}\n`);
+
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        printError(`❌ ${error.message}\n`);
+        const name = [argv.slice(0, 2).join(' '), argv[0]].find(candidate => COMMANDS[candidate]);
+        printError(formatHelp(name || null));
+        return EXIT_CODES.USAGE;
+    }
+
+    const { command, options, positionals } = parsed;
+    if (options.help) {
+        print(formatHelp(command));
+        return EXIT_CODES.OK;
+    }
+
+    // With --json stdout carries only the result, the usual progress logs and the output of
+    // build and test commands move to stderr
+    const log = console.log;
+    if (options.json) console.log = console.error;
+
+    try {
+        const config = loadCommandConfig(options, cwd);
+        const { output, failed } = await COMMANDS[command].run(config, {
+            options,
+            positionals,
+            dryRun: !!options['dry-run'],
+            json: !!options.json,
+            print
+        });
+
+        if (options.json) printJson(output === undefined ? null : output, print);
+        return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    } catch (error) {
+        if (options.json) printJson({ error: error.message }, print);
+        printError(`❌ ${command}: ${error.message}`);
+        return error instanceof UsageError ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+    } finally {
+        console.log = log;
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    runCli(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error('❌ symphony:', error.message);
+        process.exitCode = EXIT_CODES.FAILURE;
+    });
+}
+
+module.exports = {
+    EXIT_CODES,
+    COMMANDS,
+    UsageError,
+    formatHelp,
+    parseCommandLine,
+    runCli
+};
@@ -3,39 +3,73 @@
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
+const {
+    createRegistry,
+    getMetricValue,
+    evaluateMetric,
+    formatMetricValue,
+    formatMetricChange,
+    isSignificantChange,
+    isImprovement
+} = require('./lib/metric-registry');
+const { CLASSIFICATION } = require('./lib/regression');
+const { getProfileResults } = require('./lib/lighthouse');
+const { CATEGORIES, getProfileMetricId } = require('./lib/collectors/performance');
+const { STEP_STATUS } = require('./lib/steps');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const { readDocument } = require('./lib/schema');
+
+const STATUS_EMOJI = {
+    good: '✅',
+    warning: '⚠️',
+    bad: '❌'
+};
+
+const CHANGE_LABELS = {
+    [CLASSIFICATION.REGRESSION]: '🔴 regression',
+    [CLASSIFICATION.IMPROVEMENT]: '🟢 improvement',
+    [CLASSIFICATION.NOISE]: '⚪ noise'
+};
+
+const ANALYSIS_LABELS = {
+    completed: '✅ completed',
+    partial: '⚠️ partial',
+    failed: '❌ failed'
+};
+
+const STEP_LABELS = {
+    [STEP_STATUS.OK]: '✅ ok',
+    [STEP_STATUS.FAILED]: '❌ failed',
+    [STEP_STATUS.TIMED_OUT]: '⏱️ timed out',
+    [STEP_STATUS.SKIPPED]: '⏭️ skipped'
+};
 
 /**
  * PR Comment generator for CI/CD results
  */
 class PRCommentator {
-    constructor() {
-        this.reportsDir = path.join(__dirname, '../reports');
-        this.badgesDir = path.join(__dirname, '../badges');
+    constructor(config = loadConfig(), registry = createRegistry({ config })) {
+        this.config = config;
+        this.registry = registry;
+        this.reportsDir = config.paths.reports;
+        this.badgesDir = config.paths.badges;
         this.githubToken = process.env.GITHUB_TOKEN;
         this.repository = process.env.GITHUB_REPOSITORY;
         this.prNumber = process.env.GITHUB_EVENT_NUMBER || process.env.PR_NUMBER;
         this.runId = process.env.GITHUB_RUN_ID;
-        
-        if (!this.githubToken) {
-            throw new Error('GITHUB_TOKEN environment variable is required');
-        }
-        
-        if (!this.repository) {
-            throw new Error('GITHUB_REPOSITORY environment variable is required');
-        }
     }
 
     /**
      * Load analysis results
      */
     loadResults() {
-        const resultsPath = path.join(this.reportsDir, 'analysis-results.json');
+        const results = readDocument('results', path.join(this.reportsDir, 'analysis-results.json'));
         
-        if (!fs.existsSync(resultsPath)) {
+        if (!results) {
             throw new Error('Analysis results not found. Run analysis first.');
         }
         
-        return JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+        return results;
     }
 
     /**
@@ -48,7 +82,7 @@ class PRCommentator {
             console.warn('Badges not found. Generating badges first...');
             try {
                 const BadgeGenerator = require('./generate-badges.js');
-                const generator = new BadgeGenerator();
+                const generator = new BadgeGenerator(this.config, this.registry);
                 generator.run();
                 return JSON.parse(fs.readFileSync(badgesPath, 'utf8'));
             } catch (error) {
@@ -60,6 +94,25 @@ class PRCommentator {
         return JSON.parse(fs.readFileSync(badgesPath, 'utf8'));
     }
 
+    /**
+     * Load the results and badges of every project; a project without results is reported, not fatal
+     */
+    loadProjects() {
+        return resolveProjects(this.config).map(projectConfig => {
+            const commentator = new PRCommentator(projectConfig);
+            try {
+                return {
+                    name: projectConfig.project.name,
+                    commentator,
+                    results: commentator.loadResults(),
+                    badges: commentator.loadBadges()
+                };
+            } catch (error) {
+                return { name: projectConfig.project.name, error: error.message };
+            }
+        });
+    }
+
     /**
      * Generate PR comment content
      */
@@ -72,12 +125,74 @@ class PRCommentator {
         
         let comment = `## 🎼 CI/CD Symphony Results\n\n`;
         comment += `**Commit:** \`${commit}\` | **Time:** ${timestamp} | **Run:** [#${this.runId}](${runUrl})\n\n`;
+        comment += this.generateResultsBody(results, badges);
+        comment += this.generateFooter(results);
+
+        return comment;
+    }
+
+    /**
+     * Generate one comment for all projects: an overview, then the results of each project
+     * @param {Object[]} projects - { name, commentator, results, badges } or { name, error } per project
+     */
+    generateProjectsComment(projects) {
+        console.log('💬 Ģenerē PR komentāru projektiem...');
+
+        const analyzed = projects.filter(project => project.results);
+        if (analyzed.length === 0) {
+            throw new Error('Analysis results not found for any project. Run analysis first.');
+        }
+
+        const first = analyzed[0].results;
+        const timestamp = new Date(first.timestamp).toLocaleString('lv-LV');
+        const runUrl = `https://github.com/${this.repository}/actions/runs/${this.runId}`;
+
+        let comment = `## 🎼 CI/CD Symphony Results\n\n`;
+        comment += `**Commit:** \`${first.commit.substring(0, 7)}\` | **Time:** ${timestamp} | **Run:** [#${this.runId}](${runUrl})\n\n`;
+
+        comment += `### 🗂️ Projects\n\n`;
+        comment += `| Project | Analysis | Status |\n`;
+        comment += `|---------|----------|--------|\n`;
+        projects.forEach(project => {
+            const status = project.badges?.badges?.status?.markdown || '-';
+            const analysis = project.results ? ANALYSIS_LABELS[project.results.status] || project.results.status : '❌ no results';
+            comment += `| ${project.name} | ${analysis} | ${status} |\n`;
+        });
+
+        projects.forEach(project => {
+            comment += `\n---\n\n## 🗂️ ${project.name}\n\n`;
+            comment += project.results
+                ? project.commentator.generateResultsBody(project.results, project.badges)
+                : `> ❌ ${project.error}\n`;
+        });
+
+        comment += this.generateFooter({
+            ...first,
+            status: projects.map(project => `${project.name} ${project.results ? project.results.status : 'missing'}`).join(', ')
+        });
+
+        return comment;
+    }
+
+    /**
+     * Generate the metrics, breakdowns and recommendations of one analysis
+     */
+    generateResultsBody(results, badges) {
+        let comment = '';
+
+        if (results.status === 'partial' || results.status === 'failed') {
+            const unfinished = Object.keys(results.steps || {}).filter(id => results.steps[id].status !== STEP_STATUS.OK);
+            const scope = results.status === 'partial' ? 'Some analysis steps' : 'The analysis';
+            comment += `> ⚠️ **${results.status === 'partial' ? 'Partial results' : 'Analysis failed'}:** ${scope} did not finish`;
+            comment += unfinished.length > 0 ? ` (${unfinished.map(id => `\`${id}\``).join(', ')}).` : '.';
+            comment += ` Their metrics are missing below.\n\n`;
+        }
 
         // Add badges if available
         if (badges && badges.badges) {
             comment += `### 📊 Metrics Overview\n\n`;
             
-            const badgeTypes = ['status', 'performance', 'coverage', 'bundleSize'];
+            const badgeTypes = ['status', ...this.registry.list().map(plugin => plugin.id)];
             const availableBadges = badgeTypes.filter(type => badges.badges[type]);
             
             if (availableBadges.length > 0) {
@@ -90,67 +205,91 @@ class PRCommentator {
 
         // Detailed results table
         comment += `### 📋 Detailed Results\n\n`;
+        if (results.comparison?.hasBaseline && results.comparison.baselineBranch) {
+            comment += `Compared with the \`${results.comparison.baselineBranch}\` baseline.\n\n`;
+        }
         comment += `| Metric | Current | Previous | Change | Status |\n`;
         comment += `|--------|---------|----------|--------|--------|\n`;
 
-        // Performance
-        if (results.performance && typeof results.performance.performance === 'number') {
-            const current = `${results.performance.performance}%`;
-            const change = this.formatChange(results.comparison?.changes?.performance);
-            const status = this.getStatusEmoji(results.performance.performance, 90, 70);
-            comment += `| 🚀 Performance | ${current} | - | ${change} | ${status} |\n`;
-        }
+        this.registry.list().forEach(plugin => {
+            const value = getMetricValue(plugin, results);
+            const step = results.steps?.[plugin.source || plugin.id];
+            const previousValue = results.comparison?.previous?.[plugin.id];
+            const previous = typeof previousValue === 'number' ? formatMetricValue(plugin, previousValue) : '-';
 
-        // Coverage
-        if (results.coverage && typeof results.coverage.total === 'number') {
-            const current = `${results.coverage.total}%`;
-            const change = this.formatChange(results.comparison?.changes?.coverage);
-            const status = this.getStatusEmoji(results.coverage.total, 80, 60);
-            comment += `| 🛡️ Coverage | ${current} | - | ${change} | ${status} |\n`;
-        }
+            if (typeof value !== 'number') {
+                // Metrics of unfinished steps stay visible as N/A
+                if (step && step.status !== STEP_STATUS.OK) {
+                    comment += `| ${plugin.emoji} ${plugin.label} | N/A | ${previous} | - | ${STEP_LABELS[step.status]} |\n`;
+                }
+                return;
+            }
+
+            const current = formatMetricValue(plugin, value);
+            const change = this.formatMetricChange(
+                plugin,
+                results.comparison?.changes?.[plugin.id],
+                results.comparison?.classifications?.[plugin.id]?.classification
+            );
+            const status = STATUS_EMOJI[evaluateMetric(plugin, value)];
+            comment += `| ${plugin.emoji} ${plugin.label} | ${current} | ${previous} | ${change} | ${status} |\n`;
+        });
 
-        // Bundle Size
-        if (results.bundleSize && typeof results.bundleSize.total === 'number') {
-            const current = this.formatBytes(results.bundleSize.total);
-            const change = this.formatSizeChange(results.comparison?.changes?.bundleSize);
-            const sizeKB = Math.round(results.bundleSize.total / 1024);
-            const status = this.getBundleStatusEmoji(sizeKB);
-            comment += `| 📦 Bundle Size | ${current} | - | ${change} | ${status} |\n`;
+        // Analysis steps, expanded when something did not finish
+        if (results.steps && Object.keys(results.steps).length > 0) {
+            comment += this.generateStepsSection(results.steps, results.status === 'completed');
         }
 
         // Performance breakdown
         if (results.performance && results.performance.metrics) {
-            comment += `\n### 🚀 Performance Breakdown\n\n`;
+            const pageCount = Object.keys(results.performance.pages || {}).length;
+            const profile = results.performance.profiles ? ` (${results.performance.profile})` : '';
+            comment += `\n### 🚀 Performance Breakdown${profile}\n\n`;
+            if (pageCount > 1) {
+                comment += `Worst value of ${pageCount} pages for each metric.\n\n`;
+            }
             comment += `| Metric | Value | Threshold | Status |\n`;
             comment += `|--------|-------|-----------|--------|\n`;
             
             const metrics = results.performance.metrics;
+            const limits = this.config.webVitals;
             
             if (metrics.firstContentfulPaint) {
                 const fcp = `${metrics.firstContentfulPaint}ms`;
-                const status = metrics.firstContentfulPaint <= 1800 ? '✅' : '⚠️';
-                comment += `| First Contentful Paint | ${fcp} | ≤ 1.8s | ${status} |\n`;
+                const status = metrics.firstContentfulPaint <= limits.firstContentfulPaint ? '✅' : '⚠️';
+                comment += `| First Contentful Paint | ${fcp} | ≤ ${this.formatMs(limits.firstContentfulPaint)} | ${status} |\n`;
             }
             
             if (metrics.largestContentfulPaint) {
                 const lcp = `${metrics.largestContentfulPaint}ms`;
-                const status = metrics.largestContentfulPaint <= 2500 ? '✅' : '⚠️';
-                comment += `| Largest Contentful Paint | ${lcp} | ≤ 2.5s | ${status} |\n`;
+                const status = metrics.largestContentfulPaint <= limits.largestContentfulPaint ? '✅' : '⚠️';
+                comment += `| Largest Contentful Paint | ${lcp} | ≤ ${this.formatMs(limits.largestContentfulPaint)} | ${status} |\n`;
             }
             
             if (metrics.cumulativeLayoutShift !== undefined) {
                 const cls = metrics.cumulativeLayoutShift.toFixed(3);
-                const status = metrics.cumulativeLayoutShift <= 0.1 ? '✅' : '⚠️';
-                comment += `| Cumulative Layout Shift | ${cls} | ≤ 0.1 | ${status} |\n`;
+                const status = metrics.cumulativeLayoutShift <= limits.cumulativeLayoutShift ? '✅' : '⚠️';
+                comment += `| Cumulative Layout Shift | ${cls} | ≤ ${limits.cumulativeLayoutShift} | ${status} |\n`;
             }
             
             if (metrics.totalBlockingTime) {
                 const tbt = `${metrics.totalBlockingTime}ms`;
-                const status = metrics.totalBlockingTime <= 200 ? '✅' : '⚠️';
-                comment += `| Total Blocking Time | ${tbt} | ≤ 200ms | ${status} |\n`;
+                const status = metrics.totalBlockingTime <= limits.totalBlockingTime ? '✅' : '⚠️';
+                comment += `| Total Blocking Time | ${tbt} | ≤ ${this.formatMs(limits.totalBlockingTime)} | ${status} |\n`;
             }
         }
 
+        // Form factor profiles side by side
+        if (results.performance && results.performance.profiles) {
+            comment += this.generateProfilesSection(results);
+        }
+
+        // Lighthouse results per page
+        if (results.performance && Object.keys(results.performance.pages || {}).length > 1) {
+            const profile = results.performance.profiles ? results.performance.profile : null;
+            comment += this.generatePagesSection(results.performance.pages, results.comparison?.pages, profile);
+        }
+
         // Coverage breakdown
         if (results.coverage && results.coverage.statements !== undefined) {
             comment += `\n### 🛡️ Coverage Breakdown\n\n`;
@@ -164,34 +303,73 @@ class PRCommentator {
                 { name: 'Lines', value: results.coverage.lines }
             ];
             
+            const { good, warning } = this.registry.get('coverage')?.thresholds || { good: 80, warning: 60 };
             types.forEach(type => {
                 if (type.value !== undefined) {
-                    const status = this.getStatusEmoji(type.value, 80, 60);
+                    const status = this.getStatusEmoji(type.value, good, warning);
                     comment += `| ${type.name} | ${type.value}% | ${status} |\n`;
                 }
             });
         }
 
+        // Coverage of the lines changed in this PR
+        if (results.diffCoverage && results.diffCoverage.lines) {
+            comment += this.generateDiffCoverageSection(results.diffCoverage);
+        }
+
+        // Test run breakdown
+        if (results.tests && results.tests.suiteDurations) {
+            comment += this.generateTestsSection(results.tests, results.comparison?.tests);
+        }
+
         // Bundle breakdown
         if (results.bundleSize && results.bundleSize.breakdown) {
             comment += `\n### 📦 Bundle Breakdown\n\n`;
-            comment += `| Type | Size | Percentage |\n`;
-            comment += `|------|------|------------|\n`;
+            comment += `| Type | Size | Gzip | Brotli | Percentage |\n`;
+            comment += `|------|------|------|--------|------------|\n`;
             
             const breakdown = results.bundleSize.breakdown;
             const total = results.bundleSize.total;
             
-            Object.entries(breakdown).forEach(([type, size]) => {
-                const percentage = ((size / total) * 100).toFixed(1);
-                comment += `| ${type.toUpperCase()} | ${this.formatBytes(size)} | ${percentage}% |\n`;
+            Object.entries(breakdown).forEach(([type, sizes]) => {
+                // Older results stored a plain byte count per category
+                const { raw, gzip, brotli } = typeof sizes === 'number' ? { raw: sizes } : sizes;
+                const percentage = total > 0 ? ((raw / total) * 100).toFixed(1) : '0.0';
+                const gzipText = typeof gzip === 'number' ? this.formatBytes(gzip) : '-';
+                const brotliText = typeof brotli === 'number' ? this.formatBytes(brotli) : '-';
+                comment += `| ${type.toUpperCase()} | ${this.formatBytes(raw)} | ${gzipText} | ${brotliText} | ${percentage}% |\n`;
             });
         }
 
+        // Webpack chunk and module analysis
+        if (results.bundleSize && results.bundleSize.webpack) {
+            comment += this.generateWebpackSection(results.bundleSize.webpack, results.comparison?.webpack);
+        }
+
+        // Source map attribution
+        if (results.bundleSize && results.bundleSize.attribution) {
+            comment += this.generateAttributionSection(results.bundleSize.attribution, results.comparison?.attribution);
+        }
+
+        // ESLint errors and warnings per rule
+        if (results.lint && results.lint.rules) {
+            comment += this.generateLintSection(results.lint, results.comparison?.lint);
+        }
+
         // Recommendations
         comment += this.generateRecommendations(results);
 
-        // Footer
-        comment += `\n---\n`;
+        return comment;
+    }
+
+    /**
+     * Generate the technical details footer
+     */
+    generateFooter(results) {
+        const timestamp = new Date(results.timestamp).toLocaleString('lv-LV');
+        const runUrl = `https://github.com/${this.repository}/actions/runs/${this.runId}`;
+
+        let comment = `\n---\n`;
         comment += `<details>\n`;
         comment += `<summary>🔧 Technical Details</summary>\n\n`;
         comment += `- **Branch:** \`${results.branch}\`\n`;
@@ -207,56 +385,402 @@ class PRCommentator {
         return comment;
     }
 
+    /**
+     * Generate step status, duration and attempts table
+     */
+    generateStepsSection(steps, collapsed) {
+        let section = collapsed
+            ? `\n<details>\n<summary>⚙️ Analysis Steps</summary>\n\n`
+            : `\n### ⚙️ Analysis Steps\n\n`;
+
+        section += `| Step | Status | Duration | Attempts | Details |\n`;
+        section += `|------|--------|----------|----------|---------|\n`;
+        Object.entries(steps).forEach(([id, step]) => {
+            const duration = `${(step.duration / 1000).toFixed(1)}s`;
+            section += `| \`${id}\` | ${STEP_LABELS[step.status] || step.status} | ${duration} | ${step.attempts} | ${step.error || '-'} |\n`;
+        });
+
+        if (collapsed) {
+            section += `\n</details>\n`;
+        }
+
+        return section;
+    }
+
+    /**
+     * Generate entrypoint, module change and duplicate package section
+     */
+    generateWebpackSection(webpack, changes) {
+        let section = `\n### 🧩 Bundle Composition\n\n`;
+
+        const entrypoints = Object.entries(webpack.entrypoints || {});
+        if (entrypoints.length > 0) {
+            section += `| Entrypoint | Size | Change |\n`;
+            section += `|------------|------|--------|\n`;
+            entrypoints.forEach(([name, size]) => {
+                const change = changes?.entrypoints?.find(entry => entry.name === name);
+                section += `| \`${name}\` | ${this.formatBytes(size)} | ${this.formatSizeChange(change ? change.change : 0)} |\n`;
+            });
+        }
+
+        const moduleChanges = (changes?.modules || []).slice(0, 10);
+        if (moduleChanges.length > 0) {
+            section += `\n**Largest module changes**\n\n`;
+            section += `| Module | Previous | Current | Change |\n`;
+            section += `|--------|----------|---------|--------|\n`;
+            moduleChanges.forEach(entry => {
+                const sign = entry.change > 0 ? '+' : '-';
+                section += `| \`${entry.name}\` | ${this.formatBytes(entry.baseline)} | ${this.formatBytes(entry.current)} | ${sign}${this.formatBytes(Math.abs(entry.change))} |\n`;
+            });
+        }
+
+        if (webpack.duplicatePackages && webpack.duplicatePackages.length > 0) {
+            section += `\n**⚠️ Packages bundled in more than one version**\n\n`;
+            webpack.duplicatePackages.forEach(pkg => {
+                section += `- \`${pkg.name}\`: ${pkg.versions.join(', ')}\n`;
+            });
+        }
+
+        if (webpack.sharedModules && webpack.sharedModules.length > 0) {
+            section += `\n<details>\n<summary>Modules included in several chunks (${webpack.sharedModules.length})</summary>\n\n`;
+            webpack.sharedModules.forEach(module => {
+                section += `- \`${module.name}\`: ${module.chunks.join(', ')}\n`;
+            });
+            section += `\n</details>\n`;
+        }
+
+        return section;
+    }
+
+    /**
+     * Generate per-package and per-file size attribution section
+     */
+    generateAttributionSection(attribution, changes) {
+        let section = `\n### 🔍 Size Attribution\n\n`;
+
+        // Only mention changes of at least 1 KB, like formatSizeChange
+        const significant = (changes?.packages || []).filter(entry => Math.abs(entry.change) >= 1024);
+        if (significant.length > 0) {
+            significant.slice(0, 10).forEach(entry => {
+                const sign = entry.change > 0 ? '+' : '-';
+                section += `- **${sign}${this.formatBytes(Math.abs(entry.change))}** from \`${entry.name}\`\n`;
+            });
+            section += `\n`;
+        }
+
+        const fileChanges = (changes?.files || []).filter(entry => Math.abs(entry.change) >= 1024);
+        if (fileChanges.length > 0) {
+            section += `| Source File | Previous | Current | Change |\n`;
+            section += `|-------------|----------|---------|--------|\n`;
+            fileChanges.slice(0, 10).forEach(entry => {
+                const sign = entry.change > 0 ? '+' : '-';
+                section += `| \`${entry.name}\` | ${this.formatBytes(entry.baseline)} | ${this.formatBytes(entry.current)} | ${sign}${this.formatBytes(Math.abs(entry.change))} |\n`;
+            });
+            section += `\n`;
+        }
+
+        const packages = Object.entries(attribution.packages || {}).sort((a, b) => b[1] - a[1]);
+        if (packages.length > 0) {
+            section += `<details>\n<summary>Bundled npm packages (${packages.length})</summary>\n\n`;
+            section += `| Package | Size |\n`;
+            section += `|---------|------|\n`;
+            packages.forEach(([name, bytes]) => {
+                section += `| \`${name}\` | ${this.formatBytes(bytes)} |\n`;
+            });
+            section += `\n</details>\n`;
+        } else if (significant.length === 0 && fileChanges.length === 0) {
+            section += `No npm packages bundled and no source file changed by 1 KB or more.\n`;
+        }
+
+        return section;
+    }
+
+    /**
+     * Generate test counts, failed tests, slowest suites and slowest tests section
+     */
+    generateTestsSection(tests, changes) {
+        let section = `\n### 🧪 Test Results\n\n`;
+        section += `**${tests.passed} passed, ${tests.failed} failed, ${tests.skipped} skipped** of ${tests.total} tests`;
+        section += ` in ${tests.suites.total} suites (${this.formatMs(tests.duration)})\n\n`;
+
+        if (tests.suites.runtimeErrors > 0) {
+            section += `⚠️ ${tests.suites.runtimeErrors} test suite(s) failed to run.\n\n`;
+        }
+
+        if (tests.failedTests && tests.failedTests.length > 0) {
+            section += `**Failed tests:**\n`;
+            tests.failedTests.slice(0, 10).forEach(test => {
+                section += `- \`${test.file}\` › ${test.name}\n`;
+            });
+            section += `\n`;
+        }
+
+        const suites = Object.entries(tests.suiteDurations).sort((a, b) => b[1] - a[1]);
+        if (suites.length > 0) {
+            section += `| Slowest Suites | Duration | Previous | Change |\n`;
+            section += `|----------------|----------|----------|--------|\n`;
+            suites.slice(0, 5).forEach(([file, duration]) => {
+                // New suites have no previous duration
+                const change = changes?.suites?.find(entry => entry.name === file && entry.baseline > 0);
+                const previous = change ? this.formatMs(change.baseline) : '-';
+                const changeText = change ? `${change.change > 0 ? '+' : '-'}${this.formatMs(Math.abs(change.change))}` : '-';
+                section += `| \`${file}\` | ${this.formatMs(duration)} | ${previous} | ${changeText} |\n`;
+            });
+            section += `\n`;
+        }
+
+        if (tests.slowestTests && tests.slowestTests.length > 0) {
+            section += `<details>\n<summary>Slowest tests (${tests.slowestTests.length})</summary>\n\n`;
+            section += `| Test | File | Duration |\n`;
+            section += `|------|------|----------|\n`;
+            tests.slowestTests.forEach(test => {
+                section += `| ${test.name} | \`${test.file}\` | ${this.formatMs(test.duration)} |\n`;
+            });
+            section += `\n</details>\n`;
+        }
+
+        return section;
+    }
+
+    /**
+     * Generate Lighthouse scores and web vitals with one column per form factor profile
+     */
+    generateProfilesSection(results) {
+        const names = this.config.lighthouse.profiles.map(profile => profile.name);
+        const profileResults = getProfileResults(results.performance);
+
+        let section = `\n### 📱 Form Factors\n\n`;
+        section += `| Metric | ${names.join(' | ')} |\n`;
+        section += `|--------|${names.map(() => '------').join('|')}|\n`;
+
+        CATEGORIES.forEach(category => {
+            const cells = names.map(name => {
+                const plugin = this.registry.get(getProfileMetricId(category.id, name, names[0]));
+                const value = plugin ? getMetricValue(plugin, results) : null;
+                if (typeof value !== 'number') return profileResults[name]?.error ? '❌ N/A' : '-';
+
+                const change = this.formatMetricChange(
+                    plugin,
+                    results.comparison?.changes?.[plugin.id],
+                    results.comparison?.classifications?.[plugin.id]?.classification
+                );
+                const changeText = change === '-' || change === '➖' ? '' : ` (${change})`;
+                return `${STATUS_EMOJI[evaluateMetric(plugin, value)]} ${formatMetricValue(plugin, value)}${changeText}`;
+            });
+            section += `| ${category.emoji} ${category.label} | ${cells.join(' | ')} |\n`;
+        });
+
+        const vitals = [
+            ['Largest Contentful Paint', 'largestContentfulPaint', value => this.formatMs(value)],
+            ['Total Blocking Time', 'totalBlockingTime', value => this.formatMs(value)],
+            ['Cumulative Layout Shift', 'cumulativeLayoutShift', value => value.toFixed(3)]
+        ];
+        vitals.forEach(([label, key, format]) => {
+            const cells = names.map(name => {
+                const value = profileResults[name]?.metrics?.[key];
+                return typeof value === 'number' ? format(value) : '-';
+            });
+            section += `| ${label} | ${cells.join(' | ')} |\n`;
+        });
+
+        return section;
+    }
+
+    /**
+     * Generate Lighthouse score and web vitals table per audited page
+     */
+    generatePagesSection(pages, changes, profile = null) {
+        const plugin = this.registry.get('performance');
+        let section = `\n### 📄 Pages${profile ? ` (${profile})` : ''}\n\n`;
+        section += `| Page | Performance | Change | Accessibility | Best Practices | SEO | LCP | TBT | CLS | Status |\n`;
+        section += `|------|-------------|--------|---------------|----------------|-----|-----|-----|-----|--------|\n`;
+
+        Object.entries(pages).forEach(([page, summary]) => {
+            if (summary.error) {
+                section += `| \`${page}\` | N/A | - | - | - | - | - | - | - | ❌ ${summary.error} |\n`;
+                return;
+            }
+
+            // Pages added since the baseline have nothing to compare with
+            let change = '-';
+            if (changes) {
+                change = changes[page]
+                    ? this.formatMetricChange(plugin, changes[page].changes.performance, changes[page].classification)
+                    : '🆕';
+            }
+            const { largestContentfulPaint, totalBlockingTime, cumulativeLayoutShift } = summary.metrics;
+            const lcp = typeof largestContentfulPaint === 'number' ? this.formatMs(largestContentfulPaint) : '-';
+            const tbt = typeof totalBlockingTime === 'number' ? this.formatMs(totalBlockingTime) : '-';
+            const cls = typeof cumulativeLayoutShift === 'number' ? cumulativeLayoutShift.toFixed(3) : '-';
+            const categories = ['accessibility', 'bestPractices', 'seo']
+                .map(key => (typeof summary[key] === 'number' ? `${summary[key]}%` : '-'))
+                .join(' | ');
+            const status = STATUS_EMOJI[evaluateMetric(plugin, summary.performance)];
+            section += `| \`${page}\` | ${summary.performance}% | ${change} | ${categories} | ${lcp} | ${tbt} | ${cls} | ${status} |\n`;
+        });
+
+        return section;
+    }
+
+    /**
+     * Generate changed line coverage section with uncovered lines per file
+     */
+    generateDiffCoverageSection(diffCoverage) {
+        const { lines, branches, minimum } = diffCoverage;
+        let section = `\n### 🎯 Diff Coverage\n\n`;
+
+        if (lines.pct === null) {
+            section += `No changed lines with executable code since \`${diffCoverage.baseRef}\`.\n`;
+            return section;
+        }
+
+        const passed = typeof minimum !== 'number' || lines.pct >= minimum;
+        section += `**${lines.pct}%** of ${lines.total} changed lines covered`;
+        if (branches.pct !== null) {
+            section += `, **${branches.pct}%** of ${branches.total} changed branches`;
+        }
+        section += ` since \`${diffCoverage.baseRef}\``;
+        section += typeof minimum === 'number' ? ` ${passed ? '✅' : '❌'} (minimum ${minimum}%)\n\n` : `\n\n`;
+
+        const files = diffCoverage.files.filter(entry => entry.uncoveredLines || entry.branches.covered < entry.branches.total);
+        if (files.length > 0) {
+            section += `| File | Lines | Branches | Uncovered Lines |\n`;
+            section += `|------|-------|----------|-----------------|\n`;
+            files.forEach(entry => {
+                const branchText = entry.branches.pct === null ? '-' : `${entry.branches.covered}/${entry.branches.total}`;
+                section += `| \`${entry.file}\` | ${entry.lines.covered}/${entry.lines.total} | ${branchText} | ${entry.uncoveredLines || '-'} |\n`;
+            });
+            section += `\n`;
+        }
+
+        if (diffCoverage.notInstrumented && diffCoverage.notInstrumented.length > 0) {
+            section += `<details>\n<summary>Changed files without coverage data</summary>\n\n`;
+            diffCoverage.notInstrumented.forEach(file => {
+                section += `- \`${file}\`\n`;
+            });
+            section += `\n</details>\n`;
+        }
+
+        return section;
+    }
+
+    /**
+     * Generate ESLint rule and worst file section
+     */
+    generateLintSection(lint, changes) {
+        let section = `\n### 🧹 Lint Breakdown\n\n`;
+        section += `**${lint.errors} errors, ${lint.warnings} warnings** in ${lint.filesWithProblems} of ${lint.filesChecked} files`;
+        section += lint.fixable > 0 ? ` (${lint.fixable} fixable with \`eslint --fix\`)\n\n` : `\n\n`;
+
+        const changeFor = rule => changes?.rules?.find(entry => entry.name === rule);
+        const formatChange = entry => entry ? `${entry.change > 0 ? '+' : ''}${entry.change} ${entry.change > 0 ? '📈' : '📉'}` : '➖';
+
+        const rules = Object.entries(lint.rules)
+            .sort((a, b) => (b[1].errors + b[1].warnings) - (a[1].errors + a[1].warnings));
+        if (rules.length > 0) {
+            section += `| Rule | Errors | Warnings | Change |\n`;
+            section += `|------|--------|----------|--------|\n`;
+            rules.slice(0, 10).forEach(([rule, counts]) => {
+                section += `| \`${rule}\` | ${counts.errors} | ${counts.warnings} | ${formatChange(changeFor(rule))} |\n`;
+            });
+            section += `\n`;
+        }
+
+        // Rules with no problems left do not appear in lint.rules
+        const cleared = (changes?.rules || []).filter(entry => entry.current === 0);
+        if (cleared.length > 0) {
+            section += `Cleared: ${cleared.map(entry => `\`${entry.name}\` (-${entry.baseline})`).join(', ')}\n\n`;
+        }
+
+        if (lint.worstFiles && lint.worstFiles.length > 0) {
+            section += `<details>\n<summary>Files with the most problems</summary>\n\n`;
+            section += `| File | Errors | Warnings |\n`;
+            section += `|------|--------|----------|\n`;
+            lint.worstFiles.forEach(entry => {
+                section += `| \`${entry.file}\` | ${entry.errors} | ${entry.warnings} |\n`;
+            });
+            section += `\n</details>\n`;
+        }
+
+        return section;
+    }
+
     /**
      * Generate recommendations based on results
      */
     generateRecommendations(results) {
         const recommendations = [];
 
-        // Performance recommendations
-        if (results.performance && results.performance.performance < 70) {
-            recommendations.push('🚀 **Performance:** Optimize images, enable compression, and minimize JavaScript bundles');
-        }
+        // Metrics worse than their warning threshold
+        this.registry.list().forEach(plugin => {
+            const value = getMetricValue(plugin, results);
+            if (plugin.recommendation && typeof value === 'number' && evaluateMetric(plugin, value) === 'bad') {
+                recommendations.push(`${plugin.emoji} **${plugin.label}:** ${plugin.recommendation}`);
+            }
+        });
 
         if (results.performance && results.performance.metrics) {
             const metrics = results.performance.metrics;
+            const limits = this.config.webVitals;
             
-            if (metrics.firstContentfulPaint > 1800) {
+            if (metrics.firstContentfulPaint > limits.firstContentfulPaint) {
                 recommendations.push('⚡ **FCP:** Reduce server response time and optimize critical rendering path');
             }
             
-            if (metrics.largestContentfulPaint > 2500) {
+            if (metrics.largestContentfulPaint > limits.largestContentfulPaint) {
                 recommendations.push('🖼️ **LCP:** Optimize your largest page element (images, videos, or text blocks)');
             }
             
-            if (metrics.cumulativeLayoutShift > 0.1) {
+            if (metrics.cumulativeLayoutShift > limits.cumulativeLayoutShift) {
                 recommendations.push('📐 **CLS:** Add size attributes to images and videos, avoid inserting content above existing content');
             }
             
-            if (metrics.totalBlockingTime > 200) {
+            if (metrics.totalBlockingTime > limits.totalBlockingTime) {
                 recommendations.push('⏱️ **TBT:** Break up long JavaScript tasks and remove unused JavaScript');
             }
         }
 
-        // Coverage recommendations
-        if (results.coverage && results.coverage.total < 60) {
-            recommendations.push('🛡️ **Coverage:** Add more unit tests to improve code coverage and reliability');
+        // Changes larger than the usual spread of the metric
+        const regressions = this.registry.list().filter(plugin => this.isRegression(
+            plugin,
+            results.comparison?.changes?.[plugin.id],
+            results.comparison?.classifications?.[plugin.id]?.classification
+        ));
+        if (regressions.length > 0) {
+            const list = regressions
+                .map(plugin => `${plugin.label} (${formatMetricChange(plugin, results.comparison.changes[plugin.id])})`)
+                .join(', ');
+            recommendations.push(`🔴 **Regressions:** ${list} changed by more than their usual run-to-run spread`);
         }
 
-        // Bundle size recommendations
-        if (results.bundleSize) {
-            const sizeKB = Math.round(results.bundleSize.total / 1024);
-            
-            if (sizeKB > 500) {
-                recommendations.push('📦 **Bundle Size:** Consider code splitting, tree shaking, and removing unused dependencies');
-            }
-            
-            if (results.bundleSize.breakdown && results.bundleSize.breakdown.js > results.bundleSize.total * 0.7) {
+        // Pages whose performance dropped, even when the headline score did not
+        if (results.comparison && results.comparison.pages) {
+            const plugin = this.registry.get('performance');
+            Object.entries(results.comparison.pages).forEach(([page, { changes, classification }]) => {
+                const change = changes.performance;
+                if (plugin && this.isRegression(plugin, change, classification)) {
+                    recommendations.push(`📄 **Page \`${page}\`:** Performance dropped by ${formatMetricChange(plugin, change).slice(1)}, check what changed on this route`);
+                }
+            });
+        }
+
+        // Bundle composition recommendations
+        if (results.bundleSize && !results.bundleSize.error) {
+            const jsBreakdown = results.bundleSize.breakdown && results.bundleSize.breakdown.js;
+            const jsSize = typeof jsBreakdown === 'number' ? jsBreakdown : jsBreakdown?.raw;
+            if (jsSize > results.bundleSize.total * 0.7) {
                 recommendations.push('📜 **JavaScript:** Large JS bundle detected. Consider lazy loading and code splitting');
             }
+
+            if (results.bundleSize.webpack && results.bundleSize.webpack.duplicatePackages?.length > 0) {
+                recommendations.push('🧬 **Duplicates:** Deduplicate packages bundled in several versions (`npm dedupe` or align dependency ranges)');
+            }
         }
 
         if (recommendations.length === 0) {
+            if (results.status === 'partial' || results.status === 'failed') {
+                return `\n### 💡 Recommendations\n\nNo issues in the collected metrics. Re-run the analysis to check the missing ones.\n`;
+            }
             return `\n### ✅ Great Job!\n\nAll metrics are looking good! Keep up the excellent work.\n`;
         }
 
@@ -269,17 +793,26 @@ class PRCommentator {
     }
 
     /**
-     * Format change indicator
+     * Whether a change is a regression; results without a classification fall back to minChange
+     */
+    isRegression(plugin, change, classification) {
+        if (classification) return classification === CLASSIFICATION.REGRESSION;
+        return isSignificantChange(plugin, change) && !isImprovement(plugin, change);
+    }
+
+    /**
+     * Format change indicator, labelled as regression, improvement or noise when classified
      */
-    formatChange(change) {
+    formatMetricChange(plugin, change, classification) {
         if (typeof change !== 'number') return '-';
+        if (change === 0) return '➖';
+        if (classification) {
+            return `${formatMetricChange(plugin, change)} ${CHANGE_LABELS[classification]}`;
+        }
+        if (!isSignificantChange(plugin, change)) return '➖';
         
-        const sign = change > 0 ? '+' : '';
-        const emoji = change > 0 ? '📈' : change < 0 ? '📉' : '➖';
-        
-        if (Math.abs(change) < 1) return '➖';
-        
-        return `${sign}${change.toFixed(1)}% ${emoji}`;
+        const emoji = change > 0 ? '📈' : '📉';
+        return `${formatMetricChange(plugin, change)} ${emoji}`;
     }
 
     /**
@@ -297,20 +830,18 @@ class PRCommentator {
     }
 
     /**
-     * Get status emoji based on score
+     * Format a millisecond limit, e.g. 1.8s or 200ms
      */
-    getStatusEmoji(score, goodThreshold, warningThreshold) {
-        if (score >= goodThreshold) return '✅';
-        if (score >= warningThreshold) return '⚠️';
-        return '❌';
+    formatMs(ms) {
+        return ms >= 1000 ? `${parseFloat((ms / 1000).toFixed(2))}s` : `${ms}ms`;
     }
 
     /**
-     * Get bundle size status emoji
+     * Get status emoji based on score
      */
-    getBundleStatusEmoji(sizeKB) {
-        if (sizeKB <= 100) return '✅';
-        if (sizeKB <= 250) return '⚠️';
+    getStatusEmoji(score, goodThreshold, warningThreshold) {
+        if (score >= goodThreshold) return '✅';
+        if (score >= warningThreshold) return '⚠️';
         return '❌';
     }
 
@@ -396,6 +927,15 @@ class PRCommentator {
      * Post comment to PR
      */
     async postComment(comment) {
+        // Only posting needs GitHub, the comment itself can be generated anywhere
+        if (!this.githubToken) {
+            throw new Error('GITHUB_TOKEN environment variable is required');
+        }
+
+        if (!this.repository) {
+            throw new Error('GITHUB_REPOSITORY environment variable is required');
+        }
+
         if (!this.prNumber) {
             console.log('No PR number found, skipping comment posting');
             return;
@@ -434,39 +974,48 @@ class PRCommentator {
 
     /**
      * Run PR commenting
+     * @param {Object} options - Run options
+     * @param {boolean} options.dryRun - Generate the comment without posting it
+     * @returns {Promise<Object>} { pr, body, posted }
      */
-    async run() {
+    async run({ dryRun = false } = {}) {
         console.log('💬 PR Commentator sākas...');
         console.log(`📋 Repository: ${this.repository}`);
         console.log(`🔀 PR Number: ${this.prNumber || 'N/A'}`);
         
-        try {
-            const results = this.loadResults();
-            const badges = this.loadBadges();
-            const comment = this.generateComment(results, badges);
-            
-            // Save comment for debugging
-            const commentPath = path.join(this.reportsDir, 'pr-comment.md');
-            fs.writeFileSync(commentPath, comment);
-            console.log(`💾 Comment saved to ${commentPath}`);
-            
-            await this.postComment(comment);
-            
-            console.log('🎉 PR komentēšana pabeigta!');
-            
-        } catch (error) {
-            console.error('❌ PR komentēšanas kļūda:', error.message);
-            process.exit(1);
+        const comment = this.config.projects.length > 0
+            ? this.generateProjectsComment(this.loadProjects())
+            : this.generateComment(this.loadResults(), this.loadBadges());
+        const payload = { pr: this.prNumber || null, body: comment, posted: false };
+        
+        // Save comment for debugging
+        const commentPath = path.join(this.reportsDir, 'pr-comment.md');
+        fs.writeFileSync(commentPath, comment);
+        console.log(`💾 Comment saved to ${commentPath}`);
+        
+        if (dryRun) {
+            console.log('ℹ️ Dry run, komentārs netiek publicēts');
+            return payload;
         }
+        
+        if (!this.config.notifications.prComment.enabled) {
+            console.log('ℹ️ PR komentāri izslēgti (notifications.prComment.enabled), komentārs netiek publicēts');
+            return payload;
+        }
+        
+        await this.postComment(comment);
+        payload.posted = !!this.prNumber;
+        
+        console.log('🎉 PR komentēšana pabeigta!');
+        return payload;
     }
 }
 
 // Run if called directly
 if (require.main === module) {
-    const commentator = new PRCommentator();
-    commentator.run().catch(error => {
-        console.error('Fatal error:', error);
-        process.exit(1);
+    new PRCommentator().run().catch(error => {
+        console.error('❌ PR komentēšanas kļūda:', error.message);
+        process.exitCode = 1;
     });
 }
 
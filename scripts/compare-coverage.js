@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { resolveBaseRef, analyzeDiffCoverage } = require('./lib/diff-coverage');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const { readDocument } = require('./lib/schema');
+
+/**
+ * Checks the coverage of lines changed since the base branch against the configured minimum
+ */
+class DiffCoverageChecker {
+    constructor(config = loadConfig(), baseRef = null) {
+        this.config = config;
+        this.paths = config.paths;
+        this.baseRef = baseRef || resolveBaseRef(config.diffCoverage.baseRef);
+        this.minimum = config.diffCoverage.minimum;
+    }
+
+    /**
+     * Diff coverage from the analysis results, or computed from coverage-final.json
+     */
+    loadDiffCoverage() {
+        const results = readDocument('results', path.join(this.paths.reports, 'analysis-results.json'));
+        if (results && results.diffCoverage && results.diffCoverage.lines && results.diffCoverage.baseRef === this.baseRef) {
+            return results.diffCoverage;
+        }
+
+        return analyzeDiffCoverage({
+            baseRef: this.baseRef,
+            coveragePath: path.join(this.paths.coverage, 'coverage-final.json'),
+            rootDir: this.config.rootDir
+        });
+    }
+
+    /**
+     * Whether the changed lines meet the minimum; no changed code always passes
+     */
+    meetsMinimum(diffCoverage) {
+        return diffCoverage.lines.pct === null || diffCoverage.lines.pct >= this.minimum;
+    }
+
+    /**
+     * Main execution
+     * @returns {boolean} Whether the check passed
+     */
+    run() {
+        const project = this.config.project ? ` (${this.config.project.name})` : '';
+        console.log(`🎯 Salīdzina coverage ar ${this.baseRef}${project}...`);
+
+        const diffCoverage = { ...this.loadDiffCoverage(), minimum: this.minimum };
+        const { lines, branches } = diffCoverage;
+
+        fs.mkdirSync(this.paths.reports, { recursive: true });
+        fs.writeFileSync(path.join(this.paths.reports, 'diff-coverage.json'), JSON.stringify(diffCoverage, null, 2));
+
+        if (lines.pct === null) {
+            console.log('✅ Nav mainītu rindu ar izpildāmu kodu');
+            return true;
+        }
+
+        console.log(`📊 Rindas: ${lines.covered}/${lines.total} (${lines.pct}%)`);
+        if (branches.pct !== null) {
+            console.log(`📊 Zari: ${branches.covered}/${branches.total} (${branches.pct}%)`);
+        }
+        diffCoverage.files
+            .filter(entry => entry.uncoveredLines)
+            .forEach(entry => console.log(`  ⚠️ ${entry.file}: ${entry.uncoveredLines}`));
+
+        const passed = this.meetsMinimum(diffCoverage);
+        if (passed) {
+            console.log(`✅ Diff coverage atbilst minimumam (${this.minimum}%)`);
+        } else {
+            console.log(`❌ Diff coverage zem minimuma: ${lines.pct}% < ${this.minimum}%`);
+        }
+
+        if (process.env.GITHUB_ACTIONS) {
+            fs.appendFileSync(
+                process.env.GITHUB_OUTPUT || '/dev/null',
+                `diff-coverage=${lines.pct}\ndiff-coverage-passed=${passed}\n`
+            );
+        }
+
+        return passed;
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const baseIndex = process.argv.indexOf('--base');
+
+    try {
+        // Each project is checked against its own coverage and minimum
+        resolveProjects(loadConfig()).forEach(config => {
+            const checker = new DiffCoverageChecker(config, baseIndex > -1 ? process.argv[baseIndex + 1] : null);
+            const passed = checker.run();
+            if (!passed && config.diffCoverage.failBelowMinimum) {
+                process.exitCode = 1;
+            }
+        });
+    } catch (error) {
+        console.error('❌ Diff coverage kļūda:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = DiffCoverageChecker;
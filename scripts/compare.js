@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createRegistry, getMetricValue, formatMetricValue, formatMetricChange } = require('./lib/metric-registry');
+const { SHA_PATTERN, getArchiveDir, loadArchivedResults, loadLatestForBranch } = require('./lib/archive');
+const { compareResults } = require('./lib/compare');
+const { matchesBranch } = require('./lib/branches');
+const { createStorage } = require('./lib/storage');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const PRCommentator = require('./comment-pr');
+
+/**
+ * Full delta report between the archived analysis results of two commits, or a commit and a branch baseline
+ */
+class ResultsComparer {
+    constructor(config = loadConfig(), registry = createRegistry({ config })) {
+        this.config = config;
+        this.registry = registry;
+        this.reportsDir = config.paths.reports;
+        this.baselineDir = config.paths.baselines;
+        this.archiveDir = getArchiveDir(this.baselineDir);
+        this.storage = createStorage(config);
+    }
+
+    /**
+     * Load the baseline of a branch, the fallback branch's by default. Null when there is none.
+     */
+    loadBaseline(branch) {
+        return this.storage.loadBaseline(branch);
+    }
+
+    /**
+     * Load baseline history, used to tell regressions from noise
+     */
+    loadHistory() {
+        return this.storage.loadHistory();
+    }
+
+    /**
+     * Full SHA of a git ref such as a tag, null when git does not know it
+     */
+    resolveCommit(ref) {
+        try {
+            return execFileSync('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], {
+                cwd: this.config.rootDir,
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore']
+            }).trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Results for a commit SHA, a branch or any other git ref
+     *
+     * A SHA is looked up in the archive. A branch resolves to its own baseline, or to its latest archived
+     * results when the baseline belongs to another branch. Tags and other refs resolve through git.
+     * @param {string} ref - SHA, branch name or git ref
+     * @returns {{ref: string, source: string, results: Object}} Results and where they came from
+     */
+    resolve(ref) {
+        const archived = SHA_PATTERN.test(ref) ? loadArchivedResults(this.archiveDir, ref) : null;
+        if (archived) {
+            return { ref, source: 'archive', results: archived };
+        }
+
+        // A baseline branch has its own baseline; the fallback baseline names the branch it was taken on
+        const baseline = matchesBranch(ref, this.config.baseline.branches) ? this.loadBaseline(ref) : this.loadBaseline();
+        if (baseline && baseline.branch === ref) {
+            return { ref, source: 'baseline', results: baseline };
+        }
+
+        const latest = loadLatestForBranch(this.archiveDir, ref);
+        if (latest) {
+            return { ref, source: 'archive', results: latest };
+        }
+
+        const commit = this.resolveCommit(ref);
+        const resolved = commit ? loadArchivedResults(this.archiveDir, commit) : null;
+        if (resolved) {
+            return { ref, source: 'archive', results: resolved };
+        }
+
+        throw new Error(`No archived results or baseline for "${ref}" in ${this.archiveDir}`);
+    }
+
+    /**
+     * Compare two resolved refs
+     * @param {Object} base - Older side from resolve(), e.g. a release tag or main
+     * @param {Object} head - Newer side from resolve()
+     * @returns {Object} Report: both sides, metric values and the comparison of head against base
+     */
+    compare(base, head) {
+        const comparison = compareResults(this.registry, head.results, base.results, {
+            history: this.loadHistory(),
+            regression: this.config.regression
+        });
+
+        const describeSide = side => ({
+            ref: side.ref,
+            source: side.source,
+            commit: side.results.commit,
+            branch: side.results.branch,
+            timestamp: side.results.timestamp || side.results.created
+        });
+
+        return {
+            generated: new Date().toISOString(),
+            project: this.config.project ? this.config.project.name : null,
+            base: describeSide(base),
+            head: describeSide(head),
+            metrics: Object.fromEntries(this.registry.list().map(plugin => [plugin.id, {
+                base: getMetricValue(plugin, base.results),
+                head: getMetricValue(plugin, head.results)
+            }])),
+            comparison
+        };
+    }
+
+    /**
+     * Markdown report: both sides, then the PR comment's metric table and breakdowns of the head results
+     */
+    generateMarkdown(report, headResults) {
+        const describeSide = side => {
+            const time = side.timestamp ? new Date(side.timestamp).toLocaleString('lv-LV') : 'unknown time';
+            return `\`${(side.commit || 'unknown').substring(0, 7)}\` (${side.branch || side.ref}, ${time}, ${side.source})`;
+        };
+
+        let markdown = `## 🔍 CI/CD Symphony Compare${report.project ? `: ${report.project}` : ''}\n\n`;
+        markdown += `**Base:** ${describeSide(report.base)} → **Head:** ${describeSide(report.head)}\n\n`;
+        markdown += new PRCommentator(this.config, this.registry).generateResultsBody({ ...headResults, comparison: report.comparison }, null);
+
+        return markdown;
+    }
+
+    /**
+     * Compare two refs and save the report as JSON and Markdown
+     * @returns {Object} Report
+     */
+    run(baseRef, headRef) {
+        console.log(`🔍 Salīdzina ${baseRef} ar ${headRef}${this.config.project ? ` (${this.config.project.name})` : ''}...`);
+
+        const head = this.resolve(headRef);
+        const report = this.compare(this.resolve(baseRef), head);
+
+        fs.mkdirSync(this.reportsDir, { recursive: true });
+        const jsonPath = path.join(this.reportsDir, 'compare.json');
+        const markdownPath = path.join(this.reportsDir, 'compare.md');
+        fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+        fs.writeFileSync(markdownPath, this.generateMarkdown(report, head.results));
+
+        console.log(`📍 Base: ${report.base.commit} (${report.base.source})`);
+        console.log(`📍 Head: ${report.head.commit} (${report.head.source})`);
+        this.registry.list().forEach(plugin => {
+            const change = report.comparison.changes[plugin.id];
+            if (typeof change !== 'number') return;
+
+            const label = report.comparison.classifications?.[plugin.id]?.classification;
+            console.log(`  ${plugin.emoji} ${plugin.label}: ${formatMetricValue(plugin, report.metrics[plugin.id].base)} → ${formatMetricValue(plugin, report.metrics[plugin.id].head)} (${formatMetricChange(plugin, change)}${label ? `, ${label}` : ''})`);
+        });
+        console.log(`💾 Atskaite saglabāta: ${markdownPath}, ${jsonPath}`);
+
+        return report;
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const [baseRef, headRef] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+    if (!baseRef || !headRef) {
+        console.error('Usage: node scripts/compare.js <base sha|branch|tag> <head sha|branch|tag>');
+        process.exit(2);
+    }
+
+    try {
+        resolveProjects(loadConfig()).forEach(config => new ResultsComparer(config).run(baseRef, headRef));
+    } catch (error) {
+        console.error('❌ Salīdzināšanas kļūda:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = ResultsComparer;
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { createRegistry } = require('./lib/metric-registry');
+const { SEVERITY, GATE_STATUS, evaluateGate } = require('./lib/gate');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const { readDocument } = require('./lib/schema');
+const { resolveBaselineBranch } = require('./lib/branches');
+const { createStorage } = require('./lib/storage');
+const { getRunScope, getAcceptances } = require('./lib/acceptance');
+
+const SEVERITY_EMOJI = {
+    [SEVERITY.ERROR]: '❌',
+    [SEVERITY.WARN]: '⚠️'
+};
+
+/**
+ * Check analysis results against the budgets and maximum deltas in `gate.rules`
+ */
+class BudgetGate {
+    constructor(config = loadConfig(), registry = createRegistry({ config })) {
+        this.config = config;
+        this.registry = registry;
+        this.reportsDir = config.paths.reports;
+        this.storage = createStorage(config);
+    }
+
+    /**
+     * Load analysis results
+     */
+    loadResults() {
+        const results = readDocument('results', path.join(this.reportsDir, 'analysis-results.json'));
+
+        if (!results) {
+            throw new Error('Analysis results not found. Run analysis first.');
+        }
+
+        return results;
+    }
+
+    /**
+     * Load the baseline deltas are checked against, the PR base branch's when it has one, and the
+     * regressions accepted against it for this commit or pull request
+     * @param {Object} results - Analysis results
+     * @returns {{baseline: Object|null, acceptances: Object[]}}
+     */
+    loadBaseline(results) {
+        const branch = resolveBaselineBranch(this.storage, this.config.baseline);
+        const baseline = this.storage.loadBaseline(branch);
+        return { baseline, acceptances: getAcceptances(this.storage.loadAudit(branch), baseline, getRunScope(results)) };
+    }
+
+    /**
+     * Violation report for the terminal
+     */
+    formatReport(report) {
+        const errors = report.violations.filter(violation => violation.severity === SEVERITY.ERROR).length;
+        const warnings = report.violations.length - errors;
+        const lines = [`🚦 Budžeta pārbaude${this.config.project ? ` (${this.config.project.name})` : ''}: ${errors} kļūdas, ${warnings} brīdinājumi (${report.checked} pārbaudīti)`];
+
+        report.violations.forEach(violation => {
+            lines.push(`  ${SEVERITY_EMOJI[violation.severity]} ${violation.label}: ${violation.message}`);
+        });
+        report.accepted.forEach(accepted => {
+            lines.push(`  ☑️ ${accepted.label}: ${accepted.message} (pieņēma ${accepted.acceptedBy}: ${accepted.reason})`);
+        });
+        report.skipped.forEach(skipped => {
+            lines.push(`  ⏭️ ${skipped.label}: ${skipped.reason}`);
+        });
+        if (report.status === GATE_STATUS.PASSED) {
+            lines.push('  ✅ Visi budžeti ievēroti');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Run the gate and save reports/gate.json
+     * @returns {Object} Report; status is failed when a rule with severity error is violated
+     */
+    run() {
+        const results = this.loadResults();
+        const { baseline, acceptances } = this.loadBaseline(results);
+        const report = {
+            timestamp: new Date().toISOString(),
+            commit: results.commit,
+            project: this.config.project ? this.config.project.name : null,
+            ...evaluateGate(this.registry, results, baseline, this.config.gate.rules, acceptances)
+        };
+
+        fs.mkdirSync(this.reportsDir, { recursive: true });
+        fs.writeFileSync(path.join(this.reportsDir, 'gate.json'), JSON.stringify(report, null, 2));
+        console.log(this.formatReport(report));
+
+        return report;
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        const reports = resolveProjects(loadConfig()).map(config => new BudgetGate(config).run());
+        if (reports.some(report => report.status === GATE_STATUS.FAILED)) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Budžeta pārbaudes kļūda:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = BudgetGate;
@@ -2,14 +2,32 @@
 
 const fs = require('fs');
 const path = require('path');
+const {
+    createRegistry,
+    getMetricValue,
+    evaluateMetric,
+    formatMetricValue,
+    isSignificantChange
+} = require('./lib/metric-registry');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const { readDocument } = require('./lib/schema');
+const { createStorage } = require('./lib/storage');
+
+const STATUS_COLORS = {
+    good: 'brightgreen',
+    warning: 'yellow',
+    bad: 'red'
+};
 
 /**
  * Badge generator for CI/CD metrics
  */
 class BadgeGenerator {
-    constructor() {
-        this.reportsDir = path.join(__dirname, '../reports');
-        this.badgesDir = path.join(__dirname, '../badges');
+    constructor(config = loadConfig(), registry = createRegistry({ config })) {
+        this.config = config;
+        this.registry = registry;
+        this.reportsDir = config.paths.reports;
+        this.badgesDir = config.paths.badges;
         this.ensureDirectories();
     }
 
@@ -26,39 +44,33 @@ class BadgeGenerator {
      * Load analysis results
      */
     loadResults() {
-        const resultsPath = path.join(this.reportsDir, 'analysis-results.json');
+        const results = readDocument('results', path.join(this.reportsDir, 'analysis-results.json'));
         
-        if (!fs.existsSync(resultsPath)) {
+        if (!results) {
             throw new Error('Analysis results not found. Run analysis first.');
         }
         
-        return JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+        return results;
     }
 
     /**
-     * Get color based on score
+     * Get badge color for a metric status
      */
-    getScoreColor(score, thresholds = { good: 80, warning: 60 }) {
-        if (score >= thresholds.good) return 'brightgreen';
-        if (score >= thresholds.warning) return 'yellow';
-        return 'red';
+    getStatusColor(status) {
+        return STATUS_COLORS[status] || 'lightgrey';
     }
 
     /**
-     * Get size color based on bundle size
+     * Build url, svg, markdown and html variants of a badge
      */
-    getSizeColor(sizeKB) {
-        if (sizeKB <= 100) return 'brightgreen';
-        if (sizeKB <= 250) return 'yellow';
-        if (sizeKB <= 500) return 'orange';
-        return 'red';
-    }
-
-    /**
-     * Format bytes to KB
-     */
-    formatToKB(bytes) {
-        return Math.round(bytes / 1024);
+    createBadge(label, message, color) {
+        const url = this.generateBadgeUrl(label, message, color);
+        return {
+            url,
+            svg: this.generateSVGBadge(label, message, color),
+            markdown: `![${label}](${url})`,
+            html: `<img src="${url}" alt="${label} Badge">`
+        };
     }
 
     /**
@@ -119,53 +131,24 @@ class BadgeGenerator {
         console.log('🏷️ Ģenerē badge...');
         
         const badges = {};
+        // Badges of different projects end up side by side in the PR comment
+        const prefix = this.config.project ? `${this.config.project.name} ` : '';
 
-        // Performance badge
-        if (results.performance && typeof results.performance.performance === 'number') {
-            const perfScore = results.performance.performance;
-            const perfColor = this.getScoreColor(perfScore, { good: 90, warning: 70 });
-            
-            badges.performance = {
-                url: this.generateBadgeUrl('Performance', `${perfScore}%`, perfColor),
-                svg: this.generateSVGBadge('Performance', `${perfScore}%`, perfColor),
-                markdown: `![Performance](${this.generateBadgeUrl('Performance', `${perfScore}%`, perfColor)})`,
-                html: `<img src="${this.generateBadgeUrl('Performance', `${perfScore}%`, perfColor)}" alt="Performance Badge">`
-            };
-        }
-
-        // Coverage badge
-        if (results.coverage && typeof results.coverage.total === 'number') {
-            const covScore = results.coverage.total;
-            const covColor = this.getScoreColor(covScore, { good: 80, warning: 60 });
-            
-            badges.coverage = {
-                url: this.generateBadgeUrl('Coverage', `${covScore}%`, covColor),
-                svg: this.generateSVGBadge('Coverage', `${covScore}%`, covColor),
-                markdown: `![Coverage](${this.generateBadgeUrl('Coverage', `${covScore}%`, covColor)})`,
-                html: `<img src="${this.generateBadgeUrl('Coverage', `${covScore}%`, covColor)}" alt="Coverage Badge">`
-            };
-        }
+        // One badge per registered metric
+        this.registry.list().forEach(plugin => {
+            const value = getMetricValue(plugin, results);
+            if (typeof value !== 'number') return;
 
-        // Bundle size badge
-        if (results.bundleSize && typeof results.bundleSize.total === 'number') {
-            const sizeKB = this.formatToKB(results.bundleSize.total);
-            const sizeColor = this.getSizeColor(sizeKB);
-            
-            badges.bundleSize = {
-                url: this.generateBadgeUrl('Bundle Size', `${sizeKB}KB`, sizeColor),
-                svg: this.generateSVGBadge('Bundle Size', `${sizeKB}KB`, sizeColor),
-                markdown: `![Bundle Size](${this.generateBadgeUrl('Bundle Size', `${sizeKB}KB`, sizeColor)})`,
-                html: `<img src="${this.generateBadgeUrl('Bundle Size', `${sizeKB}KB`, sizeColor)}" alt="Bundle Size Badge">`
-            };
-        }
+            const color = this.getStatusColor(evaluateMetric(plugin, value));
+            badges[plugin.id] = this.createBadge(`${prefix}${plugin.label}`, formatMetricValue(plugin, value), color);
+        });
 
         // Overall status badge
         const overallStatus = this.calculateOverallStatus(results);
+        const statusLabel = `${prefix}CI/CD`;
         badges.status = {
-            url: this.generateBadgeUrl('CI/CD', overallStatus.label, overallStatus.color),
-            svg: this.generateSVGBadge('CI/CD', overallStatus.label, overallStatus.color),
-            markdown: `![CI/CD Status](${this.generateBadgeUrl('CI/CD', overallStatus.label, overallStatus.color)})`,
-            html: `<img src="${this.generateBadgeUrl('CI/CD', overallStatus.label, overallStatus.color)}" alt="CI/CD Status Badge">`
+            ...this.createBadge(statusLabel, overallStatus.label, overallStatus.color),
+            markdown: `![${statusLabel} Status](${this.generateBadgeUrl(statusLabel, overallStatus.label, overallStatus.color)})`
         };
 
         return badges;
@@ -178,22 +161,17 @@ class BadgeGenerator {
         let passing = 0;
         let total = 0;
 
-        // Check performance
-        if (results.performance && typeof results.performance.performance === 'number') {
-            total++;
-            if (results.performance.performance >= 70) passing++;
-        }
+        // A metric passes unless it is worse than its warning threshold
+        this.registry.list().forEach(plugin => {
+            const value = getMetricValue(plugin, results);
+            if (typeof value !== 'number') return;
 
-        // Check coverage
-        if (results.coverage && typeof results.coverage.total === 'number') {
             total++;
-            if (results.coverage.total >= 60) passing++;
-        }
+            if (evaluateMetric(plugin, value) !== 'bad') passing++;
+        });
 
-        // Check bundle size (under 500KB is considered good)
-        if (results.bundleSize && typeof results.bundleSize.total === 'number') {
-            total++;
-            if (this.formatToKB(results.bundleSize.total) <= 500) passing++;
+        if (results.status === 'failed') {
+            return { label: 'analysis failed', color: 'red' };
         }
 
         if (total === 0) {
@@ -201,14 +179,25 @@ class BadgeGenerator {
         }
 
         const percentage = (passing / total) * 100;
+        let status;
         
         if (percentage === 100) {
-            return { label: 'passing', color: 'brightgreen' };
+            status = { label: 'passing', color: 'brightgreen' };
         } else if (percentage >= 67) {
-            return { label: 'mostly passing', color: 'yellow' };
+            status = { label: 'mostly passing', color: 'yellow' };
         } else {
-            return { label: 'failing', color: 'red' };
+            status = { label: 'failing', color: 'red' };
+        }
+
+        // Some steps did not finish, so only the collected metrics were judged
+        if (results.status === 'partial') {
+            status = {
+                label: `${status.label} (partial)`,
+                color: status.color === 'brightgreen' ? 'yellow' : status.color
+            };
         }
+
+        return status;
     }
 
     /**
@@ -217,41 +206,24 @@ class BadgeGenerator {
     generateTable(results) {
         console.log('📋 Ģenerē tabulu...');
         
+        const project = this.config.project ? `: ${this.config.project.name}` : '';
         let table = `
-## 📊 CI/CD Metrics
+## 📊 CI/CD Metrics${project}
 
 | Metric | Value | Status | Trend |
 |--------|--------|--------|--------|`;
 
-        // Performance row
-        if (results.performance && typeof results.performance.performance === 'number') {
-            const perfScore = results.performance.performance;
-            const perfColor = this.getScoreColor(perfScore, { good: 90, warning: 70 });
-            const perfBadge = this.generateBadgeUrl('', `${perfScore}%`, perfColor);
-            const trend = this.getTrendIndicator(results.comparison?.changes?.performance);
-            
-            table += `\n| 🚀 Performance | ${perfScore}% | ![](${perfBadge}) | ${trend} |`;
-        }
+        this.registry.list().forEach(plugin => {
+            const value = getMetricValue(plugin, results);
+            if (typeof value !== 'number') return;
 
-        // Coverage row
-        if (results.coverage && typeof results.coverage.total === 'number') {
-            const covScore = results.coverage.total;
-            const covColor = this.getScoreColor(covScore, { good: 80, warning: 60 });
-            const covBadge = this.generateBadgeUrl('', `${covScore}%`, covColor);
-            const trend = this.getTrendIndicator(results.comparison?.changes?.coverage);
+            const formatted = formatMetricValue(plugin, value);
+            const color = this.getStatusColor(evaluateMetric(plugin, value));
+            const badge = this.generateBadgeUrl('', formatted, color);
+            const trend = this.getTrendIndicator(plugin, results.comparison?.changes?.[plugin.id]);
             
-            table += `\n| 🛡️ Coverage | ${covScore}% | ![](${covBadge}) | ${trend} |`;
-        }
-
-        // Bundle size row
-        if (results.bundleSize && typeof results.bundleSize.total === 'number') {
-            const sizeKB = this.formatToKB(results.bundleSize.total);
-            const sizeColor = this.getSizeColor(sizeKB);
-            const sizeBadge = this.generateBadgeUrl('', `${sizeKB}KB`, sizeColor);
-            const trend = this.getTrendIndicator(results.comparison?.changes?.bundleSize, true);
-            
-            table += `\n| 📦 Bundle Size | ${sizeKB}KB | ![](${sizeBadge}) | ${trend} |`;
-        }
+            table += `\n| ${plugin.emoji} ${plugin.label} | ${formatted} | ![](${badge}) | ${trend} |`;
+        });
 
         table += `\n\n*Last updated: ${new Date(results.timestamp).toLocaleString('lv-LV')}*`;
         
@@ -261,18 +233,10 @@ class BadgeGenerator {
     /**
      * Get trend indicator
      */
-    getTrendIndicator(change, inverse = false) {
-        if (typeof change !== 'number') return '➖';
-        
-        if (Math.abs(change) < 1) return '➖'; // No significant change
+    getTrendIndicator(plugin, change) {
+        if (!isSignificantChange(plugin, change)) return '➖';
         
-        if (inverse) {
-            // For bundle size, smaller is better
-            return change > 0 ? '📈' : '📉';
-        } else {
-            // For performance/coverage, higher is better
-            return change > 0 ? '📈' : '📉';
-        }
+        return change > 0 ? '📈' : '📉';
     }
 
     /**
@@ -281,50 +245,76 @@ class BadgeGenerator {
     generateAPI(results) {
         console.log('🔌 Ģenerē API datus...');
         
+        const metrics = {};
+        const endpoints = {
+            '/api/metrics': {
+                method: 'GET',
+                description: 'Get current metrics',
+                response: metrics
+            }
+        };
+
+        this.registry.list().forEach(plugin => {
+            metrics[plugin.id] = getMetricValue(plugin, results);
+            endpoints[`/api/badges/${plugin.id}`] = {
+                method: 'GET',
+                description: `Get ${plugin.label} badge`,
+                response: 'SVG badge'
+            };
+        });
+        metrics.timestamp = results.timestamp;
+
+        endpoints['/api/audit'] = {
+            method: 'GET',
+            description: 'Get the baseline audit log',
+            response: 'Accepted regressions and baseline decisions, oldest first (audit-log.json)'
+        };
+
+        endpoints['/api/history'] = {
+            method: 'GET',
+            description: 'Get metrics history',
+            response: 'Baseline history: recent runs, daily and weekly min/median/max aggregates (metrics-history.json)'
+        };
+
         const api = {
             version: '1.0.0',
             generated: results.timestamp,
-            endpoints: {
-                '/api/metrics': {
-                    method: 'GET',
-                    description: 'Get current metrics',
-                    response: {
-                        performance: results.performance?.performance || null,
-                        coverage: results.coverage?.total || null,
-                        bundleSize: results.bundleSize?.total || null,
-                        timestamp: results.timestamp
-                    }
-                },
-                '/api/badges/performance': {
-                    method: 'GET',
-                    description: 'Get performance badge',
-                    response: 'SVG badge'
-                },
-                '/api/badges/coverage': {
-                    method: 'GET',
-                    description: 'Get coverage badge',
-                    response: 'SVG badge'
-                },
-                '/api/badges/bundle-size': {
-                    method: 'GET',
-                    description: 'Get bundle size badge',
-                    response: 'SVG badge'
-                },
-                '/api/history': {
-                    method: 'GET',
-                    description: 'Get metrics history',
-                    response: 'Array of historical metrics'
-                }
-            }
+            endpoints
         };
 
         return api;
     }
 
+    /**
+     * Baseline history of the fallback branch for the dashboard, with the retention tiers it was
+     * compacted by. The dashboard queries it at the resolution it shows.
+     */
+    generateHistory() {
+        const entries = createStorage(this.config).loadHistory();
+        return {
+            generated: new Date().toISOString(),
+            branch: this.config.baseline.fallbackBranch,
+            retention: this.config.baseline.retention,
+            entries
+        };
+    }
+
+    /**
+     * Audit log of the fallback branch for the dashboard: accepted regressions, refused and
+     * accepted baseline updates
+     */
+    generateAuditLog() {
+        return {
+            generated: new Date().toISOString(),
+            branch: this.config.baseline.fallbackBranch,
+            entries: createStorage(this.config).loadAudit()
+        };
+    }
+
     /**
      * Save all generated content
      */
-    saveAll(badges, table, api) {
+    saveAll(badges, table, api, history, audit) {
         console.log('💾 Saglabā visus ģenerētos failus...');
         
         // Save badges
@@ -355,6 +345,16 @@ class BadgeGenerator {
             JSON.stringify(api, null, 2)
         );
 
+        // Save history and audit log for the dashboard
+        fs.writeFileSync(
+            path.join(this.badgesDir, 'metrics-history.json'),
+            JSON.stringify(history, null, 2)
+        );
+        fs.writeFileSync(
+            path.join(this.badgesDir, 'audit-log.json'),
+            JSON.stringify(audit, null, 2)
+        );
+
         // Save combined output
         const output = {
             badges,
@@ -368,46 +368,101 @@ class BadgeGenerator {
             JSON.stringify(output, null, 2)
         );
 
-        console.log('✅ Visi faili saglabāti badges/ direktorijā');
+        console.log('✅ Visi faili saglabāti');
+    }
+
+    /**
+     * Headline values of a project for the projects index
+     */
+    summarizeProject(results) {
+        return {
+            name: this.config.project.name,
+            status: results.status,
+            overall: this.calculateOverallStatus(results),
+            timestamp: results.timestamp,
+            badges: path.relative(path.dirname(this.badgesDir), this.badgesDir),
+            metrics: this.registry.list()
+                .map(plugin => ({ plugin, value: getMetricValue(plugin, results) }))
+                .filter(({ value }) => typeof value === 'number')
+                .map(({ plugin, value }) => ({
+                    id: plugin.id,
+                    label: plugin.label,
+                    emoji: plugin.emoji,
+                    value,
+                    formatted: formatMetricValue(plugin, value),
+                    status: evaluateMetric(plugin, value)
+                }))
+        };
+    }
+
+    /**
+     * Badges of every project in its own directory, plus a combined table and an index grouped by project
+     * @returns {Object} Index saved as badges/projects.json
+     */
+    runProjects() {
+        const generators = resolveProjects(this.config).map(projectConfig => new BadgeGenerator(projectConfig));
+        generators.forEach(generator => generator.run());
+
+        const projects = generators.map(generator => generator.summarizeProject(generator.loadResults()));
+        const table = generators
+            .map(generator => fs.readFileSync(path.join(generator.badgesDir, 'table.md'), 'utf8').trim())
+            .join('\n\n');
+
+        const index = { generated: new Date().toISOString(), projects };
+        fs.writeFileSync(path.join(this.badgesDir, 'table.md'), table);
+        fs.writeFileSync(path.join(this.badgesDir, 'projects.json'), JSON.stringify(index, null, 2));
+
+        console.log(`🗂️ Projektu badge: ${projects.map(project => `${project.name} (${project.overall.label})`).join(', ')}`);
+        return index;
     }
 
     /**
      * Run badge generation
+     * @returns {Object} Generated badges, table and API data, or the project index in a monorepo
      */
     run() {
+        if (this.config.projects.length > 0) {
+            return this.runProjects();
+        }
+
         console.log('🏷️ Badge Generator sākas...');
+        if (this.config.project) {
+            console.log(`🗂️ Projekts: ${this.config.project.name}`);
+        }
         
-        try {
-            const results = this.loadResults();
-            const badges = this.generateBadges(results);
-            const table = this.generateTable(results);
-            const api = this.generateAPI(results);
-            
-            this.saveAll(badges, table, api);
-            
-            // Output for GitHub Actions
-            if (process.env.GITHUB_ACTIONS) {
-                const output = JSON.stringify({ badges, table, api });
-                fs.appendFileSync(
-                    process.env.GITHUB_OUTPUT || '/dev/null',
-                    `badges<<EOF\n${output}\nEOF\n`
-                );
-            }
-            
-            console.log('🎉 Badge ģenerēšana pabeigta!');
-            console.log('📂 Rezultāti pieejami badges/ direktorijā');
-            
-        } catch (error) {
-            console.error('❌ Badge ģenerēšanas kļūda:', error.message);
-            process.exit(1);
+        const results = this.loadResults();
+        const badges = this.generateBadges(results);
+        const table = this.generateTable(results);
+        const api = this.generateAPI(results);
+        const history = this.generateHistory();
+        const audit = this.generateAuditLog();
+        
+        this.saveAll(badges, table, api, history, audit);
+        
+        // Output for GitHub Actions
+        if (process.env.GITHUB_ACTIONS) {
+            const output = JSON.stringify({ badges, table, api });
+            fs.appendFileSync(
+                process.env.GITHUB_OUTPUT || '/dev/null',
+                `badges<<EOF\n${output}\nEOF\n`
+            );
         }
+        
+        console.log('🎉 Badge ģenerēšana pabeigta!');
+        console.log(`📂 Rezultāti pieejami ${this.badgesDir} direktorijā`);
+
+        return { badges, table, api };
     }
 }
 
 // Run if called directly
 if (require.main === module) {
-    const generator = new BadgeGenerator();
-    generator.run();
+    try {
+        new BadgeGenerator().run();
+    } catch (error) {
+        console.error('❌ Badge ģenerēšanas kļūda:', error.message);
+        process.exitCode = 1;
+    }
 }
 
 module.exports = BadgeGenerator;
\ No newline at end of file
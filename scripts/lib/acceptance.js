@@ -0,0 +1,166 @@
+const fs = require('fs');
+const { getMetricValue, isImprovement } = require('./metric-registry');
+
+const AUDIT_ACTIONS = {
+    // Someone accepted a metric regression, with the CLI or the PR label
+    ACCEPT: 'accept',
+    // A baseline update was refused, see rejection.json
+    REJECT: 'reject',
+    // A baseline was updated in spite of accepted regressions
+    UPDATE: 'update'
+};
+
+// Collector whose files the asset rules of the gate measure
+const BUNDLE_SOURCE = 'bundleSize';
+
+/**
+ * Who runs this: the GitHub user that triggered the workflow, or the local user
+ */
+function getActor(env = process.env) {
+    return env.GITHUB_ACTOR || env.USER || env.USERNAME || 'unknown';
+}
+
+/**
+ * Whether a value is worse than the baseline value, in the metric's direction
+ */
+function isWorse(plugin, value, baselineValue) {
+    const change = value - baselineValue;
+    return change !== 0 && !isImprovement(plugin, change);
+}
+
+/**
+ * Audit entry accepting the regression of one metric against a baseline
+ * @param {Object} plugin - Metric plugin
+ * @param {Object} results - Analysis results with the regression
+ * @param {Object} baseline - Baseline it regressed against
+ * @param {Object} details - { actor, reason, source: cli|label, branch, pr }
+ * @throws {Error} When the metric was not measured or did not get worse
+ */
+function createAcceptance(plugin, results, baseline, { actor, reason, source, branch, pr = null }) {
+    if (!baseline) {
+        throw new Error('There is no baseline to accept a regression against');
+    }
+
+    const value = getMetricValue(plugin, results);
+    const baselineValue = getMetricValue(plugin, baseline);
+    if (typeof value !== 'number' || typeof baselineValue !== 'number') {
+        throw new Error(`${plugin.label} is not measured in both the results and the baseline`);
+    }
+    if (!isWorse(plugin, value, baselineValue)) {
+        throw new Error(`${plugin.label} did not regress against the baseline of ${baseline.commit}`);
+    }
+
+    return {
+        timestamp: new Date().toISOString(),
+        action: AUDIT_ACTIONS.ACCEPT,
+        actor,
+        commit: results.commit,
+        branch,
+        pr,
+        metric: plugin.id,
+        value,
+        baseline: baselineValue,
+        baselineCommit: baseline.commit,
+        reason,
+        source
+    };
+}
+
+/**
+ * Pull request a push merged, from GitHub's merge and squash commit messages:
+ * "Merge pull request #12 from ..." or "Title (#12)"
+ * @param {Object} env - Environment with GITHUB_EVENT_NAME and GITHUB_EVENT_PATH
+ * @returns {string|null} PR number
+ */
+function getMergedPullRequest(env = process.env) {
+    if (env.GITHUB_EVENT_NAME !== 'push' || !env.GITHUB_EVENT_PATH || !fs.existsSync(env.GITHUB_EVENT_PATH)) return null;
+
+    const event = JSON.parse(fs.readFileSync(env.GITHUB_EVENT_PATH, 'utf8'));
+    const [subject] = ((event.head_commit && event.head_commit.message) || '').split('\n');
+    const match = subject.match(/^Merge pull request #(\d+)/) || subject.match(/\(#(\d+)\)$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * What an acceptance has to be made for to apply to a run: its commit, or its pull request.
+ * A push that merges a pull request carries the acceptances of that pull request over.
+ * @param {Object} results - Analysis results of the run
+ * @returns {{commit: string, pr: string|null}}
+ */
+function getRunScope(results, env = process.env) {
+    return { commit: results.commit, pr: results.pr || getMergedPullRequest(env) };
+}
+
+/**
+ * Acceptances that apply to a run: made for its commit or pull request, against the baseline that
+ * is compared with now. An acceptance for one pull request never waives the regressions of another.
+ * @param {Object[]} audit - Audit log entries
+ * @param {Object|null} baseline - Current baseline
+ * @param {Object} scope - { commit, pr } of the run, see getRunScope
+ * @returns {Object[]} Accept entries, newest first
+ */
+function getAcceptances(audit, baseline, { commit, pr = null } = {}) {
+    if (!baseline) return [];
+    return audit
+        .filter(entry => entry.action === AUDIT_ACTIONS.ACCEPT && entry.baselineCommit === baseline.commit)
+        .filter(entry => (pr && entry.pr === pr) || entry.commit === commit)
+        .reverse();
+}
+
+/**
+ * The acceptance covering a metric value: one for the metric that accepted a value at least this bad
+ * @returns {Object|null} Accept entry, null when the value is not accepted
+ */
+function findAcceptance(acceptances, plugin, value) {
+    if (typeof value !== 'number') return null;
+    return acceptances.find(entry => entry.metric === plugin.id && !isWorse(plugin, value, entry.value)) || null;
+}
+
+/**
+ * The acceptance covering the assets of the bundle: one for a bundle size metric (raw, gzip or brotli)
+ * whose current value it covers. Asset rules measure the same files, so accepting the bundle growth
+ * accepts them too.
+ * @returns {Object|null} Accept entry, null when no bundle size regression is accepted
+ */
+function findAssetAcceptance(registry, acceptances, results) {
+    return registry.list()
+        .filter(plugin => (plugin.source || plugin.id) === BUNDLE_SOURCE)
+        .map(plugin => findAcceptance(acceptances, plugin, getMetricValue(plugin, results)))
+        .find(Boolean) || null;
+}
+
+/**
+ * Accept label just added to a pull request, by the GitHub event of that run.
+ * Pushes to a pull request that already has the label accept nothing: the label has to be added
+ * again for the regressions they bring.
+ * @param {string|null} label - `baseline.acceptLabel`
+ * @param {Object} env - Environment with GITHUB_EVENT_PATH
+ * @returns {Object|null} { pr, actor, reason }, null unless the event added the label
+ */
+function readAcceptLabel(label, env = process.env) {
+    if (!label || !env.GITHUB_EVENT_PATH || !fs.existsSync(env.GITHUB_EVENT_PATH)) return null;
+
+    const event = JSON.parse(fs.readFileSync(env.GITHUB_EVENT_PATH, 'utf8'));
+    const pullRequest = event.pull_request;
+    if (!pullRequest || event.action !== 'labeled' || !event.label || event.label.name !== label) return null;
+
+    // The sender of a labeled event is whoever added the label
+    return {
+        pr: String(pullRequest.number),
+        actor: (event.sender && event.sender.login) || getActor(env),
+        reason: `Label "${label}" on #${pullRequest.number}: ${pullRequest.title}`
+    };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    getActor,
+    isWorse,
+    createAcceptance,
+    getMergedPullRequest,
+    getRunScope,
+    getAcceptances,
+    findAcceptance,
+    findAssetAcceptance,
+    readAcceptLabel
+};
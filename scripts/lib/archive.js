@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { readDocument, writeDocument } = require('./schema');
+
+// Subdirectory of the baselines directory that keeps analysis results per commit
+const ARCHIVE_DIR = 'archive';
+
+const SHA_PATTERN = /^[0-9a-f]{4,40}$/i;
+
+/**
+ * Archive directory of a baselines directory
+ */
+function getArchiveDir(baselineDir) {
+    return path.join(baselineDir, ARCHIVE_DIR);
+}
+
+/**
+ * Metadata of every archived analysis, oldest first
+ * @param {string} archiveDir - Archive directory
+ * @returns {Object[]} { commit, branch, timestamp, status, file }
+ */
+function listArchive(archiveDir) {
+    if (!fs.existsSync(archiveDir)) return [];
+
+    return fs.readdirSync(archiveDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            try {
+                const results = readDocument('results', path.join(archiveDir, file));
+                return {
+                    commit: results.commit,
+                    branch: results.branch,
+                    timestamp: results.timestamp,
+                    status: results.status,
+                    file: path.join(archiveDir, file)
+                };
+            } catch (error) {
+                console.warn(`⚠️ Bojāts arhīva fails ${file}: ${error.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Store analysis results under their commit SHA, dropping the oldest beyond maxEntries
+ * @param {string} archiveDir - Archive directory
+ * @param {Object} results - Analysis results with a commit SHA
+ * @param {Object} options - Archive options
+ * @param {number} options.maxEntries - How many commits to keep
+ * @returns {string} Path of the archived file
+ */
+function archiveResults(archiveDir, results, { maxEntries = 200 } = {}) {
+    if (!SHA_PATTERN.test(results.commit || '')) {
+        throw new Error(`Cannot archive results without a commit SHA, got "${results.commit}"`);
+    }
+
+    fs.mkdirSync(archiveDir, { recursive: true });
+    const file = path.join(archiveDir, `${results.commit}.json`);
+    writeDocument('results', file, results);
+
+    const entries = listArchive(archiveDir);
+    entries.slice(0, Math.max(0, entries.length - maxEntries)).forEach(entry => fs.unlinkSync(entry.file));
+
+    return file;
+}
+
+/**
+ * Archived results of a commit, the SHA may be abbreviated
+ * @param {string} archiveDir - Archive directory
+ * @param {string} sha - Full or abbreviated commit SHA
+ * @returns {Object|null} Analysis results, null when the commit was not archived
+ */
+function loadArchivedResults(archiveDir, sha) {
+    if (!SHA_PATTERN.test(sha) || !fs.existsSync(archiveDir)) return null;
+
+    const prefix = sha.toLowerCase();
+    const matches = fs.readdirSync(archiveDir).filter(file => file.endsWith('.json') && file.toLowerCase().startsWith(prefix));
+    if (matches.length > 1) {
+        throw new Error(`Commit "${sha}" is ambiguous, it matches ${matches.map(file => path.basename(file, '.json')).join(', ')}`);
+    }
+    if (matches.length === 0) return null;
+
+    return readDocument('results', path.join(archiveDir, matches[0]));
+}
+
+/**
+ * Most recent archived results of a branch
+ * @returns {Object|null} Analysis results, null when the branch has none
+ */
+function loadLatestForBranch(archiveDir, branch) {
+    const entries = listArchive(archiveDir).filter(entry => entry.branch === branch);
+    if (entries.length === 0) return null;
+
+    return readDocument('results', entries[entries.length - 1].file);
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    SHA_PATTERN,
+    getArchiveDir,
+    listArchive,
+    archiveResults,
+    loadArchivedResults,
+    loadLatestForBranch
+};
@@ -0,0 +1,68 @@
+const { globToRegExp } = require('./glob');
+
+// Where the baselines of branches other than the fallback branch are kept
+const BRANCHES_DIR = 'branches';
+
+/**
+ * Whether a branch matches one of the `baseline.branches` globs, e.g. `release/*`. Case is ignored.
+ */
+function matchesBranch(branch, patterns) {
+    if (!branch) return false;
+    return patterns.some(pattern => globToRegExp(pattern.toLowerCase()).test(branch.toLowerCase()));
+}
+
+/**
+ * Storage path of a branch's baseline documents. The fallback branch keeps the top level
+ * (metrics.json, history.json), every other branch gets branches/<branch>/, so `release/1.4`
+ * is stored under branches/release/1.4/.
+ * @param {string} branch - Branch name
+ * @param {Object} policy - `baseline` section of the config
+ * @returns {string} Path with `/` separators, empty for the fallback branch
+ */
+function getBranchPath(branch, policy) {
+    if (branch === policy.fallbackBranch) return '';
+
+    const segments = (branch || '').split('/');
+    if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+        throw new Error(`Invalid branch name for a baseline: "${branch}"`);
+    }
+    return [BRANCHES_DIR, ...segments].join('/');
+}
+
+/**
+ * Branch of this run and, for pull requests, the branch it targets
+ * @returns {{branch: string|null, base: string|null}}
+ */
+function getCurrentBranch(env = process.env) {
+    return {
+        branch: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME || null,
+        base: env.GITHUB_BASE_REF || null
+    };
+}
+
+/**
+ * Branch whose baseline a run is compared with: the PR's base branch, or the pushed branch itself,
+ * when that branch gets baselines and already has one. Anything else falls back to `baseline.fallbackBranch`.
+ * @param {Object} store - Baseline store, see lib/storage
+ * @param {Object} policy - `baseline` section of the config
+ * @param {Object} env - Environment with the GITHUB_* variables
+ * @returns {string} Branch name
+ */
+function resolveBaselineBranch(store, policy, env = process.env) {
+    const { branch, base } = getCurrentBranch(env);
+    const candidate = base || branch;
+
+    if (candidate && candidate !== policy.fallbackBranch && matchesBranch(candidate, policy.branches) && store.hasBaseline(candidate)) {
+        return candidate;
+    }
+
+    return policy.fallbackBranch;
+}
+
+module.exports = {
+    BRANCHES_DIR,
+    matchesBranch,
+    getBranchPath,
+    getCurrentBranch,
+    resolveBaselineBranch
+};
@@ -0,0 +1,38 @@
+/**
+ * Raw, gzip and brotli size of everything in dist/
+ */
+const bundleSize = {
+    id: 'bundleSize',
+    label: 'Bundle Size',
+    emoji: '📦',
+    unit: 'bytes',
+    direction: 'lower',
+    thresholds: { good: 100 * 1024, warning: 250 * 1024 },
+    weight: 30,
+    recommendation: 'Consider code splitting, tree shaking, and removing unused dependencies',
+    dependsOn: ['build'],
+    collect: context => context.runner.runBundleAnalysis(),
+    value: data => data.total
+};
+
+// Compressed sizes are what users download; they read the bundleSize data
+const bundleSizeGzip = {
+    id: 'bundleSizeGzip',
+    label: 'Bundle Size (gzip)',
+    emoji: '🗜️',
+    unit: 'bytes',
+    direction: 'lower',
+    thresholds: { good: 50 * 1024, warning: 100 * 1024 },
+    weight: 0,
+    source: 'bundleSize',
+    value: data => data.gzipped
+};
+
+const bundleSizeBrotli = {
+    ...bundleSizeGzip,
+    id: 'bundleSizeBrotli',
+    label: 'Bundle Size (brotli)',
+    value: data => data.brotli
+};
+
+module.exports = [bundleSize, bundleSizeGzip, bundleSizeBrotli];
@@ -0,0 +1,17 @@
+/**
+ * Average of statement, branch, function and line coverage
+ */
+module.exports = {
+    id: 'coverage',
+    label: 'Coverage',
+    emoji: '🛡️',
+    unit: 'percent',
+    direction: 'higher',
+    thresholds: { good: 80, warning: 60 },
+    weight: 40,
+    recommendation: 'Add more unit tests to improve code coverage and reliability',
+    // Coverage is written by the Jest run of the tests step
+    dependsOn: ['tests'],
+    collect: context => context.runner.runCoverageAnalysis(),
+    value: data => data.total
+};
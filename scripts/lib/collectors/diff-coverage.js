@@ -0,0 +1,18 @@
+/**
+ * Line coverage of the lines changed since the base ref
+ */
+module.exports = {
+    id: 'diffCoverage',
+    label: 'Diff Coverage',
+    emoji: '🎯',
+    unit: 'percent',
+    direction: 'higher',
+    thresholds: { good: 80, warning: 60 },
+    // Depends on the size of the change, not on the project, so it does not count towards the baseline score
+    weight: 0,
+    recommendation: 'Cover the changed lines listed in the Diff Coverage section with tests',
+    // Uses coverage-final.json from the Jest run of the tests step
+    dependsOn: ['tests'],
+    collect: context => context.runner.runDiffCoverageAnalysis(),
+    value: data => data.lines.pct
+};
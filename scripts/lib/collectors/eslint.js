@@ -0,0 +1,29 @@
+/**
+ * ESLint errors and warnings, tracked as lint debt
+ */
+const lint = {
+    id: 'lint',
+    label: 'Lint Errors',
+    emoji: '🧹',
+    unit: 'count',
+    direction: 'lower',
+    thresholds: { good: 0, warning: 0 },
+    weight: 10,
+    recommendation: 'Fix the reported ESLint errors, `eslint --fix` handles the fixable ones',
+    collect: context => context.runner.runLintAnalysis(context.signal),
+    value: data => data.errors
+};
+
+const lintWarnings = {
+    id: 'lintWarnings',
+    label: 'Lint Warnings',
+    emoji: '🔸',
+    unit: 'count',
+    direction: 'lower',
+    thresholds: { good: 0, warning: 20 },
+    weight: 0,
+    source: 'lint',
+    value: data => data.warnings
+};
+
+module.exports = [lint, lintWarnings];
@@ -0,0 +1,15 @@
+const { createLighthousePlugins } = require('./performance');
+
+/**
+ * Built-in metric plugins, in the order they are collected and reported
+ * @param {Object} config - Loaded symphony.config.js, the Lighthouse metrics follow its profiles
+ * @returns {Object[]} Metric plugins
+ */
+module.exports = config => [
+    ...createLighthousePlugins(config.lighthouse.profiles),
+    require('./coverage'),
+    require('./diff-coverage'),
+    ...require('./tests'),
+    ...require('./bundle-size'),
+    ...require('./eslint')
+];
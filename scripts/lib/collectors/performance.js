@@ -0,0 +1,127 @@
+/**
+ * Lighthouse performance score of the worst audited page, every page is kept in data.pages
+ */
+const performance = {
+    id: 'performance',
+    label: 'Performance',
+    emoji: '🚀',
+    unit: 'percent',
+    direction: 'higher',
+    thresholds: { good: 90, warning: 70 },
+    weight: 30,
+    recommendation: 'Optimize images, enable compression, and minimize JavaScript bundles',
+    dependsOn: ['build'],
+    // Every profile audits every page
+    timeout: 10 * 60 * 1000,
+    // Lighthouse occasionally fails to connect to Chrome
+    retries: 1,
+    // Tests, lint and other collectors on the CPU at the same time would skew the scores
+    exclusive: true,
+    collect: context => context.runner.runLighthouseAnalysis(context.signal),
+    value: data => data.performance,
+    runs: data => data.runScores
+};
+
+// The other Lighthouse categories come from the same audit; warning levels match lighthouserc.json
+const accessibility = {
+    id: 'accessibility',
+    label: 'Accessibility',
+    emoji: '♿',
+    unit: 'percent',
+    direction: 'higher',
+    thresholds: { good: 90, warning: 80 },
+    weight: 10,
+    recommendation: 'Fix the failing Lighthouse accessibility audits: contrast, labels, alt text and landmarks',
+    source: 'performance',
+    value: data => data.accessibility,
+    runs: data => data.runValues && data.runValues.accessibility
+};
+
+const bestPractices = {
+    id: 'bestPractices',
+    label: 'Best Practices',
+    emoji: '🏅',
+    unit: 'percent',
+    direction: 'higher',
+    thresholds: { good: 90, warning: 80 },
+    weight: 5,
+    recommendation: 'Check the Lighthouse best practices audits: console errors, HTTPS and deprecated APIs',
+    source: 'performance',
+    value: data => data.bestPractices,
+    runs: data => data.runValues && data.runValues.bestPractices
+};
+
+const seo = {
+    id: 'seo',
+    label: 'SEO',
+    emoji: '🔎',
+    unit: 'percent',
+    direction: 'higher',
+    thresholds: { good: 90, warning: 70 },
+    weight: 5,
+    recommendation: 'Add a meta description, a descriptive title and crawlable links',
+    source: 'performance',
+    value: data => data.seo,
+    runs: data => data.runValues && data.runValues.seo
+};
+
+const CATEGORIES = [performance, accessibility, bestPractices, seo];
+
+/**
+ * Metric id of a category in a profile: the first profile keeps the plain id, e.g. performance,
+ * the others get the profile name appended, e.g. performanceDesktop
+ */
+function getProfileMetricId(category, profileName, primaryName) {
+    return profileName === primaryName
+        ? category
+        : `${category}${profileName.charAt(0).toUpperCase()}${profileName.slice(1)}`;
+}
+
+/**
+ * Lighthouse metric plugins for every form factor profile.
+ * The performance plugin collects all profiles; the first profile's results are stored at the top
+ * level of its data and the others under data.profiles[name].
+ * @param {Object[]} profiles - lighthouse.profiles from symphony.config.js
+ * @returns {Object[]} Metric plugins
+ */
+function createLighthousePlugins(profiles) {
+    if (profiles.length === 0) {
+        throw new Error('Invalid config: "lighthouse.profiles" needs at least one profile');
+    }
+    const names = profiles.map(profile => profile.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+        throw new Error(`Invalid config: "lighthouse.profiles" has more than one profile named "${duplicate}"`);
+    }
+
+    const primary = names[0];
+    // A single profile keeps the plain labels
+    const labelFor = (plugin, name) => (names.length > 1 ? `${plugin.label} (${name})` : plugin.label);
+
+    return profiles.flatMap(({ name }) => CATEGORIES.map(plugin => {
+        if (name === primary) {
+            return { ...plugin, label: labelFor(plugin, name) };
+        }
+
+        const profileData = data => data.profiles && data.profiles[name];
+        return {
+            ...plugin,
+            id: getProfileMetricId(plugin.id, name, primary),
+            label: labelFor(plugin, name),
+            collect: undefined,
+            dependsOn: undefined,
+            timeout: undefined,
+            retries: undefined,
+            exclusive: undefined,
+            source: 'performance',
+            value: data => (profileData(data) ? plugin.value(profileData(data)) : null),
+            runs: data => (profileData(data) ? plugin.runs(profileData(data)) : [])
+        };
+    }));
+}
+
+module.exports = {
+    CATEGORIES,
+    getProfileMetricId,
+    createLighthousePlugins
+};
@@ -0,0 +1,56 @@
+/**
+ * Jest test run: wall clock duration, test counts and failures
+ */
+const tests = {
+    id: 'tests',
+    label: 'Test Duration',
+    emoji: '⏱️',
+    unit: 'ms',
+    direction: 'lower',
+    thresholds: { good: 30 * 1000, warning: 120 * 1000 },
+    weight: 0,
+    minChange: 1000,
+    recommendation: 'Speed up the slowest tests: mock network and timers, share expensive setup',
+    timeout: 15 * 60 * 1000,
+    collect: context => context.runner.runTestAnalysis(context.signal),
+    value: data => data.duration
+};
+
+const testCount = {
+    id: 'testCount',
+    label: 'Tests',
+    emoji: '🧪',
+    unit: 'count',
+    direction: 'higher',
+    thresholds: { good: 1, warning: 1 },
+    weight: 0,
+    source: 'tests',
+    value: data => data.total
+};
+
+const testFailures = {
+    id: 'testFailures',
+    label: 'Failed Tests',
+    emoji: '💥',
+    unit: 'count',
+    direction: 'lower',
+    thresholds: { good: 0, warning: 0 },
+    weight: 20,
+    source: 'tests',
+    recommendation: 'Fix the failing tests before merging',
+    value: data => data.failed + data.suites.runtimeErrors
+};
+
+const testsSkipped = {
+    id: 'testsSkipped',
+    label: 'Skipped Tests',
+    emoji: '⏭️',
+    unit: 'count',
+    direction: 'lower',
+    thresholds: { good: 0, warning: 10 },
+    weight: 0,
+    source: 'tests',
+    value: data => data.skipped
+};
+
+module.exports = [tests, testCount, testFailures, testsSkipped];
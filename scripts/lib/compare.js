@@ -0,0 +1,92 @@
+const { getMetricValue } = require('./metric-registry');
+const { classifyChange, classifyChanges } = require('./regression');
+const { diffPages } = require('./lighthouse');
+const { diffAnalysis, diffSizes } = require('./webpack-stats');
+const { countByRule } = require('./eslint');
+
+/**
+ * Delta between two analysis results: metric changes with their classification, and the details
+ * behind them (pages, bundle attribution and composition, test suites, lint rules)
+ * @param {Object} registry - Metric registry
+ * @param {Object} current - Analysis results to judge
+ * @param {Object|null} baseline - Baseline or earlier analysis results to compare with
+ * @param {Object} options - Classification options
+ * @param {Object[]} options.history - Entries of baselines/history.json
+ * @param {Object} options.regression - `regression` section of symphony.config.js
+ * @returns {Object} comparison, as stored in analysis-results.json
+ */
+function compareResults(registry, current, baseline, { history = [], regression = {} } = {}) {
+    const comparison = {
+        hasBaseline: !!baseline,
+        changes: {}
+    };
+
+    if (!baseline) return comparison;
+
+    comparison.previous = {};
+
+    // Compare every registered metric
+    registry.list().forEach(plugin => {
+        const value = getMetricValue(plugin, current);
+        const previous = getMetricValue(plugin, baseline);
+
+        if (typeof value === 'number' && typeof previous === 'number') {
+            comparison.changes[plugin.id] = value - previous;
+            comparison.previous[plugin.id] = previous;
+        }
+    });
+
+    // Regression, improvement or noise, judged against the usual spread of each metric
+    comparison.classifications = classifyChanges(registry, current, baseline, { ...regression, history });
+
+    // Lighthouse scores and metrics per page
+    if (baseline.performance && baseline.performance.pages && current.performance && current.performance.pages) {
+        comparison.pages = diffPages(current.performance.pages, baseline.performance.pages);
+
+        const plugin = registry.get('performance');
+        Object.entries(comparison.pages).forEach(([key, page]) => {
+            if (plugin && typeof page.changes.performance === 'number') {
+                page.classification = classifyChange(plugin, page.changes.performance, {
+                    runs: current.performance.pages[key].runScores,
+                    sigma: regression.sigma
+                }).classification;
+            }
+        });
+    }
+
+    // Bundle details: what grew and where it came from
+    if (baseline.bundleSize && current.bundleSize && !current.bundleSize.error) {
+        // Source map attribution per package and source file
+        if (baseline.bundleSize.attribution && current.bundleSize.attribution) {
+            comparison.attribution = {
+                packages: diffSizes(current.bundleSize.attribution.packages, baseline.bundleSize.attribution.packages),
+                files: diffSizes(current.bundleSize.attribution.files, baseline.bundleSize.attribution.files)
+            };
+        }
+
+        // What grew: entrypoints, chunks and modules
+        if (baseline.bundleSize.webpack && current.bundleSize.webpack) {
+            comparison.webpack = diffAnalysis(current.bundleSize.webpack, baseline.bundleSize.webpack);
+        }
+    }
+
+    // Test suite durations
+    if (baseline.tests && baseline.tests.suiteDurations && current.tests && !current.tests.error) {
+        comparison.tests = {
+            suites: diffSizes(current.tests.suiteDurations, baseline.tests.suiteDurations)
+        };
+    }
+
+    // Lint debt per rule
+    if (baseline.lint && baseline.lint.rules && current.lint && !current.lint.error) {
+        comparison.lint = {
+            rules: diffSizes(countByRule(current.lint.rules), countByRule(baseline.lint.rules))
+        };
+    }
+
+    return comparison;
+}
+
+module.exports = {
+    compareResults
+};
@@ -0,0 +1,515 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const CONFIG_FILE = 'symphony.config.js';
+
+/**
+ * Defaults for everything symphony.config.js can set
+ */
+const DEFAULT_CONFIG = {
+    paths: {
+        src: 'src',
+        dist: 'dist',
+        reports: 'reports',
+        baselines: 'baselines',
+        badges: 'badges',
+        coverage: 'coverage'
+    },
+    collectors: [],
+    metrics: {},
+    lighthouse: {
+        profiles: [
+            { name: 'mobile', preset: 'mobile' },
+            { name: 'desktop', preset: 'desktop' }
+        ]
+    },
+    webVitals: {
+        firstContentfulPaint: 1800,
+        largestContentfulPaint: 2500,
+        cumulativeLayoutShift: 0.1,
+        totalBlockingTime: 200
+    },
+    analysis: {
+        timeout: 10 * 60 * 1000,
+        retries: 0
+    },
+    lint: {
+        patterns: ['src/**/*.js'],
+        worstFiles: 10
+    },
+    tests: {
+        slowestTests: 10
+    },
+    diffCoverage: {
+        baseRef: 'origin/main',
+        minimum: 80,
+        failBelowMinimum: true
+    },
+    regression: {
+        sigma: 2,
+        historyWindow: 10
+    },
+    baseline: {
+        branches: ['main', 'master', 'develop'],
+        fallbackBranch: 'main',
+        events: ['push'],
+        minScore: 70,
+        // PR label that accepts the PR's metric regressions, null to only accept with the CLI
+        acceptLabel: 'accept-regression',
+        // Every run for 30 days, daily aggregates for a year, weekly aggregates after that
+        retention: [
+            { resolution: 'run', maxDays: 30 },
+            { resolution: 'day', maxDays: 365 },
+            { resolution: 'week', maxDays: null }
+        ]
+    },
+    archive: {
+        enabled: true,
+        maxEntries: 200
+    },
+    storage: {
+        backend: 'fs',
+        git: {
+            branch: 'symphony-data',
+            remote: 'origin'
+        },
+        sqlite: {
+            file: 'baselines/symphony.db'
+        }
+    },
+    watch: {
+        debounce: 300,
+        coverage: false
+    },
+    gate: {
+        rules: []
+    },
+    notifications: {
+        prComment: {
+            enabled: true
+        },
+        slack: {
+            enabled: true,
+            onlyFailures: false
+        }
+    },
+    projects: []
+};
+
+// Build command of a project that does not set its own
+const DEFAULT_BUILD_COMMAND = 'npm run build';
+
+// Sections a project can override; everything else is shared by all projects
+const PROJECT_OVERRIDES = ['collectors', 'metrics', 'lighthouse', 'webVitals', 'lint', 'tests', 'diffCoverage', 'gate'];
+
+const thresholdsSchema = {
+    type: 'object',
+    required: ['good', 'warning'],
+    properties: {
+        good: { type: 'number' },
+        warning: { type: 'number' }
+    }
+};
+
+/**
+ * Shape of symphony.config.js. Unknown keys are rejected so typos do not go unnoticed.
+ */
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        paths: {
+            type: 'object',
+            properties: {
+                src: { type: 'string' },
+                dist: { type: 'string' },
+                reports: { type: 'string' },
+                baselines: { type: 'string' },
+                badges: { type: 'string' },
+                coverage: { type: 'string' }
+            }
+        },
+        collectors: { type: 'array', items: { type: 'string' } },
+        metrics: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean' },
+                    thresholds: thresholdsSchema,
+                    weight: { type: 'number', minimum: 0 },
+                    minChange: { type: 'number', minimum: 0 }
+                }
+            }
+        },
+        lighthouse: {
+            type: 'object',
+            properties: {
+                profiles: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: {
+                            // Part of the metric ids of every profile after the first, e.g. performanceDesktop
+                            name: { type: 'string', pattern: '^[a-z][a-zA-Z0-9]*$' },
+                            preset: { type: 'string', enum: ['mobile', 'desktop'] },
+                            // Any Lighthouse settings, e.g. throttling
+                            settings: { type: 'object', additionalProperties: {} }
+                        }
+                    }
+                }
+            }
+        },
+        webVitals: {
+            type: 'object',
+            properties: {
+                firstContentfulPaint: { type: 'number', minimum: 0 },
+                largestContentfulPaint: { type: 'number', minimum: 0 },
+                cumulativeLayoutShift: { type: 'number', minimum: 0 },
+                totalBlockingTime: { type: 'number', minimum: 0 }
+            }
+        },
+        analysis: {
+            type: 'object',
+            properties: {
+                timeout: { type: 'integer', minimum: 0 },
+                retries: { type: 'integer', minimum: 0 }
+            }
+        },
+        lint: {
+            type: 'object',
+            properties: {
+                patterns: { type: 'array', items: { type: 'string' } },
+                worstFiles: { type: 'integer', minimum: 0 }
+            }
+        },
+        tests: {
+            type: 'object',
+            properties: {
+                slowestTests: { type: 'integer', minimum: 0 }
+            }
+        },
+        diffCoverage: {
+            type: 'object',
+            properties: {
+                baseRef: { type: 'string' },
+                minimum: { type: 'number', minimum: 0, maximum: 100 },
+                failBelowMinimum: { type: 'boolean' }
+            }
+        },
+        regression: {
+            type: 'object',
+            properties: {
+                sigma: { type: 'number', minimum: 0 },
+                historyWindow: { type: 'integer', minimum: 2 }
+            }
+        },
+        baseline: {
+            type: 'object',
+            properties: {
+                branches: { type: 'array', items: { type: 'string' } },
+                fallbackBranch: { type: 'string' },
+                events: { type: 'array', items: { type: 'string' } },
+                minScore: { type: 'number', minimum: 0, maximum: 100 },
+                acceptLabel: { type: 'string', nullable: true },
+                retention: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['resolution'],
+                        properties: {
+                            resolution: { type: 'string', enum: ['run', 'day', 'week'] },
+                            maxDays: { type: 'integer', minimum: 1, nullable: true }
+                        }
+                    }
+                }
+            }
+        },
+        archive: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                maxEntries: { type: 'integer', minimum: 1 }
+            }
+        },
+        storage: {
+            type: 'object',
+            properties: {
+                backend: { type: 'string', enum: ['fs', 'git', 'sqlite'] },
+                git: {
+                    type: 'object',
+                    properties: {
+                        branch: { type: 'string' },
+                        remote: { type: 'string', nullable: true }
+                    }
+                },
+                sqlite: {
+                    type: 'object',
+                    properties: {
+                        file: { type: 'string' }
+                    }
+                }
+            }
+        },
+        watch: {
+            type: 'object',
+            properties: {
+                debounce: { type: 'integer', minimum: 0 },
+                coverage: { type: 'boolean' }
+            }
+        },
+        gate: {
+            type: 'object',
+            properties: {
+                rules: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            // Either a metric id or a glob of files in dist/
+                            metric: { type: 'string' },
+                            asset: { type: 'string' },
+                            compression: { type: 'string', enum: ['raw', 'gzip', 'brotli'] },
+                            budget: { type: 'number' },
+                            maxDelta: { type: 'number', minimum: 0 },
+                            severity: { type: 'string', enum: ['error', 'warn', 'off'] }
+                        }
+                    }
+                }
+            }
+        },
+        notifications: {
+            type: 'object',
+            properties: {
+                prComment: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' }
+                    }
+                },
+                slack: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        onlyFailures: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Each project takes the shared sections it overrides from the top level schema
+SCHEMA.properties.projects = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            // Part of the report, badge and baseline directories of the project
+            name: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]*$' },
+            root: { type: 'string' },
+            build: { type: 'string' },
+            paths: {
+                type: 'object',
+                properties: {
+                    src: { type: 'string' },
+                    dist: { type: 'string' },
+                    coverage: { type: 'string' },
+                    baselines: { type: 'string' }
+                }
+            },
+            ...Object.fromEntries(PROJECT_OVERRIDES.map(key => [key, SCHEMA.properties[key]]))
+        }
+    }
+};
+
+/**
+ * Describe a value for error messages
+ */
+function describe(value) {
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} field - Dotted path of the value, used in messages
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validate(value, schema, field = '') {
+    const name = field || 'config';
+
+    if (value === null && schema.nullable) {
+        return [];
+    }
+
+    switch (schema.type) {
+    case undefined:
+        // No type: anything goes
+        return [];
+    case 'object': {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            return [`"${name}" must be an object, got ${describe(value)}`];
+        }
+
+        const errors = (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .map(key => `"${field ? `${field}.` : ''}${key}" is required`);
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childField = field ? `${field}.${key}` : key;
+            const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+
+            if (!childSchema) {
+                const known = Object.keys(schema.properties || {}).join(', ');
+                errors.push(`"${childField}" is not a known option (expected one of: ${known})`);
+            } else if (child !== undefined) {
+                errors.push(...validate(child, childSchema, childField));
+            }
+        });
+
+        return errors;
+    }
+    case 'array':
+        if (!Array.isArray(value)) {
+            return [`"${name}" must be an array, got ${describe(value)}`];
+        }
+        return value.flatMap((item, index) => validate(item, schema.items, `${name}[${index}]`));
+    case 'integer':
+    case 'number':
+        if (typeof value !== 'number' || Number.isNaN(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+            return [`"${name}" must be ${schema.type === 'integer' ? 'an integer' : 'a number'}, got ${describe(value)}`];
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return [`"${name}" must be at least ${schema.minimum}, got ${value}`];
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return [`"${name}" must be at most ${schema.maximum}, got ${value}`];
+        }
+        return [];
+    default:
+        if (typeof value !== schema.type) {
+            return [`"${name}" must be a ${schema.type}, got ${describe(value)}`];
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [`"${name}" must be one of ${schema.enum.join(', ')}, got ${describe(value)}`];
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return [`"${name}" must match ${schema.pattern}, got ${describe(value)}`];
+        }
+        return [];
+    }
+}
+
+/**
+ * Deep merge plain objects, arrays and other values replace the default
+ */
+function merge(defaults, overrides) {
+    if (overrides === undefined) return defaults;
+    if (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults) ||
+        typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+        return overrides;
+    }
+
+    const merged = { ...defaults };
+    Object.entries(overrides).forEach(([key, value]) => {
+        merged[key] = merge(defaults[key], value);
+    });
+    return merged;
+}
+
+/**
+ * Load, validate and resolve symphony.config.js
+ * @param {Object} options - Load options
+ * @param {string} options.configPath - Config file, defaults to $SYMPHONY_CONFIG or symphony.config.js in rootDir
+ * @param {string} options.rootDir - Project root that relative paths are resolved against
+ * @param {Object} options.overrides - Values applied on top of the file, e.g. from the command line
+ * @returns {Object} Config with defaults applied, `paths` absolute and `rootDir`/`configPath` set
+ */
+function loadConfig({ configPath, rootDir = ROOT_DIR, overrides } = {}) {
+    const file = path.resolve(rootDir, configPath || process.env.SYMPHONY_CONFIG || CONFIG_FILE);
+    let userConfig = {};
+
+    if (fs.existsSync(file)) {
+        const exported = require(file);
+        userConfig = exported.default || exported;
+    } else if (configPath) {
+        throw new Error(`Config file not found: ${file}`);
+    }
+
+    const combined = merge(userConfig, overrides);
+    const errors = validate(combined, SCHEMA);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${path.basename(file)}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    const config = merge(DEFAULT_CONFIG, combined);
+    config.rootDir = rootDir;
+    config.configPath = fs.existsSync(file) ? file : null;
+    config.paths = Object.fromEntries(
+        Object.entries(config.paths).map(([key, value]) => [key, path.resolve(rootDir, value)])
+    );
+
+    return config;
+}
+
+/**
+ * One config per entry of `projects`, or the config itself for a single app at the root
+ *
+ * A project's dist and coverage paths are relative to its root. Its reports, badges and baselines
+ * go to a subdirectory named after the project, unless it sets its own baselines path.
+ * @param {Object} config - Loaded config
+ * @returns {Object[]} Configs with `project` set to { name, root, build }, or null without projects
+ */
+function resolveProjects(config) {
+    if (config.projects.length === 0) {
+        return [{ ...config, project: null }];
+    }
+
+    const names = config.projects.map(project => project.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+        throw new Error(`Invalid config: "projects" has more than one project named "${duplicate}"`);
+    }
+
+    return config.projects.map(({ name, root = '.', build = DEFAULT_BUILD_COMMAND, paths = {}, ...overrides }) => {
+        const projectRoot = path.resolve(config.rootDir, root);
+        // Custom collectors are relative to the directory of the config that lists them
+        const collectors = overrides.collectors
+            ? overrides.collectors.map(modulePath => path.resolve(projectRoot, modulePath))
+            : config.collectors.map(modulePath => path.resolve(config.rootDir, modulePath));
+
+        return {
+            ...merge(config, overrides),
+            collectors,
+            projects: [],
+            rootDir: projectRoot,
+            project: { name, root: projectRoot, build },
+            paths: {
+                src: path.resolve(projectRoot, paths.src || DEFAULT_CONFIG.paths.src),
+                dist: path.resolve(projectRoot, paths.dist || DEFAULT_CONFIG.paths.dist),
+                coverage: path.resolve(projectRoot, paths.coverage || DEFAULT_CONFIG.paths.coverage),
+                reports: path.join(config.paths.reports, name),
+                badges: path.join(config.paths.badges, name),
+                baselines: paths.baselines
+                    ? path.resolve(config.rootDir, paths.baselines)
+                    : path.join(config.paths.baselines, name)
+            }
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    DEFAULT_BUILD_COMMAND,
+    SCHEMA,
+    validate,
+    merge,
+    loadConfig,
+    resolveProjects
+};
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Changed files with these extensions and no coverage data are reported as not instrumented
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+/**
+ * Added or modified lines per file from a unified diff
+ * @param {string} diff - Output of `git diff --unified=0`
+ * @returns {Object} { 'path/in/repo.js': [line numbers in the new file] }
+ */
+function parseDiff(diff) {
+    const files = {};
+    let current = null;
+
+    diff.split('\n').forEach(line => {
+        if (line.startsWith('+++ ')) {
+            // Deleted files have no new lines
+            const target = line.slice(4).trim();
+            current = target === '/dev/null' ? null : target.replace(/^b\//, '');
+            if (current && !files[current]) files[current] = [];
+            return;
+        }
+
+        const hunk = current && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+        if (hunk) {
+            const start = parseInt(hunk[1], 10);
+            const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+            for (let i = 0; i < count; i++) {
+                files[current].push(start + i);
+            }
+        }
+    });
+
+    // Files with only removed lines have nothing to cover
+    return Object.fromEntries(Object.entries(files).filter(([, lines]) => lines.length > 0));
+}
+
+/**
+ * Whether a ref resolves to a commit in the repository
+ */
+function refExists(ref, cwd = process.cwd()) {
+    try {
+        execFileSync('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { cwd, stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Lines changed since the merge base with baseRef, including uncommitted changes
+ * @param {string} baseRef - e.g. origin/main
+ * @param {string} cwd - Directory inside the repository
+ * @returns {{root: string, files: Object}} Repository root and changed lines per file
+ */
+function getChangedLines(baseRef, cwd = process.cwd()) {
+    const git = args => execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+
+    let mergeBase;
+    try {
+        mergeBase = git(['merge-base', baseRef, 'HEAD']).trim();
+    } catch (error) {
+        throw new Error(`Cannot find the merge base with "${baseRef}". Fetch it first, e.g. git fetch origin ${baseRef.replace(/^origin\//, '')}`);
+    }
+
+    return {
+        root: git(['rev-parse', '--show-toplevel']).trim(),
+        files: parseDiff(git(['diff', '--unified=0', '--no-color', '--no-ext-diff', mergeBase]))
+    };
+}
+
+/**
+ * Hit counts per line from Istanbul file coverage, like Istanbul's own line coverage
+ * @param {Object} fileCoverage - One entry of coverage-final.json
+ * @returns {Object} { line: hits } for every line where a statement starts
+ */
+function getLineHits(fileCoverage) {
+    const lines = {};
+
+    Object.entries(fileCoverage.statementMap).forEach(([id, location]) => {
+        const line = location.start.line;
+        const hits = fileCoverage.s[id];
+        if (lines[line] === undefined || lines[line] < hits) {
+            lines[line] = hits;
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Collapse sorted line numbers into ranges, e.g. [3, 4, 5, 9] -> "3-5, 9"
+ */
+function formatLineRanges(lines) {
+    const ranges = [];
+
+    lines.forEach(line => {
+        const last = ranges[ranges.length - 1];
+        if (last && line === last[1] + 1) {
+            last[1] = line;
+        } else {
+            ranges.push([line, line]);
+        }
+    });
+
+    return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+const percentage = (covered, total) => (total > 0 ? Math.round((covered / total) * 10000) / 100 : null);
+
+/**
+ * Line and branch coverage of the changed lines only
+ * @param {Object} changedFiles - Changed lines per file, relative to repoRoot
+ * @param {Object} coverageMap - Contents of coverage-final.json
+ * @param {Object} options - Paths
+ * @param {string} options.repoRoot - Root the changed file paths are relative to
+ * @param {string} options.rootDir - Reported file paths are relative to this directory
+ * @returns {Object} Totals, per file results with uncovered lines, and changed files without coverage data
+ */
+function computeDiffCoverage(changedFiles, coverageMap, { repoRoot = process.cwd(), rootDir = repoRoot } = {}) {
+    const result = {
+        lines: { total: 0, covered: 0, pct: null },
+        branches: { total: 0, covered: 0, pct: null },
+        files: [],
+        notInstrumented: []
+    };
+
+    Object.entries(changedFiles).forEach(([file, changed]) => {
+        const absolute = path.resolve(repoRoot, file);
+        const relative = path.relative(rootDir, absolute);
+        const fileCoverage = coverageMap[absolute];
+
+        if (!fileCoverage) {
+            if (SOURCE_EXTENSIONS.includes(path.extname(file))) {
+                result.notInstrumented.push(relative);
+            }
+            return;
+        }
+
+        const changedSet = new Set(changed);
+        const lineHits = getLineHits(fileCoverage);
+        const coverable = changed.filter(line => lineHits[line] !== undefined);
+        const uncovered = coverable.filter(line => lineHits[line] === 0);
+
+        // Every branch path that starts on a changed line
+        let branchesTotal = 0;
+        let branchesCovered = 0;
+        Object.entries(fileCoverage.branchMap).forEach(([id, branch]) => {
+            branch.locations.forEach((location, index) => {
+                const line = (location.start && location.start.line) || branch.loc.start.line;
+                if (!changedSet.has(line)) return;
+
+                branchesTotal++;
+                if (fileCoverage.b[id][index] > 0) branchesCovered++;
+            });
+        });
+
+        if (coverable.length === 0 && branchesTotal === 0) return;
+
+        result.lines.total += coverable.length;
+        result.lines.covered += coverable.length - uncovered.length;
+        result.branches.total += branchesTotal;
+        result.branches.covered += branchesCovered;
+
+        result.files.push({
+            file: relative,
+            lines: {
+                total: coverable.length,
+                covered: coverable.length - uncovered.length,
+                pct: percentage(coverable.length - uncovered.length, coverable.length)
+            },
+            branches: {
+                total: branchesTotal,
+                covered: branchesCovered,
+                pct: percentage(branchesCovered, branchesTotal)
+            },
+            uncoveredLines: formatLineRanges(uncovered)
+        });
+    });
+
+    result.lines.pct = percentage(result.lines.covered, result.lines.total);
+    result.branches.pct = percentage(result.branches.covered, result.branches.total);
+    result.files.sort((a, b) => (b.lines.total - b.lines.covered) - (a.lines.total - a.lines.covered));
+
+    return result;
+}
+
+/**
+ * Resolve the base ref: the PR base branch on GitHub Actions, else the configured one
+ */
+function resolveBaseRef(configuredRef) {
+    return process.env.GITHUB_BASE_REF ? `origin/${process.env.GITHUB_BASE_REF}` : configuredRef;
+}
+
+/**
+ * Compute diff coverage for the working tree against a base ref
+ * @param {Object} options - Options
+ * @param {string} options.baseRef - Ref to diff against
+ * @param {string} options.coveragePath - Path of coverage-final.json
+ * @param {string} options.rootDir - Project root
+ * @returns {Object} computeDiffCoverage result plus baseRef
+ */
+function analyzeDiffCoverage({ baseRef, coveragePath, rootDir }) {
+    if (!fs.existsSync(coveragePath)) {
+        throw new Error(`Coverage data not found: ${coveragePath}. Add "json" to coverageReporters in jest.config.js`);
+    }
+
+    const coverageMap = JSON.parse(fs.readFileSync(coveragePath, 'utf8'));
+    const { root, files } = getChangedLines(baseRef, rootDir);
+
+    return {
+        baseRef,
+        ...computeDiffCoverage(files, coverageMap, { repoRoot: root, rootDir })
+    };
+}
+
+module.exports = {
+    parseDiff,
+    refExists,
+    getChangedLines,
+    getLineHits,
+    formatLineRanges,
+    computeDiffCoverage,
+    resolveBaseRef,
+    analyzeDiffCoverage
+};
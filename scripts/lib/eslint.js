@@ -0,0 +1,104 @@
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Messages without a rule id are parse errors and other fatal problems
+const FATAL_RULE = '(fatal)';
+
+/**
+ * Summarize the output of `eslint --format json`
+ * @param {Object[]} results - ESLint JSON formatter output, one entry per file
+ * @param {Object} options - Summary options
+ * @param {string} options.rootDir - File paths are reported relative to this directory
+ * @param {number} options.worstFiles - How many files with the most problems to keep
+ * @returns {Object} Error and warning totals, counts per rule and the worst files
+ */
+function summarizeEslintResults(results, { rootDir = process.cwd(), worstFiles = 10 } = {}) {
+    const summary = {
+        errors: 0,
+        warnings: 0,
+        fixable: 0,
+        filesChecked: results.length,
+        filesWithProblems: 0,
+        rules: {},
+        worstFiles: []
+    };
+    const files = [];
+
+    results.forEach(result => {
+        summary.errors += result.errorCount;
+        summary.warnings += result.warningCount;
+        summary.fixable += (result.fixableErrorCount || 0) + (result.fixableWarningCount || 0);
+
+        if (result.errorCount + result.warningCount === 0) return;
+
+        summary.filesWithProblems++;
+        files.push({
+            file: path.relative(rootDir, result.filePath),
+            errors: result.errorCount,
+            warnings: result.warningCount
+        });
+
+        result.messages.forEach(message => {
+            const rule = message.ruleId || FATAL_RULE;
+            const counts = summary.rules[rule] || (summary.rules[rule] = { errors: 0, warnings: 0 });
+            // Severity 2 is an error, 1 a warning
+            if (message.severity === 2) {
+                counts.errors++;
+            } else {
+                counts.warnings++;
+            }
+        });
+    });
+
+    summary.worstFiles = files
+        .sort((a, b) => (b.errors - a.errors) || (b.warnings - a.warnings) || a.file.localeCompare(b.file))
+        .slice(0, worstFiles);
+
+    return summary;
+}
+
+/**
+ * Total problems per rule, the shape diffSizes compares
+ * @param {Object} rules - { ruleId: { errors, warnings } }
+ * @returns {Object} { ruleId: count }
+ */
+function countByRule(rules = {}) {
+    return Object.fromEntries(
+        Object.entries(rules).map(([rule, counts]) => [rule, counts.errors + counts.warnings])
+    );
+}
+
+/**
+ * Run ESLint with the JSON formatter
+ * @param {string[]} patterns - Files or globs to lint
+ * @param {Object} options - Run options
+ * @param {string} options.cwd - Project root, where ESLint finds its config
+ * @param {AbortSignal} options.signal - Stops ESLint when aborted
+ * @returns {Promise<Object[]>} ESLint JSON results
+ */
+function runEslint(patterns, { cwd = process.cwd(), signal } = {}) {
+    const args = ['eslint', '--format', 'json', '--no-error-on-unmatched-pattern', ...patterns];
+
+    return new Promise((resolve, reject) => {
+        execFile('npx', args, { cwd, signal, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            // Exit code 1 only means lint problems were found
+            if (error && error.code !== 1) {
+                reject(new Error(`ESLint failed: ${(stderr || error.message).trim()}`));
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(stdout));
+            } catch (parseError) {
+                reject(new Error(`Could not parse ESLint output: ${parseError.message}`));
+            }
+        });
+    });
+}
+
+module.exports = {
+    FATAL_RULE,
+    summarizeEslintResults,
+    countByRule,
+    runEslint
+};
@@ -0,0 +1,159 @@
+const path = require('path');
+const { getMetricValue, formatMetricValue, formatMetricChange } = require('./metric-registry');
+const { globToRegExp } = require('./glob');
+const { findAcceptance, findAssetAcceptance } = require('./acceptance');
+
+const SEVERITY = {
+    ERROR: 'error',
+    WARN: 'warn',
+    OFF: 'off'
+};
+
+const GATE_STATUS = {
+    PASSED: 'passed',
+    WARNED: 'warned',
+    FAILED: 'failed'
+};
+
+// Asset sizes are compared like the bundle size metrics: smaller is better
+const ASSET_UNIT = { unit: 'bytes', direction: 'lower' };
+
+/**
+ * Files of a bundle whose path matches a glob. A glob without a slash matches file names in any directory.
+ * @param {Object} files - bundleSize.files: sizes by path relative to dist/
+ * @returns {Array} [path, sizes] of every matching file
+ */
+function matchAssets(files, glob) {
+    const pattern = globToRegExp(glob);
+    return Object.entries(files || {}).filter(([file]) => {
+        const posixPath = file.split(path.sep).join('/');
+        return pattern.test(glob.includes('/') ? posixPath : path.posix.basename(posixPath));
+    });
+}
+
+/**
+ * Check the parts of a rule that the config schema cannot express
+ * @throws {Error} Listing every invalid rule
+ */
+function validateRules(registry, rules) {
+    const errors = [];
+    rules.forEach((rule, index) => {
+        const name = `gate.rules[${index}]`;
+        if (!rule.metric === !rule.asset) {
+            errors.push(`"${name}" needs either a metric or an asset glob`);
+        }
+        if (rule.metric && !registry.get(rule.metric)) {
+            errors.push(`"${name}.metric" is not a registered metric: ${rule.metric}`);
+        }
+        if (rule.metric && rule.compression) {
+            errors.push(`"${name}.compression" only applies to asset rules`);
+        }
+        if (rule.budget === undefined && rule.maxDelta === undefined) {
+            errors.push(`"${name}" needs a budget, a maxDelta or both`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid gate rules:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+}
+
+/**
+ * What a rule measures: label, how values are formatted, and its value in a set of results
+ */
+function describeTarget(registry, rule) {
+    if (rule.metric) {
+        const plugin = registry.get(rule.metric);
+        return {
+            label: `${plugin.emoji} ${plugin.label}`,
+            plugin,
+            measure: results => getMetricValue(plugin, results)
+        };
+    }
+
+    const compression = rule.compression || 'gzip';
+    return {
+        label: `${rule.asset} (${compression})`,
+        plugin: ASSET_UNIT,
+        measure: results => {
+            const matches = matchAssets(results && results.bundleSize && results.bundleSize.files, rule.asset);
+            return matches.length > 0 ? matches.reduce((total, [, sizes]) => total + sizes[compression], 0) : null;
+        }
+    };
+}
+
+/**
+ * Check analysis results against budgets and maximum changes from the baseline
+ *
+ * A budget is the worst allowed value: a maximum for metrics where lower is better, a minimum
+ * otherwise. maxDelta is the largest allowed change for the worse against the baseline. An asset
+ * rule adds up the sizes of every file in dist/ matching its glob. Violations of a metric whose
+ * regression was accepted (`symphony baseline accept`) are listed as accepted and fail nothing,
+ * and so are those of asset rules while a bundle size regression is accepted.
+ * @param {Object} registry - Metric registry
+ * @param {Object} results - Analysis results
+ * @param {Object|null} baseline - Baseline, deltas are not checked without one
+ * @param {Object[]} rules - `gate.rules` of symphony.config.js
+ * @param {Object[]} acceptances - Accept entries of the audit log that apply to this run and baseline
+ * @returns {Object} { status, checked, violations, accepted, skipped }
+ */
+function evaluateGate(registry, results, baseline, rules, acceptances = []) {
+    validateRules(registry, rules);
+
+    const report = { status: GATE_STATUS.PASSED, checked: 0, violations: [], accepted: [], skipped: [] };
+
+    rules.filter(rule => rule.severity !== SEVERITY.OFF).forEach(rule => {
+        const severity = rule.severity || SEVERITY.ERROR;
+        const target = describeTarget(registry, rule);
+        const value = target.measure(results);
+        const acceptance = rule.metric
+            ? findAcceptance(acceptances, target.plugin, value)
+            : findAssetAcceptance(registry, acceptances, results);
+        const violation = (kind, limit, message, extra = {}) => {
+            const found = { target: rule.metric || rule.asset, label: target.label, kind, severity, value, limit, message, ...extra };
+            if (acceptance) {
+                report.accepted.push({ ...found, acceptedBy: acceptance.actor, reason: acceptance.reason, commit: acceptance.commit });
+            } else {
+                report.violations.push(found);
+            }
+        };
+
+        if (typeof value !== 'number') {
+            report.skipped.push({ target: rule.metric || rule.asset, label: target.label, reason: rule.asset ? 'no matching files' : 'not measured' });
+            return;
+        }
+        report.checked++;
+
+        if (rule.budget !== undefined) {
+            const over = target.plugin.direction === 'higher' ? value < rule.budget : value > rule.budget;
+            if (over) {
+                violation('budget', rule.budget, `${formatMetricValue(target.plugin, value)} ${target.plugin.direction === 'higher' ? '<' : '>'} ${formatMetricValue(target.plugin, rule.budget)} budget`);
+            }
+        }
+
+        const previous = target.measure(baseline);
+        if (rule.maxDelta !== undefined && typeof previous === 'number') {
+            const change = value - previous;
+            const worse = target.plugin.direction === 'higher' ? -change : change;
+            if (worse > rule.maxDelta) {
+                violation('delta', rule.maxDelta, `${formatMetricChange(target.plugin, change)} vs baseline, allowed ${formatMetricValue(target.plugin, rule.maxDelta)}`, { previous, change });
+            }
+        }
+    });
+
+    if (report.violations.some(violation => violation.severity === SEVERITY.ERROR)) {
+        report.status = GATE_STATUS.FAILED;
+    } else if (report.violations.length > 0) {
+        report.status = GATE_STATUS.WARNED;
+    }
+
+    return report;
+}
+
+module.exports = {
+    SEVERITY,
+    GATE_STATUS,
+    matchAssets,
+    validateRules,
+    evaluateGate
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read the file written by `jest --json --outputFile`
+ * @param {string} resultsPath - Path of the JSON file
+ * @returns {Object|null} Jest results or null when missing
+ */
+function loadJestResults(resultsPath) {
+    if (!fs.existsSync(resultsPath)) return null;
+    return JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+}
+
+/**
+ * Summarize Jest JSON results
+ * @param {Object} results - Output of `jest --json`
+ * @param {Object} options - Summary options
+ * @param {string} options.rootDir - Suite paths are reported relative to this directory
+ * @param {number} options.slowestTests - How many of the slowest tests to keep
+ * @returns {Object} Counts, wall clock and per suite durations, slowest and failed tests
+ */
+function summarizeJestResults(results, { rootDir = process.cwd(), slowestTests = 10 } = {}) {
+    const suites = results.testResults || [];
+    const suiteDurations = {};
+    const tests = [];
+    let endTime = results.startTime;
+
+    suites.forEach(suite => {
+        const file = path.relative(rootDir, suite.name);
+        suiteDurations[file] = Math.max(0, suite.endTime - suite.startTime);
+        endTime = Math.max(endTime, suite.endTime || 0);
+
+        (suite.assertionResults || []).forEach(test => {
+            tests.push({
+                name: test.fullName || test.title,
+                file,
+                status: test.status,
+                duration: test.duration || 0
+            });
+        });
+    });
+
+    return {
+        total: results.numTotalTests,
+        passed: results.numPassedTests,
+        failed: results.numFailedTests,
+        skipped: results.numPendingTests + (results.numTodoTests || 0),
+        suites: {
+            total: results.numTotalTestSuites,
+            failed: results.numFailedTestSuites,
+            // Suites that crashed before running any test, e.g. on a missing module
+            runtimeErrors: results.numRuntimeErrorTestSuites || 0
+        },
+        duration: Math.max(0, endTime - results.startTime),
+        suiteDurations,
+        slowestTests: tests
+            .filter(test => test.status === 'passed' || test.status === 'failed')
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, slowestTests)
+            .map(({ name, file, duration }) => ({ name, file, duration })),
+        failedTests: tests
+            .filter(test => test.status === 'failed')
+            .map(({ name, file }) => ({ name, file }))
+    };
+}
+
+module.exports = {
+    loadJestResults,
+    summarizeJestResults
+};
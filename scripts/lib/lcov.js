@@ -0,0 +1,59 @@
+const fs = require('fs');
+
+// Found/hit record pairs of an lcov file and the coverage type they count
+const COUNTERS = {
+    lines: ['LF', 'LH'],
+    functions: ['FNF', 'FNH'],
+    branches: ['BRF', 'BRH']
+};
+
+const percentage = (covered, total) => (total > 0 ? Math.round((covered / total) * 10000) / 100 : 100);
+
+/**
+ * Totals of an lcov.info file, as written by `flutter test --coverage`, c8 or Istanbul's lcov reporter
+ * @param {string} content - Contents of lcov.info
+ * @returns {Object} { lines, functions, branches } each { total, covered, pct }, plus the number of files
+ */
+function parseLcov(content) {
+    const totals = Object.fromEntries(Object.keys(COUNTERS).map(type => [type, { total: 0, covered: 0 }]));
+    let files = 0;
+
+    content.split('\n').forEach(line => {
+        const [record, value] = line.trim().split(':');
+        if (record === 'SF') {
+            files++;
+            return;
+        }
+
+        Object.entries(COUNTERS).forEach(([type, [found, hit]]) => {
+            if (record === found) totals[type].total += parseInt(value, 10) || 0;
+            if (record === hit) totals[type].covered += parseInt(value, 10) || 0;
+        });
+    });
+
+    Object.values(totals).forEach(total => {
+        total.pct = percentage(total.covered, total.total);
+    });
+
+    return { ...totals, files };
+}
+
+/**
+ * Read an lcov.info file into the shape of the `total` entry of Istanbul's coverage-summary.json.
+ * lcov has no statement counts, so statements are the line counts.
+ * @param {string} lcovPath - Path of lcov.info
+ * @returns {Object|null} Coverage totals, null when the file is missing or lists no files
+ */
+function loadLcovSummary(lcovPath) {
+    if (!fs.existsSync(lcovPath)) return null;
+
+    const { files, ...totals } = parseLcov(fs.readFileSync(lcovPath, 'utf8'));
+    if (files === 0) return null;
+
+    return { ...totals, statements: totals.lines };
+}
+
+module.exports = {
+    parseLcov,
+    loadLcovSummary
+};
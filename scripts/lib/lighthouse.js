@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../lighthouserc.json');
+
+const CHROME_FLAGS = ['--headless=new', '--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage'];
+
+// Form factor presets: mobile is Lighthouse's default, desktop its bundled desktop config
+const PRESETS = ['mobile', 'desktop'];
+
+const CATEGORY_KEYS = {
+    performance: 'performance',
+    accessibility: 'accessibility',
+    'best-practices': 'bestPractices',
+    seo: 'seo'
+};
+
+const METRIC_AUDITS = {
+    firstContentfulPaint: 'first-contentful-paint',
+    largestContentfulPaint: 'largest-contentful-paint',
+    cumulativeLayoutShift: 'cumulative-layout-shift',
+    totalBlockingTime: 'total-blocking-time',
+    speedIndex: 'speed-index',
+    interactive: 'interactive'
+};
+
+/**
+ * Read the `ci.collect` section of lighthouserc.json
+ * @param {string} configPath - Path to lighthouserc.json
+ * @returns {{urls: string[], numberOfRuns: number, settings: Object}} Collect options
+ */
+function loadCollectConfig(configPath = DEFAULT_CONFIG_PATH) {
+    let collect = {};
+
+    if (fs.existsSync(configPath)) {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        collect = (config.ci && config.ci.collect) || {};
+    }
+
+    const urls = [].concat(collect.url || '/');
+
+    return {
+        urls,
+        numberOfRuns: Math.max(1, parseInt(collect.numberOfRuns, 10) || 1),
+        settings: collect.settings || {}
+    };
+}
+
+/**
+ * Point a configured URL at the locally served build, keeping its path and query
+ * @param {string} configuredUrl - URL from lighthouserc.json
+ * @param {string} origin - Origin of the local server, e.g. http://127.0.0.1:4173
+ * @returns {string} URL to audit
+ */
+function resolveAuditUrl(configuredUrl, origin) {
+    const parsed = new URL(configuredUrl, origin);
+    return new URL(`${parsed.pathname}${parsed.search}`, origin).toString();
+}
+
+/**
+ * Stable key of a configured URL: its path and query, independent of host and port
+ * @param {string} configuredUrl - URL from lighthouserc.json
+ * @returns {string} e.g. "/" or "/about?tab=team"
+ */
+function getPageKey(configuredUrl) {
+    const parsed = new URL(configuredUrl, 'http://localhost');
+    return `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} Median or null for an empty list
+ */
+function median(values) {
+    const sorted = values.filter(v => typeof v === 'number' && !Number.isNaN(v)).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1
+        ? sorted[middle]
+        : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Category scores of a single LHR on a 0-100 scale
+ * @param {Object} lhr - Lighthouse result
+ * @returns {Object} Scores keyed by our category names
+ */
+function getCategoryScores(lhr) {
+    const scores = {};
+
+    Object.entries(CATEGORY_KEYS).forEach(([lhId, key]) => {
+        const category = lhr.categories && lhr.categories[lhId];
+        scores[key] = category && typeof category.score === 'number'
+            ? Math.round(category.score * 100)
+            : null;
+    });
+
+    return scores;
+}
+
+/**
+ * Numeric metric values of a single LHR
+ * @param {Object} lhr - Lighthouse result
+ * @returns {Object} Metric values keyed by our metric names
+ */
+function getMetricValues(lhr) {
+    const metrics = {};
+
+    Object.entries(METRIC_AUDITS).forEach(([key, auditId]) => {
+        const audit = lhr.audits && lhr.audits[auditId];
+        metrics[key] = audit && typeof audit.numericValue === 'number' ? audit.numericValue : null;
+    });
+
+    return metrics;
+}
+
+/**
+ * Combine several Lighthouse runs into one median summary
+ * @param {Object[]} lhrs - Lighthouse results of the same URL
+ * @returns {Object} Summary with median scores and metrics
+ */
+function summarizeRuns(lhrs) {
+    if (lhrs.length === 0) {
+        throw new Error('No Lighthouse runs to summarize');
+    }
+
+    const runScores = lhrs.map(getCategoryScores);
+    const runMetrics = lhrs.map(getMetricValues);
+    const summary = {};
+
+    Object.values(CATEGORY_KEYS).forEach(key => {
+        summary[key] = median(runScores.map(scores => scores[key]));
+    });
+
+    summary.metrics = {};
+    Object.keys(METRIC_AUDITS).forEach(key => {
+        const value = median(runMetrics.map(metrics => metrics[key]));
+        summary.metrics[key] = value === null || key === 'cumulativeLayoutShift'
+            ? value
+            : Math.round(value);
+    });
+
+    summary.runs = lhrs.length;
+    summary.runScores = runScores.map(scores => scores.performance);
+    // Category scores of every run, their spread tells real changes from noise
+    summary.runValues = Object.fromEntries(
+        Object.values(CATEGORY_KEYS).map(key => [key, runScores.map(scores => scores[key])])
+    );
+    summary.url = lhrs[0].finalDisplayedUrl || lhrs[0].finalUrl || lhrs[0].requestedUrl;
+    summary.lighthouseVersion = lhrs[0].lighthouseVersion;
+
+    return summary;
+}
+
+/**
+ * Combine per page summaries into the headline result: the worst score and metric value of any page,
+ * so a regression on one route is not hidden by the others
+ * @param {Object} pages - Page summaries keyed by page key, failed pages as { error }
+ * @returns {Object} Worst scores and metrics, the page they came from, and all pages
+ */
+function summarizePages(pages) {
+    const audited = Object.entries(pages).filter(([, page]) => !page.error);
+    if (audited.length === 0) {
+        throw new Error('No page could be audited');
+    }
+
+    const summary = {};
+    Object.values(CATEGORY_KEYS).forEach(key => {
+        const scores = audited.map(([, page]) => page[key]).filter(value => typeof value === 'number');
+        summary[key] = scores.length > 0 ? Math.min(...scores) : null;
+    });
+
+    summary.metrics = {};
+    Object.keys(METRIC_AUDITS).forEach(key => {
+        const values = audited.map(([, page]) => page.metrics[key]).filter(value => typeof value === 'number');
+        summary.metrics[key] = values.length > 0 ? Math.max(...values) : null;
+    });
+
+    summary.worstPage = audited.reduce((worst, entry) => (entry[1].performance < worst[1].performance ? entry : worst))[0];
+    summary.runs = audited[0][1].runs;
+    summary.runScores = pages[summary.worstPage].runScores;
+    summary.runValues = pages[summary.worstPage].runValues;
+    summary.lighthouseVersion = audited[0][1].lighthouseVersion;
+    summary.pages = pages;
+
+    return summary;
+}
+
+/**
+ * Score and metric changes of every page audited in both runs
+ * @param {Object} pages - Current page summaries keyed by page key
+ * @param {Object} baselinePages - Baseline page summaries keyed by page key
+ * @returns {Object} { pageKey: { changes, previous } } with category scores and metrics flattened
+ */
+function diffPages(pages = {}, baselinePages = {}) {
+    const flatten = page => ({ ...pickScores(page), ...page.metrics });
+    const diff = {};
+
+    Object.entries(pages).forEach(([key, page]) => {
+        const previousPage = baselinePages[key];
+        if (page.error || !previousPage || previousPage.error) return;
+
+        const current = flatten(page);
+        const previous = flatten(previousPage);
+        diff[key] = { changes: {}, previous: {} };
+
+        Object.entries(current).forEach(([name, value]) => {
+            if (typeof value === 'number' && typeof previous[name] === 'number') {
+                diff[key].changes[name] = value - previous[name];
+                diff[key].previous[name] = previous[name];
+            }
+        });
+    });
+
+    return diff;
+}
+
+/**
+ * Category scores of a page summary
+ */
+function pickScores(summary) {
+    return Object.fromEntries(Object.values(CATEGORY_KEYS).map(key => [key, summary[key]]));
+}
+
+/**
+ * Results of every profile, the first one is stored at the top level of the performance data
+ * @param {Object} data - Performance data of the analysis results
+ * @returns {Object} { profileName: summary }
+ */
+function getProfileResults(data) {
+    if (!data || data.error) return {};
+    return {
+        [data.profile || PRESETS[0]]: data,
+        ...(data.profiles || {})
+    };
+}
+
+/**
+ * Lighthouse config for a form factor preset, with our settings on top of the preset's
+ * @param {string} preset - mobile or desktop
+ * @param {Object} settings - Lighthouse settings
+ * @returns {Promise<Object>} Lighthouse config
+ */
+async function createLighthouseConfig(preset, settings = {}) {
+    if (!PRESETS.includes(preset)) {
+        throw new Error(`Unknown Lighthouse preset "${preset}" (expected one of: ${PRESETS.join(', ')})`);
+    }
+
+    if (preset === 'desktop') {
+        const { default: desktopConfig } = await import('lighthouse/core/config/desktop-config.js');
+        return { ...desktopConfig, settings: { ...desktopConfig.settings, ...settings } };
+    }
+
+    return { extends: 'lighthouse:default', settings };
+}
+
+/**
+ * Chrome flags from the Lighthouse settings, which like LHCI accept a single string
+ * @param {Object} settings - Lighthouse settings from lighthouserc.json and the profile
+ * @returns {string[]} One argv entry per flag
+ */
+function getChromeFlags(settings = {}) {
+    const flags = settings.chromeFlags || CHROME_FLAGS;
+    return typeof flags === 'string' ? flags.split(/\s+/).filter(Boolean) : [].concat(flags);
+}
+
+/**
+ * Run Lighthouse against a URL in headless Chrome
+ * @param {string} url - URL to audit
+ * @param {Object} options - Run options
+ * @param {number} options.numberOfRuns - How many times to audit the URL
+ * @param {string} options.preset - Form factor preset, mobile or desktop
+ * @param {Object} options.settings - Lighthouse settings from lighthouserc.json and the profile
+ * @param {AbortSignal} options.signal - Kills Chrome when aborted
+ * @returns {Promise<{summary: Object, lhr: Object, runs: Object[]}>} Median summary and LHRs
+ */
+async function runLighthouse(url, { numberOfRuns = 1, preset = 'mobile', settings = {}, signal } = {}) {
+    // Lighthouse is published as an ES module only
+    const { default: lighthouse } = await import('lighthouse');
+    const { computeMedianRun } = await import('lighthouse/core/lib/median-run.js');
+    const chromeLauncher = require('chrome-launcher');
+    const lighthouseConfig = await createLighthouseConfig(preset, settings);
+
+    const chrome = await chromeLauncher.launch({ chromeFlags: getChromeFlags(settings) });
+    const runs = [];
+
+    // Killing Chrome makes a running audit fail fast
+    const abort = () => chrome.kill();
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+
+    try {
+        for (let i = 0; i < numberOfRuns; i++) {
+            if (signal && signal.aborted) {
+                throw new Error('Lighthouse aborted');
+            }
+
+            const result = await lighthouse(
+                url,
+                { port: chrome.port, output: 'json', logLevel: 'error' },
+                lighthouseConfig
+            );
+
+            if (!result || !result.lhr) {
+                throw new Error(`Lighthouse returned no result for ${url}`);
+            }
+            if (result.lhr.runtimeError) {
+                throw new Error(`Lighthouse runtime error: ${result.lhr.runtimeError.message}`);
+            }
+
+            runs.push(result.lhr);
+        }
+    } finally {
+        if (signal) signal.removeEventListener('abort', abort);
+        await chrome.kill();
+    }
+
+    return {
+        summary: summarizeRuns(runs),
+        lhr: computeMedianRun(runs),
+        runs
+    };
+}
+
+module.exports = {
+    PRESETS,
+    CATEGORY_KEYS,
+    loadCollectConfig,
+    resolveAuditUrl,
+    getPageKey,
+    median,
+    getCategoryScores,
+    getMetricValues,
+    summarizeRuns,
+    summarizePages,
+    diffPages,
+    getProfileResults,
+    createLighthouseConfig,
+    getChromeFlags,
+    runLighthouse
+};
@@ -0,0 +1,281 @@
+const path = require('path');
+const { loadConfig } = require('./config');
+
+const DIRECTIONS = ['higher', 'lower'];
+
+/**
+ * Smallest change worth reporting, per unit
+ */
+const UNITS = {
+    percent: { minChange: 1 },
+    bytes: { minChange: 1024 },
+    ms: { minChange: 10 },
+    count: { minChange: 1 }
+};
+
+/**
+ * Format bytes to human readable format
+ */
+function formatBytes(bytes) {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(Math.abs(bytes)) / Math.log(k)), sizes.length - 1);
+    const sign = bytes < 0 ? '-' : '';
+    return sign + parseFloat((Math.abs(bytes) / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[Math.max(i, 0)];
+}
+
+/**
+ * Registry of metric collector plugins.
+ *
+ * A plugin describes one metric:
+ *   id          - key in analysis results, baselines and history
+ *   label       - human readable name
+ *   emoji       - prefix used in tables and notifications
+ *   unit        - percent | bytes | ms | count
+ *   direction   - 'higher' or 'lower' is better
+ *   thresholds  - { good, warning } in the metric's unit
+ *   collect     - async (context) => data, stored as results[id]; context.signal aborts on timeout
+ *   dependsOn   - ids of analysis steps that must succeed first, e.g. ['build']
+ *   timeout     - time limit for collect in ms (default from the runner)
+ *   retries     - extra attempts after a failed or timed out collect (default from the runner)
+ *   exclusive   - run collect alone, after the other running steps, e.g. for timing sensitive audits
+ *   source      - id of another plugin whose data this metric reads instead of collecting
+ *   value       - (data) => number, the headline value of the metric
+ *   runs        - (data) => number[], values of repeated measurements, widens the noise band of changes
+ *   weight      - share in the baseline acceptance score (default 10, 0 to ignore)
+ *   minChange   - smallest change worth reporting (defaults per unit)
+ *   recommendation - advice shown in the PR comment when the metric is bad
+ */
+class MetricRegistry {
+    constructor() {
+        this.plugins = new Map();
+    }
+
+    /**
+     * Validate and register a plugin
+     */
+    register(plugin) {
+        const name = plugin && plugin.id ? `Metric plugin "${plugin.id}"` : 'Metric plugin';
+
+        if (!plugin || typeof plugin.id !== 'string' || plugin.id.length === 0) {
+            throw new Error(`${name}: "id" must be a non-empty string`);
+        }
+        if (this.plugins.has(plugin.id)) {
+            throw new Error(`${name}: id is already registered`);
+        }
+        if (!UNITS[plugin.unit]) {
+            throw new Error(`${name}: "unit" must be one of ${Object.keys(UNITS).join(', ')}`);
+        }
+        if (!DIRECTIONS.includes(plugin.direction)) {
+            throw new Error(`${name}: "direction" must be "higher" or "lower"`);
+        }
+        if (!plugin.thresholds || typeof plugin.thresholds.good !== 'number' || typeof plugin.thresholds.warning !== 'number') {
+            throw new Error(`${name}: "thresholds" must have numeric "good" and "warning" values`);
+        }
+        if (typeof plugin.collect !== 'function' && typeof plugin.source !== 'string') {
+            throw new Error(`${name}: needs a "collect" function or a "source" plugin id`);
+        }
+        if (plugin.dependsOn !== undefined && (!Array.isArray(plugin.dependsOn) || plugin.dependsOn.some(id => typeof id !== 'string'))) {
+            throw new Error(`${name}: "dependsOn" must be an array of step ids`);
+        }
+        ['timeout', 'retries'].forEach(key => {
+            if (plugin[key] !== undefined && !(Number.isInteger(plugin[key]) && plugin[key] >= 0)) {
+                throw new Error(`${name}: "${key}" must be a non-negative integer`);
+            }
+        });
+        if (plugin.exclusive !== undefined && typeof plugin.exclusive !== 'boolean') {
+            throw new Error(`${name}: "exclusive" must be a boolean`);
+        }
+        if (typeof plugin.value !== 'function') {
+            throw new Error(`${name}: "value" must be a function returning the metric value`);
+        }
+        if (plugin.runs !== undefined && typeof plugin.runs !== 'function') {
+            throw new Error(`${name}: "runs" must be a function returning the values of repeated runs`);
+        }
+
+        this.plugins.set(plugin.id, {
+            label: plugin.id,
+            emoji: '📏',
+            weight: 10,
+            minChange: UNITS[plugin.unit].minChange,
+            ...plugin
+        });
+
+        return this;
+    }
+
+    /**
+     * Load plugins from module paths, relative to rootDir
+     */
+    loadPlugins(modulePaths = [], rootDir = process.cwd()) {
+        modulePaths.forEach(modulePath => {
+            const exported = require(path.resolve(rootDir, modulePath));
+            [].concat(exported.default || exported).forEach(plugin => this.register(plugin));
+        });
+
+        return this;
+    }
+
+    /**
+     * Apply the `metrics` section of symphony.config.js: thresholds, weights or disabling a metric.
+     * Disabling a collector also drops the metrics read from its data (`source`)
+     */
+    configure(metrics = {}) {
+        const disabled = new Set();
+
+        Object.entries(metrics).forEach(([id, overrides]) => {
+            const plugin = this.plugins.get(id);
+            if (!plugin) {
+                const known = [...this.plugins.keys()].join(', ');
+                throw new Error(`Invalid config: "metrics.${id}" is not a registered metric (known: ${known})`);
+            }
+
+            const { enabled, ...settings } = overrides;
+            if (enabled === false) {
+                disabled.add(id);
+            } else {
+                this.plugins.set(id, { ...plugin, ...settings });
+            }
+        });
+
+        this.list()
+            .filter(plugin => disabled.has(plugin.id) || disabled.has(plugin.source))
+            .forEach(plugin => this.plugins.delete(plugin.id));
+
+        return this;
+    }
+
+    get(id) {
+        return this.plugins.get(id);
+    }
+
+    list() {
+        return [...this.plugins.values()];
+    }
+
+    /**
+     * Plugins that collect their own data, in registration order
+     */
+    collectors() {
+        return this.list().filter(plugin => typeof plugin.collect === 'function');
+    }
+
+    /**
+     * Thresholds and direction per metric id, e.g. for the dashboard
+     */
+    thresholds() {
+        return Object.fromEntries(this.list().map(plugin => [
+            plugin.id,
+            { ...plugin.thresholds, direction: plugin.direction }
+        ]));
+    }
+}
+
+/**
+ * Get a metric's numeric value from analysis results or a baseline
+ */
+function getMetricValue(plugin, results) {
+    if (!results) return null;
+
+    const stored = results.metrics && results.metrics[plugin.id];
+    if (stored && typeof stored.value === 'number') {
+        return stored.value;
+    }
+
+    // Older results and baselines only have the collected data
+    const data = results[plugin.source || plugin.id];
+    if (!data || data.error) return null;
+
+    try {
+        const value = plugin.value(data);
+        return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Evaluate a value against the plugin thresholds
+ * @returns {string} good | warning | bad
+ */
+function evaluateMetric(plugin, value) {
+    const { good, warning } = plugin.thresholds;
+
+    if (plugin.direction === 'higher') {
+        if (value >= good) return 'good';
+        if (value >= warning) return 'warning';
+        return 'bad';
+    }
+
+    if (value <= good) return 'good';
+    if (value <= warning) return 'warning';
+    return 'bad';
+}
+
+/**
+ * Format a value in the plugin's unit
+ */
+function formatMetricValue(plugin, value) {
+    if (typeof value !== 'number') return 'N/A';
+
+    switch (plugin.unit) {
+    case 'percent':
+        return `${parseFloat(value.toFixed(1))}%`;
+    case 'bytes':
+        return formatBytes(value);
+    case 'ms':
+        return value >= 1000 ? `${parseFloat((value / 1000).toFixed(2))}s` : `${Math.round(value)}ms`;
+    default:
+        return `${parseFloat(value.toFixed(1))}`;
+    }
+}
+
+/**
+ * Format a signed change in the plugin's unit
+ */
+function formatMetricChange(plugin, change) {
+    if (typeof change !== 'number') return '-';
+    const sign = change > 0 ? '+' : change < 0 ? '-' : '';
+    return sign + formatMetricValue(plugin, Math.abs(change));
+}
+
+/**
+ * Whether a change is large enough to report
+ */
+function isSignificantChange(plugin, change) {
+    return typeof change === 'number' && Math.abs(change) >= plugin.minChange;
+}
+
+/**
+ * Whether a change makes the metric better
+ */
+function isImprovement(plugin, change) {
+    return plugin.direction === 'higher' ? change > 0 : change < 0;
+}
+
+/**
+ * Create a registry with the built-in metrics and the custom plugins from symphony.config.js
+ */
+function createRegistry({ config = loadConfig(), plugins } = {}) {
+    const registry = new MetricRegistry();
+
+    require('./collectors')(config).forEach(plugin => registry.register(plugin));
+    registry.loadPlugins(plugins || config.collectors, config.rootDir);
+    registry.configure(config.metrics);
+
+    return registry;
+}
+
+module.exports = {
+    MetricRegistry,
+    UNITS,
+    formatBytes,
+    getMetricValue,
+    evaluateMetric,
+    formatMetricValue,
+    formatMetricChange,
+    isSignificantChange,
+    isImprovement,
+    createRegistry
+};
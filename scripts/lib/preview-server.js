@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+
+const HEALTH_PATH = '/__symphony/health';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.wasm': 'application/wasm',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// Already compressed formats gain nothing from another pass
+const COMPRESSIBLE = /^(text\/|application\/(javascript|json|xml|manifest\+json|wasm)|image\/svg\+xml)/;
+
+// Smaller responses are sent as is
+const MIN_COMPRESS_SIZE = 1024;
+
+/**
+ * Pick the response encoding from Accept-Encoding, brotli first
+ * @param {string} acceptEncoding - Request header
+ * @returns {string|null} br, gzip or null
+ */
+function negotiateEncoding(acceptEncoding = '') {
+    const accepted = acceptEncoding.split(',').map(part => {
+        const [name, ...params] = part.trim().split(';');
+        const q = params.find(param => param.trim().startsWith('q='));
+        return { name: name.toLowerCase(), q: q ? parseFloat(q.trim().slice(2)) : 1 };
+    }).filter(entry => entry.q > 0);
+
+    return ['br', 'gzip'].find(name => accepted.some(entry => entry.name === name)) || null;
+}
+
+/**
+ * Static file server for a build directory, used by Lighthouse and local previews
+ *
+ * Serves files with a content type per extension, compresses text responses with brotli or gzip,
+ * and falls back to index.html for unknown routes without a file extension so client side routing works.
+ */
+class PreviewServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.root - Directory to serve, e.g. dist/
+     * @param {number} options.port - Port to listen on, 0 picks a free one
+     * @param {string} options.host - Interface to listen on
+     * @param {boolean} options.spaFallback - Serve index.html for unknown routes
+     * @param {boolean} options.compression - Compress text responses
+     */
+    constructor({ root, port = 0, host = '127.0.0.1', spaFallback = true, compression = true } = {}) {
+        if (!root) {
+            throw new Error('PreviewServer needs a root directory');
+        }
+
+        this.root = path.resolve(root);
+        this.port = port;
+        this.host = host;
+        this.spaFallback = spaFallback;
+        this.compression = compression;
+        this.server = null;
+        this.sockets = new Set();
+    }
+
+    /**
+     * Base URL of the running server
+     */
+    get url() {
+        return `http://${this.host}:${this.port}`;
+    }
+
+    /**
+     * Start listening and wait until the health check passes
+     * @param {Object} options - Readiness options
+     * @param {number} options.timeout - How long to wait for the health check in ms
+     * @returns {Promise<PreviewServer>} This server, with `port` and `url` set to the real values
+     */
+    async start({ timeout = 10 * 1000 } = {}) {
+        if (this.server) {
+            throw new Error('Preview server is already running');
+        }
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        // Keep-alive connections would hold up close() otherwise
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+        this.port = this.server.address().port;
+
+        try {
+            await waitForHealthy(`${this.url}${HEALTH_PATH}`, { timeout });
+        } catch (error) {
+            await this.stop();
+            throw error;
+        }
+
+        return this;
+    }
+
+    /**
+     * Stop accepting connections and close the open ones
+     */
+    async stop() {
+        if (!this.server) return;
+
+        const server = this.server;
+        this.server = null;
+        const closed = new Promise(resolve => server.close(() => resolve()));
+        this.sockets.forEach(socket => socket.destroy());
+        this.sockets.clear();
+        await closed;
+    }
+
+    /**
+     * Handle a request: health check, static file, SPA fallback or 404
+     */
+    handle(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' });
+            res.end();
+            return;
+        }
+
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (error) {
+            pathname = null;
+        }
+        // A NUL byte would make the fs calls throw
+        if (pathname === null || pathname.includes('\0')) {
+            res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Bad request');
+            return;
+        }
+
+        if (pathname === HEALTH_PATH) {
+            // Ready once there is a build to serve
+            const ready = fs.existsSync(path.join(this.root, 'index.html'));
+            res.writeHead(ready ? 200 : 503, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(ready ? 'ok' : `No index.html in ${this.root}`);
+            return;
+        }
+
+        try {
+            const file = this.resolveFile(pathname, req.headers.accept);
+            if (!file) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Not found');
+                return;
+            }
+
+            this.sendFile(req, res, file);
+        } catch (error) {
+            // One bad request must not take the server down
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Internal server error');
+        }
+    }
+
+    /**
+     * Map a request path to a file inside root, null when there is none
+     */
+    resolveFile(pathname, accept = '') {
+        const candidate = path.join(this.root, pathname);
+        // Reject paths that escape the root, e.g. /../secret
+        if (candidate !== this.root && !candidate.startsWith(this.root + path.sep)) {
+            return null;
+        }
+
+        const stat = fs.statSync(candidate, { throwIfNoEntry: false });
+        if (stat && stat.isFile()) return candidate;
+
+        const index = path.join(candidate, 'index.html');
+        if (stat && stat.isDirectory() && fs.existsSync(index)) return index;
+
+        // Client side routes have no extension, missing assets still 404
+        const wantsPage = !path.extname(pathname) || accept.includes('text/html');
+        const fallback = path.join(this.root, 'index.html');
+        if (this.spaFallback && wantsPage && fs.existsSync(fallback)) return fallback;
+
+        return null;
+    }
+
+    /**
+     * Stream a file, compressed when the client accepts it and it is worth it
+     */
+    sendFile(req, res, file) {
+        const size = fs.statSync(file).size;
+        const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+        const encoding = this.compression && COMPRESSIBLE.test(contentType) && size >= MIN_COMPRESS_SIZE
+            ? negotiateEncoding(req.headers['accept-encoding'])
+            : null;
+
+        const headers = {
+            'Content-Type': contentType,
+            'Cache-Control': 'no-cache',
+            Vary: 'Accept-Encoding'
+        };
+        if (encoding) {
+            headers['Content-Encoding'] = encoding;
+        } else {
+            headers['Content-Length'] = size;
+        }
+
+        res.writeHead(200, headers);
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        const stream = fs.createReadStream(file);
+        const compressor = encoding === 'br' ? zlib.createBrotliCompress() : encoding === 'gzip' ? zlib.createGzip() : null;
+        const destroy = () => res.destroy();
+        stream.on('error', destroy);
+
+        if (compressor) {
+            compressor.on('error', destroy);
+            stream.pipe(compressor).pipe(res);
+        } else {
+            stream.pipe(res);
+        }
+    }
+}
+
+/**
+ * Poll a health check URL until it answers 200
+ * @param {string} url - Health check URL
+ * @param {Object} options - Polling options
+ * @param {number} options.timeout - Give up after this many ms
+ * @param {number} options.interval - Wait between attempts in ms
+ * @returns {Promise<void>} Resolves once healthy
+ */
+async function waitForHealthy(url, { timeout = 10 * 1000, interval = 100 } = {}) {
+    const deadline = Date.now() + timeout;
+    let lastProblem = 'no response';
+
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(url);
+            if (response.ok) return;
+            lastProblem = `${response.status} ${(await response.text()).trim()}`;
+        } catch (error) {
+            lastProblem = error.message;
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    throw new Error(`Preview server not healthy after ${timeout}ms: ${lastProblem}`);
+}
+
+/**
+ * Start a preview server and wait until it is healthy
+ * @param {Object} options - PreviewServer options plus `timeout` for the health check
+ * @returns {Promise<PreviewServer>} Running server
+ */
+function startPreviewServer({ timeout, ...options } = {}) {
+    return new PreviewServer(options).start({ timeout });
+}
+
+module.exports = {
+    HEALTH_PATH,
+    PreviewServer,
+    negotiateEncoding,
+    waitForHealthy,
+    startPreviewServer
+};
@@ -0,0 +1,122 @@
+const { getMetricValue, isImprovement } = require('./metric-registry');
+
+const CLASSIFICATION = {
+    REGRESSION: 'regression',
+    IMPROVEMENT: 'improvement',
+    NOISE: 'noise'
+};
+
+/**
+ * Arithmetic mean, null for an empty list
+ */
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Sample standard deviation, 0 when there are fewer than two values
+ */
+function standardDeviation(values) {
+    if (values.length < 2) return 0;
+
+    const average = mean(values);
+    const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+    return Math.sqrt(variance);
+}
+
+/**
+ * Values of a metric in the most recent history entries
+ * @param {Object[]} history - Entries of baselines/history.json
+ * @param {string} id - Metric id
+ * @param {number} window - How many of the latest entries to use
+ * @returns {number[]} Numeric values, oldest first
+ */
+function getHistoryValues(history, id, window) {
+    return (history || [])
+        .slice(-window)
+        .map(entry => entry[id])
+        .filter(value => typeof value === 'number');
+}
+
+/**
+ * Changes between successive values, so a steady trend does not count as spread
+ * @param {number[]} values - Values, oldest first
+ * @returns {number[]} One delta fewer than values
+ */
+function getDeltas(values) {
+    return values.slice(1).map((value, index) => value - values[index]);
+}
+
+/**
+ * Label a change as a regression, an improvement or noise
+ *
+ * The noise band is `sigma` standard deviations of the larger of two spreads: between the repeated
+ * runs of this analysis and between the changes from one recent baseline to the next. Changes are used
+ * instead of the values, so a metric that grows steadily does not widen its own band. The band is never
+ * smaller than the metric's minChange, so deterministic metrics like bundle size still need a change
+ * worth reporting.
+ * @param {Object} plugin - Metric plugin
+ * @param {number} change - Current minus baseline value
+ * @param {Object} options - Spread sources
+ * @param {number[]} options.runs - Values of the repeated runs of this analysis
+ * @param {number[]} options.history - Recent baseline values, oldest first
+ * @param {number} options.sigma - Width of the noise band in standard deviations
+ * @returns {{classification: string, noise: number}} Label and the noise band it was judged against
+ */
+function classifyChange(plugin, change, { runs = [], history = [], sigma = 2 } = {}) {
+    const spread = Math.max(standardDeviation(runs), standardDeviation(getDeltas(history)));
+    const noise = Math.max(plugin.minChange, sigma * spread);
+
+    let classification = CLASSIFICATION.NOISE;
+    if (Math.abs(change) >= noise) {
+        classification = isImprovement(plugin, change) ? CLASSIFICATION.IMPROVEMENT : CLASSIFICATION.REGRESSION;
+    }
+
+    return { classification, noise };
+}
+
+/**
+ * Classify the change of every metric measured in both results
+ * @param {Object} registry - Metric registry
+ * @param {Object} current - Current analysis results
+ * @param {Object} baseline - Baseline to compare with
+ * @param {Object} options - Classification options
+ * @param {Object[]} options.history - Entries of baselines/history.json
+ * @param {number} options.sigma - Width of the noise band in standard deviations
+ * @param {number} options.historyWindow - How many recent baselines to estimate the spread from
+ * @returns {Object} { metricId: { change, classification, noise } }
+ */
+function classifyChanges(registry, current, baseline, { history = [], sigma = 2, historyWindow = 10 } = {}) {
+    const classifications = {};
+
+    registry.list().forEach(plugin => {
+        const currentValue = getMetricValue(plugin, current);
+        const baselineValue = getMetricValue(plugin, baseline);
+        if (typeof currentValue !== 'number' || typeof baselineValue !== 'number') return;
+
+        const data = current[plugin.source || plugin.id];
+        const runs = plugin.runs && data && !data.error ? plugin.runs(data) || [] : [];
+        const change = currentValue - baselineValue;
+
+        classifications[plugin.id] = {
+            change,
+            ...classifyChange(plugin, change, {
+                runs,
+                history: getHistoryValues(history, plugin.id, historyWindow),
+                sigma
+            })
+        };
+    });
+
+    return classifications;
+}
+
+module.exports = {
+    CLASSIFICATION,
+    mean,
+    standardDeviation,
+    getHistoryValues,
+    getDeltas,
+    classifyChange,
+    classifyChanges
+};
@@ -0,0 +1,215 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// From finest to coarsest: one entry per baseline, per UTC day, per ISO week (starting on Monday)
+const RESOLUTIONS = ['run', 'day', 'week'];
+
+// History entry fields that are not metric values
+const ENTRY_FIELDS = ['timestamp', 'commit', 'branch', 'metadata', 'resolution', 'runs', 'stats'];
+
+/**
+ * Resolution of a history entry, entries written before aggregation are single runs
+ */
+function getResolution(entry) {
+    return entry.resolution || 'run';
+}
+
+function getTime(timestamp) {
+    const time = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid history timestamp "${timestamp}"`);
+    }
+    return time;
+}
+
+/**
+ * Start of the day or week a timestamp falls in, as an ISO string
+ */
+function getPeriodStart(timestamp, resolution) {
+    const date = new Date(getTime(timestamp));
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const offset = resolution === 'week' ? (date.getUTCDay() + 6) % 7 : 0;
+    return new Date(day - offset * DAY_MS).toISOString();
+}
+
+function sortByTime(entries) {
+    return [...entries].sort((a, b) => getTime(a.timestamp) - getTime(b.timestamp));
+}
+
+/**
+ * Metric ids found in the entries, in order of appearance
+ */
+function getMetricIds(entries) {
+    const ids = new Set();
+    entries.forEach(entry => Object.keys(entry)
+        .filter(key => !ENTRY_FIELDS.includes(key))
+        .forEach(key => ids.add(key)));
+    return [...ids];
+}
+
+/**
+ * Median of values that each stand for `weight` runs
+ */
+function weightedMedian(samples) {
+    const sorted = [...samples].sort((a, b) => a.value - b.value);
+    const half = sorted.reduce((sum, sample) => sum + sample.weight, 0) / 2;
+
+    let counted = 0;
+    for (let index = 0; index < sorted.length; index++) {
+        counted += sorted[index].weight;
+        if (counted > half) return sorted[index].value;
+        if (counted === half) return (sorted[index].value + sorted[index + 1].value) / 2;
+    }
+    return null;
+}
+
+/**
+ * One aggregate entry for all entries of a period. Its metric values are the medians, min and max
+ * are kept in `stats`. Aggregates of aggregates take the median of their medians, weighted by runs.
+ */
+function aggregateEntries(entries, resolution, period) {
+    const sorted = sortByTime(entries);
+    const last = sorted[sorted.length - 1];
+    const aggregate = {
+        timestamp: period,
+        resolution,
+        runs: sorted.reduce((sum, entry) => sum + (entry.runs || 1), 0)
+    };
+    if (last.commit) aggregate.commit = last.commit;
+    if (last.branch) aggregate.branch = last.branch;
+
+    const stats = {};
+    getMetricIds(sorted).forEach(id => {
+        const measured = sorted.filter(entry => typeof entry[id] === 'number');
+        if (measured.length === 0) {
+            aggregate[id] = null;
+            return;
+        }
+
+        const range = measured.map(entry => (entry.stats && entry.stats[id]) || { min: entry[id], max: entry[id] });
+        const median = weightedMedian(measured.map(entry => ({ value: entry[id], weight: entry.runs || 1 })));
+        aggregate[id] = median;
+        stats[id] = {
+            min: Math.min(...range.map(({ min }) => min)),
+            median,
+            max: Math.max(...range.map(({ max }) => max))
+        };
+    });
+    aggregate.stats = stats;
+
+    return aggregate;
+}
+
+/**
+ * Aggregate entries finer than `resolution` per period; coarser ones are kept as they are
+ * @param {Object[]} entries - History entries
+ * @param {string} resolution - run | day | week
+ * @returns {Object[]} Entries, oldest first
+ */
+function rollUp(entries, resolution) {
+    const rank = RESOLUTIONS.indexOf(resolution);
+    if (rank === -1) {
+        throw new Error(`Unknown history resolution "${resolution}", expected one of ${RESOLUTIONS.join(', ')}`);
+    }
+    if (rank === 0) return sortByTime(entries);
+
+    const kept = [];
+    const periods = new Map();
+    entries.forEach(entry => {
+        if (RESOLUTIONS.indexOf(getResolution(entry)) > rank) {
+            kept.push(entry);
+            return;
+        }
+        const period = getPeriodStart(entry.timestamp, resolution);
+        periods.set(period, [...(periods.get(period) || []), entry]);
+    });
+
+    periods.forEach((group, period) => {
+        const [first] = group;
+        kept.push(group.length === 1 && getResolution(first) === resolution ? first : aggregateEntries(group, resolution, period));
+    });
+
+    return sortByTime(kept);
+}
+
+/**
+ * Check that each tier is coarser and reaches further back than the one before it
+ * @param {Object[]} retention - `baseline.retention` tiers
+ */
+function validateRetention(retention) {
+    if (!Array.isArray(retention) || retention.length === 0) {
+        throw new Error('baseline.retention needs at least one tier');
+    }
+
+    retention.forEach((tier, index) => {
+        const name = `baseline.retention[${index}]`;
+        if (!RESOLUTIONS.includes(tier.resolution)) {
+            throw new Error(`${name}.resolution must be one of ${RESOLUTIONS.join(', ')}, got "${tier.resolution}"`);
+        }
+        if (tier.maxDays == null && index < retention.length - 1) {
+            throw new Error(`${name} keeps entries forever, only the last tier may leave out maxDays`);
+        }
+
+        const previous = retention[index - 1];
+        if (!previous) return;
+        if (RESOLUTIONS.indexOf(tier.resolution) <= RESOLUTIONS.indexOf(previous.resolution)) {
+            throw new Error(`${name}.resolution must be coarser than "${previous.resolution}" of the tier before it`);
+        }
+        if (tier.maxDays != null && tier.maxDays <= previous.maxDays) {
+            throw new Error(`${name}.maxDays must be more than ${previous.maxDays} of the tier before it`);
+        }
+    });
+}
+
+/**
+ * Apply a retention policy: each entry goes to the first tier it is younger than and is aggregated
+ * to that tier's resolution. Entries older than the last tier's maxDays are dropped.
+ * @param {Object[]} entries - History entries
+ * @param {Object[]} retention - Tiers { resolution, maxDays }, finest first
+ * @param {number} now - Time the ages are measured from, in ms
+ * @returns {Object[]} Compacted entries, oldest first
+ */
+function compactHistory(entries, retention, now = Date.now()) {
+    validateRetention(retention);
+
+    const tiers = retention.map(() => []);
+    entries.forEach(entry => {
+        const age = now - getTime(entry.timestamp);
+        const index = retention.findIndex(tier => tier.maxDays == null || age < tier.maxDays * DAY_MS);
+        if (index !== -1) tiers[index].push(entry);
+    });
+
+    return sortByTime(tiers.flatMap((tierEntries, index) => rollUp(tierEntries, retention[index].resolution)));
+}
+
+/**
+ * History entries in a time range at one resolution, across the tiers they are stored in.
+ * Entries already coarser than the resolution are returned as they are.
+ * @param {Object[]} entries - History entries
+ * @param {Object} query - Query
+ * @param {string|number} query.from - Earliest timestamp, ISO string or ms
+ * @param {string|number} query.to - Latest timestamp, ISO string or ms
+ * @param {string} query.resolution - run | day | week
+ * @returns {Object[]} Matching entries, oldest first
+ */
+function queryHistory(entries, { from, to, resolution = 'run' } = {}) {
+    const start = from === undefined ? -Infinity : getTime(from);
+    const end = to === undefined ? Infinity : getTime(to);
+    const inRange = entries.filter(entry => {
+        const time = getTime(entry.timestamp);
+        return time >= start && time <= end;
+    });
+
+    return rollUp(inRange, resolution);
+}
+
+module.exports = {
+    DAY_MS,
+    RESOLUTIONS,
+    getResolution,
+    getPeriodStart,
+    aggregateEntries,
+    rollUp,
+    validateRetention,
+    compactHistory,
+    queryHistory
+};
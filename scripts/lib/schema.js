@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./config');
+const { RESOLUTIONS } = require('./retention');
+
+/**
+ * Current schema version of each file kind:
+ *   results  - reports/analysis-results.json and baselines/archive/<sha>.json
+ *   baseline - baselines/metrics.json
+ *   history  - baselines/history.json
+ *   audit    - baselines/audit.json, append-only
+ * Version 1 is every file written before versioning, including the flat reports/metrics.json.
+ */
+const SCHEMA_VERSIONS = {
+    results: 2,
+    baseline: 2,
+    history: 3,
+    audit: 1
+};
+
+const STATUSES = ['running', 'completed', 'partial', 'failed'];
+
+const metricValueSchema = {
+    type: 'object',
+    required: ['value'],
+    properties: {
+        value: { type: 'number' },
+        unit: { type: 'string' },
+        direction: { type: 'string', enum: ['higher', 'lower'] }
+    }
+};
+
+const metricsSchema = { type: 'object', additionalProperties: metricValueSchema };
+
+// Collected data is stored under the metric id, its shape belongs to the collector
+const collectedDataSchema = {};
+
+const stepSchema = {
+    type: 'object',
+    required: ['status'],
+    properties: {
+        status: { type: 'string', enum: ['ok', 'failed', 'timed_out', 'skipped'] },
+        duration: { type: 'number', minimum: 0 },
+        attempts: { type: 'integer', minimum: 0 },
+        error: { type: 'string' }
+    }
+};
+
+/**
+ * Shape of each file kind at its current version
+ */
+const DOCUMENT_SCHEMAS = {
+    results: {
+        type: 'object',
+        required: ['schemaVersion', 'timestamp', 'commit', 'branch', 'status', 'metrics'],
+        properties: {
+            schemaVersion: { type: 'integer' },
+            timestamp: { type: 'string' },
+            commit: { type: 'string' },
+            branch: { type: 'string' },
+            pr: { type: 'string', nullable: true },
+            project: { type: 'string', nullable: true },
+            status: { type: 'string', enum: STATUSES },
+            error: { type: 'string' },
+            metrics: metricsSchema,
+            steps: { type: 'object', additionalProperties: stepSchema },
+            comparison: { type: 'object', additionalProperties: {} }
+        },
+        additionalProperties: collectedDataSchema
+    },
+    baseline: {
+        type: 'object',
+        required: ['schemaVersion', 'created', 'commit', 'branch', 'metrics'],
+        properties: {
+            schemaVersion: { type: 'integer' },
+            created: { type: 'string' },
+            commit: { type: 'string' },
+            branch: { type: 'string' },
+            metrics: metricsSchema,
+            metadata: { type: 'object', additionalProperties: {} },
+            carriedOver: { type: 'array', items: { type: 'string' } },
+            delta: { type: 'object', additionalProperties: {} }
+        },
+        additionalProperties: collectedDataSchema
+    },
+    history: {
+        type: 'object',
+        required: ['schemaVersion', 'entries'],
+        properties: {
+            schemaVersion: { type: 'integer' },
+            entries: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['timestamp'],
+                    properties: {
+                        timestamp: { type: 'string' },
+                        commit: { type: 'string' },
+                        branch: { type: 'string' },
+                        metadata: { type: 'object', additionalProperties: {} },
+                        // Aggregates of older runs: how many runs, and min/median/max per metric
+                        resolution: { type: 'string', enum: RESOLUTIONS },
+                        runs: { type: 'integer', minimum: 1 },
+                        stats: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                required: ['min', 'median', 'max'],
+                                properties: {
+                                    min: { type: 'number' },
+                                    median: { type: 'number' },
+                                    max: { type: 'number' }
+                                }
+                            }
+                        }
+                    },
+                    // One value per metric id (the median of an aggregate), null when it was not measured
+                    additionalProperties: { type: 'number', nullable: true }
+                }
+            }
+        }
+    },
+    audit: {
+        type: 'object',
+        required: ['schemaVersion', 'entries'],
+        properties: {
+            schemaVersion: { type: 'integer' },
+            entries: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['timestamp', 'action', 'actor', 'commit'],
+                    properties: {
+                        timestamp: { type: 'string' },
+                        action: { type: 'string', enum: ['accept', 'reject', 'update'] },
+                        actor: { type: 'string' },
+                        commit: { type: 'string' },
+                        branch: { type: 'string' },
+                        pr: { type: 'string', nullable: true },
+                        // accept: the metric, its accepted and baseline values, and why
+                        metric: { type: 'string' },
+                        value: { type: 'number' },
+                        baseline: { type: 'number' },
+                        baselineCommit: { type: 'string' },
+                        reason: { type: 'string' },
+                        source: { type: 'string', enum: ['cli', 'label'] },
+                        // reject and update: the regressed metrics and the baseline score
+                        metrics: { type: 'array', items: { type: 'string' } },
+                        score: { type: 'number' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Top level numbers that are not metric values
+const NON_METRIC_KEYS = ['schemaVersion', 'pr'];
+
+/**
+ * Move flat metric numbers, e.g. { coverage: 78 } of the old reports/metrics.json, into `metrics`
+ */
+function liftFlatMetrics(document) {
+    const upgraded = { ...document, metrics: { ...(document.metrics || {}) } };
+
+    Object.entries(document).forEach(([key, value]) => {
+        if (typeof value === 'number' && !NON_METRIC_KEYS.includes(key)) {
+            if (!upgraded.metrics[key]) upgraded.metrics[key] = { value };
+            delete upgraded[key];
+        }
+    });
+
+    return upgraded;
+}
+
+/**
+ * Upgrade steps per kind: MIGRATIONS[kind][n] turns version n + 1 into version n + 2
+ */
+const MIGRATIONS = {
+    results: [
+        // 1 -> 2: flat numbers become metric values, missing run details get their defaults
+        document => {
+            const upgraded = liftFlatMetrics(document);
+            upgraded.timestamp = document.timestamp || document.created || document.date;
+            upgraded.commit = document.commit || 'unknown';
+            upgraded.branch = document.branch || 'unknown';
+            upgraded.status = document.status || 'completed';
+            upgraded.steps = document.steps || {};
+            if (typeof document.pr === 'number') upgraded.pr = String(document.pr);
+            delete upgraded.created;
+            delete upgraded.date;
+            return upgraded;
+        }
+    ],
+    baseline: [
+        // 1 -> 2: the free form `version` string gives way to schemaVersion, flat numbers become metric values
+        document => {
+            const upgraded = liftFlatMetrics(document);
+            upgraded.created = document.created || document.timestamp || document.date;
+            upgraded.commit = document.commit || 'unknown';
+            upgraded.branch = document.branch || 'unknown';
+            delete upgraded.version;
+            delete upgraded.timestamp;
+            delete upgraded.date;
+            return upgraded;
+        }
+    ],
+    history: [
+        // 1 -> 2: the plain array of entries is wrapped so the file can carry its version
+        document => ({
+            entries: document.map(({ date, ...entry }) => ({ timestamp: entry.timestamp || date, ...entry }))
+        }),
+        // 2 -> 3: entries may now be daily or weekly aggregates, every entry so far is a single run
+        document => document
+    ],
+    audit: []
+};
+
+/**
+ * Schema version of a document, 1 for anything written before versioning
+ */
+function getSchemaVersion(document) {
+    return document && !Array.isArray(document) && Number.isInteger(document.schemaVersion) ? document.schemaVersion : 1;
+}
+
+/**
+ * Upgrade a document of an older schema version to the current one
+ * @param {string} kind - results | baseline | history | audit
+ * @param {*} document - Parsed JSON
+ * @param {string} source - Name used in error messages, e.g. the file path
+ * @returns {Object} Document at the current version
+ */
+function migrate(kind, document, source = kind) {
+    const current = SCHEMA_VERSIONS[kind];
+    if (!current) {
+        throw new Error(`Unknown document kind "${kind}"`);
+    }
+
+    const version = getSchemaVersion(document);
+    if (version > current) {
+        throw new Error(`${source} has ${kind} schema version ${version}, this version of CI/CD Symphony reads up to ${current}. Update CI/CD Symphony.`);
+    }
+
+    let upgraded = document;
+    for (let from = version; from < current; from++) {
+        upgraded = MIGRATIONS[kind][from - 1](upgraded);
+    }
+
+    return { ...upgraded, schemaVersion: current };
+}
+
+/**
+ * Migrate and validate a parsed document
+ * @param {string} kind - results | baseline | history | audit
+ * @param {*} document - Parsed JSON
+ * @param {string} source - Name used in error messages
+ * @returns {Object} Valid document at the current version
+ */
+function parseDocument(kind, document, source = kind) {
+    // History files before versioning are plain arrays, everything else is an object
+    if (typeof document !== 'object' || document === null || (Array.isArray(document) && kind !== 'history')) {
+        throw new Error(`${source} is not a valid ${kind} file: expected a JSON object`);
+    }
+
+    const upgraded = migrate(kind, document, source);
+    const errors = validate(upgraded, DOCUMENT_SCHEMAS[kind], '');
+    if (errors.length > 0) {
+        throw new Error(`${source} is not a valid ${kind} file (schema version ${SCHEMA_VERSIONS[kind]}):\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    return upgraded;
+}
+
+/**
+ * Read, migrate and validate a results, baseline or history file
+ * @param {string} kind - results | baseline | history | audit
+ * @param {string} filePath - File to read
+ * @returns {Object|null} Valid document at the current version, null when the file does not exist
+ */
+function readDocument(kind, filePath) {
+    if (!fs.existsSync(filePath)) return null;
+
+    const relative = path.relative(process.cwd(), filePath);
+    const source = relative && !relative.startsWith('..') ? relative : filePath;
+    let document;
+    try {
+        document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${source} is not valid JSON: ${error.message}`);
+    }
+
+    return parseDocument(kind, document, source);
+}
+
+/**
+ * Set the current schemaVersion on a document and validate it before it is stored
+ * @param {string} kind - results | baseline | history | audit
+ * @param {Object} document - Document to store
+ * @param {string} target - Where it goes, used in error messages
+ * @returns {Object} The document with its schemaVersion
+ */
+function stampDocument(kind, document, target) {
+    const stamped = { ...document, schemaVersion: SCHEMA_VERSIONS[kind] };
+    const errors = validate(stamped, DOCUMENT_SCHEMAS[kind], '');
+    if (errors.length > 0) {
+        throw new Error(`Refusing to write an invalid ${kind} file to ${target}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    return stamped;
+}
+
+/**
+ * Validate a document at the current version and write it
+ * @param {string} kind - results | baseline | history | audit
+ * @param {string} filePath - File to write
+ * @param {Object} document - Document, schemaVersion is set here
+ * @returns {Object} The written document
+ */
+function writeDocument(kind, filePath, document) {
+    const stamped = stampDocument(kind, document, filePath);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(stamped, null, 2));
+    return stamped;
+}
+
+/**
+ * Entries of a history file, empty when there is none
+ */
+function readHistory(filePath) {
+    const history = readDocument('history', filePath);
+    return history ? history.entries : [];
+}
+
+/**
+ * Write history entries
+ */
+function writeHistory(filePath, entries) {
+    return writeDocument('history', filePath, { entries });
+}
+
+module.exports = {
+    SCHEMA_VERSIONS,
+    DOCUMENT_SCHEMAS,
+    MIGRATIONS,
+    getSchemaVersion,
+    migrate,
+    parseDocument,
+    stampDocument,
+    readDocument,
+    writeDocument,
+    readHistory,
+    writeHistory
+};
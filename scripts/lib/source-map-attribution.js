@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { SourceMapConsumer } = require('source-map');
+const { getPackageInfo } = require('./webpack-stats');
+
+const UNMAPPED = '[unmapped]';
+
+/**
+ * Turn a source map source into a project relative path
+ * @param {string} source - Source as written in the map, e.g. webpack://app/./src/app.js
+ * @returns {string} Normalized path, e.g. src/app.js
+ */
+function normalizeSource(source) {
+    return source
+        .replace(/^webpack:\/\/[^/]*\//, '')
+        .replace(/\?[^/]*$/, '')
+        .replace(/^(\.\/)+/, '');
+}
+
+/**
+ * Attribute every byte of a generated file to the original source it came from
+ * @param {string} code - Generated code
+ * @param {Object|string} rawMap - Source map for the generated code
+ * @returns {{totalBytes: number, unmappedBytes: number, files: Object}} Bytes per source file
+ */
+function attributeBundle(code, rawMap) {
+    const consumer = new SourceMapConsumer(rawMap);
+    const lines = code.split('\n');
+    const files = {};
+    let current = null;
+
+    const addBytes = (source, text) => {
+        if (!source || text.length === 0) return;
+        files[source] = (files[source] || 0) + Buffer.byteLength(text, 'utf8');
+    };
+
+    // Each mapping owns the columns up to the next mapping on the same line
+    consumer.eachMapping(mapping => {
+        if (current) {
+            const line = lines[current.line - 1] || '';
+            const end = current.line === mapping.generatedLine ? mapping.generatedColumn : line.length;
+            addBytes(current.source, line.slice(current.column, end));
+        }
+
+        current = {
+            line: mapping.generatedLine,
+            column: mapping.generatedColumn,
+            // Segments without an original position mark generated glue code
+            source: mapping.source && mapping.originalLine !== null ? normalizeSource(mapping.source) : null
+        };
+    }, null, SourceMapConsumer.GENERATED_ORDER);
+
+    if (current) {
+        addBytes(current.source, (lines[current.line - 1] || '').slice(current.column));
+    }
+
+    const totalBytes = Buffer.byteLength(code, 'utf8');
+    const mappedBytes = Object.values(files).reduce((sum, bytes) => sum + bytes, 0);
+
+    return {
+        totalBytes,
+        unmappedBytes: totalBytes - mappedBytes,
+        files
+    };
+}
+
+/**
+ * Group per-file byte counts by npm package
+ * @param {Object} files - Bytes per normalized source path
+ * @returns {Object} Bytes per package name, project files are not included
+ */
+function groupByPackage(files) {
+    const packages = {};
+
+    Object.entries(files).forEach(([file, bytes]) => {
+        const pkg = getPackageInfo(`/${file}`);
+        if (pkg) {
+            packages[pkg.name] = (packages[pkg.name] || 0) + bytes;
+        }
+    });
+
+    return packages;
+}
+
+/**
+ * Find .js files with a .js.map next to them
+ * @param {string} distDir - Build output directory
+ * @returns {string[]} Paths of generated JavaScript files, relative to distDir
+ */
+function findMappedBundles(distDir) {
+    if (!fs.existsSync(distDir)) return [];
+
+    const bundles = [];
+    const walk = dir => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else if (entry.name.endsWith('.js.map') && fs.existsSync(fullPath.slice(0, -'.map'.length))) {
+                bundles.push(path.relative(distDir, fullPath.slice(0, -'.map'.length)));
+            }
+        });
+    };
+    walk(distDir);
+
+    return bundles.sort();
+}
+
+/**
+ * Attribute all source mapped bundles in a directory to source files and packages
+ * @param {string} distDir - Build output directory
+ * @returns {Object} Totals per bundle, source file and package
+ */
+function attributeDirectory(distDir) {
+    const result = {
+        totalBytes: 0,
+        unmappedBytes: 0,
+        bundles: {},
+        files: {},
+        packages: {}
+    };
+
+    findMappedBundles(distDir).forEach(bundle => {
+        const code = fs.readFileSync(path.join(distDir, bundle), 'utf8');
+        const rawMap = fs.readFileSync(path.join(distDir, `${bundle}.map`), 'utf8');
+        const attribution = attributeBundle(code, rawMap);
+
+        result.totalBytes += attribution.totalBytes;
+        result.unmappedBytes += attribution.unmappedBytes;
+        result.bundles[bundle] = {
+            totalBytes: attribution.totalBytes,
+            unmappedBytes: attribution.unmappedBytes
+        };
+
+        Object.entries(attribution.files).forEach(([file, bytes]) => {
+            result.files[file] = (result.files[file] || 0) + bytes;
+        });
+    });
+
+    result.packages = groupByPackage(result.files);
+    if (result.unmappedBytes > 0) {
+        result.files[UNMAPPED] = result.unmappedBytes;
+    }
+
+    return result;
+}
+
+module.exports = {
+    UNMAPPED,
+    normalizeSource,
+    attributeBundle,
+    groupByPackage,
+    findMappedBundles,
+    attributeDirectory
+};
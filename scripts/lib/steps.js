@@ -0,0 +1,220 @@
+const { spawn } = require('child_process');
+
+const STEP_STATUS = {
+    OK: 'ok',
+    FAILED: 'failed',
+    TIMED_OUT: 'timed_out',
+    SKIPPED: 'skipped'
+};
+
+const DEFAULT_TIMEOUT = 10 * 60 * 1000;
+
+// Child output on stderr, for when stdout carries only a JSON result
+const STDERR_STDIO = ['inherit', process.stderr, 'inherit'];
+
+/**
+ * Run a function with a time limit
+ * @param {Function} fn - (signal) => Promise, the signal aborts when time runs out
+ * @param {number} timeout - Limit in ms, 0 for no limit
+ * @returns {Promise<*>} Result of fn, rejects with `error.timedOut` set on timeout
+ */
+function withTimeout(fn, timeout) {
+    const controller = new AbortController();
+    let timer;
+
+    const run = Promise.resolve().then(() => fn(controller.signal));
+    if (!timeout) return run;
+
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Timed out after ${timeout}ms`);
+            error.timedOut = true;
+            controller.abort(error);
+            reject(error);
+        }, timeout);
+    });
+
+    return Promise.race([run, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one step with its timeout and retries
+ * @param {Object} step - { id, run(signal), timeout, retries }
+ * @param {Object} options - Defaults and an onRetry(step, error, attempt) callback
+ * @returns {Promise<Object>} Outcome: { status, duration, attempts, data | error }
+ */
+async function runStep(step, { timeout = DEFAULT_TIMEOUT, retries = 0, onRetry } = {}) {
+    const limit = typeof step.timeout === 'number' ? step.timeout : timeout;
+    const maxAttempts = 1 + (typeof step.retries === 'number' ? step.retries : retries);
+    const started = Date.now();
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+            const data = await withTimeout(signal => step.run(signal), limit);
+            return { status: STEP_STATUS.OK, duration: Date.now() - started, attempts: attempt, data };
+        } catch (error) {
+            lastError = error;
+            if (attempt < maxAttempts && onRetry) {
+                onRetry(step, error, attempt);
+            }
+        }
+    }
+
+    return {
+        status: lastError.timedOut ? STEP_STATUS.TIMED_OUT : STEP_STATUS.FAILED,
+        duration: Date.now() - started,
+        attempts: maxAttempts,
+        error: lastError.message
+    };
+}
+
+/**
+ * Check that every dependency exists and there are no cycles
+ */
+function validateSteps(steps) {
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (step, trail) => {
+        if (visited.has(step.id)) return;
+        if (visiting.has(step.id)) {
+            throw new Error(`Step dependency cycle: ${[...trail, step.id].join(' -> ')}`);
+        }
+
+        visiting.add(step.id);
+        (step.dependsOn || []).forEach(id => {
+            if (!byId.has(id)) {
+                throw new Error(`Step "${step.id}" depends on unknown step "${id}"`);
+            }
+            visit(byId.get(id), [...trail, step.id]);
+        });
+        visiting.delete(step.id);
+        visited.add(step.id);
+    };
+
+    steps.forEach(step => visit(step, []));
+}
+
+/**
+ * Lock that lets steps run side by side, except exclusive steps, which run alone.
+ * Steps are let in in the order they asked, so shared steps cannot hold off a waiting exclusive one.
+ * @returns {{acquire: Function}} acquire(exclusive) resolves with a function that releases the lock
+ */
+function createStepLock() {
+    let shared = 0;
+    let exclusive = false;
+    const queue = [];
+
+    const grant = () => {
+        while (queue.length > 0) {
+            const [next] = queue;
+            if (exclusive || (next.exclusive && shared > 0)) return;
+
+            queue.shift();
+            if (next.exclusive) {
+                exclusive = true;
+            } else {
+                shared++;
+            }
+            next.resolve();
+        }
+    };
+
+    return {
+        acquire(isExclusive) {
+            return new Promise(resolve => {
+                queue.push({ exclusive: isExclusive, resolve });
+                grant();
+            }).then(() => () => {
+                if (isExclusive) {
+                    exclusive = false;
+                } else {
+                    shared--;
+                }
+                grant();
+            });
+        }
+    };
+}
+
+/**
+ * Run steps concurrently, each as soon as its dependencies succeeded.
+ * A step whose dependency did not succeed is skipped. An `exclusive` step, such as a Lighthouse audit
+ * that other work on the CPU would skew, waits for the running steps and runs alone.
+ * @param {Object[]} steps - { id, run(signal), dependsOn, timeout, retries, exclusive }
+ * @param {Object} options - See runStep, plus onFinish(step, outcome)
+ * @returns {Promise<Object>} Outcome per step id
+ */
+async function runSteps(steps, options = {}) {
+    validateSteps(steps);
+
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const running = new Map();
+    const lock = createStepLock();
+
+    const schedule = step => {
+        if (!running.has(step.id)) {
+            running.set(step.id, (async () => {
+                const dependencies = step.dependsOn || [];
+                const outcomes = await Promise.all(dependencies.map(id => schedule(byId.get(id))));
+                const blockedBy = dependencies.find((id, index) => outcomes[index].status !== STEP_STATUS.OK);
+
+                let outcome;
+                if (blockedBy) {
+                    outcome = { status: STEP_STATUS.SKIPPED, duration: 0, attempts: 0, error: `Dependency "${blockedBy}" did not succeed` };
+                } else {
+                    // The time limit starts once the step may run
+                    const release = await lock.acquire(Boolean(step.exclusive));
+                    try {
+                        outcome = await runStep(step, options);
+                    } finally {
+                        release();
+                    }
+                }
+
+                if (options.onFinish) options.onFinish(step, outcome);
+                return outcome;
+            })());
+        }
+        return running.get(step.id);
+    };
+
+    const outcomes = await Promise.all(steps.map(schedule));
+    return Object.fromEntries(steps.map((step, index) => [step.id, outcomes[index]]));
+}
+
+/**
+ * Run a command without blocking the event loop
+ * @param {string} command - Executable, e.g. npm
+ * @param {string[]} args - Arguments
+ * @param {Object} options - spawn options; `signal` kills the command, `stdio` is inherited by default
+ * @returns {Promise<void>} Resolves when the command exits with code 0
+ */
+function runCommand(command, args = [], options = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: 'inherit', ...options });
+
+        child.on('error', reject);
+        child.on('exit', (code, signal) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`${[command, ...args].join(' ')} failed with ${signal ? `signal ${signal}` : `exit code ${code}`}`));
+            }
+        });
+    });
+}
+
+module.exports = {
+    STEP_STATUS,
+    DEFAULT_TIMEOUT,
+    STDERR_STDIO,
+    withTimeout,
+    runStep,
+    validateSteps,
+    createStepLock,
+    runSteps,
+    runCommand
+};
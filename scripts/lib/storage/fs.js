@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_FILE = '.symphony.lock';
+
+// A lock older than this was left behind by a crashed writer
+const STALE_LOCK_MS = 60 * 1000;
+
+/**
+ * Block the current thread, the storage API is synchronous like the scripts that use it
+ */
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * JSON files in the baselines directory, the way baselines have always been stored
+ *
+ * Each file is written to a temporary file and renamed over the old one, so readers see either
+ * the old or the new contents. An update writes every temporary file before the first rename and
+ * puts the old files back when a rename fails. Writers take a lock file first, so concurrent updates
+ * run one after another and each sees the previous one's documents.
+ */
+class FsStorage {
+    /**
+     * @param {Object} options - Storage options
+     * @param {string} options.dir - Baselines directory
+     * @param {number} options.lockTimeout - How long to wait for another writer, in ms
+     */
+    constructor({ dir, lockTimeout = 10000 }) {
+        this.dir = dir;
+        this.lockTimeout = lockTimeout;
+    }
+
+    describe() {
+        return `fs ${path.relative(process.cwd(), this.dir) || this.dir}`;
+    }
+
+    /**
+     * Contents of a document, null when there is none
+     */
+    read(key) {
+        const file = path.join(this.dir, key);
+        return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    }
+
+    /**
+     * Keys of every JSON document, the archive of analysis results is not part of the storage
+     */
+    keys() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        const walk = relative => fs.readdirSync(path.join(this.dir, relative), { withFileTypes: true }).flatMap(entry => {
+            const key = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) return key === 'archive' ? [] : walk(key);
+            return entry.name.endsWith('.json') ? [key] : [];
+        });
+        return walk('');
+    }
+
+    /**
+     * Read documents, let `change` produce new contents and write them while holding the lock
+     * @param {string[]} keys - Documents `change` gets to see
+     * @param {Function} change - (current: { key: contents|null }) => { key: contents } to write
+     * @returns {Object} Written documents
+     */
+    update(keys, change) {
+        const release = this.lock();
+        try {
+            const documents = change(Object.fromEntries(keys.map(key => [key, this.read(key)])));
+            this.writeAll(documents);
+            return documents;
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Write documents all or nothing: stage a temporary file for each, keep a backup of the old
+     * files, then rename them into place. A failure restores the backups.
+     * @param {Object} documents - { key: contents }
+     */
+    writeAll(documents) {
+        const files = Object.entries(documents).map(([key, contents]) => {
+            const file = path.join(this.dir, key);
+            return {
+                file,
+                contents,
+                temporary: `${file}.${process.pid}.tmp`,
+                backup: `${file}.${process.pid}.bak`,
+                existed: fs.existsSync(file),
+                renamed: false
+            };
+        });
+
+        try {
+            files.forEach(({ file, contents, temporary, backup, existed }) => {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(temporary, contents);
+                if (existed) fs.copyFileSync(file, backup);
+            });
+            files.forEach(entry => {
+                fs.renameSync(entry.temporary, entry.file);
+                entry.renamed = true;
+            });
+        } catch (error) {
+            files.filter(entry => entry.renamed).forEach(({ file, backup, existed }) => {
+                if (existed) {
+                    fs.renameSync(backup, file);
+                } else {
+                    fs.rmSync(file, { force: true });
+                }
+            });
+            throw error;
+        } finally {
+            files.forEach(({ temporary, backup }) => {
+                fs.rmSync(temporary, { force: true });
+                fs.rmSync(backup, { force: true });
+            });
+        }
+    }
+
+    /**
+     * Take the write lock
+     * @returns {Function} Releases the lock
+     */
+    lock() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const lockFile = path.join(this.dir, LOCK_FILE);
+        const started = Date.now();
+
+        for (;;) {
+            try {
+                fs.closeSync(fs.openSync(lockFile, 'wx'));
+                return () => fs.rmSync(lockFile, { force: true });
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+                    fs.rmSync(lockFile, { force: true });
+                    continue;
+                }
+            } catch (error) {
+                // Released between the two calls
+                continue;
+            }
+
+            if (Date.now() - started > this.lockTimeout) {
+                throw new Error(`Timed out waiting for ${lockFile}, delete it if no other run is writing baselines`);
+            }
+            sleep(50);
+        }
+    }
+}
+
+module.exports = FsStorage;
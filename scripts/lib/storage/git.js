@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// update-ref's old value for a ref that must not exist yet
+const NO_COMMIT = '0'.repeat(40);
+
+// How often an update is rebuilt on top of a commit someone else pushed first
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Documents on an orphan branch of the repository, e.g. `symphony-data`, kept apart from the code
+ *
+ * Commits are built with plumbing commands in a temporary index, so the working tree and the
+ * checked out branch are never touched. A new commit only replaces the branch when it still points
+ * at the commit the update started from, locally with `update-ref` and on the remote with a plain
+ * (non-force) push. When another run got there first, the update is redone on top of its commit.
+ */
+class GitStorage {
+    /**
+     * @param {Object} options - Storage options
+     * @param {string} options.cwd - Repository directory
+     * @param {string} options.branch - Data branch
+     * @param {string|null} options.remote - Remote to fetch from and push to, null to stay local
+     * @param {string} options.prefix - Path of the documents on the branch, e.g. a project name
+     */
+    constructor({ cwd, branch, remote = null, prefix = '' }) {
+        this.cwd = cwd;
+        this.branch = branch;
+        this.ref = `refs/heads/${branch}`;
+        this.remote = remote;
+        this.prefix = prefix;
+        this.fetched = false;
+    }
+
+    describe() {
+        return `git ${this.remote ? `${this.remote}/` : ''}${this.branch}${this.prefix ? `:${this.prefix}` : ''}`;
+    }
+
+    git(args, { input, env } = {}) {
+        try {
+            return execFileSync('git', args, {
+                cwd: this.cwd,
+                input,
+                env: env ? { ...process.env, ...env } : process.env,
+                encoding: 'utf8',
+                stdio: ['pipe', 'pipe', 'pipe']
+            }).trim();
+        } catch (error) {
+            const stderr = error.stderr ? error.stderr.toString().trim() : '';
+            throw new Error(`git ${args[0]} failed: ${stderr || error.message}`);
+        }
+    }
+
+    /**
+     * Bring the local data branch up to date with the remote, once per instance unless forced
+     */
+    fetch(force = false) {
+        if (!this.remote || (this.fetched && !force)) return;
+
+        // Exit code 2: the remote does not have the branch yet
+        try {
+            execFileSync('git', ['ls-remote', '--exit-code', '--heads', this.remote, this.branch], { cwd: this.cwd, stdio: 'ignore' });
+        } catch (error) {
+            if (error.status !== 2) throw new Error(`git ls-remote ${this.remote} failed: ${error.message}`);
+            this.fetched = true;
+            return;
+        }
+
+        this.git(['fetch', '--quiet', '--no-tags', this.remote, `+${this.ref}:${this.ref}`]);
+        this.fetched = true;
+    }
+
+    /**
+     * Commit of the data branch, null before the first write
+     */
+    head() {
+        this.fetch();
+        try {
+            return this.git(['rev-parse', '--verify', '--quiet', `${this.ref}^{commit}`]);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    readAt(commit, key) {
+        if (!commit) return null;
+        const file = `${commit}:${this.prefix}${key}`;
+        try {
+            this.git(['cat-file', '-e', file]);
+        } catch (error) {
+            return null;
+        }
+        return this.git(['cat-file', 'blob', file]);
+    }
+
+    read(key) {
+        return this.readAt(this.head(), key);
+    }
+
+    keys() {
+        const commit = this.head();
+        if (!commit) return [];
+
+        return this.git(['ls-tree', '-r', '--name-only', commit])
+            .split('\n')
+            .filter(file => file && file.startsWith(this.prefix))
+            .map(file => file.slice(this.prefix.length));
+    }
+
+    /**
+     * Identity for commit-tree when the repository has none configured, as on a fresh CI runner
+     */
+    identity() {
+        try {
+            this.git(['config', 'user.email']);
+            return {};
+        } catch (error) {
+            const name = process.env.GITHUB_ACTOR || 'CI/CD Symphony';
+            const email = 'symphony@users.noreply.github.com';
+            return { GIT_AUTHOR_NAME: name, GIT_AUTHOR_EMAIL: email, GIT_COMMITTER_NAME: name, GIT_COMMITTER_EMAIL: email };
+        }
+    }
+
+    /**
+     * Commit the given documents on top of parent, in a temporary index
+     */
+    commit(parent, documents) {
+        const index = path.join(os.tmpdir(), `symphony-index-${process.pid}-${Date.now()}`);
+        const env = { GIT_INDEX_FILE: index, ...this.identity() };
+
+        try {
+            if (parent) {
+                this.git(['read-tree', parent], { env });
+            }
+            Object.entries(documents).forEach(([key, contents]) => {
+                const blob = this.git(['hash-object', '-w', '--stdin'], { input: contents });
+                this.git(['update-index', '--add', '--cacheinfo', `100644,${blob},${this.prefix}${key}`], { env });
+            });
+            const tree = this.git(['write-tree'], { env });
+            const message = `Update ${Object.keys(documents).map(key => `${this.prefix}${key}`).join(', ')}`;
+            return this.git(['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', message], { env });
+        } finally {
+            fs.rmSync(index, { force: true });
+        }
+    }
+
+    /**
+     * Read documents, let `change` produce new contents and commit them as one commit
+     * @param {string[]} keys - Documents `change` gets to see
+     * @param {Function} change - (current: { key: contents|null }) => { key: contents } to write
+     * @returns {Object} Written documents
+     */
+    update(keys, change) {
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            const parent = this.head();
+            const documents = change(Object.fromEntries(keys.map(key => [key, this.readAt(parent, key)])));
+            const commit = this.commit(parent, documents);
+
+            let moved = false;
+            try {
+                this.git(['update-ref', this.ref, commit, parent || NO_COMMIT]);
+                moved = true;
+                if (this.remote) {
+                    this.git(['push', '--quiet', this.remote, `${this.ref}:${this.ref}`]);
+                }
+                return documents;
+            } catch (error) {
+                // The push was refused: the local branch goes back to where the remote knows it
+                if (moved) {
+                    this.git(parent ? ['update-ref', this.ref, parent, commit] : ['update-ref', '-d', this.ref, commit]);
+                }
+                if (attempt === MAX_ATTEMPTS) {
+                    throw new Error(`Could not update ${this.describe()} after ${MAX_ATTEMPTS} attempts: ${error.message}`);
+                }
+                // Someone else moved the branch: start again from their commit
+                console.log(`🔁 ${this.describe()} mainījās, atkārto (${attempt}/${MAX_ATTEMPTS})`);
+                this.fetch(true);
+            }
+        }
+    }
+}
+
+module.exports = GitStorage;
@@ -0,0 +1,221 @@
+const path = require('path');
+const FsStorage = require('./fs');
+const GitStorage = require('./git');
+const SqliteStorage = require('./sqlite');
+const { getBranchPath } = require('../branches');
+const { parseDocument, stampDocument } = require('../schema');
+
+/**
+ * Storage backends for baselines and their history
+ *
+ * An adapter stores JSON text under `/`-separated keys such as `metrics.json` or
+ * `branches/release/1.4/history.json` and implements:
+ *   describe()            - Where the documents are, for logs and errors
+ *   read(key)             - Contents, null when there is no such document
+ *   keys()                - Every stored key
+ *   update(keys, change)  - Call change({ key: contents|null }) with the current documents and write the
+ *                           { key: contents } it returns, all or nothing. When another writer got in
+ *                           between, change is called again with their documents.
+ */
+const STORAGE_BACKENDS = {
+    fs: config => new FsStorage({ dir: config.paths.baselines }),
+    git: (config, prefix) => new GitStorage({
+        cwd: config.rootDir,
+        branch: config.storage.git.branch,
+        remote: config.storage.git.remote,
+        prefix
+    }),
+    sqlite: (config, prefix) => new SqliteStorage({
+        file: path.resolve(config.rootDir, config.storage.sqlite.file),
+        prefix
+    })
+};
+
+// Documents kept per branch, and the schema the versioned ones are checked against
+const DOCUMENTS = {
+    baseline: { file: 'metrics.json', kind: 'baseline' },
+    history: { file: 'history.json', kind: 'history' },
+    trends: { file: 'trends.json' },
+    summary: { file: 'summary.json' },
+    rejection: { file: 'rejection.json' },
+    audit: { file: 'audit.json', kind: 'audit' }
+};
+
+const DOCUMENT_FILES = Object.values(DOCUMENTS).map(document => document.file);
+
+/**
+ * Baselines, history and reports of every baseline branch, on top of a storage adapter
+ */
+class BaselineStore {
+    /**
+     * @param {Object} adapter - Storage adapter
+     * @param {Object} policy - `baseline` section of the config
+     */
+    constructor(adapter, policy) {
+        this.adapter = adapter;
+        this.policy = policy;
+    }
+
+    describe() {
+        return this.adapter.describe();
+    }
+
+    key(branch, name) {
+        const branchPath = getBranchPath(branch, this.policy);
+        return branchPath ? `${branchPath}/${DOCUMENTS[name].file}` : DOCUMENTS[name].file;
+    }
+
+    /**
+     * Parse stored contents, versioned documents are migrated and validated
+     */
+    parse(key, contents) {
+        if (contents === null) return null;
+
+        const source = `${key} (${this.describe()})`;
+        let document;
+        try {
+            document = JSON.parse(contents);
+        } catch (error) {
+            throw new Error(`${source} is not valid JSON: ${error.message}`);
+        }
+
+        const { kind } = Object.values(DOCUMENTS).find(({ file }) => key.split('/').pop() === file) || {};
+        return kind ? parseDocument(kind, document, source) : document;
+    }
+
+    serialize(key, name, document) {
+        const { kind } = DOCUMENTS[name];
+        const stamped = kind ? stampDocument(kind, document, `${key} (${this.describe()})`) : document;
+        return JSON.stringify(stamped, null, 2);
+    }
+
+    /**
+     * Baseline of a branch, the fallback branch's by default. Null when there is none.
+     */
+    loadBaseline(branch = this.policy.fallbackBranch) {
+        const key = this.key(branch, 'baseline');
+        return this.parse(key, this.adapter.read(key));
+    }
+
+    /**
+     * History entries of a branch, empty when there are none
+     */
+    loadHistory(branch = this.policy.fallbackBranch) {
+        const key = this.key(branch, 'history');
+        const history = this.parse(key, this.adapter.read(key));
+        return history ? history.entries : [];
+    }
+
+    /**
+     * Audit log entries of a branch, oldest first
+     */
+    loadAudit(branch = this.policy.fallbackBranch) {
+        const key = this.key(branch, 'audit');
+        const audit = this.parse(key, this.adapter.read(key));
+        return audit ? audit.entries : [];
+    }
+
+    /**
+     * Add entries to the end of a branch's audit log. Entries already in it are never changed.
+     * @param {string} branch - Baseline branch
+     * @param {Object[]} entries - Entries to add
+     * @returns {Object[]} The whole audit log
+     */
+    appendAudit(branch, entries) {
+        const key = this.key(branch, 'audit');
+        let audit;
+
+        this.adapter.update([key], current => {
+            const stored = this.parse(key, current[key]);
+            audit = [...(stored ? stored.entries : []), ...entries];
+            return { [key]: this.serialize(key, 'audit', { entries: audit }) };
+        });
+
+        return audit;
+    }
+
+    hasBaseline(branch) {
+        return this.adapter.read(this.key(branch, 'baseline')) !== null;
+    }
+
+    /**
+     * Replace documents of a branch in one write
+     * @param {string} branch - Baseline branch
+     * @param {Function} change - ({ baseline, history }) => documents to save, e.g. { baseline, history, trends, summary }.
+     *                            The current baseline and history entries are passed in; change may run again
+     *                            with newer ones when another run saved in the meantime.
+     * @returns {Object} The saved documents
+     */
+    update(branch, change) {
+        const keys = { baseline: this.key(branch, 'baseline'), history: this.key(branch, 'history') };
+        let saved;
+
+        this.adapter.update(Object.values(keys), current => {
+            const history = this.parse(keys.history, current[keys.history]);
+            saved = change({
+                baseline: this.parse(keys.baseline, current[keys.baseline]),
+                history: history ? history.entries : []
+            });
+            if (saved.audit) {
+                throw new Error('The audit log is append-only, add entries with appendAudit');
+            }
+
+            return Object.fromEntries(Object.entries(saved).map(([name, document]) => {
+                const key = this.key(branch, name);
+                return [key, this.serialize(key, name, name === 'history' ? { entries: document } : document)];
+            }));
+        });
+
+        return saved;
+    }
+}
+
+/**
+ * Baseline store of a project, on the backend named in `storage.backend` unless another is given
+ * @param {Object} config - Loaded config, a project's config in a monorepo
+ * @param {string} backend - fs, git or sqlite
+ */
+function createStorage(config, backend = config.storage.backend) {
+    if (!STORAGE_BACKENDS[backend]) {
+        throw new Error(`Unknown storage backend "${backend}", expected one of ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    }
+
+    // Projects of a monorepo share the git branch and the SQLite file, each under its own name
+    const prefix = config.project ? `${config.project.name}/` : '';
+    return new BaselineStore(STORAGE_BACKENDS[backend](config, prefix), config.baseline);
+}
+
+/**
+ * Copy every baseline document of one store into another, in one write. Older document versions
+ * are migrated on the way, documents already in the target are replaced.
+ * @param {BaselineStore} source - Store to copy from
+ * @param {BaselineStore} target - Store to copy into
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Only list what would be copied
+ * @returns {string[]} Copied keys
+ */
+function migrateStorage(source, target, { dryRun = false } = {}) {
+    const keys = source.adapter.keys().filter(key => DOCUMENT_FILES.includes(key.split('/').pop()));
+    const documents = Object.fromEntries(keys.map(key => {
+        const document = source.parse(key, source.adapter.read(key));
+        const [name] = Object.entries(DOCUMENTS).find(([, { file }]) => key.split('/').pop() === file);
+        return [key, target.serialize(key, name, document)];
+    }));
+
+    if (!dryRun && keys.length > 0) {
+        target.adapter.update([], () => documents);
+    }
+
+    return keys;
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    DOCUMENTS,
+    BaselineStore,
+    createStorage,
+    migrateStorage,
+    FsStorage,
+    GitStorage,
+    SqliteStorage
+};
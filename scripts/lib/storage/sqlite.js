@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// How often an update is redone when another writer committed since it read
+const MAX_ATTEMPTS = 5;
+
+// Wait this long for another writer's transaction, in ms
+const BUSY_TIMEOUT = 10000;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS documents (key TEXT PRIMARY KEY, content TEXT NOT NULL, updated TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS revision (id INTEGER PRIMARY KEY CHECK (id = 1), value INTEGER NOT NULL);
+INSERT OR IGNORE INTO revision (id, value) VALUES (1, 0);
+`;
+
+/**
+ * SQL string literal, SQLite has no escapes besides doubled quotes
+ */
+function quote(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Documents in a local SQLite file, through the `sqlite3` command line tool
+ *
+ * Every update is one transaction. A revision number is read along with the documents and bumped
+ * by the write; when another writer bumped it in between, the transaction is rolled back and the
+ * update is redone on the newer documents.
+ */
+class SqliteStorage {
+    /**
+     * @param {Object} options - Storage options
+     * @param {string} options.file - Database file, created on first use
+     * @param {string} options.prefix - Key prefix, e.g. a project name
+     */
+    constructor({ file, prefix = '' }) {
+        this.file = file;
+        this.prefix = prefix;
+    }
+
+    describe() {
+        return `sqlite ${path.relative(process.cwd(), this.file) || this.file}${this.prefix ? `:${this.prefix}` : ''}`;
+    }
+
+    /**
+     * Run a script, with -bail the first failing statement ends it and rolls back its transaction
+     */
+    sqlite(script) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        try {
+            return execFileSync('sqlite3', ['-bail', '-batch', this.file], {
+                input: `.timeout ${BUSY_TIMEOUT}\n${SCHEMA}\n${script}\n`,
+                encoding: 'utf8',
+                stdio: ['pipe', 'pipe', 'pipe']
+            }).trim();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error('sqlite3 command not found, install SQLite or use another storage.backend');
+            }
+            const stderr = error.stderr ? error.stderr.toString().trim() : '';
+            throw new Error(`sqlite3 ${this.file} failed: ${stderr || error.message}`);
+        }
+    }
+
+    /**
+     * Revision and contents of the given documents, in one statement so they belong together
+     */
+    snapshot(keys) {
+        const selected = keys.length > 0 ? keys.map(key => quote(this.prefix + key)).join(', ') : 'NULL';
+        const output = this.sqlite(`SELECT json_object(
+            'revision', (SELECT value FROM revision WHERE id = 1),
+            'documents', (SELECT json_group_object(key, content) FROM documents WHERE key IN (${selected}))
+        );`);
+        const { revision, documents } = JSON.parse(output);
+
+        return {
+            revision,
+            documents: Object.fromEntries(keys.map(key => [key, documents[this.prefix + key] ?? null]))
+        };
+    }
+
+    read(key) {
+        return this.snapshot([key]).documents[key];
+    }
+
+    keys() {
+        const output = this.sqlite(`SELECT json_group_array(key) FROM documents WHERE substr(key, 1, ${this.prefix.length}) = ${quote(this.prefix)};`);
+        return JSON.parse(output).map(key => key.slice(this.prefix.length));
+    }
+
+    /**
+     * Read documents, let `change` produce new contents and write them in one transaction
+     * @param {string[]} keys - Documents `change` gets to see
+     * @param {Function} change - (current: { key: contents|null }) => { key: contents } to write
+     * @returns {Object} Written documents
+     */
+    update(keys, change) {
+        for (let attempt = 1; ; attempt++) {
+            const { revision, documents: current } = this.snapshot(keys);
+            const documents = change(current);
+            const updated = new Date().toISOString();
+            const upserts = Object.entries(documents).map(([key, contents]) =>
+                `INSERT INTO documents (key, content, updated) VALUES (${quote(this.prefix + key)}, ${quote(contents)}, ${quote(updated)}) ` +
+                'ON CONFLICT (key) DO UPDATE SET content = excluded.content, updated = excluded.updated;'
+            );
+
+            try {
+                // The guard row fails its CHECK when the revision moved, which ends the script before COMMIT
+                this.sqlite([
+                    'CREATE TEMP TABLE guard (unchanged INTEGER CHECK (unchanged = 1));',
+                    'BEGIN IMMEDIATE;',
+                    `UPDATE revision SET value = value + 1 WHERE id = 1 AND value = ${Number(revision)};`,
+                    'INSERT INTO guard (unchanged) SELECT changes();',
+                    ...upserts,
+                    'COMMIT;'
+                ].join('\n'));
+                return documents;
+            } catch (error) {
+                if (!error.message.includes('CHECK constraint failed') || attempt === MAX_ATTEMPTS) {
+                    throw error;
+                }
+                console.log(`🔁 ${this.describe()} mainījās, atkārto (${attempt}/${MAX_ATTEMPTS})`);
+            }
+        }
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+
+const NODE_MODULES = 'node_modules';
+
+/**
+ * Load a webpack stats.json file
+ * @param {string} statsPath - Path to stats.json
+ * @returns {Object|null} Parsed stats or null if the file does not exist
+ */
+function loadWebpackStats(statsPath) {
+    if (!fs.existsSync(statsPath)) {
+        return null;
+    }
+
+    return JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+}
+
+/**
+ * Resolve the npm package a module path belongs to
+ * @param {string} modulePath - Absolute or relative module path
+ * @returns {{name: string, root: string}|null} Package name and install directory
+ */
+function getPackageInfo(modulePath) {
+    if (!modulePath) return null;
+
+    const normalized = modulePath.split('!').pop().replace(/\\/g, '/');
+    const index = normalized.lastIndexOf(`/${NODE_MODULES}/`);
+    if (index === -1) return null;
+
+    const rest = normalized.slice(index + NODE_MODULES.length + 2).split('/');
+    const name = rest[0].startsWith('@') ? `${rest[0]}/${rest[1]}` : rest[0];
+    const root = `${normalized.slice(0, index)}/${NODE_MODULES}/${name}`;
+
+    return { name, root };
+}
+
+/**
+ * Read the installed version of a package
+ * @param {string} packageRoot - Package install directory
+ * @returns {string|null} Version or null if unknown
+ */
+function readPackageVersion(packageRoot) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(packageRoot, 'package.json'), 'utf8')).version || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Flatten concatenated modules into the modules they were built from
+ * @param {Object[]} modules - Modules from stats.json
+ * @returns {Object[]} Flat list of modules with their chunks
+ */
+function flattenModules(modules = []) {
+    const flat = [];
+
+    modules.forEach(module => {
+        if (Array.isArray(module.modules) && module.modules.length > 0) {
+            module.modules.forEach(inner => {
+                flat.push({ ...inner, chunks: inner.chunks && inner.chunks.length ? inner.chunks : module.chunks });
+            });
+        } else {
+            flat.push(module);
+        }
+    });
+
+    return flat.filter(module => module.moduleType !== 'runtime' && typeof module.size === 'number');
+}
+
+/**
+ * Analyze a webpack stats.json object
+ * @param {Object} stats - Webpack stats
+ * @param {Object} options - Options
+ * @param {Function} options.readVersion - Resolves a package version from its install directory
+ * @returns {Object} Entrypoint, chunk, module and package level analysis
+ */
+function analyzeWebpackStats(stats, { readVersion = readPackageVersion } = {}) {
+    const chunks = (stats.chunks || []).map(chunk => ({
+        id: chunk.id,
+        names: chunk.names || [],
+        files: (chunk.files || []).filter(file => !file.endsWith('.map')),
+        size: chunk.size || 0,
+        initial: !!chunk.initial,
+        entry: !!chunk.entry
+    }));
+    const chunkNames = new Map(chunks.map(chunk => [chunk.id, chunk.names[0] || String(chunk.id)]));
+    const assetSizes = new Map((stats.assets || []).map(asset => [asset.name, asset.size]));
+
+    const entrypoints = Object.entries(stats.entrypoints || {}).map(([name, entry]) => {
+        const assets = (entry.assets || [])
+            .map(asset => (typeof asset === 'string' ? { name: asset, size: assetSizes.get(asset) || 0 } : asset))
+            .filter(asset => !asset.name.endsWith('.map'));
+
+        return {
+            name,
+            chunks: (entry.chunks || []).map(id => chunkNames.get(id) || String(id)),
+            assets: assets.map(asset => asset.name),
+            size: typeof entry.assetsSize === 'number'
+                ? entry.assetsSize
+                : assets.reduce((sum, asset) => sum + (asset.size || 0), 0)
+        };
+    });
+
+    const packages = {};
+    const modules = flattenModules(stats.modules).map(module => {
+        const modulePath = module.nameForCondition || module.identifier || module.name;
+        const pkg = getPackageInfo(modulePath);
+
+        if (pkg) {
+            const entry = packages[pkg.name] || (packages[pkg.name] = { size: 0, installs: {} });
+            const install = entry.installs[pkg.root] || (entry.installs[pkg.root] = {
+                path: pkg.root,
+                version: readVersion(pkg.root),
+                size: 0
+            });
+            entry.size += module.size;
+            install.size += module.size;
+        }
+
+        return {
+            name: module.name,
+            size: module.size,
+            package: pkg ? pkg.name : null,
+            chunks: (module.chunks || []).map(id => chunkNames.get(id) || String(id))
+        };
+    }).sort((a, b) => b.size - a.size);
+
+    const duplicatePackages = [];
+    Object.entries(packages).forEach(([name, entry]) => {
+        const installs = Object.values(entry.installs);
+        const versions = new Set(installs.map(install => install.version || install.path));
+
+        if (versions.size > 1) {
+            duplicatePackages.push({ name, size: entry.size, versions: installs });
+        }
+    });
+
+    const sharedModules = modules
+        .filter(module => module.chunks.length > 1)
+        .map(module => ({ name: module.name, size: module.size, chunks: module.chunks }));
+
+    return {
+        entrypoints,
+        chunks,
+        modules,
+        packages: Object.fromEntries(Object.entries(packages).map(([name, entry]) => [name, {
+            size: entry.size,
+            versions: Object.values(entry.installs).map(install => install.version).filter(Boolean)
+        }])),
+        duplicatePackages: duplicatePackages.sort((a, b) => b.size - a.size),
+        sharedModules
+    };
+}
+
+/**
+ * Reduce an analysis to name => size maps small enough to keep in results and baselines
+ * @param {Object} analysis - Result of analyzeWebpackStats
+ * @returns {Object} Compact summary
+ */
+function summarizeAnalysis(analysis) {
+    const toSizeMap = (items, key = 'name') => Object.fromEntries(items.map(item => [item[key], item.size]));
+
+    return {
+        entrypoints: toSizeMap(analysis.entrypoints),
+        chunks: toSizeMap(analysis.chunks.map(chunk => ({ name: chunk.names[0] || String(chunk.id), size: chunk.size }))),
+        modules: toSizeMap(analysis.modules),
+        duplicatePackages: analysis.duplicatePackages.map(pkg => ({
+            name: pkg.name,
+            versions: pkg.versions.map(install => install.version || install.path)
+        })),
+        sharedModules: analysis.sharedModules.map(module => ({ name: module.name, chunks: module.chunks }))
+    };
+}
+
+/**
+ * Diff two name => size maps, largest absolute change first
+ * @param {Object} current - Current sizes
+ * @param {Object} baseline - Baseline sizes
+ * @returns {Object[]} Changed entries with current, baseline and change
+ */
+function diffSizes(current = {}, baseline = {}) {
+    const names = new Set([...Object.keys(current), ...Object.keys(baseline)]);
+
+    return [...names]
+        .map(name => ({
+            name,
+            current: current[name] || 0,
+            baseline: baseline[name] || 0,
+            change: (current[name] || 0) - (baseline[name] || 0)
+        }))
+        .filter(entry => entry.change !== 0)
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+}
+
+/**
+ * Compare two compact summaries
+ * @param {Object} current - Current summary
+ * @param {Object} baseline - Baseline summary
+ * @returns {Object} Entrypoint, chunk and module size changes
+ */
+function diffAnalysis(current, baseline) {
+    return {
+        entrypoints: diffSizes(current.entrypoints, baseline.entrypoints),
+        chunks: diffSizes(current.chunks, baseline.chunks),
+        modules: diffSizes(current.modules, baseline.modules)
+    };
+}
+
+module.exports = {
+    loadWebpackStats,
+    getPackageInfo,
+    readPackageVersion,
+    flattenModules,
+    analyzeWebpackStats,
+    summarizeAnalysis,
+    diffSizes,
+    diffAnalysis
+};
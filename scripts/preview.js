@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+const { startPreviewServer } = require('./lib/preview-server');
+const { loadConfig } = require('./lib/config');
+
+/**
+ * Serve the production build locally, the same way Lighthouse sees it
+ */
+async function preview() {
+    const config = loadConfig();
+    const portIndex = process.argv.indexOf('--port');
+    const portValue = portIndex > -1 ? process.argv[portIndex + 1] : process.env.PORT;
+    // --port 0 picks a free port
+    const port = portValue === undefined ? 3000 : parseInt(portValue, 10);
+    if (Number.isNaN(port)) {
+        throw new Error(`Invalid port "${portValue}"`);
+    }
+
+    const server = await startPreviewServer({ root: config.paths.dist, port, host: process.env.HOST || '127.0.0.1' });
+    console.log(`🌐 ${config.paths.dist} pieejams: ${server.url}`);
+
+    const shutdown = async () => {
+        console.log('\n👋 Aptur preview serveri...');
+        await server.stop();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+preview().catch(error => {
+    console.error('❌ Preview servera kļūda:', error.message);
+    process.exit(1);
+});
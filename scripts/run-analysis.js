@@ -2,25 +2,82 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const {
+    loadCollectConfig,
+    resolveAuditUrl,
+    getPageKey,
+    summarizePages,
+    getProfileResults,
+    runLighthouse
+} = require('./lib/lighthouse');
+const { loadWebpackStats, analyzeWebpackStats, summarizeAnalysis } = require('./lib/webpack-stats');
+const { attributeDirectory } = require('./lib/source-map-attribution');
+const { runEslint, summarizeEslintResults } = require('./lib/eslint');
+const { loadJestResults, summarizeJestResults } = require('./lib/jest-results');
+const { resolveBaseRef, refExists, analyzeDiffCoverage } = require('./lib/diff-coverage');
+const { loadLcovSummary } = require('./lib/lcov');
+const { createRegistry, getMetricValue, formatMetricValue, formatMetricChange } = require('./lib/metric-registry');
+const { compareResults } = require('./lib/compare');
+const { SHA_PATTERN, getArchiveDir, archiveResults } = require('./lib/archive');
+const { startPreviewServer } = require('./lib/preview-server');
+const { STEP_STATUS, runSteps, runCommand } = require('./lib/steps');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const { SCHEMA_VERSIONS, writeDocument } = require('./lib/schema');
+const { resolveBaselineBranch } = require('./lib/branches');
+const { createStorage } = require('./lib/storage');
+
+const STEP_EMOJI = {
+    [STEP_STATUS.OK]: '✅',
+    [STEP_STATUS.FAILED]: '❌',
+    [STEP_STATUS.TIMED_OUT]: '⏱️',
+    [STEP_STATUS.SKIPPED]: '⏭️'
+};
+
+// Source maps are only fetched by dev tools, users never download them
+const NOT_SHIPPED_EXTENSIONS = ['.map'];
 
 /**
  * Main analysis runner for CI/CD pipeline
  */
 class AnalysisRunner {
-    constructor() {
+    /**
+     * @param {Object} config - Loaded config
+     * @param {Object} registry - Metric registry
+     * @param {Object} options - Runner options
+     * @param {string|Array} options.stdio - Where the build and test commands write, see STDERR_STDIO
+     */
+    constructor(config = loadConfig(), registry = createRegistry({ config }), { stdio = 'inherit' } = {}) {
+        this.config = config;
+        this.registry = registry;
+        this.stdio = stdio;
+        this.paths = config.paths;
+        // Defaults for steps that do not set their own timeout or retries
+        this.stepOptions = {
+            timeout: parseInt(process.env.SYMPHONY_STEP_TIMEOUT, 10) || config.analysis.timeout,
+            retries: parseInt(process.env.SYMPHONY_STEP_RETRIES, 10) || config.analysis.retries
+        };
         this.results = {
+            schemaVersion: SCHEMA_VERSIONS.results,
             timestamp: new Date().toISOString(),
             commit: process.env.GITHUB_SHA || 'unknown',
             branch: process.env.GITHUB_REF_NAME || 'unknown',
             pr: process.env.GITHUB_EVENT_NUMBER || null,
-            performance: null,
-            coverage: null,
-            bundleSize: null,
+            project: config.project ? config.project.name : null,
+            metrics: {},
+            steps: {},
             status: 'running'
         };
         
-        this.baselineDir = path.join(__dirname, '../baselines');
+        // One results entry per collector, e.g. performance, coverage, bundleSize
+        this.registry.collectors().forEach(plugin => {
+            this.results[plugin.id] = null;
+        });
+        
+        this.baselineDir = this.paths.baselines;
+        this.storage = createStorage(config);
+        this.baselineBranch = null;
         this.ensureDirectories();
     }
 
@@ -30,9 +87,9 @@ class AnalysisRunner {
     ensureDirectories() {
         const dirs = [
             this.baselineDir,
-            path.join(__dirname, '../reports'),
-            path.join(__dirname, '../dist'),
-            path.join(__dirname, '../coverage')
+            this.paths.reports,
+            this.paths.dist,
+            this.paths.coverage
         ];
 
         dirs.forEach(dir => {
@@ -43,66 +100,138 @@ class AnalysisRunner {
     }
 
     /**
-     * Run Lighthouse performance analysis
+     * Build the application, other steps depend on dist/
      */
-    async runLighthouseAnalysis() {
+    async runBuild(signal) {
+        console.log('📦 Būvē aplikāciju...');
+
+        if (this.config.project) {
+            // Projects may build with any toolchain, e.g. flutter build web
+            await runCommand(this.config.project.build, [], { cwd: this.config.rootDir, shell: true, stdio: this.stdio, signal });
+            return;
+        }
+
+        await runCommand('npm', ['run', 'build'], { cwd: this.config.rootDir, stdio: this.stdio, signal });
+    }
+
+    /**
+     * Run Lighthouse performance analysis of every configured page in every form factor profile
+     */
+    async runLighthouseAnalysis(signal) {
         console.log('🚀 Palaidz Lighthouse analīzi...');
-        
+
+        // Serve the build the same way for every profile and page
+        const server = await startPreviewServer({ root: this.paths.dist });
+        console.log(`🌐 Preview serveris: ${server.url}`);
+
         try {
-            // Build the application first
-            console.log('📦 Būvē aplikāciju...');
-            execSync('npm run build', { stdio: 'inherit' });
-
-            // Create a simple server for lighthouse testing
-            const serverScript = `
-                const express = require('express');
-                const path = require('path');
-                const app = express();
-                app.use(express.static('dist'));
-                const server = app.listen(0, () => {
-                    console.log('Server listening on port:', server.address().port);
-                });
-                setTimeout(() => server.close(), 30000);
-            `;
-            
-            fs.writeFileSync('/tmp/test-server.js', serverScript);
-            
-            // Start server and run lighthouse
-            const serverProcess = require('child_process').spawn('node', ['/tmp/test-server.js'], {
-                stdio: 'pipe'
-            });
+            const collectConfig = loadCollectConfig(path.join(this.config.rootDir, 'lighthouserc.json'));
+            const [primary, ...others] = this.config.lighthouse.profiles;
+            const origin = server.url;
+            const reports = {};
 
-            // Wait for server to start
-            await new Promise(resolve => setTimeout(resolve, 2000));
-
-            // For demo purposes, generate mock lighthouse results
-            // In real implementation, this would run actual lighthouse
-            const lighthouseResults = {
-                performance: Math.floor(Math.random() * 20) + 80, // 80-100
-                accessibility: Math.floor(Math.random() * 15) + 85, // 85-100
-                bestPractices: Math.floor(Math.random() * 15) + 85, // 85-100
-                seo: Math.floor(Math.random() * 20) + 80, // 80-100
-                metrics: {
-                    firstContentfulPaint: Math.floor(Math.random() * 1000) + 1000,
-                    largestContentfulPaint: Math.floor(Math.random() * 2000) + 2000,
-                    cumulativeLayoutShift: Math.random() * 0.1,
-                    totalBlockingTime: Math.floor(Math.random() * 400) + 100
+            // The first profile is the headline, the step fails when none of its pages could be audited
+            const { summary, lhrs } = await this.auditProfile(primary, collectConfig, origin, signal);
+            reports[primary.name] = lhrs;
+            summary.profile = primary.name;
+
+            for (const profile of others) {
+                try {
+                    const result = await this.auditProfile(profile, collectConfig, origin, signal);
+                    reports[profile.name] = result.lhrs;
+                    summary.profiles = { ...summary.profiles, [profile.name]: result.summary };
+                } catch (error) {
+                    if (signal && signal.aborted) throw error;
+                    console.warn(`⚠️ ${profile.name}: ${error.message}`);
+                    summary.profiles = { ...summary.profiles, [profile.name]: { error: error.message } };
                 }
-            };
+            }
 
-            this.results.performance = lighthouseResults;
-            
-            // Save lighthouse report
-            const reportPath = path.join(__dirname, '../reports/lighthouse.json');
-            fs.writeFileSync(reportPath, JSON.stringify(lighthouseResults, null, 2));
-            
-            serverProcess.kill();
-            console.log(`✅ Lighthouse analīze pabeigta: ${lighthouseResults.performance}%`);
-            
+            // Save lighthouse reports
+            const reportPath = path.join(this.paths.reports, 'lighthouse.json');
+            fs.writeFileSync(reportPath, JSON.stringify({ summary, lhr: reports }, null, 2));
+
+            const scores = Object.entries(getProfileResults(summary))
+                .map(([name, result]) => `${name} ${result.error ? 'N/A' : `${result.performance}%`}`)
+                .join(', ');
+            console.log(`✅ Lighthouse analīze pabeigta: ${scores}`);
+            return summary;
+        } finally {
+            await server.stop();
+        }
+    }
+
+    /**
+     * Audit every configured page with one form factor profile
+     * @returns {Promise<{summary: Object, lhrs: Object}>} Summary of all pages and the median LHR per page
+     */
+    async auditProfile(profile, collectConfig, origin, signal) {
+        const pages = {};
+        const lhrs = {};
+        const settings = { ...collectConfig.settings, ...profile.settings };
+
+        // One page at a time, parallel Chrome instances would skew the scores
+        for (const configuredUrl of collectConfig.urls) {
+            const key = getPageKey(configuredUrl);
+            const url = resolveAuditUrl(configuredUrl, origin);
+            console.log(`🔦 Lighthouse (${profile.name}): ${url} (${collectConfig.numberOfRuns}x)`);
+
+            try {
+                const { summary, lhr } = await runLighthouse(url, {
+                    numberOfRuns: collectConfig.numberOfRuns,
+                    preset: profile.preset || profile.name,
+                    settings,
+                    signal
+                });
+                pages[key] = summary;
+                lhrs[key] = lhr;
+                console.log(`  ✅ ${key}: ${summary.performance}% (mediāna no ${summary.runs})`);
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                // The other pages still count, the profile fails only when none could be audited
+                console.warn(`  ⚠️ ${key}: ${error.message}`);
+                pages[key] = { error: error.message };
+            }
+        }
+
+        return { summary: summarizePages(pages), lhrs };
+    }
+
+    /**
+     * Run the test suite with coverage and record test counts and durations
+     */
+    async runTestAnalysis(signal) {
+        console.log('🧪 Palaidz testus...');
+
+        const resultsPath = path.join(this.paths.reports, 'jest-results.json');
+        if (fs.existsSync(resultsPath)) {
+            fs.unlinkSync(resultsPath);
+        }
+
+        try {
+            await runCommand('npm', ['run', 'coverage', '--', '--json', `--outputFile=${resultsPath}`], {
+                cwd: this.config.rootDir,
+                stdio: this.stdio,
+                signal
+            });
         } catch (error) {
-            console.error('❌ Lighthouse analīzes kļūda:', error.message);
-            this.results.performance = { error: error.message };
+            // Failing tests or coverage thresholds are results, not a broken step
+            if (signal && signal.aborted) throw error;
+            console.warn(`⚠️ ${error.message}`);
+        }
+
+        const jestResults = loadJestResults(resultsPath);
+        if (!jestResults) {
+            throw new Error(`Jest did not write ${path.relative(this.config.rootDir, resultsPath)}`);
         }
+
+        const tests = summarizeJestResults(jestResults, {
+            rootDir: this.config.rootDir,
+            slowestTests: this.config.tests.slowestTests
+        });
+
+        console.log(`✅ Testi pabeigti: ${tests.passed}/${tests.total} izdevās, ${tests.failed} kļūdaini, ${tests.skipped} izlaisti (${(tests.duration / 1000).toFixed(1)}s)`);
+        return tests;
     }
 
     /**
@@ -111,46 +240,64 @@ class AnalysisRunner {
     async runCoverageAnalysis() {
         console.log('🛡️ Palaidz coverage analīzi...');
         
-        try {
-            execSync('npm run test:coverage', { stdio: 'inherit' });
-            
-            // Read coverage results
-            const coveragePath = path.join(__dirname, '../coverage/coverage-summary.json');
-            let coverageData = {
-                statements: { pct: 85 },
-                branches: { pct: 80 },
-                functions: { pct: 90 },
-                lines: { pct: 85 }
-            };
+        // Read coverage results written by the tests step, or lcov.info from other toolchains
+        const coveragePath = path.join(this.paths.coverage, 'coverage-summary.json');
+        const lcovPath = path.join(this.paths.coverage, 'lcov.info');
+        let coverageData;
 
-            if (fs.existsSync(coveragePath)) {
-                const coverageFile = fs.readFileSync(coveragePath, 'utf8');
-                const coverage = JSON.parse(coverageFile);
-                coverageData = coverage.total || coverageData;
-            }
+        if (fs.existsSync(coveragePath)) {
+            coverageData = JSON.parse(fs.readFileSync(coveragePath, 'utf8')).total;
+        } else if (fs.existsSync(lcovPath)) {
+            coverageData = loadLcovSummary(lcovPath);
+        } else {
+            throw new Error(`Coverage summary not found: ${coveragePath} or ${lcovPath}`);
+        }
 
-            this.results.coverage = {
-                total: Math.round((
-                    coverageData.statements.pct +
-                    coverageData.branches.pct +
-                    coverageData.functions.pct +
-                    coverageData.lines.pct
-                ) / 4),
-                statements: coverageData.statements.pct,
-                branches: coverageData.branches.pct,
-                functions: coverageData.functions.pct,
-                lines: coverageData.lines.pct
-            };
+        // Istanbul reports "Unknown" when no file was instrumented
+        if (!coverageData || typeof coverageData.lines.pct !== 'number') {
+            throw new Error('Coverage summary has no covered files');
+        }
 
-            console.log(`✅ Coverage analīze pabeigta: ${this.results.coverage.total}%`);
-            
-        } catch (error) {
-            console.error('❌ Coverage analīzes kļūda:', error.message);
-            this.results.coverage = { 
-                total: 0,
-                error: error.message 
-            };
+        const coverage = {
+            total: Math.round((
+                coverageData.statements.pct +
+                coverageData.branches.pct +
+                coverageData.functions.pct +
+                coverageData.lines.pct
+            ) / 4),
+            statements: coverageData.statements.pct,
+            branches: coverageData.branches.pct,
+            functions: coverageData.functions.pct,
+            lines: coverageData.lines.pct
+        };
+
+        console.log(`✅ Coverage analīze pabeigta: ${coverage.total}%`);
+        return coverage;
+    }
+
+    /**
+     * Run coverage analysis of the lines changed since the base ref
+     */
+    async runDiffCoverageAnalysis() {
+        console.log('🎯 Palaidz diff coverage analīzi...');
+
+        const baseRef = resolveBaseRef(this.config.diffCoverage.baseRef);
+        // Pushes and shallow clones may not have the base branch, there is nothing to compare then
+        if (!refExists(baseRef, this.config.rootDir)) {
+            console.warn(`⚠️ Bāzes zars ${baseRef} nav atrasts, diff coverage netiek mērīts`);
+            return null;
         }
+
+        const diffCoverage = analyzeDiffCoverage({
+            baseRef,
+            coveragePath: path.join(this.paths.coverage, 'coverage-final.json'),
+            rootDir: this.config.rootDir
+        });
+        diffCoverage.minimum = this.config.diffCoverage.minimum;
+
+        const pct = diffCoverage.lines.pct;
+        console.log(`✅ Diff coverage analīze pabeigta: ${pct === null ? 'nav mainītu rindu ar kodu' : `${pct}%`}`);
+        return diffCoverage;
     }
 
     /**
@@ -159,43 +306,74 @@ class AnalysisRunner {
     async runBundleAnalysis() {
         console.log('📦 Palaidz bundle size analīzi...');
         
-        try {
-            // Ensure dist directory exists and has files
-            const distDir = path.join(__dirname, '../dist');
-            if (!fs.existsSync(distDir)) {
-                await this.runLighthouseAnalysis(); // This will build the app
-            }
+        // The build step has produced dist/
+        const distDir = this.paths.dist;
 
-            // Calculate bundle sizes
-            const bundleStats = this.calculateBundleSize(distDir);
-            
-            this.results.bundleSize = bundleStats;
-            
-            // Save bundle analysis
-            const reportPath = path.join(__dirname, '../reports/bundle-analysis.json');
-            fs.writeFileSync(reportPath, JSON.stringify(bundleStats, null, 2));
-            
-            console.log(`✅ Bundle analīze pabeigta: ${this.formatBytes(bundleStats.total)}`);
+        // Calculate bundle sizes
+        const bundleStats = this.calculateBundleSize(distDir);
+        
+        // Chunk and module level analysis from the webpack build
+        const webpackStats = loadWebpackStats(path.join(this.paths.reports, 'webpack-stats.json'));
+        let webpackAnalysis = null;
+        
+        if (webpackStats) {
+            webpackAnalysis = analyzeWebpackStats(webpackStats);
+            bundleStats.webpack = summarizeAnalysis(webpackAnalysis);
             
-        } catch (error) {
-            console.error('❌ Bundle analīzes kļūda:', error.message);
-            this.results.bundleSize = { error: error.message };
+            webpackAnalysis.duplicatePackages.forEach(pkg => {
+                const versions = pkg.versions.map(install => install.version || install.path).join(', ');
+                console.warn(`⚠️ Pakotne ${pkg.name} iekļauta vairākās versijās: ${versions}`);
+            });
+        } else {
+            console.warn('⚠️ webpack-stats.json nav atrasts, chunk/module analīze izlaista');
         }
+        
+        // Attribute output bytes to source files and npm packages
+        bundleStats.attribution = attributeDirectory(distDir);
+        
+        // Save bundle analysis
+        const reportPath = path.join(this.paths.reports, 'bundle-analysis.json');
+        fs.writeFileSync(reportPath, JSON.stringify({ ...bundleStats, webpack: webpackAnalysis }, null, 2));
+        
+        console.log(`✅ Bundle analīze pabeigta: ${this.formatBytes(bundleStats.total)} (gzip ${this.formatBytes(bundleStats.gzipped)}, brotli ${this.formatBytes(bundleStats.brotli)})`);
+        return bundleStats;
     }
 
     /**
-     * Calculate bundle size from dist directory
+     * Run ESLint and count errors and warnings per rule and file
      */
-    calculateBundleSize(distDir) {
+    async runLintAnalysis(signal) {
+        console.log('🧹 Palaidz ESLint analīzi...');
+
+        const { patterns, worstFiles } = this.config.lint;
+        const eslintResults = await runEslint(patterns, { cwd: this.config.rootDir, signal });
+        const lint = summarizeEslintResults(eslintResults, { rootDir: this.config.rootDir, worstFiles });
+
+        // Save the full ESLint output for reference
+        const reportPath = path.join(this.paths.reports, 'eslint.json');
+        fs.writeFileSync(reportPath, JSON.stringify(eslintResults, null, 2));
+
+        console.log(`✅ ESLint analīze pabeigta: ${lint.errors} kļūdas, ${lint.warnings} brīdinājumi (${lint.filesChecked} faili)`);
+        return lint;
+    }
+
+    /**
+     * Calculate raw, gzip and brotli bundle sizes from dist directory, source maps left out
+     * @param {string} distDir - Build output
+     * @param {Map} cache - Sizes by content hash from the previous call, only new contents are compressed
+     */
+    calculateBundleSize(distDir, cache = null) {
+        const emptySizes = () => ({ raw: 0, gzip: 0, brotli: 0 });
         const stats = {
             total: 0,
             gzipped: 0,
+            brotli: 0,
             files: {},
             breakdown: {
-                js: 0,
-                css: 0,
-                html: 0,
-                assets: 0
+                js: emptySizes(),
+                css: emptySizes(),
+                html: emptySizes(),
+                assets: emptySizes()
             }
         };
 
@@ -203,35 +381,68 @@ class AnalysisRunner {
             return stats;
         }
 
-        const files = this.getAllFiles(distDir);
+        const files = this.getAllFiles(distDir)
+            .filter(file => !NOT_SHIPPED_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+        const hashes = new Set();
         
         files.forEach(file => {
-            const stat = fs.statSync(file);
-            const size = stat.size;
+            const content = fs.readFileSync(file);
+            let sizes;
+            if (cache) {
+                const hash = crypto.createHash('sha1').update(content).digest('hex');
+                if (!cache.has(hash)) cache.set(hash, this.getCompressedSizes(content));
+                sizes = cache.get(hash);
+                hashes.add(hash);
+            } else {
+                sizes = this.getCompressedSizes(content);
+            }
             const relativePath = path.relative(distDir, file);
             const ext = path.extname(file).toLowerCase();
             
-            stats.total += size;
-            stats.files[relativePath] = size;
+            stats.total += sizes.raw;
+            stats.gzipped += sizes.gzip;
+            stats.brotli += sizes.brotli;
+            stats.files[relativePath] = sizes;
             
             // Categorize by file type
+            let category = 'assets';
             if (ext === '.js') {
-                stats.breakdown.js += size;
+                category = 'js';
             } else if (ext === '.css') {
-                stats.breakdown.css += size;
+                category = 'css';
             } else if (ext === '.html') {
-                stats.breakdown.html += size;
-            } else {
-                stats.breakdown.assets += size;
+                category = 'html';
             }
+
+            Object.keys(sizes).forEach(key => {
+                stats.breakdown[category][key] += sizes[key];
+            });
         });
 
-        // Estimate gzipped size (roughly 30% of original)
-        stats.gzipped = Math.round(stats.total * 0.3);
+        // Forget contents that are no longer in the build
+        if (cache) {
+            [...cache.keys()].filter(hash => !hashes.has(hash)).forEach(hash => cache.delete(hash));
+        }
         
         return stats;
     }
 
+    /**
+     * Get raw, gzip and brotli sizes of a file's contents
+     */
+    getCompressedSizes(content) {
+        return {
+            raw: content.length,
+            gzip: zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION }).length,
+            brotli: zlib.brotliCompressSync(content, {
+                params: {
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+                    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+                }
+            }).length
+        };
+    }
+
     /**
      * Get all files recursively from directory
      */
@@ -264,43 +475,58 @@ class AnalysisRunner {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * Branch whose baseline this run compares with: a PR's base branch, new branches fall back to main
+     */
+    getBaselineBranch() {
+        if (!this.baselineBranch) {
+            this.baselineBranch = resolveBaselineBranch(this.storage, this.config.baseline);
+        }
+        return this.baselineBranch;
+    }
+
+    /**
+     * Load the baseline of the branch this run compares with, null when there is none
+     */
+    loadBaseline() {
+        return this.storage.loadBaseline(this.getBaselineBranch());
+    }
+
     /**
      * Compare with baseline
      */
     compareWithBaseline() {
         console.log('📊 Salīdzina ar baseline...');
         
-        const baselinePath = path.join(this.baselineDir, 'metrics.json');
-        let baseline = null;
-        
-        if (fs.existsSync(baselinePath)) {
-            baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
-        }
+        const baseline = this.loadBaseline();
+        console.log(`🌿 Baseline: ${this.getBaselineBranch()} (${this.storage.describe()})`);
+
+        // Recent baselines tell how much each metric normally moves
+        const history = this.storage.loadHistory(this.getBaselineBranch());
 
         this.results.comparison = {
-            hasBaseline: !!baseline,
-            changes: {}
+            ...compareResults(this.registry, this.results, baseline, {
+                history,
+                regression: this.config.regression
+            }),
+            baselineBranch: this.getBaselineBranch()
         };
+    }
 
-        if (baseline) {
-            // Compare performance
-            if (baseline.performance && this.results.performance) {
-                this.results.comparison.changes.performance = 
-                    this.results.performance.performance - baseline.performance.performance;
-            }
-
-            // Compare coverage
-            if (baseline.coverage && this.results.coverage) {
-                this.results.comparison.changes.coverage = 
-                    this.results.coverage.total - baseline.coverage.total;
-            }
-
-            // Compare bundle size
-            if (baseline.bundleSize && this.results.bundleSize) {
-                this.results.comparison.changes.bundleSize = 
-                    this.results.bundleSize.total - baseline.bundleSize.total;
+    /**
+     * Store the headline value of every registered metric
+     */
+    collectMetricValues() {
+        this.registry.list().forEach(plugin => {
+            const value = getMetricValue(plugin, this.results);
+            if (typeof value === 'number') {
+                this.results.metrics[plugin.id] = {
+                    value,
+                    unit: plugin.unit,
+                    direction: plugin.direction
+                };
             }
-        }
+        });
     }
 
     /**
@@ -310,8 +536,16 @@ class AnalysisRunner {
         console.log('💾 Saglabā rezultātus...');
         
         // Save to reports directory
-        const reportPath = path.join(__dirname, '../reports/analysis-results.json');
-        fs.writeFileSync(reportPath, JSON.stringify(this.results, null, 2));
+        const reportPath = path.join(this.paths.reports, 'analysis-results.json');
+        writeDocument('results', reportPath, this.results);
+
+        // Keep the results of every analyzed commit for later comparisons
+        if (this.config.archive.enabled && this.results.status !== 'failed' && SHA_PATTERN.test(this.results.commit)) {
+            const archivePath = archiveResults(getArchiveDir(this.baselineDir), this.results, {
+                maxEntries: this.config.archive.maxEntries
+            });
+            console.log(`🗄️ Arhivēts: ${archivePath}`);
+        }
         
         // Also save as GitHub Actions output
         if (process.env.GITHUB_ACTIONS) {
@@ -322,50 +556,161 @@ class AnalysisRunner {
         console.log('✅ Rezultāti saglabāti');
     }
 
+    /**
+     * Analysis steps: one per collector, plus the build when a collector needs it
+     */
+    getSteps(context) {
+        const collectorIds = new Set(this.registry.collectors().map(plugin => plugin.id));
+        // A disabled collector is no dependency, e.g. coverage from lcov.info without the Jest tests step
+        const isStep = id => id === 'build' || collectorIds.has(id);
+
+        const collectors = this.registry.collectors().map(plugin => ({
+            id: plugin.id,
+            label: plugin.label,
+            dependsOn: plugin.dependsOn && plugin.dependsOn.filter(isStep),
+            timeout: plugin.timeout,
+            retries: plugin.retries,
+            exclusive: plugin.exclusive,
+            run: signal => plugin.collect({ ...context, signal })
+        }));
+
+        if (!collectors.some(step => (step.dependsOn || []).includes('build'))) {
+            return collectors;
+        }
+
+        const build = {
+            id: 'build',
+            label: 'Build',
+            run: signal => this.runBuild(signal)
+        };
+
+        return [build, ...collectors];
+    }
+
+    /**
+     * Overall status from step outcomes
+     * @returns {string} completed | partial | failed
+     */
+    getOverallStatus(steps) {
+        const statuses = Object.values(steps).map(step => step.status);
+
+        if (statuses.every(status => status === STEP_STATUS.OK)) return 'completed';
+        if (statuses.some(status => status === STEP_STATUS.OK)) return 'partial';
+        return 'failed';
+    }
+
     /**
      * Run complete analysis
+     * @returns {Promise<Object>} Results, also saved to reports/analysis-results.json
      */
     async run() {
         console.log('🎼 CI/CD Symphony Analysis sākas...');
+        if (this.config.project) {
+            console.log(`🗂️ Projekts: ${this.config.project.name} (${this.config.project.root})`);
+        }
         console.log(`📅 Laiks: ${this.results.timestamp}`);
         console.log(`🌿 Branch: ${this.results.branch}`);
         console.log(`💫 Commit: ${this.results.commit}`);
         
         try {
-            await this.runLighthouseAnalysis();
-            await this.runCoverageAnalysis();
-            await this.runBundleAnalysis();
+            const context = {
+                runner: this,
+                results: this.results,
+                config: this.config,
+                rootDir: this.config.rootDir,
+                reportsDir: this.paths.reports,
+                baselineDir: this.baselineDir
+            };
+            const collectorIds = new Set(this.registry.collectors().map(plugin => plugin.id));
+
+            // Independent steps run concurrently
+            await runSteps(this.getSteps(context), {
+                ...this.stepOptions,
+                onRetry: (step, error, attempt) => {
+                    console.warn(`🔁 ${step.label}: ${error.message}, mēģinājums ${attempt + 1}...`);
+                },
+                onFinish: (step, outcome) => {
+                    const { data, ...record } = outcome;
+                    this.results.steps[step.id] = record;
+
+                    if (outcome.status === STEP_STATUS.OK) {
+                        if (collectorIds.has(step.id)) this.results[step.id] = data;
+                    } else {
+                        console.error(`${STEP_EMOJI[outcome.status]} ${step.label} (${outcome.status}): ${outcome.error}`);
+                        if (collectorIds.has(step.id)) this.results[step.id] = { error: outcome.error };
+                    }
+                }
+            });
             
+            this.collectMetricValues();
             this.compareWithBaseline();
-            this.results.status = 'completed';
+            this.results.status = this.getOverallStatus(this.results.steps);
             
-            console.log('\n🎉 Analīze pabeigta!');
+            console.log(`\n🎉 Analīze pabeigta (${this.results.status})!`);
+            console.log('⚙️ Soļi:');
+            Object.entries(this.results.steps).forEach(([id, step]) => {
+                console.log(`  ${STEP_EMOJI[step.status]} ${id}: ${step.status} (${(step.duration / 1000).toFixed(1)}s)`);
+            });
             console.log('📊 Rezultāti:');
-            if (this.results.performance) {
-                console.log(`  🚀 Performance: ${this.results.performance.performance || 'N/A'}%`);
-            }
-            if (this.results.coverage) {
-                console.log(`  🛡️ Coverage: ${this.results.coverage.total || 'N/A'}%`);
-            }
-            if (this.results.bundleSize) {
-                console.log(`  📦 Bundle Size: ${this.formatBytes(this.results.bundleSize.total || 0)}`);
-            }
+            this.registry.list().forEach(plugin => {
+                const metric = this.results.metrics[plugin.id];
+                const change = this.results.comparison.changes[plugin.id];
+                const label = this.results.comparison.classifications?.[plugin.id]?.classification;
+                const changeText = typeof change === 'number' ? ` (${formatMetricChange(plugin, change)}${label ? `, ${label}` : ''})` : '';
+                console.log(`  ${plugin.emoji} ${plugin.label}: ${formatMetricValue(plugin, metric ? metric.value : null)}${changeText}`);
+            });
             
         } catch (error) {
             console.error('❌ Analīzes kļūda:', error);
             this.results.status = 'failed';
             this.results.error = error.message;
-            process.exit(1);
         } finally {
             this.saveResults();
         }
+
+        return this.results;
+    }
+
+    /**
+     * Analyze every project one after another, builds and Lighthouse audits would compete for the CPU otherwise
+     * @param {Object} config - Loaded config
+     * @param {Object} options - Runner options, see the constructor
+     * @returns {Promise<Object[]>} Results per project, in config order
+     */
+    static async runProjects(config = loadConfig(), options = {}) {
+        const projects = resolveProjects(config);
+        const results = [];
+
+        for (const projectConfig of projects) {
+            results.push(await new AnalysisRunner(projectConfig, undefined, options).run());
+        }
+
+        // Where the results of each project are, for the badges, the PR comment and the dashboard
+        if (config.projects.length > 0) {
+            const index = {
+                timestamp: new Date().toISOString(),
+                projects: projects.map((projectConfig, i) => ({
+                    name: projectConfig.project.name,
+                    root: path.relative(config.rootDir, projectConfig.project.root) || '.',
+                    status: results[i].status,
+                    results: path.relative(config.paths.reports, path.join(projectConfig.paths.reports, 'analysis-results.json'))
+                }))
+            };
+            fs.mkdirSync(config.paths.reports, { recursive: true });
+            fs.writeFileSync(path.join(config.paths.reports, 'projects.json'), JSON.stringify(index, null, 2));
+            console.log(`\n🗂️ Projekti: ${index.projects.map(project => `${project.name} (${project.status})`).join(', ')}`);
+        }
+
+        return results;
     }
 }
 
 // Run if called directly
 if (require.main === module) {
-    const runner = new AnalysisRunner();
-    runner.run().catch(error => {
+    AnalysisRunner.runProjects().then(results => {
+        // Partial results still produce a comment and badges
+        if (results.some(result => result.status === 'failed')) process.exitCode = 1;
+    }).catch(error => {
         console.error('Fatal error:', error);
         process.exit(1);
     });
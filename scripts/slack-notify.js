@@ -1,69 +1,141 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { createRegistry, getMetricValue, formatMetricValue } = require('./lib/metric-registry');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const { readDocument } = require('./lib/schema');
+const { STEP_STATUS } = require('./lib/steps');
+
+const STEP_LABELS = {
+  [STEP_STATUS.FAILED]: '❌ failed',
+  [STEP_STATUS.TIMED_OUT]: '⏱️ timed out',
+  [STEP_STATUS.SKIPPED]: '⏭️ skipped'
+};
 
 /**
- * Reads metrics from the JSON file generated by the analysis job.
- * @returns {Object|null} Parsed metrics object or null if not found.
+ * Reads the analysis results downloaded from the analysis job.
+ * Older pipelines uploaded a flat reports/metrics.json, it is migrated to the results schema.
+ * Files that do not match the schema throw instead of being reported as missing metrics.
+ * @param {Object} config - Loaded config.
+ * @returns {Object|null} Analysis results or null if not found.
  */
-function getMetrics() {
-  try {
-    // The file is expected to be at the root because of the download-artifact step
-    const metricsPath = path.join(process.cwd(), 'reports', 'metrics.json');
-    if (fs.existsSync(metricsPath)) {
-      const rawData = fs.readFileSync(metricsPath, 'utf8');
-      return JSON.parse(rawData);
-    }
-    console.log('metrics.json not found, proceeding without metrics.');
-  } catch (error) {
-    console.error('Error reading or parsing metrics.json:', error);
+function getResults(config) {
+  const results = readDocument('results', path.join(config.paths.reports, 'analysis-results.json')) ||
+    readDocument('results', path.join(config.paths.reports, 'metrics.json'));
+
+  if (!results) {
+    console.log('analysis-results.json not found, proceeding without metrics.');
   }
-  return null;
+  return results;
 }
 
 /**
- * Formats bytes into a human-readable string (KB).
- * @param {number} bytes - The number of bytes.
- * @returns {string} Formatted string (e.g., "123 KB").
+ * Reads the analysis results of every project, or of the repository without projects.
+ * @param {Object} config - Loaded config.
+ * @returns {Object[]} { name, config, results } per project, name is null without projects.
  */
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 KB';
-  return `${(bytes / 1024).toFixed(2)} KB`;
+function getProjectResults(config) {
+  return resolveProjects(config).map(projectConfig => ({
+    name: projectConfig.project ? projectConfig.project.name : null,
+    config: projectConfig,
+    results: getResults(projectConfig),
+  }));
 }
 
 /**
- * Main function to construct and send the Slack notification.
+ * Whether the analysis finished only some of its steps.
+ * @param {Object|null} results - Analysis results.
+ * @returns {boolean}
+ */
+function isPartial(results) {
+  return Boolean(results) && results.status === 'partial';
+}
+
+/**
+ * Builds the message blocks of one project: the steps that did not finish and its metrics.
+ * @param {Object|null} results - Analysis results.
+ * @param {Object} config - Loaded config of the project.
+ * @returns {Object[]} Slack blocks.
  */
-async function sendSlackNotification() {
+function buildResultsBlocks(results, config) {
+  const blocks = [];
+
+  // Steps that did not finish, their metrics are missing below
+  const unfinished = results && results.steps
+    ? Object.entries(results.steps).filter(([, step]) => step.status !== STEP_STATUS.OK)
+    : [];
+  if (unfinished.length > 0) {
+    const lines = unfinished.map(([id, step]) => {
+      const label = STEP_LABELS[step.status] || step.status;
+      return `• \`${id}\` ${label}${step.error ? `: ${step.error}` : ''}`;
+    });
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Steps that did not finish:*\n${lines.join('\n')}`,
+      },
+    });
+  }
+
+  // One field per registered metric present in the results
+  const fields = results
+    ? createRegistry({ config }).list()
+      .filter(plugin => typeof getMetricValue(plugin, results) === 'number')
+      .map(plugin => ({
+        type: 'mrkdwn',
+        text: `*${plugin.emoji} ${plugin.label}:*\n${formatMetricValue(plugin, getMetricValue(plugin, results))}`,
+      }))
+    : [];
+
+  if (fields.length > 0) {
+    // Slack allows at most 10 fields per section
+    for (let i = 0; i < fields.length; i += 10) {
+      blocks.push({
+        type: 'section',
+        fields: fields.slice(i, i + 10),
+      });
+    }
+  } else {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '_Metrics data not available for this run._',
+      },
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Builds the Slack message for a workflow run.
+ * A successful job with partial results is reported as Partial, with the steps that did not finish.
+ * In monorepo mode every project gets its own section.
+ * @param {Object|Object[]|null} results - Analysis results, or { name, config, results } per project.
+ * @param {Object} options - Message options.
+ * @param {Object} options.config - Loaded config.
+ * @param {Object} options.env - GITHUB_* and JOB_STATUS variables of the run.
+ * @returns {Object} Webhook payload.
+ */
+function buildSlackPayload(results, { config, env }) {
   const {
-    SLACK_WEBHOOK_URL,
     GITHUB_REPOSITORY,
     GITHUB_RUN_ID,
     GITHUB_SERVER_URL,
     GITHUB_WORKFLOW,
     GITHUB_EVENT_NAME,
-    JOB_STATUS,
-    SLACK_ONLY_FAILURES
-  } = process.env;
-
-  if (!SLACK_WEBHOOK_URL) {
-    console.log('SLACK_WEBHOOK_URL not found. Skipping Slack notification.');
-    return;
-  }
+    JOB_STATUS
+  } = env;
 
+  const projects = Array.isArray(results) ? results : [{ name: null, config, results }];
   const isSuccess = JOB_STATUS === 'success';
-
-  if (SLACK_ONLY_FAILURES === 'true' && isSuccess) {
-    console.log('Job succeeded and SLACK_ONLY_FAILURES is true. Skipping notification.');
-    return;
-  }
-
-  const metrics = getMetrics();
-  const statusText = isSuccess ? 'Success' : 'Failed';
-  const statusEmoji = isSuccess ? '✅' : '❌';
-  const color = isSuccess ? '#28a745' : '#dc3545';
+  const partial = isSuccess && projects.some(project => isPartial(project.results));
+  const statusText = partial ? 'Partial' : isSuccess ? 'Success' : 'Failed';
+  const statusEmoji = partial ? '⚠️' : isSuccess ? '✅' : '❌';
+  const color = partial ? '#ffc107' : isSuccess ? '#28a745' : '#dc3545';
   const runUrl = `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`;
 
   const blocks = [
@@ -84,24 +156,18 @@ async function sendSlackNotification() {
     },
   ];
 
-  if (metrics) {
-    blocks.push({
-      type: 'section',
-      fields: [
-        { type: 'mrkdwn', text: `*📈 Performance:*\n${metrics.performance.toFixed(2)}%` },
-        { type: 'mrkdwn', text: `*🛡️ Coverage:*\n${metrics.coverage.toFixed(2)}%` },
-        { type: 'mrkdwn', text: `*📦 Bundle Size:*\n${formatBytes(metrics.bundleSize)}` },
-      ],
-    });
-  } else {
-    blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: '_Metrics data not available for this run._',
-      },
-    });
-}
+  projects.forEach(project => {
+    if (project.name) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*🗂️ ${project.name}*`,
+        },
+      });
+    }
+    blocks.push(...buildResultsBlocks(project.results, project.config || config));
+  });
 
   blocks.push(
     {
@@ -118,13 +184,13 @@ async function sendSlackNotification() {
             emoji: true,
           },
           url: runUrl,
-          style: isSuccess ? 'primary' : 'danger',
+          style: isSuccess && !partial ? 'primary' : 'danger',
         },
       ],
     }
   );
 
-  const payload = {
+  return {
     attachments: [
       {
         color: color,
@@ -132,14 +198,68 @@ async function sendSlackNotification() {
       },
     ],
   };
+}
+
+/**
+ * Main function to construct and send the Slack notification.
+ * @param {Object} options - Notification options.
+ * @param {Object} options.config - Loaded config.
+ * @param {boolean} options.dryRun - Build the payload without sending it.
+ * @param {Object} options.env - Environment with SLACK_WEBHOOK_URL, GITHUB_* and JOB_STATUS.
+ * @returns {Promise<Object|null>} The payload, or null if the notification was skipped.
+ */
+async function sendSlackNotification({ config = loadConfig(), dryRun = false, env = process.env } = {}) {
+  const { SLACK_WEBHOOK_URL, JOB_STATUS, SLACK_ONLY_FAILURES } = env;
+
+  if (!SLACK_WEBHOOK_URL && !dryRun) {
+    console.log('SLACK_WEBHOOK_URL not found. Skipping Slack notification.');
+    return null;
+  }
+
+  if (!config.notifications.slack.enabled) {
+    console.log('Slack notifications are disabled in symphony.config.js. Skipping notification.');
+    return null;
+  }
+
+  const projects = getProjectResults(config);
+  // Partial results are reported like failures
+  const isSuccess = JOB_STATUS === 'success' && !projects.some(project => isPartial(project.results));
+  // SLACK_ONLY_FAILURES overrides notifications.slack.onlyFailures
+  const onlyFailures = SLACK_ONLY_FAILURES !== undefined
+    ? SLACK_ONLY_FAILURES === 'true'
+    : config.notifications.slack.onlyFailures;
+
+  if (onlyFailures && isSuccess) {
+    console.log('Job succeeded and only failures are reported. Skipping notification.');
+    return null;
+  }
+
+  const payload = buildSlackPayload(projects, { config, env });
+
+  if (dryRun) {
+    console.log('Dry run, Slack notification not sent.');
+    return payload;
+  }
 
   try {
     await axios.post(SLACK_WEBHOOK_URL, payload);
     console.log('Slack notification sent successfully!');
   } catch (error) {
-    console.error('Error sending Slack notification:', error.message);
-    process.exit(1);
+    throw new Error(`Webhook request failed: ${error.message}`);
   }
+  return payload;
+}
+
+if (require.main === module) {
+  sendSlackNotification().catch(error => {
+    console.error('Error sending Slack notification:', error.message);
+    process.exitCode = 1;
+  });
 }
 
-sendSlackNotification();
\ No newline at end of file
+module.exports = {
+  getResults,
+  getProjectResults,
+  buildSlackPayload,
+  sendSlackNotification
+};
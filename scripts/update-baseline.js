@@ -2,18 +2,39 @@
 
 const fs = require('fs');
 const path = require('path');
+const {
+    createRegistry,
+    getMetricValue,
+    evaluateMetric,
+    formatMetricValue,
+    formatMetricChange
+} = require('./lib/metric-registry');
+const { CLASSIFICATION, classifyChanges } = require('./lib/regression');
+const { STEP_STATUS } = require('./lib/steps');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const { SCHEMA_VERSIONS, readDocument } = require('./lib/schema');
+const { matchesBranch, getCurrentBranch } = require('./lib/branches');
+const { createStorage } = require('./lib/storage');
+const { compactHistory, queryHistory } = require('./lib/retention');
+const { AUDIT_ACTIONS, getActor, getRunScope, getAcceptances, findAcceptance } = require('./lib/acceptance');
 
 /**
  * Baseline updater for CI/CD metrics
  */
 class BaselineUpdater {
-    constructor() {
-        this.reportsDir = path.join(__dirname, '../reports');
-        this.baselineDir = path.join(__dirname, '../baselines');
+    constructor(config = loadConfig(), registry = createRegistry({ config })) {
+        this.config = config;
+        this.registry = registry;
+        this.policy = config.baseline;
+        this.reportsDir = config.paths.reports;
+        this.baselineDir = config.paths.baselines;
         this.ensureDirectories();
+        // Every baseline branch keeps its own baseline, history and reports in the store
+        this.storage = createStorage(config);
         
-        this.isMainBranch = this.checkIfMainBranch();
-        this.isMergeEvent = process.env.GITHUB_EVENT_NAME === 'push';
+        this.branch = getCurrentBranch().branch;
+        this.isBaselineBranch = matchesBranch(this.branch, this.policy.branches);
+        this.isMergeEvent = this.policy.events.includes(process.env.GITHUB_EVENT_NAME);
     }
 
     /**
@@ -25,180 +46,152 @@ class BaselineUpdater {
         }
     }
 
-    /**
-     * Check if current branch is main/master
-     */
-    checkIfMainBranch() {
-        const branch = process.env.GITHUB_REF_NAME || '';
-        const mainBranches = ['main', 'master', 'develop'];
-        return mainBranches.includes(branch.toLowerCase());
-    }
-
     /**
      * Load current analysis results
      */
     loadCurrentResults() {
-        const resultsPath = path.join(this.reportsDir, 'analysis-results.json');
+        const results = readDocument('results', path.join(this.reportsDir, 'analysis-results.json'));
         
-        if (!fs.existsSync(resultsPath)) {
+        if (!results) {
             throw new Error('Analysis results not found. Run analysis first.');
         }
         
-        return JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+        return results;
     }
 
     /**
-     * Load existing baseline
+     * Load the branch's baseline, older baselines are migrated to the current schema.
+     * A branch without one yet is compared with the fallback branch's baseline.
      */
     loadBaseline() {
-        const baselinePath = path.join(this.baselineDir, 'metrics.json');
-        
-        if (!fs.existsSync(baselinePath)) {
-            return null;
-        }
-        
-        try {
-            return JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
-        } catch (error) {
-            console.warn('Could not parse existing baseline:', error.message);
-            return null;
+        const baseline = this.storage.loadBaseline(this.branch);
+        if (baseline || this.branch === this.policy.fallbackBranch) {
+            return baseline;
         }
+
+        console.log(`ℹ️ ${this.branch} vēl nav baseline, salīdzina ar ${this.policy.fallbackBranch}`);
+        return this.storage.loadBaseline(this.policy.fallbackBranch);
     }
 
     /**
-     * Load baseline history
+     * Regressions accepted against the baseline for these results' commit or the pull request it
+     * merged, in the audit log of the branch that keeps the baseline
+     */
+    loadAcceptances(baseline, results) {
+        const branch = this.storage.hasBaseline(this.branch) ? this.branch : this.policy.fallbackBranch;
+        return getAcceptances(this.storage.loadAudit(branch), baseline, getRunScope(results));
+    }
+
+    /**
+     * Load baseline history entries of the branch
      */
     loadHistory() {
-        const historyPath = path.join(this.baselineDir, 'history.json');
-        
-        if (!fs.existsSync(historyPath)) {
-            return [];
-        }
-        
-        try {
-            return JSON.parse(fs.readFileSync(historyPath, 'utf8'));
-        } catch (error) {
-            console.warn('Could not parse baseline history:', error.message);
-            return [];
-        }
+        return this.storage.loadHistory(this.branch);
     }
 
     /**
-     * Calculate metrics delta
+     * Calculate metrics delta, each change labelled as regression, improvement or noise
      */
-    calculateDelta(current, baseline) {
+    calculateDelta(current, baseline, history = []) {
         if (!baseline) return null;
 
         const delta = {
-            performance: null,
-            coverage: null,
-            bundleSize: null,
             timestamp: current.timestamp,
             commit: current.commit
         };
+        const classifications = classifyChanges(this.registry, current, baseline, {
+            ...this.config.regression,
+            history
+        });
 
-        // Performance delta
-        if (current.performance && baseline.performance && 
-            typeof current.performance.performance === 'number' && 
-            typeof baseline.performance.performance === 'number') {
-            delta.performance = {
-                current: current.performance.performance,
-                baseline: baseline.performance.performance,
-                change: current.performance.performance - baseline.performance.performance,
-                changePercent: ((current.performance.performance - baseline.performance.performance) / baseline.performance.performance) * 100
-            };
-        }
-
-        // Coverage delta
-        if (current.coverage && baseline.coverage && 
-            typeof current.coverage.total === 'number' && 
-            typeof baseline.coverage.total === 'number') {
-            delta.coverage = {
-                current: current.coverage.total,
-                baseline: baseline.coverage.total,
-                change: current.coverage.total - baseline.coverage.total,
-                changePercent: ((current.coverage.total - baseline.coverage.total) / baseline.coverage.total) * 100
-            };
-        }
-
-        // Bundle size delta
-        if (current.bundleSize && baseline.bundleSize && 
-            typeof current.bundleSize.total === 'number' && 
-            typeof baseline.bundleSize.total === 'number') {
-            delta.bundleSize = {
-                current: current.bundleSize.total,
-                baseline: baseline.bundleSize.total,
-                change: current.bundleSize.total - baseline.bundleSize.total,
-                changePercent: ((current.bundleSize.total - baseline.bundleSize.total) / baseline.bundleSize.total) * 100
-            };
-        }
+        this.registry.list().forEach(plugin => {
+            const currentValue = getMetricValue(plugin, current);
+            const baselineValue = getMetricValue(plugin, baseline);
+
+            delta[plugin.id] = null;
+            if (typeof currentValue === 'number' && typeof baselineValue === 'number') {
+                delta[plugin.id] = {
+                    current: currentValue,
+                    baseline: baselineValue,
+                    change: currentValue - baselineValue,
+                    changePercent: baselineValue !== 0
+                        ? ((currentValue - baselineValue) / baselineValue) * 100
+                        : 0,
+                    classification: classifications[plugin.id].classification,
+                    noise: classifications[plugin.id].noise
+                };
+            }
+        });
 
         return delta;
     }
 
     /**
      * Check if metrics are acceptable for baseline update
+     * @param {Object} results - Current analysis results
+     * @param {Object} delta - calculateDelta result, null without a previous baseline
+     * @param {Object[]} acceptances - Accepted regressions, they pass like any other change
      */
-    isAcceptableForBaseline(results) {
-        const criteria = {
-            performance: {
-                min: 70,
-                weight: 30
-            },
-            coverage: {
-                min: 60,
-                weight: 40
-            },
-            bundleSize: {
-                maxKB: 1000, // 1MB max
-                weight: 30
-            }
-        };
+    isAcceptableForBaseline(results, delta = null, acceptances = []) {
+        const criteria = {};
 
         let score = 0;
         let totalWeight = 0;
         const issues = [];
+        const accepted = [];
+
+        this.registry.list().forEach(plugin => {
+            const value = getMetricValue(plugin, results);
+            if (typeof value !== 'number' || plugin.weight <= 0) return;
+            totalWeight += plugin.weight;
+
+            // Compared with the previous baseline a metric passes unless it is a regression
+            const change = delta && delta[plugin.id];
+            if (change) {
+                criteria[plugin.id] = {
+                    classification: change.classification,
+                    noise: change.noise,
+                    weight: plugin.weight
+                };
+
+                const acceptance = change.classification === CLASSIFICATION.REGRESSION && findAcceptance(acceptances, plugin, value);
+                if (acceptance) {
+                    criteria[plugin.id].accepted = { actor: acceptance.actor, reason: acceptance.reason, commit: acceptance.commit };
+                    accepted.push(plugin.id);
+                }
 
-        // Check performance
-        if (results.performance && typeof results.performance.performance === 'number') {
-            const perf = results.performance.performance;
-            if (perf >= criteria.performance.min) {
-                score += criteria.performance.weight;
-            } else {
-                issues.push(`Performance too low: ${perf}% (min: ${criteria.performance.min}%)`);
+                if (change.classification !== CLASSIFICATION.REGRESSION || acceptance) {
+                    score += plugin.weight;
+                } else {
+                    issues.push(`${plugin.label} regressed: ${formatMetricChange(plugin, change.change)} (noise band: ±${formatMetricValue(plugin, change.noise)})`);
+                }
+                return;
             }
-            totalWeight += criteria.performance.weight;
-        }
 
-        // Check coverage
-        if (results.coverage && typeof results.coverage.total === 'number') {
-            const cov = results.coverage.total;
-            if (cov >= criteria.coverage.min) {
-                score += criteria.coverage.weight;
-            } else {
-                issues.push(`Coverage too low: ${cov}% (min: ${criteria.coverage.min}%)`);
-            }
-            totalWeight += criteria.coverage.weight;
-        }
+            // Without a previous value it passes unless it is worse than its warning threshold
+            const limit = plugin.thresholds.warning;
+            criteria[plugin.id] = {
+                [plugin.direction === 'higher' ? 'min' : 'max']: limit,
+                weight: plugin.weight
+            };
 
-        // Check bundle size
-        if (results.bundleSize && typeof results.bundleSize.total === 'number') {
-            const sizeKB = Math.round(results.bundleSize.total / 1024);
-            if (sizeKB <= criteria.bundleSize.maxKB) {
-                score += criteria.bundleSize.weight;
+            if (evaluateMetric(plugin, value) !== 'bad') {
+                score += plugin.weight;
             } else {
-                issues.push(`Bundle too large: ${sizeKB}KB (max: ${criteria.bundleSize.maxKB}KB)`);
+                const problem = plugin.direction === 'higher' ? 'too low' : 'too high';
+                const bound = plugin.direction === 'higher' ? 'min' : 'max';
+                issues.push(`${plugin.label} ${problem}: ${formatMetricValue(plugin, value)} (${bound}: ${formatMetricValue(plugin, limit)})`);
             }
-            totalWeight += criteria.bundleSize.weight;
-        }
+        });
 
         const percentage = totalWeight > 0 ? (score / totalWeight) * 100 : 0;
-        const acceptable = percentage >= 70; // At least 70% of criteria must pass
+        const acceptable = percentage >= this.policy.minScore;
 
         return {
             acceptable,
             score: percentage,
             issues,
+            accepted,
             criteria
         };
     }
@@ -206,15 +199,13 @@ class BaselineUpdater {
     /**
      * Create new baseline
      */
-    createBaseline(results, delta) {
+    createBaseline(results, delta, previousBaseline = null) {
         const baseline = {
-            version: '1.0.0',
+            schemaVersion: SCHEMA_VERSIONS.baseline,
             created: new Date().toISOString(),
             commit: results.commit,
             branch: results.branch,
-            performance: results.performance,
-            coverage: results.coverage,
-            bundleSize: results.bundleSize,
+            metrics: { ...(results.metrics || {}) },
             metadata: {
                 creator: process.env.GITHUB_ACTOR || 'automated',
                 repository: process.env.GITHUB_REPOSITORY,
@@ -223,6 +214,70 @@ class BaselineUpdater {
             }
         };
 
+        // Keep the collected data so details (breakdowns, attribution) can be diffed later
+        this.registry.collectors().forEach(plugin => {
+            baseline[plugin.id] = results[plugin.id] || null;
+        });
+
+        // Steps that did not finish in a partial run keep their previous baseline values
+        if (previousBaseline && results.steps) {
+            const carriedOver = this.registry.collectors()
+                .filter(plugin => results.steps[plugin.id] && results.steps[plugin.id].status !== STEP_STATUS.OK)
+                .filter(plugin => previousBaseline[plugin.id] && !previousBaseline[plugin.id].error)
+                .map(plugin => plugin.id);
+
+            carriedOver.forEach(id => {
+                baseline[id] = previousBaseline[id];
+            });
+            this.registry.list()
+                .filter(plugin => carriedOver.includes(plugin.source || plugin.id))
+                .forEach(plugin => {
+                    const value = getMetricValue(plugin, previousBaseline);
+                    if (typeof value === 'number') {
+                        baseline.metrics[plugin.id] = { value, unit: plugin.unit, direction: plugin.direction };
+                    }
+                });
+
+            if (carriedOver.length > 0) {
+                baseline.carriedOver = carriedOver;
+            }
+        }
+
+        // Pages Lighthouse could not audit this time keep their previous baseline
+        const pages = baseline.performance && baseline.performance.pages;
+        const previousPages = previousBaseline && previousBaseline.performance && previousBaseline.performance.pages;
+        if (pages && previousPages) {
+            baseline.performance = { ...baseline.performance, pages: { ...pages } };
+            Object.entries(pages)
+                .filter(([key, page]) => page.error && previousPages[key] && !previousPages[key].error)
+                .forEach(([key]) => {
+                    baseline.performance.pages[key] = previousPages[key];
+                });
+        }
+
+        // So do Lighthouse profiles that failed, along with the metrics read from them
+        const profiles = baseline.performance && baseline.performance.profiles;
+        const previousProfiles = previousBaseline && previousBaseline.performance && previousBaseline.performance.profiles;
+        if (profiles && previousProfiles) {
+            const failed = Object.keys(profiles)
+                .filter(name => profiles[name].error && previousProfiles[name] && !previousProfiles[name].error);
+
+            if (failed.length > 0) {
+                baseline.performance = { ...baseline.performance, profiles: { ...profiles } };
+                failed.forEach(name => {
+                    baseline.performance.profiles[name] = previousProfiles[name];
+                });
+                this.registry.list()
+                    .filter(plugin => plugin.source === 'performance' && !baseline.metrics[plugin.id])
+                    .forEach(plugin => {
+                        const value = getMetricValue(plugin, { performance: baseline.performance });
+                        if (typeof value === 'number') {
+                            baseline.metrics[plugin.id] = { value, unit: plugin.unit, direction: plugin.direction };
+                        }
+                    });
+            }
+        }
+
         if (delta) {
             baseline.delta = delta;
         }
@@ -231,47 +286,52 @@ class BaselineUpdater {
     }
 
     /**
-     * Update history
+     * History with the new baseline appended, compacted by the retention policy
+     * @param {Object} baseline - New baseline
+     * @param {Object[]} history - Current history entries
      */
-    updateHistory(baseline, results) {
-        let history = this.loadHistory();
-        
+    updateHistory(baseline, history = this.loadHistory()) {
+
         // Add current baseline to history
-        history.push({
+        const entry = {
             timestamp: baseline.created,
             commit: baseline.commit,
             branch: baseline.branch,
-            performance: baseline.performance?.performance || null,
-            coverage: baseline.coverage?.total || null,
-            bundleSize: baseline.bundleSize?.total || null,
-            metadata: {
-                actor: baseline.metadata.creator,
-                runId: baseline.metadata.runId
-            }
+            resolution: 'run'
+        };
+
+        this.registry.list().forEach(plugin => {
+            entry[plugin.id] = getMetricValue(plugin, baseline);
         });
 
-        // Keep only last 50 entries
-        if (history.length > 50) {
-            history = history.slice(-50);
-        }
+        entry.metadata = {
+            actor: baseline.metadata.creator,
+            runId: baseline.metadata.runId
+        };
 
-        return history;
+        // Older runs become daily and weekly aggregates, ages count from this baseline
+        return compactHistory([...history, entry], this.policy.retention, Date.parse(baseline.created));
     }
 
     /**
-     * Generate trend analysis
+     * Generate trend analysis from the latest history points, aggregates count as one point each
+     * @param {Object[]} history - History entries
+     * @param {Object} options - Query options
+     * @param {string} options.resolution - run | day | week, finer entries are aggregated first
+     * @param {number} options.points - How many of the latest points to use
      */
-    generateTrendAnalysis(history) {
-        if (history.length < 2) {
+    generateTrendAnalysis(history, { resolution = 'run', points = 5 } = {}) {
+        const recent = queryHistory(history, { resolution }).slice(-points);
+        if (recent.length < 2) {
             return { trend: 'insufficient_data', message: 'Need at least 2 data points for trend analysis' };
         }
 
-        const recent = history.slice(-5); // Last 5 entries
-        const analysis = {
-            performance: this.analyzeTrend(recent.map(h => h.performance).filter(p => p !== null)),
-            coverage: this.analyzeTrend(recent.map(h => h.coverage).filter(c => c !== null)),
-            bundleSize: this.analyzeTrend(recent.map(h => h.bundleSize).filter(b => b !== null), true)
-        };
+        const analysis = {};
+
+        this.registry.list().forEach(plugin => {
+            const values = recent.map(h => h[plugin.id]).filter(v => typeof v === 'number');
+            analysis[plugin.id] = this.analyzeTrend(values, plugin.direction === 'lower');
+        });
 
         return analysis;
     }
@@ -312,28 +372,36 @@ class BaselineUpdater {
     }
 
     /**
-     * Save baseline and history
+     * Save baseline, history, trend analysis and summary in one write
+     *
+     * History and trends are built from the history in the store at the time of the write, so a
+     * run that saved in the meantime keeps its history entry.
+     * @returns {Object} Saved documents
      */
-    saveBaseline(baseline, history, trendAnalysis) {
-        // Save main baseline
-        const baselinePath = path.join(this.baselineDir, 'metrics.json');
-        fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2));
-
-        // Save history
-        const historyPath = path.join(this.baselineDir, 'history.json');
-        fs.writeFileSync(historyPath, JSON.stringify(history, null, 2));
-
-        // Save trend analysis
-        const trendsPath = path.join(this.baselineDir, 'trends.json');
-        fs.writeFileSync(trendsPath, JSON.stringify({
-            ...trendAnalysis,
-            updated: new Date().toISOString(),
-            commit: baseline.commit
-        }, null, 2));
-
-        console.log(`✅ Baseline saglabāts: ${baselinePath}`);
-        console.log(`📊 Vēsture atjaunota: ${historyPath}`);
-        console.log(`📈 Trendu analīze: ${trendsPath}`);
+    saveBaseline(baseline, delta) {
+        const saved = this.storage.update(this.branch, current => {
+            const history = this.updateHistory(baseline, current.history);
+            const trendAnalysis = this.generateTrendAnalysis(history);
+
+            return {
+                baseline,
+                history,
+                trends: {
+                    ...trendAnalysis,
+                    // Long range trend over the weekly medians of the last quarter
+                    weekly: this.generateTrendAnalysis(history, { resolution: 'week', points: 13 }),
+                    updated: new Date().toISOString(),
+                    commit: baseline.commit
+                },
+                summary: this.generateSummary(baseline, delta, trendAnalysis, !!current.baseline)
+            };
+        });
+
+        console.log(`✅ Baseline saglabāts: ${this.branch} (${this.storage.describe()})`);
+        console.log(`📊 Vēsture atjaunota: ${saved.history.length} ieraksti`);
+        console.log('📈 Trendu analīze un kopsavilkums atjaunoti');
+
+        return saved;
     }
 
     /**
@@ -345,120 +413,124 @@ class BaselineUpdater {
             timestamp: new Date().toISOString(),
             commit: baseline.commit,
             branch: baseline.branch,
-            metrics: {
-                performance: baseline.performance?.performance || null,
-                coverage: baseline.coverage?.total || null,
-                bundleSize: baseline.bundleSize?.total || null
-            },
+            metrics: Object.fromEntries(this.registry.list().map(plugin => [
+                plugin.id,
+                getMetricValue(plugin, baseline)
+            ])),
             delta,
             trends: trendAnalysis,
             metadata: baseline.metadata
         };
 
-        const summaryPath = path.join(this.baselineDir, 'summary.json');
-        fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
-
         return summary;
     }
 
     /**
      * Run baseline update
+     * @returns {Object} Summary of the update; action is created, updated, rejected or skipped
      */
     run() {
         console.log('🎯 Baseline Updater sākas...');
-        console.log(`🌿 Branch: ${process.env.GITHUB_REF_NAME || 'unknown'}`);
+        if (this.config.project) {
+            console.log(`🗂️ Projekts: ${this.config.project.name}`);
+        }
+        console.log(`🌿 Branch: ${this.branch || 'unknown'}`);
         console.log(`📋 Event: ${process.env.GITHUB_EVENT_NAME || 'unknown'}`);
-        console.log(`🎯 Is Main Branch: ${this.isMainBranch}`);
+        console.log(`🎯 Is Baseline Branch: ${this.isBaselineBranch}`);
         console.log(`🔄 Is Merge Event: ${this.isMergeEvent}`);
 
-        try {
-            // Check if we should update baseline
-            if (!this.isMainBranch) {
-                console.log('ℹ️ Not on main branch, skipping baseline update');
-                return;
-            }
+        // Check if we should update baseline
+        if (!this.isBaselineBranch) {
+            console.log(`ℹ️ Not on a baseline branch (${this.policy.branches.join(', ')}), skipping baseline update`);
+            return { action: 'skipped', reason: 'not_baseline_branch' };
+        }
 
-            if (!this.isMergeEvent) {
-                console.log('ℹ️ Not a merge event, skipping baseline update');
-                return;
-            }
+        if (!this.isMergeEvent) {
+            console.log(`ℹ️ Not a baseline event (${this.policy.events.join(', ')}), skipping baseline update`);
+            return { action: 'skipped', reason: 'not_baseline_event' };
+        }
 
-            const currentResults = this.loadCurrentResults();
-            const existingBaseline = this.loadBaseline();
+        const currentResults = this.loadCurrentResults();
+        const existingBaseline = this.loadBaseline();
+
+        if (currentResults.status === 'failed' || currentResults.status === 'running') {
+            console.log(`ℹ️ Analysis status is "${currentResults.status}", skipping baseline update`);
+            return { action: 'skipped', reason: `analysis_${currentResults.status}` };
+        }
+        
+        // Calculate delta if baseline exists
+        const delta = this.calculateDelta(currentResults, existingBaseline, this.loadHistory());
+
+        console.log('📊 Checking metrics acceptability...');
+        const acceptability = this.isAcceptableForBaseline(currentResults, delta, this.loadAcceptances(existingBaseline, currentResults));
+        const auditEntry = action => ({
+            timestamp: new Date().toISOString(),
+            action,
+            actor: getActor(),
+            commit: currentResults.commit,
+            branch: this.branch,
+            metrics: action === AUDIT_ACTIONS.REJECT
+                ? Object.keys(acceptability.criteria).filter(id => acceptability.criteria[id].classification === CLASSIFICATION.REGRESSION && !acceptability.criteria[id].accepted)
+                : acceptability.accepted,
+            score: acceptability.score
+        });
+        
+        if (!acceptability.acceptable) {
+            console.log(`❌ Metrics not acceptable for baseline (${acceptability.score.toFixed(1)}%):`);
+            acceptability.issues.forEach(issue => {
+                console.log(`  - ${issue}`);
+            });
             
-            console.log('📊 Checking metrics acceptability...');
-            const acceptability = this.isAcceptableForBaseline(currentResults);
+            // Save rejection report
+            const rejection = {
+                timestamp: new Date().toISOString(),
+                commit: currentResults.commit,
+                reason: 'metrics_not_acceptable',
+                score: acceptability.score,
+                issues: acceptability.issues,
+                criteria: acceptability.criteria
+            };
+            this.storage.update(this.branch, () => ({ rejection }));
+            this.storage.appendAudit(this.branch, [auditEntry(AUDIT_ACTIONS.REJECT)]);
             
-            if (!acceptability.acceptable) {
-                console.log(`❌ Metrics not acceptable for baseline (${acceptability.score.toFixed(1)}%):`);
-                acceptability.issues.forEach(issue => {
-                    console.log(`  - ${issue}`);
-                });
-                
-                // Save rejection report
-                const rejectionPath = path.join(this.baselineDir, 'rejection.json');
-                fs.writeFileSync(rejectionPath, JSON.stringify({
-                    timestamp: new Date().toISOString(),
-                    commit: currentResults.commit,
-                    reason: 'metrics_not_acceptable',
-                    score: acceptability.score,
-                    issues: acceptability.issues,
-                    criteria: acceptability.criteria
-                }, null, 2));
-                
-                console.log('📋 Rejection report saved');
-                return;
-            }
+            console.log('📋 Rejection report saved');
+            console.log('💡 Ja regresija ir apzināta: npx symphony baseline accept <metric> --reason "..."');
+            return { action: 'rejected', ...rejection };
+        }
 
-            console.log(`✅ Metrics acceptable (${acceptability.score.toFixed(1)}%)`);
+        console.log(`✅ Metrics acceptable (${acceptability.score.toFixed(1)}%)`);
+        acceptability.accepted.forEach(id => {
+            const { actor, reason } = acceptability.criteria[id].accepted;
+            console.log(`☑️ ${this.registry.get(id).label}: regresiju pieņēma ${actor} (${reason})`);
+        });
 
-            // Calculate delta if baseline exists
-            const delta = this.calculateDelta(currentResults, existingBaseline);
-            
-            if (delta) {
-                console.log('📊 Baseline comparison:');
-                if (delta.performance) {
-                    console.log(`  🚀 Performance: ${delta.performance.change > 0 ? '+' : ''}${delta.performance.change.toFixed(1)}%`);
-                }
-                if (delta.coverage) {
-                    console.log(`  🛡️ Coverage: ${delta.coverage.change > 0 ? '+' : ''}${delta.coverage.change.toFixed(1)}%`);
-                }
-                if (delta.bundleSize) {
-                    const sizeChange = delta.bundleSize.change;
-                    const sign = sizeChange > 0 ? '+' : '';
-                    console.log(`  📦 Bundle Size: ${sign}${this.formatBytes(sizeChange)}`);
+        if (delta) {
+            console.log('📊 Baseline comparison:');
+            this.registry.list().forEach(plugin => {
+                if (delta[plugin.id]) {
+                    console.log(`  ${plugin.emoji} ${plugin.label}: ${formatMetricChange(plugin, delta[plugin.id].change)} (${delta[plugin.id].classification})`);
                 }
-            }
+            });
+        }
 
-            // Create new baseline
-            const newBaseline = this.createBaseline(currentResults, delta);
-            
-            // Update history
-            const updatedHistory = this.updateHistory(newBaseline, currentResults);
-            
-            // Generate trend analysis
-            const trendAnalysis = this.generateTrendAnalysis(updatedHistory);
-            
-            // Save everything
-            this.saveBaseline(newBaseline, updatedHistory, trendAnalysis);
-            
-            // Generate summary
-            const summary = this.generateSummary(
-                newBaseline, 
-                delta, 
-                trendAnalysis, 
-                !!existingBaseline
-            );
-
-            console.log('\n🎉 Baseline atjaunošana pabeigta!');
-            console.log(`📈 Action: ${summary.action}`);
-            console.log(`📊 Metrics count: ${Object.keys(summary.metrics).filter(k => summary.metrics[k] !== null).length}`);
-            console.log(`📋 History entries: ${updatedHistory.length}`);
-
-        } catch (error) {
-            console.error('❌ Baseline atjaunošanas kļūda:', error.message);
-            process.exit(1);
+        // Create new baseline
+        const newBaseline = this.createBaseline(currentResults, delta, existingBaseline);
+        if (newBaseline.carriedOver) {
+            console.log(`⚠️ Partial analysis, previous values kept for: ${newBaseline.carriedOver.join(', ')}`);
         }
+        
+        // Save baseline, history, trends and summary together
+        const { summary, history } = this.saveBaseline(newBaseline, delta);
+        if (acceptability.accepted.length > 0) {
+            this.storage.appendAudit(this.branch, [auditEntry(AUDIT_ACTIONS.UPDATE)]);
+        }
+
+        console.log('\n🎉 Baseline atjaunošana pabeigta!');
+        console.log(`📈 Action: ${summary.action}`);
+        console.log(`📊 Metrics count: ${Object.keys(summary.metrics).filter(k => summary.metrics[k] !== null).length}`);
+        console.log(`📋 History entries: ${history.length}`);
+
+        return summary;
     }
 
     /**
@@ -476,8 +548,13 @@ class BaselineUpdater {
 
 // Run if called directly
 if (require.main === module) {
-    const updater = new BaselineUpdater();
-    updater.run();
+    try {
+        // Every project keeps its own baseline
+        resolveProjects(loadConfig()).forEach(config => new BaselineUpdater(config).run());
+    } catch (error) {
+        console.error('❌ Baseline atjaunošanas kļūda:', error.message);
+        process.exitCode = 1;
+    }
 }
 
 module.exports = BaselineUpdater;
\ No newline at end of file
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {
+    createRegistry,
+    getMetricValue,
+    evaluateMetric,
+    formatMetricValue,
+    formatMetricChange
+} = require('./lib/metric-registry');
+const { loadConfig, resolveProjects } = require('./lib/config');
+const AnalysisRunner = require('./run-analysis');
+
+const STATUS_EMOJI = {
+    good: '✅',
+    warning: '⚠️',
+    bad: '❌'
+};
+
+// How many changed output files the delta lists
+const CHANGED_FILES = 5;
+
+/**
+ * Rebuild on every change under src/ and print how bundle size, and optionally coverage, moved
+ * against the baseline and the previous build
+ */
+class MetricsWatcher {
+    constructor(config = loadConfig(), registry = createRegistry({ config }), { coverage = config.watch.coverage, stdio } = {}) {
+        this.config = config;
+        this.registry = registry;
+        this.coverage = coverage;
+        this.runner = new AnalysisRunner(config, registry, { stdio });
+        // Sizes by content hash, so a rebuild only compresses files whose contents changed
+        this.sizeCache = new Map();
+        this.baseline = null;
+        this.previous = null;
+        this.changed = new Set();
+        this.timer = null;
+        this.running = null;
+        this.controller = null;
+        this.rerun = false;
+        this.watcher = null;
+    }
+
+    /**
+     * Build once, collect the watched metrics and print the delta
+     * @param {string[]} changed - Files under src/ that triggered the build
+     * @returns {Promise<Object>} Collected data keyed by collector id, like analysis results
+     */
+    async rebuild(changed = []) {
+        const controller = new AbortController();
+        this.controller = controller;
+        const started = Date.now();
+
+        await this.runner.runBuild(controller.signal);
+        const current = {
+            metrics: {},
+            bundleSize: this.runner.calculateBundleSize(this.config.paths.dist, this.sizeCache)
+        };
+
+        if (this.coverage) {
+            current.tests = await this.runner.runTestAnalysis(controller.signal);
+            current.coverage = await this.runner.runCoverageAnalysis();
+        }
+
+        console.log(this.formatDelta(current, { changed, duration: Date.now() - started }));
+        this.previous = current;
+        return current;
+    }
+
+    /**
+     * Compact summary: one line per watched metric with its change against the baseline and the
+     * previous build, then the output files that changed the most
+     */
+    formatDelta(current, { changed = [], duration = 0 } = {}) {
+        const time = new Date().toLocaleTimeString('lv-LV');
+        const trigger = changed.length > 0
+            ? changed.slice(0, 3).join(', ') + (changed.length > 3 ? ` +${changed.length - 3}` : '')
+            : 'sākotnējā būve';
+        const lines = [`\n🔁 ${time} ${trigger} (${(duration / 1000).toFixed(1)}s)`];
+
+        this.registry.list().forEach(plugin => {
+            const value = getMetricValue(plugin, current);
+            if (typeof value !== 'number') return;
+
+            const changes = [[this.baseline, 'baseline'], [this.previous, 'iepriekš']]
+                .map(([other, label]) => [getMetricValue(plugin, other), label])
+                .filter(([previous]) => typeof previous === 'number')
+                .map(([previous, label]) => `${formatMetricChange(plugin, value - previous)} ${label}`);
+
+            lines.push(`  ${STATUS_EMOJI[evaluateMetric(plugin, value)]} ${plugin.emoji} ${plugin.label}: ${formatMetricValue(plugin, value)}${changes.length > 0 ? ` (${changes.join(', ')})` : ''}`);
+        });
+
+        // Output files whose gzip size moved since the previous build
+        if (this.previous) {
+            const before = this.previous.bundleSize.files;
+            const after = current.bundleSize.files;
+            const files = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                .map(file => ({ file, change: (after[file] ? after[file].gzip : 0) - (before[file] ? before[file].gzip : 0) }))
+                .filter(({ change }) => change !== 0)
+                .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+                .slice(0, CHANGED_FILES);
+
+            if (files.length > 0) {
+                lines.push(`  📄 ${files.map(({ file, change }) => `${file} ${formatMetricChange({ unit: 'bytes' }, change)}`).join(', ')} gzip`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Debounce changes; a change during a build stops that build and starts a new one
+     */
+    schedule(file) {
+        this.changed.add(file);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.config.watch.debounce);
+    }
+
+    /**
+     * Rebuild for the changes collected so far
+     */
+    flush() {
+        if (this.running) {
+            this.rerun = true;
+            this.controller.abort();
+            return this.running;
+        }
+
+        const changed = [...this.changed];
+        this.changed.clear();
+
+        this.running = this.rebuild(changed)
+            .catch(error => {
+                if (!this.controller.signal.aborted) {
+                    console.error(`❌ Būve neizdevās: ${error.message}`);
+                }
+            })
+            .finally(() => {
+                this.running = null;
+                if (this.rerun) {
+                    this.rerun = false;
+                    this.flush();
+                }
+            });
+
+        return this.running;
+    }
+
+    /**
+     * Build once, then watch the source directory
+     * @returns {Promise<void>} Resolves after the first build
+     */
+    async start() {
+        const srcDir = this.config.paths.src;
+        if (!fs.existsSync(srcDir)) {
+            throw new Error(`Source directory not found: ${srcDir}`);
+        }
+
+        console.log(`👀 Vēro ${path.relative(process.cwd(), srcDir) || srcDir}${this.coverage ? ' (ar coverage)' : ''}${this.config.project ? ` (${this.config.project.name})` : ''}...`);
+        this.baseline = this.runner.loadBaseline();
+        if (!this.baseline) {
+            console.log('ℹ️ Baseline nav atrasts, izmaiņas tikai pret iepriekšējo būvi');
+        }
+
+        this.watcher = fs.watch(srcDir, { recursive: true }, (event, file) => {
+            if (file) this.schedule(file);
+        });
+        await this.flush();
+    }
+
+    /**
+     * Stop watching and any running build
+     */
+    close() {
+        clearTimeout(this.timer);
+        if (this.watcher) this.watcher.close();
+        if (this.controller) this.controller.abort();
+    }
+
+    /**
+     * Watch every project until SIGINT or SIGTERM
+     * @param {Object} config - Loaded config
+     * @param {Object} options - Watch options
+     * @param {boolean} options.coverage - Rerun the tests for coverage after every build
+     * @param {string|Array} options.stdio - Where the build and test commands write
+     */
+    static async watchProjects(config = loadConfig(), options = {}) {
+        const watchers = resolveProjects(config).map(projectConfig => new MetricsWatcher(projectConfig, undefined, options));
+
+        // Builds would compete for the CPU, so the first ones run one after another
+        for (const watcher of watchers) {
+            await watcher.start();
+        }
+
+        await new Promise(resolve => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+
+        console.log('\n👋 Beidz vērot...');
+        watchers.forEach(watcher => watcher.close());
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const coverage = process.argv.includes('--coverage') ? { coverage: true } : {};
+
+    MetricsWatcher.watchProjects(loadConfig(), coverage).catch(error => {
+        console.error('❌ Watch kļūda:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = MetricsWatcher;
@@ -4,12 +4,24 @@ const MetricsCollector = (typeof window !== 'undefined' && window.MetricsCollect
 const Utils = (typeof window !== 'undefined' && window.Utils) || 
               require('./utils').Utils;
 
+// Metric thresholds from symphony.config.js, injected by webpack at build time
+const THRESHOLDS = process.env.SYMPHONY_THRESHOLDS
+    ? JSON.parse(process.env.SYMPHONY_THRESHOLDS)
+    : require('../scripts/lib/metric-registry').createRegistry().thresholds();
+
+// Text colour of a metric value per threshold status
+const STATUS_COLORS = {
+    good: '#4caf50',
+    warning: '#ffc107',
+    bad: '#ff6b6b'
+};
+
 /**
  * Main application class for CI/CD Symphony
  */
 class CICDSymphony {
     constructor() {
-        this.metrics = new MetricsCollector();
+        this.metrics = new MetricsCollector({ historyUrl: 'metrics-history.json' });
         this.utils = new Utils();
         this.initializeApp();
     }
@@ -31,6 +43,7 @@ class CICDSymphony {
         try {
             const data = await this.metrics.fetchLatestMetrics();
             this.updateMetricsDisplay(data);
+            this.updateProjectsDisplay(await this.metrics.fetchProjects());
         } catch (error) {
             console.error('Kļūda ielādējot metriku:', error);
             this.showError('Nevarēja ielādēt metriku datus');
@@ -53,6 +66,38 @@ class CICDSymphony {
         this.updateBadges(data);
     }
 
+    /**
+     * Show the metrics of each project in its own group
+     * @param {Array} projects - Entries of projects.json
+     */
+    updateProjectsDisplay(projects) {
+        const projectsEl = document.getElementById('projects');
+        if (!projectsEl || projects.length === 0) return;
+
+        projectsEl.innerHTML = projects.map(project => `
+            <h3>🗂️ ${this.escapeHtml(project.name)}
+                <img src="https://img.shields.io/badge/CI%2FCD-${encodeURIComponent(project.overall.label)}-${project.overall.color}" alt="${this.escapeHtml(project.name)} Status">
+            </h3>
+            <div class="metrics">
+                ${project.metrics.map(metric => `
+                    <div class="metric-card">
+                        <h3>${metric.emoji} ${this.escapeHtml(metric.label)}</h3>
+                        <div class="metric-value" style="color: ${STATUS_COLORS[metric.status] || 'inherit'};">${this.escapeHtml(metric.formatted)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Escape text for insertion into HTML
+     * @param {string} text - Untrusted text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
     /**
      * Update status badges
      * @param {Object} data - Metrics data
@@ -63,22 +108,38 @@ class CICDSymphony {
         const bundleBadge = document.getElementById('bundleBadge');
 
         if (perfBadge) {
-            const perfColor = data.performance >= 90 ? 'green' : data.performance >= 70 ? 'yellow' : 'red';
+            const perfColor = this.getBadgeColor('performance', data.performance);
             perfBadge.src = `https://img.shields.io/badge/Performance-${data.performance}%25-${perfColor}`;
         }
 
         if (covBadge) {
-            const covColor = data.coverage >= 80 ? 'green' : data.coverage >= 60 ? 'yellow' : 'red';
+            const covColor = this.getBadgeColor('coverage', data.coverage);
             covBadge.src = `https://img.shields.io/badge/Coverage-${data.coverage}%25-${covColor}`;
         }
 
         if (bundleBadge) {
             const sizeKB = Math.round(data.bundleSize / 1024);
-            const bundleColor = sizeKB <= 100 ? 'green' : sizeKB <= 250 ? 'yellow' : 'red';
+            const bundleColor = this.getBadgeColor('bundleSize', data.bundleSize);
             bundleBadge.src = `https://img.shields.io/badge/Bundle-${sizeKB}KB-${bundleColor}`;
         }
     }
 
+    /**
+     * Get badge colour for a metric value
+     * @param {string} id - Metric id, e.g. performance
+     * @param {number} value - Metric value in the metric's unit
+     * @returns {string} green, yellow, red or lightgrey when the metric is unknown
+     */
+    getBadgeColor(id, value) {
+        const thresholds = THRESHOLDS[id];
+        if (!thresholds || typeof value !== 'number') return 'lightgrey';
+
+        const isWithin = limit => thresholds.direction === 'higher' ? value >= limit : value <= limit;
+        if (isWithin(thresholds.good)) return 'green';
+        if (isWithin(thresholds.warning)) return 'yellow';
+        return 'red';
+    }
+
     /**
      * Setup event listeners
      */
@@ -86,6 +147,7 @@ class CICDSymphony {
         // Global functions for HTML onclick handlers
         window.runAnalysis = () => this.runAnalysis();
         window.showHistory = () => this.showHistory();
+        window.showAuditLog = () => this.showAuditLog();
         window.exportData = () => this.exportData();
     }
 
@@ -115,11 +177,26 @@ class CICDSymphony {
         console.log('📊 Rāda vēstures datus...');
         const resultsEl = document.getElementById('results');
         if (resultsEl) {
-            const history = await this.metrics.getHistory();
+            // Runs, or daily / weekly aggregates across the whole retained history
+            const resolutionEl = document.getElementById('historyResolution');
+            const resolution = resolutionEl ? resolutionEl.value : 'run';
+            const history = await this.metrics.getHistory({ resolution });
             resultsEl.innerHTML = this.formatHistoryTable(history);
         }
     }
 
+    /**
+     * Show the baseline audit log
+     */
+    async showAuditLog() {
+        console.log('🧾 Rāda audita žurnālu...');
+        const resultsEl = document.getElementById('results');
+        if (resultsEl) {
+            const entries = await this.metrics.fetchAuditLog();
+            resultsEl.innerHTML = this.formatAuditTable(entries);
+        }
+    }
+
     /**
      * Export data
      */
@@ -172,12 +249,24 @@ class CICDSymphony {
         `;
 
         history.forEach(entry => {
+            const stats = entry.stats || {};
+            // Aggregates show the median with the min-max range of their runs
+            const cell = (id, format) => {
+                const range = stats[id] && stats[id].min !== stats[id].max
+                    ? ` <small>(${format(stats[id].min)}–${format(stats[id].max)})</small>`
+                    : '';
+                return `${format(entry[id])}${range}`;
+            };
+            const percent = value => `${value}%`;
+            const bytes = value => this.utils.formatBytes(value);
+            const date = entry.resolution && entry.resolution !== 'run' ? `${entry.date} (${entry.resolution === 'week' ? 'nedēļa' : 'diena'}, ${entry.runs} mērījumi)` : entry.date;
+
             table += `
                 <tr>
-                    <td style="padding: 10px; border: 1px solid rgba(255,255,255,0.3);">${entry.date}</td>
-                    <td style="padding: 10px; border: 1px solid rgba(255,255,255,0.3);">${entry.performance}%</td>
-                    <td style="padding: 10px; border: 1px solid rgba(255,255,255,0.3);">${entry.coverage}%</td>
-                    <td style="padding: 10px; border: 1px solid rgba(255,255,255,0.3);">${this.utils.formatBytes(entry.bundleSize)}</td>
+                    <td style="padding: 10px; border: 1px solid rgba(255,255,255,0.3);">${date}</td>
+                    <td style="padding: 10px; border: 1px solid rgba(255,255,255,0.3);">${cell('performance', percent)}</td>
+                    <td style="padding: 10px; border: 1px solid rgba(255,255,255,0.3);">${cell('coverage', percent)}</td>
+                    <td style="padding: 10px; border: 1px solid rgba(255,255,255,0.3);">${cell('bundleSize', bytes)}</td>
                 </tr>
             `;
         });
@@ -186,6 +275,53 @@ class CICDSymphony {
         return table;
     }
 
+    /**
+     * Format audit log table
+     * @param {Array} entries - Audit log entries, newest first
+     * @returns {string} HTML table
+     */
+    formatAuditTable(entries) {
+        if (!entries || entries.length === 0) {
+            return '<p>Audita žurnāls ir tukšs</p>';
+        }
+
+        const actions = { accept: '☑️ Pieņemta regresija', reject: '❌ Baseline noraidīts', update: '✅ Baseline ar pieņemtām regresijām' };
+        const cellStyle = 'padding: 10px; border: 1px solid rgba(255,255,255,0.3);';
+
+        const rows = entries.map(entry => {
+            // An acceptance names one metric and why, the baseline decisions list the metrics involved
+            const details = entry.action === 'accept'
+                ? `${this.escapeHtml(entry.metric)}: ${entry.baseline} → ${entry.value}. ${this.escapeHtml(entry.reason)}`
+                : `${(entry.metrics || []).map(metric => this.escapeHtml(metric)).join(', ') || '—'} (${Math.round(entry.score)}%)`;
+
+            return `
+                <tr>
+                    <td style="${cellStyle}">${this.utils.formatDate(entry.timestamp)}</td>
+                    <td style="${cellStyle}">${actions[entry.action] || this.escapeHtml(entry.action)}</td>
+                    <td style="${cellStyle}">${this.escapeHtml(entry.actor)}</td>
+                    <td style="${cellStyle}"><code>${this.escapeHtml(entry.commit.substring(0, 7))}</code>${entry.pr ? ` #${this.escapeHtml(entry.pr)}` : ''}</td>
+                    <td style="${cellStyle}">${details}</td>
+                </tr>
+            `;
+        });
+
+        return `
+            <h3>🧾 Audita Žurnāls</h3>
+            <table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
+                <thead>
+                    <tr style="background: rgba(255,255,255,0.2);">
+                        <th style="${cellStyle}">Laiks</th>
+                        <th style="${cellStyle}">Darbība</th>
+                        <th style="${cellStyle}">Kas</th>
+                        <th style="${cellStyle}">Commit</th>
+                        <th style="${cellStyle}">Detaļas</th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message
@@ -1,9 +1,22 @@
+const { queryHistory } = require('../scripts/lib/retention');
+
 /**
  * Metrics collection and management
  */
 class MetricsCollector {
-    constructor() {
+    /**
+     * @param {Object} options - Data sources
+     * @param {string|null} options.historyUrl - Baseline history written by scripts/generate-badges.js, demo data without it
+     * @param {Function} options.fetch - Fetch implementation, the global fetch by default
+     */
+    constructor({ historyUrl = null, fetch: fetcher = (...args) => fetch(...args) } = {}) {
         this.apiUrl = '/api/metrics';
+        // Written by scripts/generate-badges.js when symphony.config.js lists projects
+        this.projectsUrl = 'projects.json';
+        this.historyUrl = historyUrl;
+        // Audit log written by scripts/generate-badges.js
+        this.auditUrl = 'audit-log.json';
+        this.fetch = fetcher;
     }
 
     /**
@@ -25,6 +38,23 @@ class MetricsCollector {
         }
     }
 
+    /**
+     * Fetch the headline metrics of every project
+     * @returns {Promise<Array>} One entry per project, empty for a single app
+     */
+    async fetchProjects() {
+        try {
+            const response = await this.fetch(this.projectsUrl);
+            if (!response.ok) return [];
+
+            const data = await response.json();
+            return Array.isArray(data.projects) ? data.projects : [];
+        } catch (error) {
+            console.warn('Projects not available:', error.message);
+            return [];
+        }
+    }
+
     /**
      * Run new analysis
      * @returns {Promise<Object>} Analysis results
@@ -65,11 +95,45 @@ class MetricsCollector {
         };
     }
 
+    /**
+     * Fetch the baseline history at one resolution, across its run, daily and weekly tiers
+     * @param {Object} query - from, to and resolution (run, day or week)
+     * @returns {Promise<Array|null>} Matching entries, null when no history is published
+     */
+    async fetchHistory(query = {}) {
+        if (!this.historyUrl) return null;
+
+        try {
+            const response = await this.fetch(this.historyUrl);
+            if (!response.ok) return null;
+
+            const data = await response.json();
+            return Array.isArray(data.entries) ? queryHistory(data.entries, query) : null;
+        } catch (error) {
+            console.warn('History not available:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Get historical metrics data
-     * @returns {Promise<Array>} Historical data
+     * @param {Object} query - from, to and resolution (run, day or week)
+     * @returns {Promise<Array>} Historical data, aggregates carry runs and min/median/max stats
      */
-    async getHistory() {
+    async getHistory(query = {}) {
+        const entries = await this.fetchHistory(query);
+        if (entries) {
+            return entries.map(entry => ({
+                date: entry.timestamp.split('T')[0],
+                resolution: entry.resolution || 'run',
+                runs: entry.runs || 1,
+                performance: entry.performance,
+                coverage: entry.coverage,
+                bundleSize: entry.bundleSize,
+                stats: entry.stats || {}
+            }));
+        }
+
         // Mock historical data
         const history = [];
         const now = new Date();
@@ -89,6 +153,23 @@ class MetricsCollector {
         return history;
     }
 
+    /**
+     * Fetch the baseline audit log: accepted regressions, refused and accepted baseline updates
+     * @returns {Promise<Array>} Entries, newest first; empty when no log is published
+     */
+    async fetchAuditLog() {
+        try {
+            const response = await this.fetch(this.auditUrl);
+            if (!response.ok) return [];
+
+            const data = await response.json();
+            return Array.isArray(data.entries) ? [...data.entries].reverse() : [];
+        } catch (error) {
+            console.warn('Audit log not available:', error.message);
+            return [];
+        }
+    }
+
     /**
      * Get current metrics data
      * @returns {Promise<Object>} Current data
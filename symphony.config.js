@@ -0,0 +1,222 @@
+/**
+ * CI/CD Symphony configuration.
+ *
+ * Loaded by every script in scripts/ and, at build time, by the dashboard.
+ * Validated by scripts/lib/config.js; anything left out falls back to its default there.
+ */
+module.exports = {
+    // Directories, relative to the project root
+    paths: {
+        src: 'src',
+        dist: 'dist',
+        reports: 'reports',
+        baselines: 'baselines',
+        badges: 'badges',
+        coverage: 'coverage'
+    },
+
+    // Modules exporting custom metric plugins, see "Custom Metrics" in README.md
+    collectors: [],
+
+    // Per metric: thresholds { good, warning } in the metric's unit, weight in the
+    // baseline score, minChange worth reporting, or enabled: false to drop the metric.
+    // Red means worse than `warning` everywhere: PR comment, badges, baseline and dashboard.
+    metrics: {
+        performance: {
+            thresholds: { good: 90, warning: 70 }
+        },
+        accessibility: {
+            thresholds: { good: 90, warning: 80 }
+        },
+        bestPractices: {
+            thresholds: { good: 90, warning: 80 }
+        },
+        seo: {
+            thresholds: { good: 90, warning: 70 }
+        },
+        // Lighthouse profiles after the first get their own ids, see `lighthouse.profiles`
+        performanceDesktop: {
+            thresholds: { good: 95, warning: 80 }
+        },
+        accessibilityDesktop: {
+            thresholds: { good: 90, warning: 80 }
+        },
+        bestPracticesDesktop: {
+            thresholds: { good: 90, warning: 80 }
+        },
+        seoDesktop: {
+            thresholds: { good: 90, warning: 70 }
+        },
+        coverage: {
+            thresholds: { good: 80, warning: 60 }
+        },
+        tests: {
+            thresholds: { good: 30 * 1000, warning: 120 * 1000 }
+        },
+        testCount: {
+            thresholds: { good: 1, warning: 1 }
+        },
+        testFailures: {
+            thresholds: { good: 0, warning: 0 }
+        },
+        testsSkipped: {
+            thresholds: { good: 0, warning: 10 }
+        },
+        bundleSize: {
+            thresholds: { good: 100 * 1024, warning: 250 * 1024 }
+        },
+        bundleSizeGzip: {
+            thresholds: { good: 50 * 1024, warning: 100 * 1024 }
+        },
+        bundleSizeBrotli: {
+            thresholds: { good: 50 * 1024, warning: 100 * 1024 }
+        },
+        lint: {
+            thresholds: { good: 0, warning: 0 }
+        },
+        lintWarnings: {
+            thresholds: { good: 0, warning: 20 }
+        },
+        diffCoverage: {
+            thresholds: { good: 80, warning: 60 }
+        }
+    },
+
+    // Form factor profiles, each audits every URL in lighthouserc.json with its preset's throttling and
+    // screen emulation; `settings` overrides Lighthouse settings. The first profile's metrics keep the
+    // plain ids (performance, accessibility, bestPractices, seo), the others append the capitalized
+    // name (performanceDesktop, ...) for their own thresholds, badges and baseline values.
+    lighthouse: {
+        profiles: [
+            { name: 'mobile', preset: 'mobile' },
+            { name: 'desktop', preset: 'desktop' }
+        ]
+    },
+
+    // Upper limits for the Lighthouse lab metrics in the performance breakdown (ms, CLS unitless)
+    webVitals: {
+        firstContentfulPaint: 1800,
+        largestContentfulPaint: 2500,
+        cumulativeLayoutShift: 0.1,
+        totalBlockingTime: 200
+    },
+
+    // Defaults for analysis steps without their own timeout (ms) or retries
+    analysis: {
+        timeout: 10 * 60 * 1000,
+        retries: 0
+    },
+
+    // Files the ESLint collector checks, and how many of the worst files to report
+    lint: {
+        patterns: ['src/**/*.js'],
+        worstFiles: 10
+    },
+
+    // How many of the slowest Jest tests to report
+    tests: {
+        slowestTests: 10
+    },
+
+    // Coverage of the lines changed since baseRef (on GitHub Actions, the PR base branch).
+    // Runs below `minimum` percent fail compare-coverage when failBelowMinimum is set.
+    diffCoverage: {
+        baseRef: 'origin/main',
+        minimum: 80,
+        failBelowMinimum: true
+    },
+
+    // A change counts as a regression or improvement only outside the noise band: sigma standard
+    // deviations of the spread between repeated Lighthouse runs or between the last historyWindow
+    // baselines, and never less than the metric's minChange
+    regression: {
+        sigma: 2,
+        historyWindow: 10
+    },
+
+    // When a run may replace the baseline. Every branch matching `branches` (globs) keeps its own
+    // baseline; PRs compare with their base branch's, other branches with `fallbackBranch`.
+    baseline: {
+        branches: ['main', 'master', 'develop', 'release/*'],
+        fallbackBranch: 'main',
+        events: ['push'],
+        // Weighted share of metrics (0-100) that must not be red
+        minScore: 70,
+        // A PR with this label accepts its regressions, like `symphony baseline accept`. Accepted
+        // regressions pass the gate and the baseline update, and are kept in the audit log.
+        acceptLabel: 'accept-regression',
+        // History kept per tier, finest first: older runs are compacted into daily and weekly
+        // min/median/max aggregates. The last tier may leave out maxDays to keep them forever.
+        retention: [
+            { resolution: 'run', maxDays: 30 },
+            { resolution: 'day', maxDays: 365 },
+            { resolution: 'week' }
+        ]
+    },
+
+    // Analysis results kept per commit in baselines/archive/<sha>.json for `npm run ci:compare`
+    archive: {
+        enabled: true,
+        maxEntries: 200
+    },
+
+    // Where baselines and their history live: `fs` (JSON files in paths.baselines), `git` (an orphan
+    // branch, pushed to `remote` unless it is null) or `sqlite` (a local file, needs the sqlite3 CLI).
+    // `npx symphony migrate fs git` copies everything from one backend to another.
+    storage: {
+        backend: 'fs',
+        git: {
+            branch: 'symphony-data',
+            remote: 'origin'
+        },
+        sqlite: {
+            file: 'baselines/symphony.db'
+        }
+    },
+
+    // `npm run watch`: rebuild this long (ms) after the last change under paths.src, and rerun the
+    // tests for coverage after every build (slower, also `--coverage`)
+    watch: {
+        debounce: 300,
+        coverage: false
+    },
+
+    // Budgets checked by `npm run ci:gate` after the analysis. A rule targets a metric id or a glob of
+    // files in dist/ (summed, `compression` raw, gzip or brotli, default gzip). `budget` is the worst
+    // allowed value in the metric's unit, `maxDelta` the largest change for the worse against the
+    // baseline. Severity `error` fails the gate, `warn` is only reported, `off` disables the rule.
+    gate: {
+        rules: [
+            { asset: 'main*.js', compression: 'gzip', budget: 60 * 1024, severity: 'error' },
+            { metric: 'bundleSizeGzip', maxDelta: 10 * 1024, severity: 'error' },
+            { metric: 'coverage', maxDelta: 2, severity: 'warn' },
+            { metric: 'performance', budget: 70, severity: 'warn' }
+        ]
+    },
+
+    notifications: {
+        prComment: {
+            enabled: true
+        },
+        slack: {
+            enabled: true,
+            onlyFailures: false
+        }
+    },
+
+    // Apps of a monorepo, each analyzed on its own. Empty: one app at the root with the paths above.
+    // A project has a name, a root directory, a build command and src/dist/coverage paths relative to
+    // its root; it may override collectors, metrics, lighthouse, webVitals, lint, tests, diffCoverage and gate.
+    // Reports, badges and baselines go to reports/<name>, badges/<name> and baselines/<name>.
+    // Example:
+    //   { name: 'web' },
+    //   {
+    //       name: 'flutter',
+    //       root: 'apps/flutter',
+    //       build: 'flutter build web --release && flutter test --coverage',
+    //       paths: { dist: 'build/web' },
+    //       // Coverage comes from coverage/lcov.info, there is no Jest run or ESLint
+    //       metrics: { tests: { enabled: false }, diffCoverage: { enabled: false }, lint: { enabled: false } }
+    //   }
+    projects: []
+};
@@ -1,12 +1,18 @@
 const path = require('path');
+const { DefinePlugin } = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
+const { BundleAnalyzerPlugin } = require('webpack-bundle-analyzer');
+const { loadConfig } = require('./scripts/lib/config');
+const { createRegistry } = require('./scripts/lib/metric-registry');
+
+const config = loadConfig();
 
 module.exports = {
   mode: 'production',
   entry: './src/app.js',
   output: {
     filename: 'main.js',
-    path: path.resolve(__dirname, 'dist'),
+    path: config.paths.dist,
     clean: true,
   },
   devtool: 'source-map',
@@ -26,6 +32,29 @@ module.exports = {
   plugins: [
     new HtmlWebpackPlugin({
       template: './src/index.html'
+    }),
+    // The dashboard colours metrics with the thresholds from symphony.config.js
+    new DefinePlugin({
+      'process.env.SYMPHONY_THRESHOLDS': JSON.stringify(JSON.stringify(createRegistry({ config }).thresholds()))
+    }),
+    // Writes stats.json for scripts/run-analysis.js, outside dist/ so it is not counted as a bundle asset
+    new BundleAnalyzerPlugin({
+      analyzerMode: 'disabled',
+      generateStatsFile: true,
+      statsFilename: path.join(config.paths.reports, 'webpack-stats.json'),
+      statsOptions: {
+        all: false,
+        assets: true,
+        chunks: true,
+        chunkModules: true,
+        chunkRelations: true,
+        entrypoints: true,
+        ids: true,
+        modules: true,
+        nestedModules: true,
+        reasons: false,
+        source: false
+      }
     })
   ]
 };